@@ -0,0 +1,137 @@
+/**
+ * Alias Search Module
+ * Fuzzy search over the alias library for the quick launcher
+ *
+ * Every word of the query has to match the name, command, description or a
+ * tag of an alias, with its characters in order but not necessarily next to
+ * each other. Matches in the name count the most, so part of a half-
+ * remembered name finds the alias first; consecutive characters and word
+ * starts rank higher.
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const platformVariants = require("./platform-variants");
+const templates = require("./templates");
+
+const FIELD_WEIGHTS = { name: 3, tags: 2, description: 1, command: 1 };
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Score how well a word matches a text
+ * @param {string} word - Lowercase query word
+ * @param {string} text - Text to match
+ * @returns {number|null} Score, or null if the characters don't appear in order
+ */
+function fuzzyScore(word, text) {
+  const haystack = String(text || "").toLowerCase();
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (const char of word) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) {
+      return null;
+    }
+    score += 1;
+    if (index === previous + 1) {
+      score += 3;
+    }
+    if (index === 0 || /[\s:/._-]/.test(haystack[index - 1])) {
+      score += 2;
+    }
+    previous = index;
+    position = index + 1;
+  }
+
+  if (haystack === word) {
+    score += 10;
+  }
+  // Prefer shorter texts when the match is otherwise equal
+  return score - haystack.length / 100;
+}
+
+/**
+ * Score a query word against the searchable fields of an alias
+ * @returns {number|null} Best weighted score, or null if no field matches
+ */
+function scoreWord(word, fields) {
+  let best = null;
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const texts = Array.isArray(fields[field]) ? fields[field] : [fields[field]];
+    for (const text of texts) {
+      const score = fuzzyScore(word, text);
+      if (score !== null && (best === null || score * weight > best)) {
+        best = score * weight;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Search aliases, best match first
+ * @param {Array} aliases - Aliases from aliases.json
+ * @param {string} query - Words typed by the user; empty lists every alias by name
+ * @param {Object} [options]
+ * @param {string} [options.platform] - OS the command is for, as in process.platform
+ * @param {string} [options.shellName] - Shell the command is for
+ * @param {number} [options.limit] - Most results to return
+ * @returns {Array<{id: string, name: string, command: string, description: string,
+ *   tags: Array<string>, kind: string, enabled: boolean, profile: string,
+ *   placeholders: Array}>} Matches with the command resolved for the platform
+ *   and shell, and the placeholders to ask for before running it; aliases
+ *   without a command there are left out
+ */
+function searchAliases(aliases, query, { platform = process.platform, shellName = null, limit = DEFAULT_LIMIT } = {}) {
+  const words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = [];
+
+  for (const alias of aliases || []) {
+    const command = platformVariants.resolveCommand(alias, platform, shellName);
+    if (!command) {
+      continue;
+    }
+    const fields = { name: alias.name, command, description: alias.description, tags: alias.tags || [] };
+
+    let score = 0;
+    for (const word of words) {
+      const wordScore = scoreWord(word, fields);
+      if (wordScore === null) {
+        score = null;
+        break;
+      }
+      score += wordScore;
+    }
+    if (score === null) {
+      continue;
+    }
+
+    matches.push({
+      score: alias.enabled === false ? score - 1 : score,
+      result: {
+        id: alias.id,
+        name: alias.name,
+        command,
+        description: alias.description || "",
+        tags: alias.tags || [],
+        kind: alias.kind || "alias",
+        enabled: alias.enabled !== false,
+        profile: alias.profile || "",
+        placeholders: templates.parseTemplate(command).placeholders
+      }
+    });
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score || a.result.name.localeCompare(b.result.name))
+    .slice(0, limit)
+    .map(match => match.result);
+}
+
+module.exports = {
+  fuzzyScore,
+  searchAliases
+};
@@ -0,0 +1,1097 @@
+/**
+ * Alias Service
+ * Storage, shell import and shell export behind both the main window's IPC
+ * handlers and the command-line interface
+ *
+ * Kept free of Electron imports so the CLI can run it under plain Node;
+ * callers pass in the folders Electron's app.getPath would provide.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const shellExport = require("./shell-export");
+const BackupManager = require("./backup-manager");
+const ExportHistory = require("./export-history");
+const ExportState = require("./export-state");
+const rcParser = require("./rc-parser");
+const linter = require("./linter");
+const syntaxCheck = require("./syntax-check");
+const profiles = require("./profiles");
+const platformVariants = require("./platform-variants");
+const schema = require("./schema");
+const { writeFileAtomic } = require("./safe-write");
+const { createUnifiedDiff } = require("./unified-diff");
+const { GitSync } = require("./git-sync");
+const fishGenerator = require("./generators/fish");
+const cmdGenerator = require("./generators/cmd");
+
+class AliasService {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Folder holding aliases.json, settings.json
+   *   and the export logs
+   * @param {string} options.backupDir - Folder for backups of modified files
+   * @param {string} options.home - User's home directory
+   * @param {string} [options.platform] - OS, as in process.platform
+   * @param {Object} [options.env] - Environment, for shell detection and PATH
+   * @param {Object} [options.logger] - Receives info and error messages
+   */
+  constructor({ dataDir, backupDir, home, platform = process.platform, env = process.env, logger = console }) {
+    this.dataDir = dataDir;
+    this.home = home;
+    this.platform = platform;
+    this.env = env;
+    this.logger = logger;
+    this.backupManager = new BackupManager(backupDir, logger);
+    this.exportHistory = new ExportHistory(this.getDataFilePath("export-history.json"));
+    this.exportState = new ExportState(this.getDataFilePath("export-state.json"));
+    this.gitSync = null;
+  }
+
+  /**
+   * Get path to a data file
+   */
+  getDataFilePath(filename) {
+    return path.join(this.dataDir, filename);
+  }
+
+  /**
+   * Ensure the data directory exists
+   */
+  async ensureDataDirectory() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+  }
+
+  /**
+   * Save settings, stamped with the current schema version
+   */
+  async saveSettings(settings) {
+    const settingsPath = this.getDataFilePath("settings.json");
+    await this.assertNotNewerSchema(settingsPath, schema.migrateSettings);
+    await writeFileAtomic(settingsPath, JSON.stringify({ ...settings, schemaVersion: schema.SETTINGS_SCHEMA_VERSION }, null, 2));
+  }
+
+  /**
+   * Save aliases.json, stamped with the current schema version
+   * @param {Object} data - { aliases, profiles }
+   * @returns {Promise<Object>} The store as written, with edit times
+   */
+  async saveAliasStore(data) {
+    const aliasesPath = this.getDataFilePath("aliases.json");
+    await this.assertNotNewerSchema(aliasesPath, schema.migrateAliasStore);
+    // A corrupt file has no edit times worth keeping
+    const previous = await this.readAliasStore().catch(() => ({ aliases: [] }));
+    const aliases = stampEditedAliases(previous.aliases, data.aliases || [], new Date().toISOString());
+    const store = { ...data, aliases, schemaVersion: schema.ALIASES_SCHEMA_VERSION };
+    await writeFileAtomic(aliasesPath, JSON.stringify(store, null, 2));
+    return store;
+  }
+
+  /**
+   * Get the git sync for the current settings
+   * @returns {Promise<GitSync|null>} null when sync is off
+   */
+  async getGitSync() {
+    const settings = await this.readSettings();
+    if (!settings.syncEnabled || !settings.syncRepoPath) {
+      return null;
+    }
+    const options = {
+      repoDir: settings.syncRepoPath.replace(/^~(?=$|[\\/])/, this.home),
+      remoteUrl: settings.syncRemoteUrl || "",
+      branch: settings.syncBranch || "main"
+    };
+    // Reuse the instance while the settings stay the same, so its queue
+    // keeps commits from a save and a running sync apart
+    const current = this.gitSync;
+    if (!current || current.repoDir !== options.repoDir || current.remoteUrl !== options.remoteUrl || current.branch !== options.branch) {
+      this.gitSync = new GitSync(options);
+    }
+    return this.gitSync;
+  }
+
+  /**
+   * Commit the library to the sync repository, if sync is on
+   * @param {Object} store - { profiles, aliases } as saved
+   * @returns {Promise<boolean>} Whether a commit was made
+   */
+  async commitToSyncRepository(store) {
+    const gitSync = await this.getGitSync();
+    if (!gitSync) {
+      return false;
+    }
+    return gitSync.commitLibrary(store);
+  }
+
+  /**
+   * Save aliases.json and commit it to the sync repository, as every edit
+   * from the main window, the tray and the CLI does
+   * @param {Object} data - { aliases, profiles }
+   * @returns {Promise<Object>} { store } with the store as written, plus
+   *   syncError when the save went through but the commit didn't
+   */
+  async saveLibrary(data) {
+    const store = await this.saveAliasStore(data);
+    try {
+      await this.commitToSyncRepository(store);
+      return { store };
+    } catch (err) {
+      this.logger.error("Failed to commit aliases to the sync repository:", err);
+      return { store, syncError: err.message };
+    }
+  }
+
+  /**
+   * Pull, merge and push the saved library through the sync repository,
+   * saving whatever was pulled
+   * @param {Object<string, string>} [resolutions] - "ours" or "theirs" by
+   *   alias id, for conflicts reported by an earlier call
+   * @returns {Promise<Object>} { success, pulled, pushed }, or
+   *   { success: false, conflict: true, conflicts } when aliases were
+   *   changed differently on both sides
+   */
+  async syncLibrary(resolutions = {}) {
+    const gitSync = await this.getGitSync();
+    if (!gitSync) {
+      return { success: false, error: "Sync is not enabled" };
+    }
+
+    const store = await this.readAliasStore();
+    const result = await gitSync.sync(store, resolutions);
+    if (result.conflicts.length > 0) {
+      return {
+        success: false,
+        conflict: true,
+        conflicts: result.conflicts,
+        error: `${result.conflicts.length} alias(es) changed differently on both sides`
+      };
+    }
+    if (result.store) {
+      await this.saveAliasStore({ ...store, ...result.store });
+    }
+    this.logger.info(`Synced aliases with ${gitSync.remoteUrl || gitSync.repoDir}`);
+    return { success: true, pulled: result.pulled, pushed: result.pushed };
+  }
+
+  /**
+   * Work out the user's shell from the platform and $SHELL
+   * @returns {{platform: string, defaultShell: string, shellPath: string, configPath: string}}
+   */
+  detectShell() {
+    const platform = this.platform;
+    const env = this.env;
+
+    let defaultShell = null;
+    let shellPath = null;
+
+    if (platform === "win32") {
+      defaultShell = "powershell";
+      shellPath = env.SHELL || "powershell.exe";
+    } else {
+      shellPath = env.SHELL || "/bin/bash";
+      const shellName = path.basename(shellPath);
+      
+      if (shellName.includes("zsh")) {
+        defaultShell = "zsh";
+      } else if (shellName.includes("bash")) {
+        defaultShell = "bash";
+      } else if (shellName.includes("fish")) {
+        defaultShell = "fish";
+      } else {
+        defaultShell = "bash";
+      }
+    }
+
+    return {
+      platform,
+      defaultShell,
+      shellPath,
+      configPath: this.getShellConfigPath(defaultShell)
+    };
+  }
+
+  /**
+   * Back up a file into the backup folder
+   * @returns {Promise<string>} Path of the backup copy
+   */
+  async backupFile(filePath) {
+    const settings = await this.readSettings();
+    const backup = await this.backupManager.createBackup(filePath, settings.backupCount);
+    if (!backup) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    return this.backupManager.getBackupPath(backup);
+  }
+
+  /**
+   * Get shell config file path based on shell and platform
+   */
+  getShellConfigPath(shellName) {
+    const home = this.home;
+    const platform = this.platform;
+
+    if (platform === "win32") {
+      if (shellName === "powershell") {
+        return path.join(home, "Documents", "PowerShell", "Microsoft.PowerShell_profile.ps1");
+      } else {
+        return path.join(home, "aliases.cmd");
+      }
+    } else {
+      // macOS and Linux
+      switch (shellName) {
+        case "zsh":
+          return path.join(home, ".zshrc");
+        case "bash":
+          return path.join(home, ".bashrc");
+        case "fish":
+          return path.join(home, ".config", "fish", "config.fish");
+        default:
+          return path.join(home, ".bashrc");
+      }
+    }
+  }
+
+  /**
+   * Parse aliases from the shell's startup files
+   *
+   * The files are read statically, following source/. includes, so nothing
+   * interactive runs and each alias keeps the file and line it came from.
+   * Content inside the AliasForge managed block is skipped.
+   */
+  async parseAliasesFromShell(shellName) {
+    const result = await this.readShellRcFiles(shellName);
+    const aliases = this.toImportedAliases(result.aliases);
+    this.logger.info(`Found ${aliases.length} aliases in ${result.files.length} files`);
+    return aliases;
+  }
+
+  /**
+   * Add the aliases found in a shell's rc files to the saved library
+   *
+   * Same merge as the main window: names already in the library are skipped.
+   * @param {string} shellName - Shell to import from
+   * @returns {Promise<Object>} { imported, skipped, store, syncError } as
+   *   saved by saveLibrary
+   */
+  async importFromShell(shellName) {
+    const found = await this.parseAliasesFromShell(shellName);
+    const store = await this.readAliasStore();
+
+    const existingNames = new Set(store.aliases.map(alias => alias.name));
+    const imported = found.filter(alias => !existingNames.has(alias.name));
+    const saved = imported.length > 0
+      ? await this.saveLibrary({ ...store, aliases: [...store.aliases, ...imported] })
+      : { store };
+    return { imported, skipped: found.length - imported.length, ...saved };
+  }
+
+  /**
+   * Parse the rc files of a shell outside the managed block
+   * @returns {Promise<Object>} { aliases, files, warnings } from rcParser.parseRcFiles
+   */
+  async readShellRcFiles(shellName) {
+    const home = this.home;
+    const settings = await this.readSettings();
+    const target = shellExport.resolveExportTarget(shellName, {
+      settings,
+      home,
+      defaultConfigPath: this.getShellConfigPath(shellName)
+    });
+    const files = rcParser.getRcFiles(shellName, { home, configPath: target.configPath });
+
+    const result = await rcParser.parseRcFiles(files, { shellName, home });
+    for (const warning of result.warnings) {
+      this.logger.info(warning);
+    }
+    return result;
+  }
+
+  /**
+   * Check enabled aliases against the shell's builtins, the executables on
+   * PATH and definitions in the rc files, using the command each alias
+   * exports on this OS
+   * @returns {Promise<Object>} Warnings keyed by alias id
+   */
+  async lintAliasesForShell(aliases, shellName) {
+    const enabled = aliases
+      .filter(alias => alias.enabled)
+      .map(alias => ({ ...alias, command: platformVariants.resolveCommand(alias, this.platform, shellName) || "" }));
+    const rc = await this.readShellRcFiles(shellName);
+    const executables = await linter.findExecutables(enabled.map(alias => alias.name), {
+      pathEnv: this.env.PATH,
+      platform: this.platform,
+      pathExt: this.env.PATHEXT
+    });
+    return linter.lintAliases(enabled, {
+      shellName,
+      executables,
+      rcDefinitions: rc.aliases.map(({ name, sourceFile, line }) => ({ name, sourceFile, line }))
+    });
+  }
+
+  /**
+   * Check the command and each platform variant of one alias. A variant is
+   * checked for the shell it is limited to, if any.
+   * @returns {Promise<Object>} { command, platforms: { <platform>: error } },
+   *   where each error is { line, message, shell }; fields without errors are
+   *   left out
+   */
+  async checkAliasSyntax(alias, shellName) {
+    const errors = { platforms: {} };
+    const common = await syntaxCheck.checkAlias(alias, shellName);
+    if (common.error) {
+      errors.command = { ...common.error, shell: shellName };
+    }
+
+    for (const [platform, variant] of Object.entries(alias.platforms || {})) {
+      if (!variant || !variant.command) continue;
+      // Without a shell of its own, a variant for the other OS family is
+      // checked for that family's usual shell
+      const sameFamily = (platform === "win32") === (this.platform === "win32");
+      const variantShell = variant.shell || (sameFamily ? shellName : platform === "win32" ? "powershell" : "bash");
+      const result = await syntaxCheck.checkAlias({ ...alias, command: variant.command }, variantShell);
+      if (result.error) {
+        errors.platforms[platform] = { ...result.error, shell: variantShell };
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Check the aliases an export would write, and the code generated for them
+   * @param {Object} plan - From planShellExport
+   * @returns {Promise<Array>} { aliasId, name, line, message } per error
+   */
+  async checkExportSyntax(plan, shellName) {
+    const generated = shellExport.generateAliasLines(plan.aliases, shellName, plan.target.generatorOptions);
+    const result = await syntaxCheck.checkAliases(plan.aliases, shellName, { generated });
+    return result.errors;
+  }
+
+  /**
+   * Turn aliases read from shell files into alias entries
+   * @param {Array} parsedAliases - { name, command, sourceFile, line, ... } from rcParser
+   * @returns {Array} Alias entries tagged "imported"
+   */
+  toImportedAliases(parsedAliases) {
+    const aliases = [];
+    parsedAliases.forEach((parsed, i) => {
+      // Validate alias name: must start with a letter or underscore. This
+      // filters out strange entries like "-='cd -'".
+      if (!/^[A-Za-z_][A-Za-z0-9_-]*$/.test(parsed.name)) {
+        this.logger.info(`Skipping invalid alias name when importing: "${parsed.name}"`);
+        return;
+      }
+
+      aliases.push({
+        id: `imported-${Date.now()}-${i}-${Math.random().toString(36).substr(2, 9)}`,
+        name: parsed.name,
+        command: parsed.command,
+        description: parsed.description || "",
+        tags: ["imported"],
+        enabled: true,
+        source: "system",
+        sourceFile: parsed.sourceFile,
+        sourceLine: parsed.line,
+        ...(parsed.kind ? { kind: parsed.kind } : {}),
+        ...(parsed.fishMode ? { fishMode: parsed.fishMode } : {})
+      });
+    });
+    return aliases;
+  }
+
+  /**
+   * Write aliases to shell config file
+   *
+   * With the "dedicated" strategy the aliases go into a separate file under
+   * ~/.config/aliasforge and the rc file only gets a block that sources it.
+   * The "direct" strategy writes the aliases into the rc file itself.
+   *
+   * Nothing is written while an alias has a syntax error that would break the
+   * shell at startup; the errors are returned instead. If the managed content
+   * was edited by hand since the last export, or its markers are broken,
+   * nothing is written and the conflicts are returned, unless
+   * options.overwrite is set.
+   */
+  async writeAliasesToShell(aliases, shellName, options = {}) {
+    try {
+      const plan = await this.planShellExport(aliases, shellName);
+      const target = plan.target;
+
+      const syntaxErrors = await this.checkExportSyntax(plan, shellName);
+      if (syntaxErrors.length > 0) {
+        return {
+          success: false,
+          path: target.configPath,
+          syntaxErrors,
+          error: describeSyntaxErrors(syntaxErrors)
+        };
+      }
+
+      if (!options.overwrite) {
+        const found = await this.findExportConflicts(plan, shellName);
+        if (found.conflicts.length > 0) {
+          return {
+            success: false,
+            conflict: true,
+            path: target.configPath,
+            conflicts: found.conflicts,
+            editedAliases: found.editedAliases
+          };
+        }
+      }
+
+      const applied = await this.applyManagedContent({
+        shellName,
+        configPath: target.configPath,
+        block: plan.block,
+        aliasFilePath: target.aliasFilePath,
+        aliasFileContent: plan.aliasFileContent,
+        backupCount: plan.settings.backupCount
+      });
+      await this.applyExtraFiles(plan.extraFiles);
+      await this.recordExportState(shellName, target.configPath, plan.block, target.aliasFilePath, plan.aliasFileContent);
+
+      await this.exportHistory.record({
+        action: "export",
+        targetPath: target.configPath,
+        shell: shellName,
+        strategy: target.strategy,
+        aliasCount: plan.aliases.length,
+        blockBefore: applied.blockBefore,
+        blockAfter: plan.block,
+        aliasFilePath: target.aliasFilePath,
+        aliasFileBefore: applied.aliasFileBefore,
+        aliasFileAfter: plan.aliasFileContent
+      });
+
+      return {
+        success: true,
+        path: target.configPath,
+        strategy: target.strategy,
+        aliasFilePath: target.aliasFilePath,
+        backupPath: applied.backupPath,
+        instructions: plan.instructions,
+        profiles: plan.profiles,
+        missingVariants: plan.missingVariants
+      };
+    } catch (err) {
+      this.logger.error("Failed to write aliases to shell:", err);
+      throw new Error("Failed to update shell configuration");
+    }
+  }
+
+  /**
+   * Export the saved library to a shell, as the CLI and the tray do without
+   * the main window
+   * @param {string} shellName - Shell to export to
+   * @param {Object} [options] - As for writeAliasesToShell
+   * @returns {Promise<Object>} Result of writeAliasesToShell
+   */
+  async exportSavedAliases(shellName, options = {}) {
+    const store = await this.readAliasStore();
+    return this.writeAliasesToShell(store.aliases, shellName, options);
+  }
+
+  /**
+   * Resolve the export target and generate the content an export would write
+   *
+   * Only aliases from the profiles active on this machine are exported; when
+   * two of them define the same name the higher-priority profile wins. Each
+   * alias then uses its command variant for this OS and shell, and aliases
+   * without one are left out.
+   */
+  async planShellExport(allAliases, shellName) {
+    const settings = await this.readSettings();
+    const store = await this.readAliasStore();
+    const resolved = profiles.resolveProfiles(allAliases, store.profiles, settings.activeProfiles);
+    const variants = platformVariants.applyPlatformVariants(resolved.aliases, this.platform, shellName);
+    const aliases = variants.aliases;
+    const target = shellExport.resolveExportTarget(shellName, {
+      settings,
+      home: this.home,
+      defaultConfigPath: this.getShellConfigPath(shellName)
+    });
+
+    let block;
+    let aliasFileContent = null;
+    if (target.strategy === "dedicated") {
+      aliasFileContent = shellExport.buildDedicatedFile(aliases, shellName, target.generatorOptions);
+      block = shellExport.buildSourceBlock(shellName, target.aliasFilePath);
+    } else {
+      block = shellExport.buildDirectBlock(aliases, shellName, target.generatorOptions);
+    }
+
+    const extraFiles = target.functionsDir
+      ? await this.planFunctionFiles(target, aliases)
+      : { writes: [], removals: [] };
+
+    // Optional .reg file that registers the macro file as cmd's AutoRun script
+    let instructions = null;
+    if (shellName === "cmd") {
+      instructions = cmdGenerator.getAutoRunInstructions(target.configPath);
+      if (settings.cmdAutoRunFile) {
+        extraFiles.writes.push({
+          path: path.join(path.dirname(target.configPath), "aliasforge-autorun.reg"),
+          content: cmdGenerator.generateAutoRunReg(target.configPath)
+        });
+      }
+    }
+
+    return {
+      settings,
+      target,
+      aliases,
+      profiles: { sources: resolved.sources, conflicts: resolved.conflicts },
+      missingVariants: variants.missing,
+      block,
+      aliasFileContent,
+      extraFiles,
+      instructions
+    };
+  }
+
+  /**
+   * Work out which autoloaded fish function files to write and which ones
+   * AliasForge wrote earlier that are no longer needed
+   */
+  async planFunctionFiles(target, aliases) {
+    const writes = target.generatorOptions.functionFiles
+      ? shellExport.buildFishFunctionFiles(aliases, target.functionsDir)
+      : [];
+    const wanted = new Set(writes.map(f => f.path));
+    const removals = [];
+
+    let names = [];
+    try {
+      names = await fs.readdir(target.functionsDir);
+    } catch (err) {
+      // Folder doesn't exist yet, nothing to clean up
+    }
+
+    for (const name of names) {
+      const filePath = path.join(target.functionsDir, name);
+      if (!name.endsWith(".fish") || wanted.has(filePath)) continue;
+      const content = await readTextFile(filePath);
+      if (content && content.startsWith(fishGenerator.FUNCTION_FILE_HEADER)) {
+        removals.push({ path: filePath, content });
+      }
+    }
+
+    return { writes, removals };
+  }
+
+  /**
+   * Write planned companion files (fish function files, cmd AutoRun .reg) and
+   * delete stale ones
+   */
+  async applyExtraFiles(extraFiles) {
+    for (const file of extraFiles.writes) {
+      await fs.mkdir(path.dirname(file.path), { recursive: true });
+      await writeFileAtomic(file.path, file.content);
+    }
+    for (const file of extraFiles.removals) {
+      await fs.unlink(file.path);
+    }
+  }
+
+  /**
+   * Dry run of writeAliasesToShell: returns the current and proposed content of
+   * every file the export would touch, with a unified diff, without writing
+   */
+  async previewShellExport(aliases, shellName) {
+    const plan = await this.planShellExport(aliases, shellName);
+    const target = plan.target;
+    const files = [];
+
+    const currentConfig = (await readTextFile(target.configPath)) || "";
+    files.push(buildFilePreview(
+      target.configPath,
+      currentConfig,
+      shellExport.replaceManagedBlock(currentConfig, plan.block, shellName)
+    ));
+
+    if (target.aliasFilePath) {
+      files.push(buildFilePreview(
+        target.aliasFilePath,
+        (await readTextFile(target.aliasFilePath)) || "",
+        plan.aliasFileContent
+      ));
+    }
+
+    for (const file of plan.extraFiles.writes) {
+      files.push(buildFilePreview(file.path, (await readTextFile(file.path)) || "", file.content));
+    }
+    for (const file of plan.extraFiles.removals) {
+      files.push(buildFilePreview(file.path, file.content, ""));
+    }
+
+    const found = await this.findExportConflicts(plan, shellName);
+    const syntaxErrors = await this.checkExportSyntax(plan, shellName);
+
+    return {
+      success: true,
+      path: target.configPath,
+      strategy: target.strategy,
+      changed: files.some(f => f.changed),
+      files,
+      instructions: plan.instructions,
+      profiles: plan.profiles,
+      missingVariants: plan.missingVariants,
+      conflicts: found.conflicts,
+      syntaxErrors
+    };
+  }
+
+  /**
+   * List the files to watch for changes made outside AliasForge: the alias
+   * store and the files an export to the shell writes
+   * @param {string} shellName - Shell exported to
+   * @returns {Promise<Array<string>>}
+   */
+  async getWatchedPaths(shellName) {
+    const settings = await this.readSettings();
+    const target = shellExport.resolveExportTarget(shellName, {
+      settings,
+      home: this.home,
+      defaultConfigPath: this.getShellConfigPath(shellName)
+    });
+    return [this.getDataFilePath("aliases.json"), target.configPath, target.aliasFilePath].filter(Boolean);
+  }
+
+  /**
+   * Work out what a change made outside AliasForge to a watched file means
+   * @param {Object} change - { path, previous, current } from FileWatcher
+   * @param {string} shellName - Shell exported to
+   * @returns {Promise<Object>} { path, source, diff, newAliases, outOfDate,
+   *   conflicts } where source is "store" for aliases.json and "shell"
+   *   otherwise, newAliases are aliases the edit added to the file that the
+   *   library doesn't have, and outOfDate says whether exporting
+   *   would change the shell files
+   */
+  async describeExternalChange(change, shellName) {
+    const source = change.path === this.getDataFilePath("aliases.json") ? "store" : "shell";
+    const store = await this.readAliasStore();
+
+    let newAliases = [];
+    if (source === "shell") {
+      // Aliases that were in the file before the edit were left out on purpose
+      const known = new Set(store.aliases.map(alias => alias.name));
+      for (const statement of rcParser.parseContent(change.previous, shellName)) {
+        (statement.aliases || []).forEach(alias => known.add(alias.name));
+      }
+      const changedFile = path.resolve(change.path);
+      newAliases = (await this.parseAliasesFromShell(shellName))
+        .filter(alias => alias.sourceFile === changedFile && !known.has(alias.name));
+    }
+
+    const preview = await this.previewShellExport(store.aliases, shellName);
+    return {
+      path: change.path,
+      source,
+      diff: createUnifiedDiff(change.previous, change.current, {
+        oldName: `${change.path} (before)`,
+        newName: `${change.path} (now)`
+      }),
+      newAliases,
+      outOfDate: preview.changed,
+      conflicts: preview.conflicts
+    };
+  }
+
+  /**
+   * Write a managed block into an rc file (and the dedicated alias file, if any),
+   * backing the rc file up first when its content actually changes
+   */
+  async applyManagedContent({ shellName, configPath, block, aliasFilePath, aliasFileContent, backupCount }) {
+    const existingContent = (await readTextFile(configPath)) || "";
+    const result = {
+      blockBefore: shellExport.extractManagedBlock(existingContent, shellName),
+      aliasFileBefore: null,
+      backupPath: undefined
+    };
+
+    if (aliasFilePath && aliasFileContent !== null && aliasFileContent !== undefined) {
+      result.aliasFileBefore = await readTextFile(aliasFilePath);
+      await fs.mkdir(path.dirname(aliasFilePath), { recursive: true });
+      await writeFileAtomic(aliasFilePath, aliasFileContent);
+    }
+
+    // The source block is stable, so repeat dedicated exports leave the rc file alone
+    const newContent = shellExport.replaceManagedBlock(existingContent, block, shellName);
+    if (newContent === existingContent) {
+      return result;
+    }
+
+    // Create backup first (returns null if the file doesn't exist yet)
+    const backup = await this.backupManager.createBackup(configPath, backupCount);
+    if (backup) {
+      result.backupPath = this.backupManager.getBackupPath(backup);
+    } else {
+      this.logger.info("No existing config to backup");
+    }
+
+    await fs.mkdir(path.dirname(configPath), { recursive: true });
+    await writeFileAtomic(configPath, newContent);
+
+    return result;
+  }
+
+  /**
+   * Remember hashes of the managed content just written, for conflict checks
+   * on the next export
+   */
+  async recordExportState(shellName, configPath, block, aliasFilePath, aliasFileContent) {
+    const hasAliasFile = Boolean(aliasFilePath) && typeof aliasFileContent === "string";
+    await this.exportState.set(configPath, {
+      shell: shellName,
+      blockHash: shellExport.hashManagedContent(block),
+      aliasFilePath: hasAliasFile ? aliasFilePath : null,
+      aliasFileHash: hasAliasFile ? shellExport.hashManagedContent(aliasFileContent) : null
+    });
+  }
+
+  /**
+   * Check whether an export would overwrite changes made outside AliasForge:
+   * a managed block edited by hand since the last export, duplicated or
+   * half-deleted block markers, or an edited dedicated alias file.
+   *
+   * Aliases found in the edited content that differ from what the export is
+   * about to write are returned, so they can be re-imported first.
+   * @returns {Promise<{conflicts: Array, editedAliases: Array}>}
+   */
+  async findExportConflicts(plan, shellName) {
+    const target = plan.target;
+    const recorded = await this.exportState.get(target.configPath);
+    const conflicts = [];
+    const editedAliases = [];
+
+    const content = await readTextFile(target.configPath);
+    if (content !== null) {
+      const configPath = target.configPath;
+      const { status, startLines, endLines } = shellExport.inspectManagedBlock(content, shellName);
+      if (status === "duplicate") {
+        conflicts.push({
+          type: "duplicate-markers",
+          path: configPath,
+          message: `${configPath} has more than one AliasForge block (markers on lines ${[...startLines, ...endLines].sort((a, b) => a - b).join(", ")})`
+        });
+      } else if (status === "missing-end") {
+        conflicts.push({
+          type: "missing-end-marker",
+          path: configPath,
+          message: `The AliasForge block in ${configPath} starting on line ${startLines[0]} has no end marker`
+        });
+      } else if (status === "missing-start") {
+        conflicts.push({
+          type: "missing-start-marker",
+          path: configPath,
+          message: `${configPath} has an AliasForge end marker on line ${endLines[0]} without a start marker`
+        });
+      } else if (status === "ok" && recorded && recorded.blockHash &&
+          shellExport.hashManagedContent(shellExport.extractManagedBlock(content, shellName)) !== recorded.blockHash) {
+        conflicts.push({
+          type: "modified",
+          path: configPath,
+          message: `The AliasForge block in ${configPath} was edited since the last export`
+        });
+      }
+
+      if (conflicts.length > 0) {
+        const edited = shellExport.getManagedRegions(content, shellName)
+          .flatMap(region => parseManagedText(region.text, shellName, configPath, region.line));
+        const planned = shellExport.getManagedRegions(plan.block, shellName)
+          .flatMap(region => parseManagedText(region.text, shellName, configPath, region.line));
+        editedAliases.push(...findChangedAliases(edited, planned));
+      }
+    }
+
+    if (target.aliasFilePath && recorded && recorded.aliasFileHash && recorded.aliasFilePath === target.aliasFilePath) {
+      const aliasFile = await readTextFile(target.aliasFilePath);
+      if (aliasFile !== null && shellExport.hashManagedContent(aliasFile) !== recorded.aliasFileHash) {
+        conflicts.push({
+          type: "alias-file-modified",
+          path: target.aliasFilePath,
+          message: `${target.aliasFilePath} was edited since the last export`
+        });
+        editedAliases.push(...findChangedAliases(
+          parseManagedText(aliasFile, shellName, target.aliasFilePath, 1),
+          parseManagedText(plan.aliasFileContent || "", shellName, target.aliasFilePath, 1)
+        ));
+      }
+    }
+
+    return { conflicts, editedAliases: this.toImportedAliases(editedAliases) };
+  }
+
+  /**
+   * Put the managed block recorded by an export history entry back in place,
+   * leaving the rest of the rc file untouched
+   */
+  async restoreExportEntry(entryId) {
+    const entry = await this.exportHistory.get(entryId);
+    if (!entry) {
+      throw new Error("Export log entry not found");
+    }
+
+    const settings = await this.readSettings();
+    const applied = await this.applyManagedContent({
+      shellName: entry.shell,
+      configPath: entry.targetPath,
+      block: entry.blockAfter,
+      aliasFilePath: entry.aliasFilePath,
+      aliasFileContent: entry.aliasFileAfter,
+      backupCount: settings.backupCount
+    });
+    await this.recordExportState(entry.shell, entry.targetPath, entry.blockAfter, entry.aliasFilePath, entry.aliasFileAfter);
+
+    await this.exportHistory.record({
+      action: "restore",
+      restoredFrom: entry.id,
+      targetPath: entry.targetPath,
+      shell: entry.shell,
+      strategy: entry.strategy,
+      aliasCount: entry.aliasCount,
+      blockBefore: applied.blockBefore,
+      blockAfter: entry.blockAfter,
+      aliasFilePath: entry.aliasFilePath,
+      aliasFileBefore: applied.aliasFileBefore,
+      aliasFileAfter: entry.aliasFileAfter
+    });
+
+    return { success: true, path: entry.targetPath, backupPath: applied.backupPath };
+  }
+
+  /**
+   * Read a JSON data file and upgrade it to the current schema version. Before
+   * an upgraded file is written back, the original is kept next to it as
+   * <name>.v<version>.bak.
+   * @param {string} filename - File in the data directory
+   * @param {Function} migrate - schema.migrateAliasStore or schema.migrateSettings
+   * @returns {Promise<Object|null>} Migrated data, or null if the file doesn't exist
+   */
+  async readMigratedDataFile(filename, migrate) {
+    const filePath = this.getDataFilePath(filename);
+    const text = await readTextFile(filePath);
+    if (text === null) {
+      return null;
+    }
+
+    const { data, fromVersion, migrated } = migrate(JSON.parse(text));
+    if (migrated) {
+      const backupPath = `${filePath}.v${fromVersion}.bak`;
+      try {
+        // Never replace the copy of an earlier, interrupted migration
+        await fs.writeFile(backupPath, text, { encoding: "utf8", flag: "wx" });
+      } catch (err) {
+        if (err.code !== "EEXIST") {
+          throw err;
+        }
+      }
+      await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+      this.logger.info(`Migrated ${filename} from schema version ${fromVersion} to ${data.schemaVersion}`);
+    }
+    return data;
+  }
+
+  /**
+   * Refuse to overwrite a data file written by a newer AliasForge. Loading such
+   * a file fails, so saving would replace the user's data with an empty state.
+   * @param {string} filePath - Data file about to be written
+   * @param {Function} migrate - schema.migrateAliasStore or schema.migrateSettings
+   * @throws {Error} If the file on disk has a newer schema version
+   */
+  async assertNotNewerSchema(filePath, migrate) {
+    const text = await readTextFile(filePath);
+    if (text === null) {
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      // A corrupt file holds nothing worth protecting
+      return;
+    }
+    migrate(data);
+  }
+
+  /**
+   * Read settings from disk, filling in defaults for missing keys
+   */
+  async readSettings() {
+    const defaults = this.getDefaultSettings();
+    const data = await this.readMigratedDataFile("settings.json", schema.migrateSettings);
+    // Return default settings if file doesn't exist
+    return data ? { ...defaults, ...data } : defaults;
+  }
+
+  /**
+   * Read aliases.json, making sure the profile list includes the default profile
+   */
+  async readAliasStore() {
+    const data = (await this.readMigratedDataFile("aliases.json", schema.migrateAliasStore)) || { aliases: [], profiles: [] };
+    return {
+      ...data,
+      aliases: data.aliases || [],
+      profiles: profiles.normalizeProfiles(data.profiles)
+    };
+  }
+
+  /**
+   * Get default application settings
+   */
+  getDefaultSettings() {
+    const platform = this.platform;
+    const home = this.home;
+
+    let exportPaths = {};
+
+    if (platform === "darwin" || platform === "linux") {
+      exportPaths = {
+        zsh: path.join(home, ".zshrc"),
+        bash: path.join(home, ".bashrc"),
+        fish: path.join(home, ".config", "fish", "config.fish")
+      };
+    } else if (platform === "win32") {
+      exportPaths = {
+        powershell: path.join(home, "Documents", "PowerShell", "Microsoft.PowerShell_profile.ps1"),
+        cmd: path.join(home, "aliases.cmd")
+      };
+    }
+
+    return {
+      theme: "dark",
+      defaultPlatform: "all",
+      exportPaths,
+      exportStrategy: "dedicated",
+      fishFunctionFiles: false,
+      cmdAutoRunFile: false,
+      activeProfiles: [profiles.DEFAULT_PROFILE_ID],
+      backupCount: 5,
+      openOnLogin: false,
+      minimizeToTray: false,
+      quickLauncherShortcut: "CommandOrControl+Alt+Space",
+      syncEnabled: false,
+      syncRepoPath: "",
+      syncRemoteUrl: "",
+      syncBranch: "main"
+    };
+  }
+}
+
+/**
+ * Set updatedAt on aliases that are new or changed since the last save,
+ * keeping the previous time on the others
+ *
+ * A time the caller supplies, one that differs from the saved one, is kept:
+ * aliases pulled through sync carry the time they were edited on the other
+ * machine, and restamping them would make the library differ from the sync
+ * repository on every sync.
+ * @param {Array} previous - Aliases as last saved
+ * @param {Array} aliases - Aliases being saved
+ * @param {string} now - ISO timestamp
+ * @returns {Array} Aliases with updatedAt
+ */
+function stampEditedAliases(previous, aliases, now) {
+  const content = alias => JSON.stringify({ ...alias, updatedAt: undefined }, (key, value) => (
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+      : value
+  ));
+  const saved = new Map(previous.filter(alias => alias.id).map(alias => [alias.id, alias]));
+
+  return aliases.map(alias => {
+    const before = saved.get(alias.id);
+    if (alias.updatedAt && (!before || alias.updatedAt !== before.updatedAt)) {
+      return alias;
+    }
+    if (before && content(before) === content(alias)) {
+      return before.updatedAt ? { ...alias, updatedAt: before.updatedAt } : alias;
+    }
+    return { ...alias, updatedAt: now };
+  });
+}
+
+/**
+ * Describe syntax errors in one message
+ * @param {Array} syntaxErrors - From checkExportSyntax
+ * @returns {string}
+ */
+function describeSyntaxErrors(syntaxErrors) {
+  const lines = syntaxErrors.map(error => {
+    const where = error.line ? ` (line ${error.line})` : "";
+    return error.name ? `${error.name}${where}: ${error.message}` : error.message;
+  });
+  return `Export blocked by syntax errors: ${lines.join("; ")}`;
+}
+
+/**
+ * Describe the change to one file for an export preview. A new "Last
+ * updated" timestamp alone doesn't count as a change, so re-exporting the
+ * same aliases shows as up to date.
+ */
+function buildFilePreview(filePath, current, proposed) {
+  const withoutTimestamp = text => text.replace(/^\S+ Last updated: \S+$/m, "");
+  return {
+    path: filePath,
+    current,
+    proposed,
+    changed: withoutTimestamp(current) !== withoutTimestamp(proposed),
+    diff: createUnifiedDiff(current, proposed, {
+      oldName: `${filePath} (current)`,
+      newName: `${filePath} (proposed)`
+    })
+  };
+}
+
+/**
+ * Read the aliases defined in managed content
+ * @param {string} text - Block body or alias file content
+ * @param {string} shellName - Shell whose syntax the text uses
+ * @param {string} sourceFile - File the text comes from
+ * @param {number} firstLine - Line of the file the text starts on
+ * @returns {Array} { name, command, sourceFile, line, ... } in file order
+ */
+function parseManagedText(text, shellName, sourceFile, firstLine) {
+  return rcParser.parseContent(text, shellName)
+    .filter(statement => statement.aliases)
+    .flatMap(statement => statement.aliases.map(alias => ({
+      ...alias,
+      sourceFile,
+      line: firstLine + statement.line - 1
+    })));
+}
+
+/**
+ * Pick the aliases from edited content that the export would not write as is
+ * @param {Array} edited - Aliases read from the file on disk
+ * @param {Array} planned - Aliases read from the content about to be written
+ * @returns {Array} Aliases that were added or changed by hand; for a name
+ *   defined twice the later definition wins, as it would in the shell
+ */
+function findChangedAliases(edited, planned) {
+  const plannedCommands = new Map(planned.map(alias => [alias.name, alias.command]));
+  const definitions = new Map();
+  for (const alias of edited) {
+    definitions.delete(alias.name);
+    definitions.set(alias.name, alias);
+  }
+  return [...definitions.values()].filter(alias => plannedCommands.get(alias.name) !== alias.command);
+}
+
+/**
+ * Read a text file, returning null if it doesn't exist
+ */
+async function readTextFile(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
+    }
+    throw err;
+  }
+}
+
+module.exports = AliasService;
@@ -0,0 +1,223 @@
+/**
+ * Backup Manager Module
+ * Keeps copies of files AliasForge is about to modify in a dedicated folder
+ * and prunes them to the configured retention count per source file
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./safe-write");
+
+const INDEX_FILE = "index.json";
+
+// Loose backups written next to the source by earlier versions
+const LEGACY_SUFFIX = /\.(?:aliasforge-)?backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+class BackupManager {
+  /**
+   * @param {string} backupDir - Folder that holds backup copies and the index
+   * @param {Object} [logger=console] - Receives info and warn messages
+   */
+  constructor(backupDir, logger = console) {
+    this.backupDir = backupDir;
+    this.logger = logger;
+    this.indexPath = path.join(backupDir, INDEX_FILE);
+    // Serialise index updates so concurrent backups don't clobber each other
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run an operation after any pending ones have finished
+   * @param {Function} operation - Async operation
+   */
+  enqueue(operation) {
+    const run = this.queue.then(operation, operation);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load the backup index from disk
+   * @returns {Promise<Array>} Backup entries, oldest first
+   */
+  async loadIndex() {
+    try {
+      const data = await fs.readFile(this.indexPath, "utf8");
+      const index = JSON.parse(data);
+      return Array.isArray(index.backups) ? index.backups : [];
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return [];
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Save the backup index to disk
+   * @param {Array} backups - Backup entries
+   */
+  async saveIndex(backups) {
+    await fs.mkdir(this.backupDir, { recursive: true });
+    await writeFileAtomic(this.indexPath, JSON.stringify({ backups }, null, 2));
+  }
+
+  /**
+   * List backups, optionally only those of one source file
+   * @param {string} [sourcePath] - Original file path
+   * @returns {Promise<Array>} Backup entries, newest first
+   */
+  async list(sourcePath) {
+    const backups = await this.loadIndex();
+    return backups
+      .filter(b => !sourcePath || b.sourcePath === sourcePath)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Copy a file into the backup folder and prune older copies
+   * @param {string} sourcePath - File to back up
+   * @param {number} keep - Number of backups to retain for this file
+   * @returns {Promise<Object|null>} Backup entry, or null if the file doesn't exist
+   */
+  createBackup(sourcePath, keep) {
+    return this.enqueue(async () => {
+      let content;
+      try {
+        content = await fs.readFile(sourcePath);
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          return null;
+        }
+        throw err;
+      }
+
+      let backups = await this.loadIndex();
+      backups = backups.concat(await this.adoptLegacyBackups(sourcePath));
+
+      const hash = hashContent(content);
+      const latest = backups
+        .filter(b => b.sourcePath === sourcePath)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+
+      // Nothing changed since the last snapshot, reuse it
+      if (latest && latest.hash === hash) {
+        await this.saveIndex(await this.prune(backups, sourcePath, keep));
+        return latest;
+      }
+
+      const createdAt = new Date().toISOString();
+      const entry = {
+        id: `${createdAt.replace(/[:.]/g, "-")}-${hash.slice(0, 8)}`,
+        sourcePath,
+        createdAt,
+        hash,
+        size: content.length
+      };
+      entry.file = `${entry.id}-${path.basename(sourcePath)}`;
+
+      await fs.mkdir(this.backupDir, { recursive: true });
+      await writeFileAtomic(path.join(this.backupDir, entry.file), content);
+
+      backups.push(entry);
+      await this.saveIndex(await this.prune(backups, sourcePath, keep));
+      return entry;
+    });
+  }
+
+  /**
+   * Get the stored path of a backup entry
+   * @param {Object} entry - Backup entry
+   * @returns {string} Absolute path of the backup copy
+   */
+  getBackupPath(entry) {
+    return path.join(this.backupDir, entry.file);
+  }
+
+  /**
+   * Remove the oldest backups of a source file beyond the retention count
+   * @param {Array} backups - All backup entries
+   * @param {string} sourcePath - Original file path
+   * @param {number} keep - Number of backups to retain
+   * @returns {Promise<Array>} Remaining backup entries
+   */
+  async prune(backups, sourcePath, keep) {
+    const limit = Math.max(1, parseInt(keep, 10) || 1);
+    const forSource = backups
+      .filter(b => b.sourcePath === sourcePath)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const expired = new Set(forSource.slice(limit));
+
+    for (const entry of expired) {
+      try {
+        await fs.unlink(this.getBackupPath(entry));
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          this.logger.warn(`Failed to remove backup ${entry.file}:`, err.message);
+        }
+      }
+    }
+
+    return backups.filter(b => !expired.has(b));
+  }
+
+  /**
+   * Move loose backups left next to the source file by earlier versions into
+   * the backup folder so they fall under the same retention rules
+   * @param {string} sourcePath - Original file path
+   * @returns {Promise<Array>} Entries for the adopted backups
+   */
+  async adoptLegacyBackups(sourcePath) {
+    const dir = path.dirname(sourcePath);
+    const prefix = path.basename(sourcePath);
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (err) {
+      return [];
+    }
+
+    const adopted = [];
+    for (const name of names) {
+      if (!name.startsWith(prefix)) continue;
+      const match = name.slice(prefix.length).match(LEGACY_SUFFIX);
+      if (!match) continue;
+
+      const legacyPath = path.join(dir, name);
+      const content = await fs.readFile(legacyPath);
+      const hash = hashContent(content);
+      const createdAt = `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`;
+      const entry = {
+        id: `${createdAt.replace(/[:.]/g, "-")}-${hash.slice(0, 8)}`,
+        sourcePath,
+        createdAt,
+        hash,
+        size: content.length
+      };
+      entry.file = `${entry.id}-${prefix}`;
+
+      await fs.mkdir(this.backupDir, { recursive: true });
+      await writeFileAtomic(path.join(this.backupDir, entry.file), content);
+      await fs.unlink(legacyPath);
+      adopted.push(entry);
+    }
+
+    if (adopted.length > 0) {
+      this.logger.info(`Moved ${adopted.length} legacy backups of ${sourcePath} into ${this.backupDir}`);
+    }
+    return adopted;
+  }
+}
+
+/**
+ * Hash file content for change detection
+ * @param {Buffer|string} content - File content
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+module.exports = BackupManager;
+module.exports.hashContent = hashContent;
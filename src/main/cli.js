@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+/**
+ * Command-Line Interface
+ * Manages aliases without the main window, for scripted machine setup:
+ *
+ *   aliasforge <list|add|rm|enable|disable|import|export|diff> [options]
+ *
+ * Runs under plain Node or inside the app with `electron . --cli <command>`,
+ * using the same AliasService as the IPC handlers, so both read and write
+ * the same aliases.json and rc files.
+ *
+ * Kept free of Electron imports so it can be unit tested and run without a
+ * display.
+ */
+
+const os = require("os");
+const path = require("path");
+const AliasService = require("./alias-service");
+const profiles = require("./profiles");
+
+const EXIT_CODES = {
+  OK: 0,
+  // Unexpected failure, e.g. an unreadable data file
+  ERROR: 1,
+  // Unknown command or option, or a missing argument
+  USAGE: 2,
+  // No alias or profile with the given name
+  NOT_FOUND: 3,
+  // An alias with that name already exists in the profile
+  EXISTS: 4,
+  // Syntax errors, or an export that would overwrite hand edits
+  REJECTED: 5,
+  // diff --exit-code: an export would change files
+  CHANGED: 6
+};
+
+const SHELLS = ["zsh", "bash", "fish", "powershell", "cmd"];
+
+// Options that take a value; everything else is a flag
+const VALUE_OPTIONS = new Set(["shell", "profile", "tag", "tags", "description", "kind", "data-dir"]);
+const FLAG_OPTIONS = new Set(["json", "overwrite", "disabled", "exit-code", "verbose", "help"]);
+
+const USAGE = `Usage: aliasforge <command> [options]
+
+Commands:
+  list                      List aliases (--profile, --tag to filter)
+  add <name> <command...>   Add an alias (--description, --tags a,b,
+                            --profile, --kind alias|function, --disabled);
+                            put -- before a command whose flags
+                            AliasForge also has, e.g. add v -- vim --help
+  rm <name...>              Remove aliases
+  enable <name...>          Enable aliases
+  disable <name...>         Disable aliases
+  import                    Import aliases from the shell's rc files
+  export                    Write aliases to the shell's rc file
+                            (--overwrite replaces hand edits)
+  diff                      Show what an export would change
+                            (--exit-code exits with ${EXIT_CODES.CHANGED} if it would change files)
+
+Options:
+  --shell <name>            Target shell (${SHELLS.join(", ")}); defaults to $SHELL
+  --profile <id|name>       Limit rm, enable and disable to one profile
+  --json                    Print machine-readable JSON
+  --data-dir <path>         AliasForge's data folder (defaults to the app's)
+  --verbose                 Log progress to stderr
+  --help                    Show this help`;
+
+/**
+ * Create an error that ends the CLI with a specific exit code
+ * @param {string} message - Shown to the user
+ * @param {number} exitCode - One of EXIT_CODES
+ * @param {Object} [details] - Extra fields for --json output
+ * @returns {Error}
+ */
+function cliError(message, exitCode, details = {}) {
+  const err = new Error(message);
+  err.exitCode = exitCode;
+  err.details = details;
+  return err;
+}
+
+/**
+ * Split command-line arguments into the command, its arguments and options.
+ * Once the command words of add begin, unknown --options are part of the
+ * alias command, so "add gs git status --short" needs no --.
+ * @param {Array<string>} argv - Arguments after the program name
+ * @returns {{command: string|null, args: Array<string>, options: Object}}
+ * @throws {Error} With EXIT_CODES.USAGE for unknown or incomplete options
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  let onlyArgs = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (onlyArgs || !arg.startsWith("--")) {
+      args.push(arg);
+      continue;
+    }
+    if (arg === "--") {
+      // Everything after -- is an argument, e.g. a command that starts with --
+      onlyArgs = true;
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const inAliasCommand = args[0] === "add" && args.length >= 3;
+    if (inAliasCommand && !FLAG_OPTIONS.has(name) && !VALUE_OPTIONS.has(name)) {
+      args.push(arg);
+    } else if (FLAG_OPTIONS.has(name) && inlineValue === undefined) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.has(name)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw cliError(`Option --${name} needs a value`, EXIT_CODES.USAGE);
+      }
+      options[name] = value;
+    } else {
+      throw cliError(`Unknown option: ${arg}`, EXIT_CODES.USAGE);
+    }
+  }
+
+  return { command: args.length > 0 ? args[0] : null, args: args.slice(1), options };
+}
+
+/**
+ * Get the folder Electron uses for app.getPath("userData"), so plain Node
+ * finds the same data as the app
+ * @param {Object} options
+ * @param {string} options.platform - OS, as in process.platform
+ * @param {Object} options.env - Environment variables
+ * @param {string} options.home - User's home directory
+ * @returns {string}
+ */
+function getDefaultUserDataPath({ platform, env, home }) {
+  const appName = "AliasForge";
+  if (platform === "darwin") {
+    return path.join(home, "Library", "Application Support", appName);
+  }
+  if (platform === "win32") {
+    return path.join(env.APPDATA || path.join(home, "AppData", "Roaming"), appName);
+  }
+  return path.join(env.XDG_CONFIG_HOME || path.join(home, ".config"), appName);
+}
+
+/**
+ * Pick the target shell from --shell or the detected one
+ */
+function getShell(service, options) {
+  const shellName = options.shell || service.detectShell().defaultShell;
+  if (!SHELLS.includes(shellName)) {
+    throw cliError(`Unknown shell "${shellName}". Use one of: ${SHELLS.join(", ")}`, EXIT_CODES.USAGE);
+  }
+  return shellName;
+}
+
+/**
+ * Find a profile by id or name
+ * @returns {Object} Profile
+ * @throws {Error} With EXIT_CODES.NOT_FOUND if there is none
+ */
+function findProfile(store, idOrName) {
+  const profile = store.profiles.find(p => p.id === idOrName || p.name === idOrName);
+  if (!profile) {
+    throw cliError(`No profile named "${idOrName}"`, EXIT_CODES.NOT_FOUND);
+  }
+  return profile;
+}
+
+/**
+ * Find the aliases a command names, in every profile or the one given with
+ * --profile. Nothing is changed unless every name matches.
+ * @returns {Array} Matching aliases
+ * @throws {Error} With EXIT_CODES.NOT_FOUND listing the names without a match
+ */
+function findNamedAliases(store, names, options) {
+  if (names.length === 0) {
+    throw cliError("Name at least one alias", EXIT_CODES.USAGE);
+  }
+  const profileId = options.profile ? findProfile(store, options.profile).id : null;
+  const matches = store.aliases.filter(alias =>
+    names.includes(alias.name) && (!profileId || profiles.getAliasProfile(alias) === profileId));
+
+  const missing = names.filter(name => !matches.some(alias => alias.name === name));
+  if (missing.length > 0) {
+    throw cliError(`No alias named ${missing.map(name => `"${name}"`).join(", ")}`, EXIT_CODES.NOT_FOUND, { missing });
+  }
+  return matches;
+}
+
+/**
+ * Show an alias on one line of `list` output
+ */
+function formatAliasLine(alias, nameWidth) {
+  const lines = String(alias.command || "").split("\n");
+  const command = lines.length > 1 ? `${lines[0]} ...` : lines[0];
+  const profile = profiles.getAliasProfile(alias);
+  const flags = [
+    alias.enabled ? null : "disabled",
+    profile !== profiles.DEFAULT_PROFILE_ID ? `profile: ${profile}` : null
+  ].filter(Boolean);
+  return `${alias.name.padEnd(nameWidth)}  ${command}${flags.length > 0 ? `  (${flags.join(", ")})` : ""}`;
+}
+
+// ============================================
+// Commands
+// ============================================
+// Each command returns { data, text, exitCode }: data is printed with
+// --json, text otherwise.
+
+async function listCommand(service, args, options) {
+  const store = await service.readAliasStore();
+  let aliases = store.aliases;
+  if (options.profile) {
+    const profileId = findProfile(store, options.profile).id;
+    aliases = aliases.filter(alias => profiles.getAliasProfile(alias) === profileId);
+  }
+  if (options.tag) {
+    aliases = aliases.filter(alias => (alias.tags || []).includes(options.tag));
+  }
+
+  const nameWidth = Math.max(0, ...aliases.map(alias => alias.name.length));
+  return {
+    data: { aliases },
+    text: aliases.length > 0 ? aliases.map(alias => formatAliasLine(alias, nameWidth)).join("\n") : "No aliases"
+  };
+}
+
+async function addCommand(service, args, options) {
+  const [name, ...commandWords] = args;
+  const command = commandWords.join(" ");
+  if (!name || !command) {
+    throw cliError("Usage: aliasforge add <name> <command...>", EXIT_CODES.USAGE);
+  }
+  if (!/^[A-Za-z_][A-Za-z0-9_-]*$/.test(name)) {
+    throw cliError(`Invalid alias name "${name}": use letters, digits, "_" and "-", starting with a letter or "_"`, EXIT_CODES.USAGE);
+  }
+  const kind = options.kind || "alias";
+  if (kind !== "alias" && kind !== "function") {
+    throw cliError(`Unknown kind "${kind}". Use alias or function`, EXIT_CODES.USAGE);
+  }
+
+  const store = await service.readAliasStore();
+  const profile = options.profile ? findProfile(store, options.profile).id : profiles.DEFAULT_PROFILE_ID;
+  if (store.aliases.some(alias => alias.name === name && profiles.getAliasProfile(alias) === profile)) {
+    throw cliError(`Alias "${name}" already exists in profile "${profile}"`, EXIT_CODES.EXISTS);
+  }
+
+  const alias = {
+    id: `alias-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    name,
+    command,
+    kind,
+    profile,
+    description: options.description || "",
+    tags: options.tags ? options.tags.split(",").map(tag => tag.trim()).filter(Boolean) : [],
+    enabled: !options.disabled,
+    source: "user"
+  };
+
+  // Same check the alias editor runs before saving
+  const syntaxErrors = await service.checkAliasSyntax(alias, getShell(service, options));
+  if (syntaxErrors.command) {
+    const error = syntaxErrors.command;
+    throw cliError(`Syntax error in "${name}"${error.line ? ` (line ${error.line})` : ""}: ${error.message}`,
+      EXIT_CODES.REJECTED, { syntaxErrors });
+  }
+
+  await service.saveLibrary({ ...store, aliases: [...store.aliases, alias] });
+  return { data: { alias }, text: `Added ${name}` };
+}
+
+async function removeCommand(service, args, options) {
+  const store = await service.readAliasStore();
+  const removed = findNamedAliases(store, args, options);
+  await service.saveLibrary({ ...store, aliases: store.aliases.filter(alias => !removed.includes(alias)) });
+  return { data: { removed }, text: `Removed ${removed.length} alias${removed.length === 1 ? "" : "es"}` };
+}
+
+/**
+ * Build the enable or disable command
+ */
+function setEnabledCommand(enabled) {
+  return async (service, args, options) => {
+    const store = await service.readAliasStore();
+    const changed = findNamedAliases(store, args, options);
+    const aliases = store.aliases.map(alias => (changed.includes(alias) ? { ...alias, enabled } : alias));
+    await service.saveLibrary({ ...store, aliases });
+    return {
+      data: { [enabled ? "enabled" : "disabled"]: changed.map(alias => ({ ...alias, enabled })) },
+      text: `${enabled ? "Enabled" : "Disabled"} ${changed.length} alias${changed.length === 1 ? "" : "es"}`
+    };
+  };
+}
+
+async function importCommand(service, args, options) {
+  const shellName = getShell(service, options);
+  const { imported, skipped } = await service.importFromShell(shellName);
+  return {
+    data: { shell: shellName, imported, skipped },
+    text: imported.length > 0
+      ? `Imported ${imported.length} new aliases from ${shellName}`
+      : `No new aliases found in ${shellName} (${skipped} already loaded)`
+  };
+}
+
+async function exportCommand(service, args, options) {
+  const shellName = getShell(service, options);
+  const result = await service.exportSavedAliases(shellName, { overwrite: Boolean(options.overwrite) });
+
+  if (result.conflict) {
+    const lines = result.conflicts.map(conflict => `  ${conflict.message}`);
+    throw cliError(`Export stopped; the managed content changed outside AliasForge:\n${lines.join("\n")}\n` +
+      "Run import to keep the edits, or export --overwrite to replace them.", EXIT_CODES.REJECTED, result);
+  }
+  if (!result.success) {
+    throw cliError(result.error, result.syntaxErrors ? EXIT_CODES.REJECTED : EXIT_CODES.ERROR, result);
+  }
+
+  const notes = [];
+  if (result.backupPath) notes.push(`Backup: ${result.backupPath}`);
+  if (result.missingVariants.length > 0) notes.push(`Skipped (no command for this platform): ${result.missingVariants.join(", ")}`);
+  if (result.instructions) notes.push(result.instructions);
+  return { data: result, text: [`Aliases exported to ${result.path}`, ...notes].join("\n") };
+}
+
+async function diffCommand(service, args, options) {
+  const shellName = getShell(service, options);
+  const store = await service.readAliasStore();
+  const preview = await service.previewShellExport(store.aliases, shellName);
+  const changedFiles = preview.files.filter(file => file.changed);
+
+  const warnings = [
+    ...preview.conflicts.map(conflict => `Warning: ${conflict.message}`),
+    ...preview.syntaxErrors.map(error => `Syntax error${error.name ? ` in ${error.name}` : ""}: ${error.message}`)
+  ];
+  return {
+    data: preview,
+    text: [...warnings, changedFiles.length > 0
+      ? changedFiles.map(file => file.diff).join("\n")
+      : "No changes - your shell configuration is already up to date."].join("\n"),
+    exitCode: options["exit-code"] && changedFiles.length > 0 ? EXIT_CODES.CHANGED : EXIT_CODES.OK
+  };
+}
+
+const COMMANDS = {
+  list: listCommand,
+  add: addCommand,
+  rm: removeCommand,
+  enable: setEnabledCommand(true),
+  disable: setEnabledCommand(false),
+  import: importCommand,
+  export: exportCommand,
+  diff: diffCommand
+};
+
+/**
+ * Run one CLI command
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [context] - Where to find data and print output; the
+ *   defaults suit plain Node
+ * @param {string} [context.userDataPath] - Folder Electron's
+ *   app.getPath("userData") points to
+ * @param {string} [context.home] - User's home directory
+ * @param {string} [context.platform] - OS, as in process.platform
+ * @param {Object} [context.env] - Environment variables
+ * @param {Object} [context.stdout] - Stream for results
+ * @param {Object} [context.stderr] - Stream for errors and --verbose logs
+ * @returns {Promise<number>} Exit code, one of EXIT_CODES
+ */
+async function runCli(argv, context = {}) {
+  const {
+    home = os.homedir(),
+    platform = process.platform,
+    env = process.env,
+    stdout = process.stdout,
+    stderr = process.stderr
+  } = context;
+  let options = {};
+
+  try {
+    const parsed = parseArgs(argv);
+    options = parsed.options;
+    if (options.help || !parsed.command) {
+      stdout.write(`${USAGE}\n`);
+      return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    const command = COMMANDS[parsed.command];
+    if (!command) {
+      throw cliError(`Unknown command: ${parsed.command}\n\n${USAGE}`, EXIT_CODES.USAGE);
+    }
+
+    const userDataPath = options["data-dir"] || context.userDataPath || getDefaultUserDataPath({ platform, env, home });
+    const log = (...parts) => stderr.write(`${parts.join(" ")}\n`);
+    const service = new AliasService({
+      dataDir: path.join(userDataPath, "data"),
+      backupDir: path.join(userDataPath, "backups"),
+      home,
+      platform,
+      env,
+      logger: { info: options.verbose ? log : () => {}, warn: log, error: log }
+    });
+    await service.ensureDataDirectory();
+
+    const result = await command(service, parsed.args, options);
+    stdout.write(options.json ? `${JSON.stringify({ success: true, ...result.data }, null, 2)}\n` : `${result.text}\n`);
+    return result.exitCode || EXIT_CODES.OK;
+  } catch (err) {
+    const exitCode = err.exitCode || EXIT_CODES.ERROR;
+    if (options.json) {
+      stdout.write(`${JSON.stringify({ ...err.details, success: false, error: err.message, exitCode }, null, 2)}\n`);
+    } else {
+      stderr.write(`aliasforge: ${err.message}\n`);
+    }
+    return exitCode;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  getDefaultUserDataPath,
+  runCli
+};
+
+if (require.main === module) {
+  runCli(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
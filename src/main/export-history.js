@@ -0,0 +1,68 @@
+/**
+ * Export History Module
+ * Records every shell export with the managed content before and after it,
+ * so a previous version of the AliasForge block can be put back
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { writeFileAtomic } = require("./safe-write");
+
+const MAX_ENTRIES = 100;
+
+class ExportHistory {
+  /**
+   * @param {string} historyPath - JSON file that stores the log
+   */
+  constructor(historyPath) {
+    this.historyPath = historyPath;
+  }
+
+  /**
+   * Load all entries from disk
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async list() {
+    try {
+      const data = await fs.readFile(this.historyPath, "utf8");
+      const history = JSON.parse(data);
+      return Array.isArray(history.entries) ? history.entries : [];
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return [];
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Find a single entry
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|undefined>} Matching entry
+   */
+  async get(id) {
+    const entries = await this.list();
+    return entries.find(e => e.id === id);
+  }
+
+  /**
+   * Append an entry, dropping the oldest ones beyond MAX_ENTRIES
+   * @param {Object} entry - Entry fields (target, shell, counts, content)
+   * @returns {Promise<Object>} Stored entry
+   */
+  async record(entry) {
+    const timestamp = new Date().toISOString();
+    const stored = {
+      id: `export-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      timestamp,
+      ...entry
+    };
+
+    const entries = [stored, ...(await this.list())].slice(0, MAX_ENTRIES);
+    await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+    await writeFileAtomic(this.historyPath, JSON.stringify({ entries }, null, 2));
+    return stored;
+  }
+}
+
+module.exports = ExportHistory;
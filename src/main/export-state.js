@@ -0,0 +1,61 @@
+/**
+ * Export State Module
+ * Remembers hashes of the managed block and dedicated alias file AliasForge
+ * last wrote for each rc file, so the next export can tell whether they were
+ * edited by hand in the meantime
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { writeFileAtomic } = require("./safe-write");
+
+class ExportState {
+  /**
+   * @param {string} statePath - JSON file that stores the hashes
+   */
+  constructor(statePath) {
+    this.statePath = statePath;
+  }
+
+  /**
+   * Load all records from disk
+   * @returns {Promise<Object>} Records keyed by absolute rc file path
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.statePath, "utf8");
+      const state = JSON.parse(data);
+      return state.targets && typeof state.targets === "object" ? state.targets : {};
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return {};
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Get what was last written for an rc file
+   * @param {string} configPath - rc file
+   * @returns {Promise<Object|null>} { shell, blockHash, aliasFilePath,
+   *   aliasFileHash, updatedAt }, or null if AliasForge hasn't written it
+   */
+  async get(configPath) {
+    const targets = await this.load();
+    return targets[path.resolve(configPath)] || null;
+  }
+
+  /**
+   * Record what was just written for an rc file
+   * @param {string} configPath - rc file
+   * @param {Object} record - { shell, blockHash, aliasFilePath, aliasFileHash }
+   */
+  async set(configPath, record) {
+    const targets = await this.load();
+    targets[path.resolve(configPath)] = { ...record, updatedAt: new Date().toISOString() };
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    await writeFileAtomic(this.statePath, JSON.stringify({ targets }, null, 2));
+  }
+}
+
+module.exports = ExportState;
@@ -0,0 +1,171 @@
+/**
+ * File Watcher Module
+ * Watches files AliasForge manages for changes made outside the app and
+ * reports each changed file once edits to it have settled
+ *
+ * The folders are watched rather than the files themselves, so a file that
+ * is replaced by a rename (atomic saves, most editors) stays watched and one
+ * that doesn't exist yet is picked up when it is created. Changes are found
+ * by comparing content with the last snapshot; call refresh after writing a
+ * watched file so the app's own writes aren't reported.
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+
+// Quiet time after the last event before a file is read; editors and
+// exports often write a file several times in a row
+const DEFAULT_DEBOUNCE_MS = 500;
+
+class FileWatcher {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with { path, previous, current }
+   *   when a file's content differs from its snapshot; a missing file reads as ""
+   * @param {number} [options.debounceMs] - Quiet time before a changed file is read
+   * @param {Function} [options.watch] - Watches a folder, as fs.watch does
+   * @param {Object} [options.logger] - Receives info and error messages
+   */
+  constructor({ onChange, debounceMs = DEFAULT_DEBOUNCE_MS, watch = fsSync.watch, logger = console }) {
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.watch = watch;
+    this.logger = logger;
+    this.paths = [];
+    this.snapshots = new Map();
+    // Folder watchers and pending checks, by folder and file path
+    this.watchers = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Watch these files instead of the current ones and take a snapshot of each
+   * @param {Array<string>} paths - Files to watch
+   */
+  async setPaths(paths) {
+    this.paths = [...new Set(paths.map(filePath => path.resolve(filePath)))];
+    const folders = new Set(this.paths.map(filePath => path.dirname(filePath)));
+
+    for (const [folder, watcher] of this.watchers) {
+      if (!folders.has(folder)) {
+        watcher.close();
+        this.watchers.delete(folder);
+      }
+    }
+    for (const folder of folders) {
+      if (!this.watchers.has(folder)) {
+        this.watchFolder(folder);
+      }
+    }
+    await this.refresh();
+  }
+
+  /**
+   * Start watching a folder for changes to the watched files in it
+   * @param {string} folder - Folder path
+   */
+  watchFolder(folder) {
+    let watcher;
+    try {
+      watcher = this.watch(folder, (eventType, filename) => {
+        // Some platforms don't say which file changed
+        const changed = filename
+          ? [path.join(folder, filename.toString())]
+          : this.paths.filter(filePath => path.dirname(filePath) === folder);
+        changed.filter(filePath => this.paths.includes(filePath)).forEach(filePath => this.schedule(filePath));
+      });
+    } catch (err) {
+      // Usually the folder doesn't exist yet; setPaths after the next export picks it up
+      this.logger.info(`Not watching ${folder}: ${err.message}`);
+      return;
+    }
+
+    watcher.on("error", err => {
+      this.logger.error(`Stopped watching ${folder}:`, err);
+      watcher.close();
+      this.watchers.delete(folder);
+    });
+    this.watchers.set(folder, watcher);
+  }
+
+  /**
+   * Check a file once events for it stop coming
+   * @param {string} filePath - Watched file
+   */
+  schedule(filePath) {
+    clearTimeout(this.timers.get(filePath));
+    this.timers.set(filePath, setTimeout(() => {
+      this.timers.delete(filePath);
+      this.check(filePath).catch(err => {
+        this.logger.error(`Failed to check ${filePath} for changes:`, err);
+      });
+    }, this.debounceMs));
+  }
+
+  /**
+   * Report a file if its content differs from its snapshot
+   * @param {string} filePath - Watched file
+   */
+  async check(filePath) {
+    if (!this.paths.includes(filePath)) {
+      return;
+    }
+    const current = await readText(filePath);
+    const previous = this.snapshots.get(filePath);
+    if (current === previous) {
+      return;
+    }
+    this.snapshots.set(filePath, current);
+    await this.onChange({ path: filePath, previous, current });
+  }
+
+  /**
+   * Take a new snapshot of every watched file
+   */
+  async refresh() {
+    const snapshots = new Map();
+    for (const filePath of this.paths) {
+      snapshots.set(filePath, await readText(filePath));
+    }
+    this.snapshots = snapshots;
+  }
+
+  /**
+   * Stop watching and drop pending checks
+   */
+  close() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    this.paths = [];
+    this.snapshots.clear();
+  }
+}
+
+/**
+ * Read a text file, or "" if it doesn't exist
+ */
+async function readText(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return "";
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE_MS,
+  FileWatcher
+};
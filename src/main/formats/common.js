@@ -0,0 +1,43 @@
+/**
+ * Collection Format Helpers
+ * Shared by the JSON, YAML and TOML readers
+ */
+
+/**
+ * Build an error that carries the line it was found on
+ * @param {string} message - What went wrong
+ * @param {number} line - 1-based line number
+ * @returns {Error}
+ */
+function parseError(message, line) {
+  const err = new Error(message);
+  err.line = line;
+  return err;
+}
+
+/**
+ * Set a key as an own property, even one named __proto__
+ * @param {Object} object - Target
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ */
+function setKey(object, key, value) {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Get the lines recorded for the aliases array of a parsed collection
+ * @param {*} data - Parsed collection
+ * @param {WeakMap} itemLines - Line of each item, per parsed array
+ * @returns {Array<number>} Line each alias starts on
+ */
+function getAliasLines(data, itemLines) {
+  const aliases = data && typeof data === "object" ? data.aliases : undefined;
+  return (Array.isArray(aliases) && itemLines.get(aliases)) || [];
+}
+
+module.exports = {
+  parseError,
+  setKey,
+  getAliasLines
+};
@@ -0,0 +1,71 @@
+/**
+ * Collection Formats
+ * Maps alias collection file extensions to the module that reads and writes
+ * that format
+ */
+
+const path = require("path");
+const json = require("./json");
+const yaml = require("./yaml");
+const toml = require("./toml");
+
+const FORMATS = { json, yaml, toml };
+
+const EXTENSIONS = {
+  ".json": "json",
+  ".yaml": "yaml",
+  ".yml": "yaml",
+  ".toml": "toml"
+};
+
+/**
+ * Get the format of a collection file from its extension
+ * @param {string} fileName - File name or path
+ * @returns {string|null} "json", "yaml", "toml" or null if unsupported
+ */
+function getFormat(fileName) {
+  return EXTENSIONS[path.extname(fileName || "").toLowerCase()] || null;
+}
+
+/**
+ * Read a collection file
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used to pick the format
+ * @returns {{data: *, lines: Array<number>}|{error: string, line: number}}
+ *   The parsed collection with the line each alias starts on, or the first
+ *   syntax error and its line
+ */
+function parseCollection(text, fileName) {
+  const format = getFormat(fileName);
+  if (!format) {
+    return { error: `Unsupported file type: use ${Object.keys(EXTENSIONS).join(", ")}`, line: 0 };
+  }
+  try {
+    return FORMATS[format].parse(text);
+  } catch (err) {
+    if (err.line === undefined) {
+      throw err;
+    }
+    return { error: err.message, line: err.line };
+  }
+}
+
+/**
+ * Write a collection in the format matching a file name
+ * @param {Object} data - Collection
+ * @param {string} fileName - File name, used to pick the format
+ * @returns {string} File content
+ */
+function stringifyCollection(data, fileName) {
+  const format = getFormat(fileName);
+  if (!format) {
+    throw new Error(`Unsupported file type: use ${Object.keys(EXTENSIONS).join(", ")}`);
+  }
+  return FORMATS[format].stringify(data);
+}
+
+module.exports = {
+  getFormat,
+  parseCollection,
+  stringifyCollection
+};
@@ -0,0 +1,143 @@
+/**
+ * JSON Collection Format
+ * Reads and writes alias collections as JSON
+ *
+ * JSON.parse reports neither where a syntax error is nor where each value
+ * starts, so parsing is done by hand to give import errors a line number.
+ */
+
+const { parseError, setKey, getAliasLines } = require("./common");
+
+/**
+ * Parse a JSON collection
+ * @param {string} text - File content
+ * @returns {{data: *, lines: Array<number>}} Parsed value and the line each
+ *   entry of its aliases array starts on
+ * @throws {Error} With a line property when the text is not valid JSON
+ */
+function parse(text) {
+  const itemLines = new WeakMap();
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  let line = 1;
+
+  const fail = message => {
+    throw parseError(message, line);
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === "\n") line++;
+      pos++;
+    }
+  };
+
+  const expect = char => {
+    skipWhitespace();
+    if (text[pos] !== char) {
+      fail(pos < text.length ? `Expected '${char}' but found '${text[pos]}'` : `Expected '${char}' but the file ended`);
+    }
+    pos++;
+  };
+
+  const parseString = () => {
+    const match = text.slice(pos).match(/^"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/);
+    if (!match) {
+      fail("Unterminated or invalid string");
+    }
+    pos += match[0].length;
+    return JSON.parse(match[0]);
+  };
+
+  let parseValue;
+
+  const parseObject = () => {
+    const object = {};
+    pos++;
+    skipWhitespace();
+    if (text[pos] === "}") {
+      pos++;
+      return object;
+    }
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== "\"") {
+        fail("Expected a property name in double quotes");
+      }
+      const key = parseString();
+      expect(":");
+      setKey(object, key, parseValue());
+      skipWhitespace();
+      if (text[pos] === ",") {
+        pos++;
+      } else if (text[pos] === "}") {
+        pos++;
+        return object;
+      } else {
+        fail("Expected ',' or '}' after a property");
+      }
+    }
+  };
+
+  const parseArray = () => {
+    const array = [];
+    const lines = [];
+    itemLines.set(array, lines);
+    pos++;
+    skipWhitespace();
+    if (text[pos] === "]") {
+      pos++;
+      return array;
+    }
+    for (;;) {
+      skipWhitespace();
+      lines.push(line);
+      array.push(parseValue());
+      skipWhitespace();
+      if (text[pos] === ",") {
+        pos++;
+      } else if (text[pos] === "]") {
+        pos++;
+        return array;
+      } else {
+        fail("Expected ',' or ']' after an array item");
+      }
+    }
+  };
+
+  parseValue = () => {
+    skipWhitespace();
+    const char = text[pos];
+    if (char === "{") return parseObject();
+    if (char === "[") return parseArray();
+    if (char === "\"") return parseString();
+
+    const match = text.slice(pos).match(/^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/);
+    if (!match) {
+      fail(char === undefined ? "Unexpected end of file" : `Unexpected character '${char}'`);
+    }
+    pos += match[0].length;
+    return JSON.parse(match[0]);
+  };
+
+  const data = parseValue();
+  skipWhitespace();
+  if (pos < text.length) {
+    fail("Unexpected content after the end of the collection");
+  }
+
+  return { data, lines: getAliasLines(data, itemLines) };
+}
+
+/**
+ * Write a collection as JSON
+ * @param {Object} data - Collection
+ * @returns {string} File content
+ */
+function stringify(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+module.exports = {
+  parse,
+  stringify
+};
@@ -0,0 +1,428 @@
+/**
+ * TOML Collection Format
+ * Reads and writes alias collections as TOML
+ *
+ * Aliases are written as an array of tables ([[aliases]]) with their
+ * platform variants as sub-tables. TOML has no null, so null fields are left
+ * out when writing. Dates and times are read back as strings, matching the
+ * exportDate the other formats carry.
+ */
+
+const { parseError, setKey, getAliasLines } = require("./common");
+
+const HEADER = "# AliasForge alias collection";
+
+const BARE_KEY = /^[A-Za-z0-9_-]+$/;
+
+const ESCAPES = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", e: "\x1b", "\"": "\"", "\\": "\\" };
+
+// ============================================
+// Writing
+// ============================================
+
+const isTable = value => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const isTableArray = value => Array.isArray(value) && value.length > 0 && value.every(isTable);
+
+/**
+ * Format a key, quoting it unless it is bare
+ * @param {string} key - Key
+ * @returns {string}
+ */
+function formatKey(key) {
+  return BARE_KEY.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Format a string, using a multi-line string when it has line breaks
+ * @param {string} value - String
+ * @returns {string}
+ */
+function formatString(value) {
+  if (value.includes("\n") && !/[\r\0-\x08\x0b-\x1f\x7f]/.test(value)) {
+    return `"""\n${value.replace(/\\/g, "\\\\").replace(/"""/g, "\"\"\\\"")}"""`;
+  }
+  // JSON escapes are a subset of TOML basic string escapes
+  return JSON.stringify(value);
+}
+
+/**
+ * Format a value on one line; tables inside arrays become inline tables
+ * @param {*} value - Value (not null)
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (typeof value === "string") {
+    return formatString(value);
+  }
+  if (typeof value === "number") {
+    if (Number.isNaN(value)) return "nan";
+    if (!Number.isFinite(value)) return value > 0 ? "inf" : "-inf";
+    return String(value);
+  }
+  if (typeof value === "boolean") {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.filter(item => item !== null && item !== undefined).map(formatValue).join(", ")}]`;
+  }
+  const entries = Object.entries(value).filter(([, item]) => item !== null && item !== undefined);
+  return entries.length === 0 ? "{}" : `{ ${entries.map(([key, item]) => `${formatKey(key)} = ${formatValue(item)}`).join(", ")} }`;
+}
+
+/**
+ * Write a table's keys, then its sub-tables and arrays of tables
+ */
+function writeTable(table, path, lines) {
+  const entries = Object.entries(table).filter(([, value]) => value !== null && value !== undefined);
+  for (const [key, value] of entries) {
+    if (!isTable(value) && !isTableArray(value)) {
+      lines.push(`${formatKey(key)} = ${formatValue(value)}`);
+    }
+  }
+  for (const [key, value] of entries) {
+    const header = [...path, key].map(formatKey).join(".");
+    if (isTable(value)) {
+      // A table holding only sub-tables is implied by their headers
+      const values = Object.values(value).filter(item => item !== null && item !== undefined);
+      if (values.length === 0 || values.some(item => !isTable(item) && !isTableArray(item))) {
+        lines.push("", `[${header}]`);
+      }
+      writeTable(value, [...path, key], lines);
+    } else if (isTableArray(value)) {
+      for (const item of value) {
+        lines.push("", `[[${header}]]`);
+        writeTable(item, [...path, key], lines);
+      }
+    }
+  }
+}
+
+/**
+ * Write a collection as TOML
+ * @param {Object} data - Collection
+ * @returns {string} File content
+ */
+function stringify(data) {
+  const lines = [HEADER];
+  writeTable(data, [], lines);
+  return `${lines.join("\n")}\n`;
+}
+
+// ============================================
+// Reading
+// ============================================
+
+/**
+ * Parse a TOML collection
+ * @param {string} text - File content
+ * @returns {{data: Object, lines: Array<number>}} Parsed tables and the line
+ *   each [[aliases]] entry starts on
+ * @throws {Error} With a line property when the text cannot be read
+ */
+function parse(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const root = {};
+  const itemLines = new WeakMap();
+  // Tables given a [header] or created by dotted keys, and inline tables and
+  // arrays, which cannot be extended later
+  const definedTables = new WeakSet();
+  const sealed = new WeakSet();
+  let pos = 0;
+  let line = 1;
+
+  const fail = message => {
+    throw parseError(message, line);
+  };
+
+  const skipSpaces = () => {
+    while (source[pos] === " " || source[pos] === "\t") pos++;
+  };
+
+  const skipComment = () => {
+    if (source[pos] === "#") {
+      while (pos < source.length && source[pos] !== "\n") pos++;
+    }
+  };
+
+  // Whitespace, comments and newlines, as allowed inside arrays
+  const skipBlank = () => {
+    for (;;) {
+      skipSpaces();
+      skipComment();
+      if (source[pos] === "\r" && source[pos + 1] === "\n") pos++;
+      if (source[pos] !== "\n") return;
+      pos++;
+      line++;
+    }
+  };
+
+  const endOfLine = () => {
+    skipSpaces();
+    skipComment();
+    if (source[pos] === "\r") pos++;
+    if (pos < source.length && source[pos] !== "\n") {
+      fail(`Expected the end of the line but found '${source[pos]}'`);
+    }
+  };
+
+  // In multi-line strings a backslash at the end of a line joins it with the
+  // next non-blank text
+  const decodeEscapes = (body, multiline) => body.replace(/\\([ \t]*\r?\n\s*|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (_, code) => {
+    if (multiline && /^[ \t]*\r?\n/.test(code)) {
+      return "";
+    }
+    if (code.length > 1) {
+      return String.fromCodePoint(parseInt(code.slice(1), 16));
+    }
+    if (!(code in ESCAPES)) {
+      fail(`Unknown escape \\${code} in string`);
+    }
+    return ESCAPES[code];
+  });
+
+  const parseString = () => {
+    const rest = source.slice(pos);
+    let match;
+
+    if (rest.startsWith("\"\"\"") || rest.startsWith("'''")) {
+      const delimiter = rest.slice(0, 3);
+      const pattern = delimiter === "\"\"\""
+        ? /^"""((?:[^"\\]|\\[\s\S]|"(?!""))*)"""("{0,2})/
+        : /^'''((?:[^']|'(?!''))*)'''('{0,2})/;
+      if (!(match = rest.match(pattern))) {
+        fail("Unterminated multi-line string");
+      }
+      const startLine = line;
+      line += (match[0].match(/\n/g) || []).length;
+      pos += match[0].length;
+      // A newline right after the opening delimiter is not part of the string
+      let body = match[1].replace(/^\r?\n/, "") + match[2];
+      if (delimiter === "\"\"\"") {
+        const saved = line;
+        line = startLine;
+        body = decodeEscapes(body, true);
+        line = saved;
+      }
+      return body.replace(/\r\n/g, "\n");
+    }
+    if (rest.startsWith("\"")) {
+      if (!(match = rest.match(/^"((?:[^"\\\n]|\\.)*)"/))) {
+        fail("Unterminated string");
+      }
+      pos += match[0].length;
+      return decodeEscapes(match[1]);
+    }
+    if (!(match = rest.match(/^'([^'\n]*)'/))) {
+      fail("Unterminated literal string");
+    }
+    pos += match[0].length;
+    return match[1];
+  };
+
+  const parseKeyPath = () => {
+    const keys = [];
+    for (;;) {
+      skipSpaces();
+      const char = source[pos];
+      if (char === "\"" || char === "'") {
+        if (source.startsWith(char.repeat(3), pos)) {
+          fail("Keys cannot be multi-line strings");
+        }
+        keys.push(parseString());
+      } else {
+        const match = source.slice(pos).match(/^[A-Za-z0-9_-]+/);
+        if (!match) {
+          fail(char === undefined || char === "\n" ? "Expected a key" : `Invalid character '${char}' in key`);
+        }
+        keys.push(match[0]);
+        pos += match[0].length;
+      }
+      skipSpaces();
+      if (source[pos] !== ".") {
+        return keys;
+      }
+      pos++;
+    }
+  };
+
+  // Follow a dotted key from a table, creating tables on the way
+  const descend = (table, keys, forHeader) => {
+    let current = table;
+    for (const key of keys) {
+      if (!Object.prototype.hasOwnProperty.call(current, key)) {
+        const child = {};
+        setKey(current, key, child);
+        current = child;
+        continue;
+      }
+      let value = current[key];
+      if (Array.isArray(value) && forHeader && !sealed.has(value)) {
+        value = value[value.length - 1];
+      }
+      if (!isTable(value) || sealed.has(value)) {
+        fail(`"${keys.join(".")}" conflicts with a value defined earlier`);
+      }
+      current = value;
+    }
+    return current;
+  };
+
+  let parseValue;
+
+  const parseArray = () => {
+    const array = [];
+    pos++;
+    for (;;) {
+      skipBlank();
+      if (source[pos] === "]") {
+        pos++;
+        break;
+      }
+      array.push(parseValue());
+      skipBlank();
+      if (source[pos] === ",") {
+        pos++;
+      } else if (source[pos] === "]") {
+        pos++;
+        break;
+      } else {
+        fail("Expected ',' or ']' in array");
+      }
+    }
+    sealed.add(array);
+    return array;
+  };
+
+  const parseInlineTable = () => {
+    const table = {};
+    pos++;
+    skipSpaces();
+    if (source[pos] === "}") {
+      pos++;
+      sealed.add(table);
+      return table;
+    }
+    for (;;) {
+      const keys = parseKeyPath();
+      if (source[pos] !== "=") {
+        fail("Expected '=' after key");
+      }
+      pos++;
+      const parent = descend(table, keys.slice(0, -1), false);
+      const key = keys[keys.length - 1];
+      if (Object.prototype.hasOwnProperty.call(parent, key)) {
+        fail(`Duplicate key "${keys.join(".")}"`);
+      }
+      setKey(parent, key, parseValue());
+      skipSpaces();
+      if (source[pos] === ",") {
+        pos++;
+      } else if (source[pos] === "}") {
+        pos++;
+        break;
+      } else {
+        fail("Expected ',' or '}' in inline table");
+      }
+    }
+    sealed.add(table);
+    return table;
+  };
+
+  parseValue = () => {
+    skipSpaces();
+    const char = source[pos];
+    if (char === "\"" || char === "'") return parseString();
+    if (char === "[") return parseArray();
+    if (char === "{") return parseInlineTable();
+
+    const rest = source.slice(pos);
+    let match;
+    if ((match = rest.match(/^(?:true|false)(?![A-Za-z0-9_-])/))) {
+      pos += match[0].length;
+      return match[0] === "true";
+    }
+    // Dates and times are kept as written
+    if ((match = rest.match(/^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|^\d{2}:\d{2}:\d{2}(?:\.\d+)?/))) {
+      pos += match[0].length;
+      return match[0];
+    }
+    if ((match = rest.match(/^[+-]?(?:inf|nan)(?![A-Za-z0-9_])/))) {
+      pos += match[0].length;
+      return match[0].endsWith("nan") ? NaN : match[0].startsWith("-") ? -Infinity : Infinity;
+    }
+    if ((match = rest.match(/^0x[0-9A-Fa-f_]+|^0o[0-7_]+|^0b[01_]+/))) {
+      pos += match[0].length;
+      return Number(match[0].replace(/_/g, ""));
+    }
+    if ((match = rest.match(/^[+-]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?(?![A-Za-z0-9_.:-])/))) {
+      pos += match[0].length;
+      return Number(match[0].replace(/_/g, ""));
+    }
+    fail(char === undefined || char === "\n" || char === "\r" ? "Expected a value" : `Invalid value starting with '${char}'`);
+  };
+
+  let current = root;
+  for (;;) {
+    skipBlank();
+    if (pos >= source.length) break;
+
+    if (source.startsWith("[[", pos)) {
+      pos += 2;
+      const keys = parseKeyPath();
+      if (!source.startsWith("]]", pos)) {
+        fail("Expected ']]' to close the table array header");
+      }
+      pos += 2;
+      const parent = descend(root, keys.slice(0, -1), true);
+      const key = keys[keys.length - 1];
+      if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+        const array = [];
+        itemLines.set(array, []);
+        setKey(parent, key, array);
+      }
+      const array = parent[key];
+      if (!Array.isArray(array) || sealed.has(array)) {
+        fail(`"${keys.join(".")}" is not an array of tables`);
+      }
+      current = {};
+      array.push(current);
+      itemLines.get(array).push(line);
+    } else if (source[pos] === "[") {
+      pos++;
+      const keys = parseKeyPath();
+      if (source[pos] !== "]") {
+        fail("Expected ']' to close the table header");
+      }
+      pos++;
+      current = descend(root, keys, true);
+      if (definedTables.has(current)) {
+        fail(`Table [${keys.join(".")}] is defined twice`);
+      }
+      definedTables.add(current);
+    } else {
+      const keys = parseKeyPath();
+      if (source[pos] !== "=") {
+        fail("Expected '=' after key");
+      }
+      pos++;
+      const parent = descend(current, keys.slice(0, -1), false);
+      const key = keys[keys.length - 1];
+      if (Object.prototype.hasOwnProperty.call(parent, key)) {
+        fail(`Duplicate key "${keys.join(".")}"`);
+      }
+      for (let table = current, i = 0; i < keys.length - 1; i++) {
+        table = table[keys[i]];
+        definedTables.add(table);
+      }
+      setKey(parent, key, parseValue());
+    }
+    endOfLine();
+  }
+
+  return { data: root, lines: getAliasLines(root, itemLines) };
+}
+
+module.exports = {
+  parse,
+  stringify
+};
@@ -0,0 +1,517 @@
+/**
+ * YAML Collection Format
+ * Reads and writes alias collections as YAML
+ *
+ * Covers the part of YAML that hand-written alias packs use: block mappings
+ * and sequences, plain and quoted scalars, flow sequences such as
+ * [git, vcs], literal (|) and folded (>) block scalars, and comments.
+ * Anchors, tags, flow mappings and multi-document files are rejected with
+ * the line they appear on rather than silently misread.
+ */
+
+const { parseError, setKey, getAliasLines } = require("./common");
+
+const HEADER = "# AliasForge alias collection";
+
+// "key:" or "key: value"; the key may be quoted
+const KEY_LINE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s:#'"[\]{},&*!|>%@`-][^:#]*?)\s*:(?:\s+(.*))?$/;
+
+// Strings that can be written without quotes and read back unchanged
+const PLAIN_SAFE = /^[A-Za-z_./~][A-Za-z0-9_ ./~+=@%$()-]*$/;
+// Plain words YAML readers take for booleans, null (~) or the special floats
+const RESERVED_WORDS = /^(?:true|false|yes|no|on|off|null|y|n|~|\.inf|\.nan)$/i;
+
+const ESCAPES = {
+  "0": "\0", a: "\x07", b: "\b", t: "\t", "\t": "\t", n: "\n", v: "\v", f: "\f",
+  r: "\r", e: "\x1b", " ": " ", "\"": "\"", "/": "/", "\\": "\\",
+  N: "\x85", _: "\xa0", L: "\u2028", P: "\u2029"
+};
+
+// ============================================
+// Writing
+// ============================================
+
+/**
+ * Format a scalar on one line
+ * @param {*} value - String, number, boolean or null
+ * @returns {string} YAML scalar
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  if (typeof value !== "string") {
+    return String(value);
+  }
+  if (PLAIN_SAFE.test(value) && !/\s$/.test(value) && !RESERVED_WORDS.test(value)) {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Check whether a string reads best as a literal block
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isBlockString(value) {
+  return typeof value === "string" &&
+    value.includes("\n") &&
+    !/^\n/.test(value) &&
+    !/[\r\0-\x08\x0b-\x1f]/.test(value) &&
+    // Lines of only spaces would read back as empty lines
+    !/(?:^|\n)[ \t]+(?:\n|$)/.test(value);
+}
+
+/**
+ * Format a multi-line string as a literal block scalar
+ * @param {string} value - String with newlines
+ * @param {number} indent - Indentation of the block content
+ * @returns {{header: string, lines: Array<string>}} Block indicator and content lines
+ */
+function formatBlock(value, indent) {
+  const trailing = value.match(/\n*$/)[0].length;
+  const chomp = trailing === 0 ? "-" : trailing === 1 ? "" : "+";
+  // An indentation indicator keeps leading spaces on the first line
+  const indicator = value.startsWith(" ") ? "2" : "";
+  const body = value.slice(0, value.length - trailing);
+  const pad = " ".repeat(indent);
+  const lines = body.split("\n").map(line => (line ? pad + line : ""));
+  for (let i = 1; i < trailing; i++) {
+    lines.push("");
+  }
+  return { header: `|${indicator}${chomp}`, lines };
+}
+
+/**
+ * Check whether a value is written as an indented block
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isNested(value) {
+  return Boolean(value) && typeof value === "object" && Object.keys(value).length > 0;
+}
+
+/**
+ * Format a value that follows "key:" or "-" on the same line, or
+ * return null when it needs lines of its own
+ * @param {*} value - Value
+ * @returns {string|null}
+ */
+function formatInline(value) {
+  if (Array.isArray(value)) {
+    return value.length === 0 ? "[]" : null;
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value).length === 0 ? "{}" : null;
+  }
+  return formatScalar(value);
+}
+
+let writeNode;
+
+/**
+ * Write a mapping's entries
+ */
+function writeMapping(object, indent, lines) {
+  const pad = " ".repeat(indent);
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined) continue;
+    const prefix = `${pad}${formatScalar(key)}:`;
+    if (isBlockString(value)) {
+      const block = formatBlock(value, indent + 2);
+      lines.push(`${prefix} ${block.header}`, ...block.lines);
+    } else if (isNested(value)) {
+      lines.push(prefix);
+      writeNode(value, indent + 2, lines);
+    } else {
+      lines.push(`${prefix} ${formatInline(value)}`);
+    }
+  }
+}
+
+/**
+ * Write a sequence's items; a mapping item starts on the "- " line
+ */
+function writeSequence(array, indent, lines) {
+  const pad = " ".repeat(indent);
+  for (const item of array) {
+    if (isBlockString(item)) {
+      const block = formatBlock(item, indent + 2);
+      lines.push(`${pad}- ${block.header}`, ...block.lines);
+    } else if (isNested(item) && !Array.isArray(item)) {
+      const itemLines = [];
+      writeMapping(item, indent + 2, itemLines);
+      itemLines[0] = `${pad}- ${itemLines[0].slice(indent + 2)}`;
+      lines.push(...itemLines);
+    } else if (isNested(item)) {
+      lines.push(`${pad}-`);
+      writeSequence(item, indent + 2, lines);
+    } else {
+      lines.push(`${pad}- ${formatInline(item)}`);
+    }
+  }
+}
+
+writeNode = (value, indent, lines) => {
+  if (Array.isArray(value)) {
+    writeSequence(value, indent, lines);
+  } else {
+    writeMapping(value, indent, lines);
+  }
+};
+
+/**
+ * Write a collection as YAML
+ * @param {Object} data - Collection
+ * @returns {string} File content
+ */
+function stringify(data) {
+  const lines = [HEADER];
+  writeNode(data, 0, lines);
+  return `${lines.join("\n")}\n`;
+}
+
+// ============================================
+// Reading
+// ============================================
+
+/**
+ * Resolve a plain (unquoted) scalar to a string, number, boolean or null
+ * @param {string} text - Trimmed scalar text
+ * @returns {*}
+ */
+function resolvePlain(text) {
+  if (/^(?:|~|null|Null|NULL)$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text) || /^[-+]?(?:\d+\.\d*|\.\d+)(?:[eE][-+]?\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+/**
+ * Parse a YAML collection
+ * @param {string} text - File content
+ * @returns {{data: *, lines: Array<number>}} Parsed value and the line each
+ *   entry of its aliases array starts on
+ * @throws {Error} With a line property when the text cannot be read
+ */
+function parse(text) {
+  const raw = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const overrides = new Map();
+  const itemLines = new WeakMap();
+  let index = 0;
+
+  const info = i => {
+    if (overrides.has(i)) {
+      return { ...overrides.get(i), line: i + 1 };
+    }
+    const indent = raw[i].match(/^ */)[0].length;
+    if (raw[i][indent] === "\t") {
+      throw parseError("Tabs cannot be used for indentation", i + 1);
+    }
+    return { indent, text: raw[i].slice(indent).replace(/\s+$/, ""), line: i + 1 };
+  };
+
+  const isIgnored = ({ indent, text: content }) =>
+    content === "" || content.startsWith("#") || content.startsWith("%") || (indent === 0 && content === "...");
+
+  // Next line with content, without consuming it
+  const peek = () => {
+    while (index < raw.length) {
+      const current = info(index);
+      if (current.indent === 0 && current.text.startsWith("---")) {
+        if (index > 0 && raw.slice(0, index).some((_, i) => !isIgnored(info(i)))) {
+          throw parseError("Only one YAML document per file is supported", current.line);
+        }
+        if (current.text !== "---" && !/^---\s+#/.test(current.text)) {
+          throw parseError("Put the collection on the lines after ---", current.line);
+        }
+        index++;
+        continue;
+      }
+      if (!isIgnored(current)) {
+        return current;
+      }
+      index++;
+    }
+    return null;
+  };
+
+  const isSequenceLine = content => content === "-" || content.startsWith("- ");
+
+  const decodeDoubleQuoted = (body, line) =>
+    body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (_, code) => {
+      if (code.length > 1) {
+        return String.fromCodePoint(parseInt(code.slice(1), 16));
+      }
+      if (!(code in ESCAPES)) {
+        throw parseError(`Unknown escape \\${code} in double-quoted string`, line);
+      }
+      return ESCAPES[code];
+    });
+
+  const checkTrailing = (rest, line) => {
+    if (rest.trim() && !/^\s+#/.test(rest)) {
+      throw parseError(`Unexpected text after quoted string: ${rest.trim()}`, line);
+    }
+  };
+
+  let parseInline;
+
+  const parseFlowSequence = (content, line) => {
+    const items = [];
+    let current = "";
+    let quote = null;
+    let i = 1;
+    for (; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        current += char;
+        if (char === "\\" && quote === "\"") {
+          current += content[++i] || "";
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === "\"" || char === "'") {
+        quote = char;
+        current += char;
+      } else if (char === "[" || char === "{") {
+        throw parseError("Nested flow collections are not supported", line);
+      } else if (char === ",") {
+        items.push(current);
+        current = "";
+      } else if (char === "]") {
+        break;
+      } else {
+        current += char;
+      }
+    }
+    if (i >= content.length) {
+      throw parseError("Unterminated flow sequence; close it with ] on the same line", line);
+    }
+    checkTrailing(content.slice(i + 1), line);
+    if (current.trim() || items.length > 0) {
+      items.push(current);
+    }
+    // A trailing comma leaves an empty last item, which YAML ignores
+    if (items.length > 0 && !items[items.length - 1].trim()) {
+      items.pop();
+    }
+    return items.map(item => {
+      if (!item.trim()) {
+        throw parseError("Empty item in flow sequence", line);
+      }
+      return parseInline(item, line);
+    });
+  };
+
+  parseInline = (value, line) => {
+    const content = value.trim();
+    let match;
+    if (content.startsWith("\"")) {
+      if (!(match = content.match(/^"((?:[^"\\]|\\.)*)"(.*)$/))) {
+        throw parseError("Unterminated double-quoted string", line);
+      }
+      checkTrailing(match[2], line);
+      return decodeDoubleQuoted(match[1], line);
+    }
+    if (content.startsWith("'")) {
+      if (!(match = content.match(/^'((?:[^']|'')*)'(.*)$/))) {
+        throw parseError("Unterminated single-quoted string", line);
+      }
+      checkTrailing(match[2], line);
+      return match[1].replace(/''/g, "'");
+    }
+    if (content.startsWith("[")) {
+      return parseFlowSequence(content, line);
+    }
+    if (content.startsWith("{")) {
+      if (/^\{\s*\}(\s+#.*)?$/.test(content)) {
+        return {};
+      }
+      throw parseError("Flow mappings are not supported; use an indented block", line);
+    }
+    if (/^[&*!]/.test(content)) {
+      throw parseError("Anchors, aliases and tags are not supported", line);
+    }
+    if (/^[@`]/.test(content)) {
+      throw parseError(`A plain value cannot start with ${content[0]}; quote it`, line);
+    }
+    const comment = content.search(/\s#/);
+    return resolvePlain((comment === -1 ? content : content.slice(0, comment)).trim());
+  };
+
+  // Lines of a | or > block after the line holding the indicator
+  const parseBlockScalar = (header, parentIndent, line) => {
+    const match = header.match(/^([|>])(?:([+-])([1-9])?|([1-9])([+-])?)?(\s+#.*)?$/);
+    if (!match) {
+      throw parseError(`Invalid block scalar header: ${header}`, line);
+    }
+    const folded = match[1] === ">";
+    const chomp = match[2] || match[5] || "";
+    const explicitIndent = Number(match[3] || match[4] || 0);
+
+    let contentIndent = explicitIndent ? parentIndent + explicitIndent : 0;
+    const lines = [];
+    while (index < raw.length) {
+      const rawLine = raw[index];
+      if (!rawLine.trim()) {
+        lines.push("");
+        index++;
+        continue;
+      }
+      const indent = rawLine.match(/^ */)[0].length;
+      if (!contentIndent) {
+        contentIndent = indent;
+      }
+      if (indent <= parentIndent) {
+        break;
+      }
+      if (indent < contentIndent) {
+        throw parseError("Block scalar line is indented less than the first line", index + 1);
+      }
+      lines.push(rawLine.slice(contentIndent));
+      index++;
+    }
+    if (contentIndent && contentIndent <= parentIndent) {
+      contentIndent = 0;
+    }
+
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === "") {
+      lines.pop();
+      trailing++;
+    }
+
+    let body;
+    if (folded) {
+      body = "";
+      let breaks = 0;
+      let previousMoreIndented = false;
+      for (const content of lines) {
+        if (content === "") {
+          breaks++;
+          continue;
+        }
+        const moreIndented = /^\s/.test(content);
+        if (body !== "") {
+          body += breaks > 0 ? "\n".repeat(breaks) : moreIndented || previousMoreIndented ? "\n" : " ";
+        }
+        body += content;
+        breaks = 0;
+        previousMoreIndented = moreIndented;
+      }
+    } else {
+      body = lines.join("\n");
+    }
+
+    if (chomp === "-" || body === "") {
+      return body;
+    }
+    return chomp === "+" ? `${body}\n${"\n".repeat(trailing)}` : `${body}\n`;
+  };
+
+  let parseNode;
+  let parseSequence;
+
+  // Value after "key:" or "- " on a line that has already been consumed
+  const parseValue = (rest, parentIndent, line, inMapping) => {
+    const content = rest.trim();
+    if (/^[|>]/.test(content)) {
+      return parseBlockScalar(content, parentIndent, line);
+    }
+    if (content && !content.startsWith("#")) {
+      return parseInline(content, line);
+    }
+    const next = peek();
+    if (next && next.indent > parentIndent) {
+      return parseNode();
+    }
+    // "key:" may be followed by a sequence at the same indentation
+    if (inMapping && next && next.indent === parentIndent && isSequenceLine(next.text)) {
+      return parseSequence(parentIndent);
+    }
+    return null;
+  };
+
+  const checkDedent = indent => {
+    const next = peek();
+    if (next && next.indent > indent) {
+      throw parseError("Unexpected indentation", next.line);
+    }
+  };
+
+  const parseMapping = indent => {
+    const object = {};
+    let next;
+    while ((next = peek()) && next.indent === indent && !isSequenceLine(next.text)) {
+      const match = next.text.match(KEY_LINE);
+      if (!match) {
+        throw parseError(`Expected "key: value" but found: ${next.text}`, next.line);
+      }
+      const key = /^["']/.test(match[1]) ? String(parseInline(match[1], next.line)) : match[1];
+      if (Object.prototype.hasOwnProperty.call(object, key)) {
+        throw parseError(`Duplicate key "${key}"`, next.line);
+      }
+      index++;
+      setKey(object, key, parseValue(match[2] || "", indent, next.line, true));
+    }
+    if (next && next.indent === indent && isSequenceLine(next.text)) {
+      throw parseError("A list item cannot appear between the keys of a mapping", next.line);
+    }
+    checkDedent(indent);
+    return object;
+  };
+
+  parseSequence = indent => {
+    const array = [];
+    const lines = [];
+    itemLines.set(array, lines);
+    let next;
+    while ((next = peek()) && next.indent === indent && isSequenceLine(next.text)) {
+      lines.push(next.line);
+      const rest = next.text.slice(1).replace(/^\s+/, "");
+      const column = indent + next.text.length - rest.length;
+      if (rest && !rest.startsWith("#") && (isSequenceLine(rest) || KEY_LINE.test(rest))) {
+        // The item is a nested block that starts on the "- " line
+        overrides.set(index, { indent: column, text: rest });
+        array.push(parseNode());
+      } else {
+        index++;
+        array.push(parseValue(rest, indent, next.line, false));
+      }
+    }
+    checkDedent(indent);
+    return array;
+  };
+
+  parseNode = () => {
+    const next = peek();
+    return isSequenceLine(next.text) ? parseSequence(next.indent) : parseMapping(next.indent);
+  };
+
+  const first = peek();
+  if (!first) {
+    throw parseError("The file has no content", 1);
+  }
+  if (first.indent > 0) {
+    throw parseError("Unexpected indentation", first.line);
+  }
+  const data = !isSequenceLine(first.text) && !KEY_LINE.test(first.text)
+    ? (index++, parseInline(first.text, first.line))
+    : parseNode();
+  const extra = peek();
+  if (extra) {
+    throw parseError("Unexpected content after the end of the collection", extra.line);
+  }
+
+  return { data, lines: getAliasLines(data, itemLines) };
+}
+
+module.exports = {
+  parse,
+  stringify
+};
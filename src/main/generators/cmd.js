@@ -0,0 +1,168 @@
+/**
+ * cmd.exe Generator
+ * Emits doskey macros for a batch file and the registry snippet that runs it
+ * from cmd's AutoRun key
+ */
+
+const templates = require("../templates");
+
+const COMMENT_PREFIX = "REM";
+const PRELUDE = "@echo off\n";
+
+const AUTORUN_KEY = "HKEY_CURRENT_USER\\Software\\Microsoft\\Command Processor";
+
+/**
+ * Translate a POSIX-style command into doskey macro text
+ *
+ * - $1..$9 / ${1}..${9} stay positional, $@ / "$@" / $* become $*
+ * - ${1:-default} becomes $1; doskey has no default values
+ * - | > < become doskey's $B $G $L
+ * - & and ^ are caret-escaped outside double quotes so the batch parser
+ *   stores them in the macro instead of running them
+ * - % is doubled because the macros are defined from a batch file
+ * - any other $ is escaped as $$
+ * @param {string} command - Alias command
+ * @returns {{text: string, hasArgs: boolean, droppedDefaults: boolean}}
+ *   Macro text, whether it references arguments explicitly, and whether
+ *   default values had to be left out
+ */
+function translateCommand(command) {
+  let text = "";
+  let hasArgs = false;
+  let droppedDefaults = false;
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < command.length) {
+    const rest = command.slice(i);
+    let match;
+
+    if ((match = rest.match(/^"\$@"|^\$@|^\$\*/))) {
+      text += "$*";
+      hasArgs = true;
+      i += match[0].length;
+      continue;
+    }
+    if ((match = rest.match(/^\$\{([1-9]):-[^}]*\}/))) {
+      text += `$${match[1]}`;
+      hasArgs = true;
+      droppedDefaults = true;
+      i += match[0].length;
+      continue;
+    }
+    if ((match = rest.match(/^\$\{?([1-9])\}?/))) {
+      text += `$${match[1]}`;
+      hasArgs = true;
+      i += match[0].length;
+      continue;
+    }
+
+    const ch = command[i];
+    switch (ch) {
+      case '"':
+        inQuotes = !inQuotes;
+        text += ch;
+        break;
+      case "$":
+        text += "$$";
+        break;
+      case "|":
+        text += "$B";
+        break;
+      case ">":
+        text += "$G";
+        break;
+      case "<":
+        text += "$L";
+        break;
+      case "%":
+        text += "%%";
+        break;
+      case "&":
+      case "^":
+        text += inQuotes ? ch : `^${ch}`;
+        break;
+      case "\r":
+        break;
+      case "\n":
+        // doskey macros are single-line; $T separates commands
+        text += " $T ";
+        break;
+      default:
+        text += ch;
+    }
+    i++;
+  }
+
+  return { text: text.trim(), hasArgs, droppedDefaults };
+}
+
+/**
+ * Generate doskey macro definitions. Placeholders become doskey's $1..$9,
+ * the macro counterpart of a batch file's %1..%9.
+ * @param {Array} aliases - Enabled aliases to emit
+ * @returns {string} doskey lines
+ */
+function generateAliasLines(aliases) {
+  let output = "";
+  for (const alias of aliases) {
+    if (alias.description) {
+      output += `${COMMENT_PREFIX} ${alias.description}\n`;
+    }
+    const { text, hasArgs, droppedDefaults } = translateCommand(templates.lowerTemplate(alias.command));
+    if (droppedDefaults) {
+      output += `${COMMENT_PREFIX} doskey macros have no default values; pass every argument to ${alias.name}\n`;
+    }
+    output += `doskey ${alias.name}=${hasArgs ? text : `${text} $*`}\n`;
+  }
+  return output;
+}
+
+/**
+ * Build the line that runs a dedicated macro file from the main batch file
+ * @param {string} filePath - Dedicated alias file
+ * @returns {string} Idempotent call line
+ */
+function getSourceLine(filePath) {
+  return `if exist "${filePath}" call "${filePath}"`;
+}
+
+/**
+ * Build a .reg file that registers a batch file as cmd's AutoRun script
+ * @param {string} filePath - Batch file with doskey macros
+ * @returns {string} Registry editor file content (CRLF line endings)
+ */
+function generateAutoRunReg(filePath) {
+  const value = `"${filePath}"`.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  return [
+    "Windows Registry Editor Version 5.00",
+    "",
+    `[${AUTORUN_KEY}]`,
+    `"AutoRun"="${value}"`,
+    ""
+  ].join("\r\n");
+}
+
+/**
+ * Explain how to register the batch file without the .reg file
+ * @param {string} filePath - Batch file with doskey macros
+ * @returns {string} Instructions including a reg.exe command
+ */
+function getAutoRunInstructions(filePath) {
+  return [
+    "To load these macros in every cmd.exe session, register the file as cmd's AutoRun script:",
+    `  reg add "HKCU\\Software\\Microsoft\\Command Processor" /v AutoRun /t REG_SZ /d "\\"${filePath}\\"" /f`,
+    "This replaces any existing AutoRun value; check it first with:",
+    `  reg query "HKCU\\Software\\Microsoft\\Command Processor" /v AutoRun`
+  ].join("\n");
+}
+
+module.exports = {
+  COMMENT_PREFIX,
+  PRELUDE,
+  translateCommand,
+  generateAliasLines,
+  getSourceLine,
+  generateAutoRunReg,
+  getAutoRunInstructions
+};
@@ -0,0 +1,168 @@
+/**
+ * Fish Shell Generator
+ * Emits fish functions or abbreviations depending on each alias's fishMode
+ */
+
+const templates = require("../templates");
+
+const FISH_MODES = ["function", "abbr"];
+
+// Marks function files AliasForge owns, so stale ones can be cleaned up
+const FUNCTION_FILE_HEADER = "# Generated by AliasForge - do not edit manually";
+
+/**
+ * Quote a value as a fish single-quoted string. Inside single quotes fish
+ * only treats \' and \\ as escapes.
+ * @param {string} value - Raw text
+ * @returns {string} Single-quoted text
+ */
+function quote(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Get how an alias should be emitted for fish; function entries and commands
+ * with placeholders are never abbreviations
+ * @param {Object} alias - Alias definition
+ * @returns {string} "function" or "abbr"
+ */
+function getFishMode(alias) {
+  if (alias.kind === "function" || templates.hasPlaceholders(alias.command)) {
+    return "function";
+  }
+  return FISH_MODES.includes(alias.fishMode) ? alias.fishMode : "function";
+}
+
+/**
+ * Map POSIX positional parameters in a function body to fish's $argv
+ * @param {string} body - Function body
+ * @returns {string} Body using $argv
+ */
+function mapPositionals(body) {
+  return body
+    .replace(/\$\{([1-9]):-[^}]*\}/g, "$argv[$1]")
+    .replace(/"\$[@*]"|\$[@*]/g, "$argv")
+    .replace(/\$#/g, "(count $argv)")
+    .replace(/\$\{([1-9])\}|\$([1-9])/g, (_, braced, bare) => `$argv[${braced || bare}]`);
+}
+
+/**
+ * Build the lines that fill in ${N:-default} values, which fish has no
+ * syntax for. Like POSIX, an empty argument also gets the default.
+ * @param {string} body - Function body using POSIX positionals
+ * @returns {Array<string>} One line per defaulted argument
+ */
+function getDefaultLines(body) {
+  const defaults = new Map();
+  for (const match of body.matchAll(/\$\{([1-9]):-([^}]*)\}/g)) {
+    if (!defaults.has(match[1])) {
+      defaults.set(match[1], match[2]);
+    }
+  }
+  return [...defaults].map(([index, value]) => `test -n "$argv[${index}]"; or set argv[${index}] ${quoteDefault(value)}`);
+}
+
+/**
+ * Quote a default, keeping the $HOME that templates writes for ~ expandable
+ * @param {string} value - Default from ${N:-default}
+ * @returns {string} fish word
+ */
+function quoteDefault(value) {
+  const home = value.match(/^\$HOME(?=\/|$)/);
+  if (!home) {
+    return quote(value);
+  }
+  const rest = value.slice(home[0].length);
+  return rest ? `$HOME${quote(rest)}` : "$HOME";
+}
+
+/**
+ * Render an alias as a fish function that forwards its arguments. Entries of
+ * kind "function" keep their body as written, with positional parameters
+ * mapped to $argv; so do commands with placeholders.
+ * @param {Object} alias - Alias definition
+ * @returns {string} Function definition
+ */
+function renderFunction(alias) {
+  const isFunction = alias.kind === "function";
+  const isTemplate = templates.hasPlaceholders(alias.command);
+  const command = templates.lowerTemplate(alias.command);
+  const lines = (isFunction || isTemplate ? mapPositionals(command) : command).trim().split(/\r?\n/);
+  const forwardsArgs = isFunction || isTemplate || /\$argv\b/.test(command);
+  if (!forwardsArgs) {
+    lines[lines.length - 1] += " $argv";
+  }
+  lines.unshift(...getDefaultLines(command));
+
+  const header = alias.description
+    ? `function ${alias.name} --description ${quote(alias.description)}`
+    : `function ${alias.name}`;
+
+  if (lines.length === 1 && !isFunction) {
+    return `${header}; ${lines[0]}; end\n`;
+  }
+  return `${header}\n${lines.map(line => (line.trim() ? `    ${line}` : "")).join("\n")}\nend\n`;
+}
+
+/**
+ * Render an alias as a fish abbreviation
+ * @param {Object} alias - Alias definition
+ * @returns {string} abbr command
+ */
+function renderAbbr(alias) {
+  let output = "";
+  if (alias.description) {
+    output += `# ${alias.description}\n`;
+  }
+  output += `abbr -a -- ${alias.name} ${quote(alias.command)}\n`;
+  return output;
+}
+
+/**
+ * Generate fish definitions
+ * @param {Array} aliases - Enabled aliases to emit
+ * @param {Object} [options]
+ * @param {boolean} [options.functionFiles] - Leave functions out because they
+ *   are written to ~/.config/fish/functions instead
+ * @returns {string} Definitions, one per alias
+ */
+function generateAliasLines(aliases, options = {}) {
+  let output = "";
+  for (const alias of aliases) {
+    if (getFishMode(alias) === "abbr") {
+      output += renderAbbr(alias);
+    } else if (!options.functionFiles) {
+      output += renderFunction(alias);
+    }
+  }
+  return output;
+}
+
+/**
+ * Build the content of an autoloaded function file
+ * @param {Object} alias - Alias definition
+ * @returns {string} File content
+ */
+function generateFunctionFile(alias) {
+  return `${FUNCTION_FILE_HEADER}\n${renderFunction(alias)}`;
+}
+
+/**
+ * Build the line that loads a dedicated alias file from config.fish
+ * @param {string} filePath - Dedicated alias file
+ * @returns {string} Idempotent source line
+ */
+function getSourceLine(filePath) {
+  return `test -f ${quote(filePath)}; and source ${quote(filePath)}`;
+}
+
+module.exports = {
+  FISH_MODES,
+  FUNCTION_FILE_HEADER,
+  quote,
+  getFishMode,
+  mapPositionals,
+  generateAliasLines,
+  generateFunctionFile,
+  getSourceLine
+};
@@ -0,0 +1,30 @@
+/**
+ * Shell Generators
+ * Maps each supported shell to the module that renders its alias syntax
+ */
+
+const posix = require("./posix");
+const powershell = require("./powershell");
+const fish = require("./fish");
+const cmd = require("./cmd");
+
+const GENERATORS = {
+  zsh: posix,
+  bash: posix,
+  fish,
+  powershell,
+  cmd
+};
+
+/**
+ * Get the generator for a shell, falling back to POSIX syntax
+ * @param {string} shellName - Target shell
+ * @returns {Object} Generator module
+ */
+function getGenerator(shellName) {
+  return GENERATORS[shellName] || posix;
+}
+
+module.exports = {
+  getGenerator
+};
@@ -0,0 +1,71 @@
+/**
+ * POSIX Shell Generator
+ * Emits alias and function definitions for bash and zsh
+ */
+
+const templates = require("../templates");
+
+/**
+ * Quote a value for use inside single quotes
+ * @param {string} value - Raw text
+ * @returns {string} Single-quoted text
+ */
+function quote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Indent each non-empty line of a function body
+ * @param {string} body - Function body
+ * @returns {string} Indented body
+ */
+function indentBody(body) {
+  return body.trim().split(/\r?\n/).map(line => (line.trim() ? `    ${line}` : "")).join("\n");
+}
+
+/**
+ * Render a function-kind entry. Any alias of the same name is removed first:
+ * bash would expand it inside "name()" and fail to parse the definition.
+ * @param {Object} alias - Entry with kind "function"
+ * @returns {string} Function definition
+ */
+function renderFunction(alias) {
+  return `unalias ${alias.name} 2>/dev/null\n${alias.name}() {\n${indentBody(alias.command)}\n}\n`;
+}
+
+/**
+ * Generate alias lines for bash/zsh. Commands with placeholders become
+ * functions, since aliases cannot place their arguments.
+ * @param {Array} aliases - Enabled aliases to emit
+ * @returns {string} Alias and function definitions
+ */
+function generateAliasLines(aliases) {
+  let output = "";
+  for (const alias of aliases) {
+    if (alias.description) {
+      output += `# ${alias.description}\n`;
+    }
+    if (alias.kind === "function" || templates.hasPlaceholders(alias.command)) {
+      output += renderFunction({ ...alias, command: templates.lowerTemplate(alias.command) });
+    } else {
+      output += `alias ${alias.name}=${quote(alias.command)}\n`;
+    }
+  }
+  return output;
+}
+
+/**
+ * Build the line that loads a dedicated alias file from the rc file
+ * @param {string} filePath - Dedicated alias file
+ * @returns {string} Idempotent source line
+ */
+function getSourceLine(filePath) {
+  return `[ -f ${quote(filePath)} ] && source ${quote(filePath)}`;
+}
+
+module.exports = {
+  quote,
+  indentBody,
+  generateAliasLines,
+  getSourceLine
+};
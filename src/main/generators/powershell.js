@@ -0,0 +1,366 @@
+/**
+ * PowerShell Generator
+ * Emits Set-Alias lines or argument-forwarding functions for PowerShell profiles
+ */
+
+const templates = require("../templates");
+
+// Words PowerShell reads literally in argument mode; anything else is quoted
+const BARE_WORD = /^[A-Za-z0-9_\-./:=+%\\~]+$/;
+
+// Operators carried over from POSIX command lines
+const OPERATORS = ["&&", "||", "2>&1", "2>>", ">>", "2>", "|", ";", ">"];
+
+/**
+ * Quote a value as a PowerShell single-quoted string
+ * @param {string} value - Raw text
+ * @returns {string} Single-quoted text
+ */
+function quote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Split a POSIX-style command line into words and operators. Each word is a
+ * list of parts, either literal text or a $-expansion, so expansions can be
+ * mapped to their PowerShell equivalents while everything else stays literal.
+ * Unquoted backslashes only escape shell metacharacters, which keeps Windows
+ * paths like C:\tools\bin intact.
+ * @param {string} command - Command text
+ * @returns {Array} Tokens: { op } or { parts: [{ text } | { expand, fallback? }] }
+ */
+function tokenize(command) {
+  const tokens = [];
+  let parts = null;
+  let quoted = null;
+  let i = 0;
+
+  const pushText = text => {
+    parts = parts || [];
+    const last = parts[parts.length - 1];
+    if (last && last.text !== undefined) {
+      last.text += text;
+    } else {
+      parts.push({ text });
+    }
+  };
+  const endWord = () => {
+    if (parts) {
+      tokens.push({ parts });
+      parts = null;
+    }
+  };
+  const readExpansion = () => {
+    const match = command.slice(i).match(/^\$(?:\{([1-9]):-([^}]*)\}|\{(\w+)\}|([A-Za-z_]\w*|[0-9@*]))/);
+    if (!match) {
+      return false;
+    }
+    parts = parts || [];
+    parts.push(match[1] ? { expand: match[1], fallback: match[2] } : { expand: match[3] || match[4] });
+    i += match[0].length;
+    return true;
+  };
+
+  while (i < command.length) {
+    const char = command[i];
+
+    if (quoted === "'") {
+      if (char === "'") {
+        quoted = null;
+      } else {
+        pushText(char);
+      }
+      i++;
+      continue;
+    }
+
+    if (quoted === "\"") {
+      if (char === "\"") {
+        quoted = null;
+        i++;
+      } else if (char === "\\" && /["\\$`]/.test(command[i + 1] || "")) {
+        pushText(command[i + 1]);
+        i += 2;
+      } else if (!(char === "$" && readExpansion())) {
+        pushText(char);
+        i++;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      endWord();
+      if (char === "\n") {
+        tokens.push({ op: ";" });
+      }
+      i++;
+      continue;
+    }
+
+    const op = OPERATORS.find(candidate => command.startsWith(candidate, i));
+    if (op && (op[0] !== "2" || !parts)) {
+      endWord();
+      tokens.push({ op });
+      i += op.length;
+      continue;
+    }
+
+    if (char === "'" || char === "\"") {
+      quoted = char;
+      parts = parts || [];
+      i++;
+    } else if (char === "\\" && /[\s'"$|;&<>]/.test(command[i + 1] || "")) {
+      pushText(command[i + 1]);
+      i += 2;
+    } else if (!(char === "$" && readExpansion())) {
+      pushText(char);
+      i++;
+    }
+  }
+
+  endWord();
+  return tokens;
+}
+
+/**
+ * Render a reference to one positional argument
+ * @param {string} index - POSIX position, 1-9
+ * @param {string} [fallback] - Value when the argument is missing or empty
+ * @returns {string} $args element, or an if expression for a default
+ */
+function renderArgument(index, fallback) {
+  const element = `$args[${index - 1}]`;
+  if (fallback === undefined) {
+    return element;
+  }
+  // templates writes a default of ~/path as $HOME/path, and $HOME is also a
+  // PowerShell variable
+  const home = fallback.match(/^\$HOME(?=\/|$)/);
+  const value = home ? `"$HOME${fallback.slice(home[0].length).replace(/[`"$]/g, "`$&")}"` : quote(fallback);
+  return `$(if (${element}) { ${element} } else { ${value} })`;
+}
+
+/**
+ * Render one word in PowerShell argument syntax
+ * @param {Array} parts - Word parts from tokenize
+ * @returns {string} Bare, quoted or expandable word
+ */
+function renderWord(parts) {
+  if (parts.length === 1 && parts[0].expand !== undefined) {
+    const name = parts[0].expand;
+    if (name === "@" || name === "*") {
+      return "@args";
+    }
+    if (/^[1-9]$/.test(name)) {
+      return renderArgument(name, parts[0].fallback);
+    }
+  }
+
+  if (parts.every(part => part.text !== undefined)) {
+    const text = parts.map(part => part.text).join("");
+    return BARE_WORD.test(text) ? text : quote(text);
+  }
+
+  // Mixed text and expansions become an expandable string
+  const body = parts.map(part => {
+    if (part.text !== undefined) {
+      return part.text.replace(/[`"$]/g, "`$&");
+    }
+    if (part.expand === "@" || part.expand === "*") {
+      return "$args";
+    }
+    if (/^[1-9]$/.test(part.expand)) {
+      return part.fallback === undefined ? `$(${renderArgument(part.expand)})` : renderArgument(part.expand, part.fallback);
+    }
+    if (part.expand === "0") {
+      return "$($MyInvocation.MyCommand.Name)";
+    }
+    // $HOME is a PowerShell variable; Windows rarely sets the environment one
+    return part.expand === "HOME" ? "$HOME" : `$env:${part.expand}`;
+  }).join("");
+  return `"${body}"`;
+}
+
+/**
+ * Check whether a word refers to the alias's own arguments
+ * @param {Object} token - Token from tokenize
+ * @returns {boolean}
+ */
+function usesArgs(token) {
+  return Boolean(token.parts) && token.parts.some(part => /^[1-9@*]$/.test(part.expand));
+}
+
+/**
+ * Render a list of tokens (no && or ||) as a pipeline
+ * @param {Array} tokens - Tokens from tokenize
+ * @param {boolean} appendArgs - Forward the alias arguments to the last command
+ * @returns {string} Pipeline text
+ */
+function renderPipeline(tokens, appendArgs) {
+  let commandStart = true;
+  const words = tokens.map(token => {
+    if (token.op) {
+      commandStart = token.op === "|";
+      return token.op;
+    }
+    const word = renderWord(token.parts);
+    // A quoted or expanded command name must be run with the call operator
+    const text = commandStart && !BARE_WORD.test(word) ? `& ${word}` : word;
+    commandStart = false;
+    return text;
+  });
+
+  if (appendArgs) {
+    // Keep trailing redirections such as "> out.txt" after the arguments
+    let index = words.length;
+    for (;;) {
+      if (index >= 1 && tokens[index - 1].op === "2>&1") {
+        index -= 1;
+      } else if (index >= 2 && [">", ">>", "2>", "2>>"].includes(tokens[index - 2].op)) {
+        index -= 2;
+      } else {
+        break;
+      }
+    }
+    words.splice(index, 0, "@args");
+  }
+  return words.join(" ");
+}
+
+/**
+ * Translate a POSIX-style command into a PowerShell function body. Chains
+ * joined with && or || become $? checks so the result also runs on
+ * Windows PowerShell 5.1, which has no pipeline chain operators.
+ * @param {string} command - Alias command
+ * @returns {string} Function body
+ */
+function translateCommand(command) {
+  const tokens = tokenize(command.trim());
+  // Like a shell alias, arguments go to the end of the last command unless
+  // the command places them itself
+  const appendArgs = !tokens.some(usesArgs);
+
+  const statements = [[]];
+  for (const token of tokens) {
+    if (token.op === ";") {
+      statements.push([]);
+    } else {
+      statements[statements.length - 1].push(token);
+    }
+  }
+
+  const chains = statements.filter(statement => statement.length > 0).map(statement => {
+    const links = [{ tokens: [] }];
+    for (const token of statement) {
+      if (token.op === "&&" || token.op === "||") {
+        links.push({ joiner: token.op, tokens: [] });
+      } else {
+        links[links.length - 1].tokens.push(token);
+      }
+    }
+    return links;
+  });
+
+  return chains.map((links, chainIndex) => {
+    const isLastChain = chainIndex === chains.length - 1;
+    const texts = links.map((link, linkIndex) =>
+      renderPipeline(link.tokens, appendArgs && isLastChain && linkIndex === links.length - 1));
+
+    let text = texts[texts.length - 1];
+    for (let index = links.length - 1; index > 0; index--) {
+      const condition = links[index].joiner === "&&" ? "$?" : "-not $?";
+      text = `${texts[index - 1]}; if (${condition}) { ${text} }`;
+    }
+    return text;
+  }).join("; ");
+}
+
+/**
+ * Get the executable when a command is nothing but one, so Set-Alias can be used
+ * @param {string} command - Alias command
+ * @returns {string|null} Executable name or path
+ */
+function getSingleExecutable(command) {
+  const tokens = tokenize(command.trim());
+  if (tokens.length !== 1 || tokens[0].op) {
+    return null;
+  }
+  const { parts } = tokens[0];
+  return parts.every(part => part.text !== undefined) ? parts.map(part => part.text).join("") : null;
+}
+
+/**
+ * Map POSIX positional parameters in a function body to PowerShell's $args
+ * @param {string} body - Function body
+ * @returns {string} Body using $args
+ */
+function mapPositionals(body) {
+  return body
+    .replace(/\$\{([1-9]):-([^}]*)\}/g, (_, index, fallback) => renderArgument(index, fallback))
+    .replace(/"\$[@*]"|\$[@*]/g, "@args")
+    .replace(/\$#/g, "$args.Count")
+    .replace(/\$\{([1-9])\}|\$([1-9])/g, (_, braced, bare) => `$($args[${(braced || bare) - 1}])`);
+}
+
+/**
+ * Render one alias for PowerShell. Entries of kind "function" keep their
+ * body as written, with positional parameters mapped to $args. Placeholders
+ * are lowered to positional parameters first.
+ * @param {Object} source - Alias definition
+ * @returns {string} Alias or function definition
+ */
+function renderAlias(source) {
+  const alias = { ...source, command: templates.lowerTemplate(source.command) };
+  let output = "";
+  if (alias.description) {
+    output += `# ${alias.description}\n`;
+  }
+
+  const isFunction = alias.kind === "function";
+  const executable = isFunction ? null : getSingleExecutable(alias.command);
+  if (executable) {
+    return `${output}Set-Alias -Name ${quote(alias.name)} -Value ${quote(executable)} -Force\n`;
+  }
+
+  // Aliases win over functions, so drop built-ins like gc or gp first
+  output += `Remove-Item -Path ${quote(`Alias:${alias.name}`)} -Force -ErrorAction SilentlyContinue\n`;
+  if (isFunction) {
+    const body = mapPositionals(alias.command).trim().split(/\r?\n/)
+      .map(line => (line.trim() ? `    ${line}` : ""))
+      .join("\n");
+    output += `function ${alias.name} {\n${body}\n}\n`;
+  } else {
+    output += `function ${alias.name} { ${translateCommand(alias.command)} }\n`;
+  }
+  return output;
+}
+
+/**
+ * Generate alias definitions for PowerShell. Aliases flagged with
+ * powershellNoProfile are left out of the profile.
+ * @param {Array} aliases - Enabled aliases to emit
+ * @returns {string} Definitions, one per alias
+ */
+function generateAliasLines(aliases) {
+  return aliases
+    .filter(alias => !alias.powershellNoProfile)
+    .map(renderAlias)
+    .join("");
+}
+
+/**
+ * Build the line that dot-sources a dedicated alias file from the profile
+ * @param {string} filePath - Dedicated alias file
+ * @returns {string} Idempotent dot-source line
+ */
+function getSourceLine(filePath) {
+  return `if (Test-Path ${quote(filePath)}) { . ${quote(filePath)} }`;
+}
+
+module.exports = {
+  quote,
+  translateCommand,
+  mapPositionals,
+  generateAliasLines,
+  getSourceLine
+};
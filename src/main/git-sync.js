@@ -0,0 +1,443 @@
+/**
+ * Git Sync Module
+ * Mirrors the alias library into a local git repository and syncs it with a
+ * remote, so several machines can share their aliases
+ *
+ * The repository holds one file per profile:
+ *   profiles.json        - the profile list
+ *   profiles/<id>.json   - the aliases of one profile, in library order; see
+ *                          getProfileFile for how the id is encoded
+ *
+ * Pulling merges alias by alias against the last common commit instead of
+ * line by line, so edits to different aliases never conflict. An alias that
+ * was changed differently on both sides is returned as a conflict for the
+ * user to resolve; nothing is merged until every conflict has a resolution.
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { execFile } = require("child_process");
+const profiles = require("./profiles");
+const schema = require("./schema");
+const { writeFileAtomic } = require("./safe-write");
+
+const REMOTE_NAME = "origin";
+const PROFILE_LIST_FILE = "profiles.json";
+const PROFILE_DIR = "profiles";
+const GIT_TIMEOUT_MS = 60000;
+
+// Used when the user hasn't configured a git identity
+const FALLBACK_IDENTITY = ["-c", "user.name=AliasForge", "-c", "user.email=aliasforge@localhost"];
+
+/**
+ * Run git in a repository
+ * @param {string} repoDir - Working directory
+ * @param {Array<string>} args - git arguments
+ * @returns {Promise<string>} stdout
+ * @throws {Error} With the exit status as err.code and git's message
+ */
+function runGit(repoDir, args) {
+  return new Promise((resolve, reject) => {
+    execFile("git", args, { cwd: repoDir, timeout: GIT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        const message = String(stderr || "").trim() || err.message;
+        const gitError = new Error(`git ${args[0]} failed: ${message}`);
+        gitError.code = err.code;
+        reject(gitError);
+        return;
+      }
+      resolve(String(stdout));
+    });
+  });
+}
+
+/**
+ * Get the file a profile's aliases are stored in. Anything but lowercase
+ * letters, digits, _ and - is percent-encoded, so every id gets its own file,
+ * even on case-insensitive file systems, and none can leave the folder.
+ * @param {string} profileId - Profile id
+ * @returns {string} Path relative to the repository
+ */
+function getProfileFile(profileId) {
+  const name = [...Buffer.from(String(profileId), "utf8")]
+    .map(byte => /[a-z0-9_-]/.test(String.fromCharCode(byte))
+      ? String.fromCharCode(byte)
+      : `%${byte.toString(16).toUpperCase().padStart(2, "0")}`)
+    .join("");
+  return `${PROFILE_DIR}/${name}.json`;
+}
+
+/**
+ * Split the alias library into the files stored in the repository
+ * @param {Object} store - { profiles, aliases } as in aliases.json
+ * @returns {Map<string, string>} Content keyed by path relative to the repository
+ */
+function splitLibrary(store) {
+  const profileList = profiles.normalizeProfiles(store.profiles);
+  const files = new Map();
+  files.set(PROFILE_LIST_FILE, toJson({ schemaVersion: schema.ALIASES_SCHEMA_VERSION, profiles: profileList }));
+
+  const groups = new Map(profileList.map(profile => [profile.id, []]));
+  for (const alias of store.aliases || []) {
+    const profileId = profiles.getAliasProfile(alias);
+    if (!groups.has(profileId)) {
+      groups.set(profileId, []);
+    }
+    groups.get(profileId).push(alias);
+  }
+  for (const [profileId, aliases] of groups) {
+    files.set(getProfileFile(profileId), toJson({ profile: profileId, aliases }));
+  }
+  return files;
+}
+
+/**
+ * Put the alias library back together from repository files
+ * @param {Map<string, string>} files - Content keyed by path relative to the repository
+ * @returns {{profiles: Array, aliases: Array}}
+ * @throws {Error} If the files come from a newer AliasForge
+ */
+function joinLibrary(files) {
+  const profileData = files.has(PROFILE_LIST_FILE) ? JSON.parse(files.get(PROFILE_LIST_FILE)) : {};
+  const profileList = profiles.normalizeProfiles(profileData.profiles);
+
+  // Profiles in list order first, then files for profiles that aren't listed
+  const order = profileList.map(profile => getProfileFile(profile.id));
+  const profileFiles = [...files.keys()].filter(file => file.startsWith(`${PROFILE_DIR}/`));
+  profileFiles.sort((a, b) => rank(order, a) - rank(order, b) || a.localeCompare(b));
+
+  const aliases = profileFiles.flatMap(file => JSON.parse(files.get(file)).aliases || []);
+  const { data } = schema.migrateAliasStore({ schemaVersion: profileData.schemaVersion, profiles: profileList, aliases });
+  return { profiles: data.profiles, aliases: data.aliases };
+}
+
+function rank(order, file) {
+  const index = order.indexOf(file);
+  return index === -1 ? order.length : index;
+}
+
+function toJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+/**
+ * Serialize with sorted keys, so objects that differ only in key order
+ * compare equal
+ */
+function stableStringify(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return JSON.stringify(value, (key, item) => (item && typeof item === "object" && !Array.isArray(item)
+    ? Object.keys(item).sort().reduce((sorted, name) => ({ ...sorted, [name]: item[name] }), {})
+    : item));
+}
+
+/**
+ * Three-way merge of two lists of items with ids
+ * @param {Array} base - Items at the last common commit
+ * @param {Array} ours - Local items
+ * @param {Array} theirs - Remote items
+ * @param {Function} resolve - Called with a conflicting id; returns "ours" or "theirs"
+ * @returns {{items: Array, conflicts: Array<{id: string, ours: Object|null, theirs: Object|null}>}}
+ *   Local order is kept; items added remotely are appended in remote order
+ */
+function mergeById(base, ours, theirs, resolve) {
+  const key = item => item.id || item.name;
+  const index = list => new Map(list.map(item => [key(item), item]));
+  const [baseItems, ourItems, theirItems] = [index(base), index(ours), index(theirs)];
+  const same = (a, b) => stableStringify(a) === stableStringify(b);
+
+  const items = [];
+  const conflicts = [];
+  const ids = [...ourItems.keys(), ...[...theirItems.keys()].filter(id => !ourItems.has(id))];
+  for (const id of ids) {
+    const [baseItem, ourItem, theirItem] = [baseItems.get(id), ourItems.get(id), theirItems.get(id)];
+    let item;
+    if (same(ourItem, theirItem) || same(baseItem, theirItem)) {
+      item = ourItem;
+    } else if (same(baseItem, ourItem)) {
+      item = theirItem;
+    } else {
+      conflicts.push({ id, ours: ourItem || null, theirs: theirItem || null });
+      item = resolve(id) === "theirs" ? theirItem : ourItem;
+    }
+    // A missing item was deleted on the side that wins
+    if (item) {
+      items.push(item);
+    }
+  }
+  return { items, conflicts };
+}
+
+/**
+ * Merge a local and a remote alias library against their common ancestor
+ *
+ * Aliases changed on one side take that side's version; an alias changed
+ * differently on both sides, or changed on one side and deleted on the
+ * other, is a conflict. Profiles are merged the same way, but a profile
+ * changed on both sides keeps the local version.
+ * @param {Object} base - Library at the last common commit ({ profiles: [], aliases: [] } if none)
+ * @param {Object} ours - Local library
+ * @param {Object} theirs - Remote library
+ * @param {Object<string, string>} [resolutions] - "ours" or "theirs" by alias id
+ * @returns {{store: Object, conflicts: Array<{id: string, name: string,
+ *   ours: Object|null, theirs: Object|null}>}} Merged library, using the
+ *   resolution (or the local version) for each conflict
+ */
+function mergeLibraries(base, ours, theirs, resolutions = {}) {
+  const mergedProfiles = mergeById(base.profiles || [], ours.profiles || [], theirs.profiles || [], () => "ours");
+  const mergedAliases = mergeById(base.aliases || [], ours.aliases || [], theirs.aliases || [], id => resolutions[id]);
+  return {
+    store: { profiles: mergedProfiles.items, aliases: mergedAliases.items },
+    conflicts: mergedAliases.conflicts.map(conflict => ({
+      ...conflict,
+      name: (conflict.ours || conflict.theirs).name
+    }))
+  };
+}
+
+class GitSync {
+  /**
+   * @param {Object} options
+   * @param {string} options.repoDir - Local repository; created if needed
+   * @param {string} [options.remoteUrl] - Remote to pull from and push to
+   * @param {string} [options.branch="main"] - Branch to sync
+   * @param {Function} [options.git] - Replaces runGit (for tests)
+   */
+  constructor({ repoDir, remoteUrl = "", branch = "main", git = runGit }) {
+    this.repoDir = repoDir;
+    this.remoteUrl = remoteUrl;
+    this.branch = branch || "main";
+    this.git = args => git(repoDir, args);
+    // Serialise git operations; saves and syncs share the working tree
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run an operation after any pending ones have finished
+   * @param {Function} operation - Async operation
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Create the repository if the folder isn't one yet
+   */
+  async ensureRepository() {
+    await fs.mkdir(this.repoDir, { recursive: true });
+    try {
+      await fs.access(path.join(this.repoDir, ".git"));
+    } catch (err) {
+      await this.git(["init"]);
+      await this.git(["symbolic-ref", "HEAD", `refs/heads/${this.branch}`]);
+    }
+  }
+
+  /**
+   * Write the library into the working tree and commit it if anything changed
+   * @param {Object} store - { profiles, aliases } as in aliases.json
+   * @param {string} [message] - Commit message
+   * @returns {Promise<boolean>} Whether a commit was made
+   */
+  commitLibrary(store, message = "Update aliases") {
+    return this.enqueue(async () => {
+      await this.ensureRepository();
+      await this.writeLibrary(store);
+      return this.commitChanges(message);
+    });
+  }
+
+  /**
+   * Commit the library, merge the remote branch into it and push the result
+   * @param {Object} store - Local library
+   * @param {Object<string, string>} [resolutions] - "ours" or "theirs" by
+   *   alias id, for conflicts reported by an earlier call
+   * @returns {Promise<Object>} { conflicts } if some conflicts have no
+   *   resolution yet (nothing is merged or pushed), otherwise
+   *   { conflicts: [], pulled, pushed, store }, where store is the merged
+   *   library if anything was pulled and null otherwise
+   */
+  sync(store, resolutions = {}) {
+    return this.enqueue(async () => {
+      await this.ensureRepository();
+      await this.writeLibrary(store);
+      await this.commitChanges("Update aliases");
+      if (!this.remoteUrl) {
+        return { conflicts: [], pulled: false, pushed: false, store: null };
+      }
+
+      await this.configureRemote();
+      let pulled = false;
+      const remoteBranch = (await this.git(["ls-remote", "--heads", REMOTE_NAME, this.branch])).trim();
+      if (remoteBranch) {
+        await this.git(["fetch", REMOTE_NAME, this.branch]);
+        const remoteRev = (await this.git(["rev-parse", "FETCH_HEAD"])).trim();
+        if (!(await this.isAncestor(remoteRev, "HEAD"))) {
+          const merge = await this.mergeRemote(remoteRev, resolutions);
+          if (merge.unresolved.length > 0) {
+            return { conflicts: merge.unresolved, pulled: false, pushed: false, store: null };
+          }
+          pulled = true;
+        }
+      }
+
+      await this.git(["push", REMOTE_NAME, `HEAD:refs/heads/${this.branch}`]);
+      return { conflicts: [], pulled, pushed: true, store: pulled ? await this.readLibrary("HEAD") : null };
+    });
+  }
+
+  /**
+   * Bring a remote commit into HEAD, fast-forwarding when possible
+   * @returns {Promise<{unresolved: Array}>} Conflicts without a resolution;
+   *   when there are any, HEAD is left as it was
+   */
+  async mergeRemote(remoteRev, resolutions) {
+    if (await this.isAncestor("HEAD", remoteRev)) {
+      await this.git([...(await this.getIdentityArgs()), "merge", "--ff-only", remoteRev]);
+      return { unresolved: [] };
+    }
+
+    const baseRev = await this.getMergeBase("HEAD", remoteRev);
+    const base = baseRev ? await this.readLibrary(baseRev) : { profiles: [], aliases: [] };
+    const result = mergeLibraries(base, await this.readLibrary("HEAD"), await this.readLibrary(remoteRev), resolutions);
+    const unresolved = result.conflicts.filter(conflict => !resolutions[conflict.id]);
+    if (unresolved.length > 0) {
+      return { unresolved };
+    }
+
+    // Record the merge with both parents, then put the merged files in place
+    const identity = await this.getIdentityArgs();
+    await this.git([...identity, "merge", "-s", "ours", "--no-commit", "--allow-unrelated-histories", remoteRev]);
+    try {
+      await this.writeLibrary(result.store);
+      await this.git(["add", "-A", "--", PROFILE_LIST_FILE, PROFILE_DIR]);
+      await this.git([...identity, "commit", "--no-verify", "-m", `Merge aliases from ${this.remoteUrl}`]);
+    } catch (err) {
+      // Leave the repository as it was, not halfway through a merge
+      await this.git(["merge", "--abort"]).catch(() => {});
+      await this.git(["checkout", "--", "."]).catch(() => {});
+      throw err;
+    }
+    return { unresolved: [] };
+  }
+
+  /**
+   * Point the "origin" remote at the configured URL
+   */
+  async configureRemote() {
+    const remotes = (await this.git(["remote"])).split("\n").map(name => name.trim());
+    if (remotes.includes(REMOTE_NAME)) {
+      await this.git(["remote", "set-url", REMOTE_NAME, this.remoteUrl]);
+    } else {
+      await this.git(["remote", "add", REMOTE_NAME, this.remoteUrl]);
+    }
+  }
+
+  /**
+   * Replace the library files in the working tree, removing files of
+   * profiles that no longer exist
+   */
+  async writeLibrary(store) {
+    const files = splitLibrary(store);
+    const profileDir = path.join(this.repoDir, PROFILE_DIR);
+    await fs.mkdir(profileDir, { recursive: true });
+    for (const name of await fs.readdir(profileDir)) {
+      if (name.endsWith(".json") && !files.has(`${PROFILE_DIR}/${name}`)) {
+        await fs.unlink(path.join(profileDir, name));
+      }
+    }
+    for (const [file, content] of files) {
+      await writeFileAtomic(path.join(this.repoDir, file), content);
+    }
+  }
+
+  /**
+   * Read the library as of a commit
+   * @param {string} rev - Commit
+   * @returns {Promise<{profiles: Array, aliases: Array}>}
+   */
+  async readLibrary(rev) {
+    const listing = await this.git(["ls-tree", "-r", "--name-only", rev, "--", PROFILE_LIST_FILE, PROFILE_DIR]);
+    const files = new Map();
+    for (const file of listing.split("\n").filter(name => name.endsWith(".json"))) {
+      files.set(file, await this.git(["show", `${rev}:${file}`]));
+    }
+    return joinLibrary(files);
+  }
+
+  /**
+   * Commit the library files if they changed
+   * @returns {Promise<boolean>} Whether a commit was made
+   */
+  async commitChanges(message) {
+    await this.git(["add", "-A", "--", PROFILE_LIST_FILE, PROFILE_DIR]);
+    const status = await this.git(["status", "--porcelain", "--", PROFILE_LIST_FILE, PROFILE_DIR]);
+    if (!status.trim()) {
+      return false;
+    }
+    await this.git([...(await this.getIdentityArgs()), "commit", "--no-verify", "-m", message]);
+    return true;
+  }
+
+  /**
+   * Check whether commit a is an ancestor of (or equal to) commit b
+   */
+  async isAncestor(a, b) {
+    try {
+      await this.git(["merge-base", "--is-ancestor", a, b]);
+      return true;
+    } catch (err) {
+      if (err.code === 1) {
+        return false;
+      }
+      // HEAD doesn't exist yet in a repository without commits
+      if (/unknown revision|not a valid|Not a valid/.test(err.message)) {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Find the last common commit, or null for unrelated histories
+   */
+  async getMergeBase(a, b) {
+    try {
+      return (await this.git(["merge-base", a, b])).trim() || null;
+    } catch (err) {
+      if (err.code === 1) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Fall back to a generic identity when git has none configured, so
+   * commits don't fail on a fresh machine
+   */
+  async getIdentityArgs() {
+    try {
+      const email = (await this.git(["config", "user.email"])).trim();
+      return email ? [] : FALLBACK_IDENTITY;
+    } catch (err) {
+      return FALLBACK_IDENTITY;
+    }
+  }
+}
+
+module.exports = {
+  GitSync,
+  runGit,
+  getProfileFile,
+  splitLibrary,
+  joinLibrary,
+  mergeLibraries
+};
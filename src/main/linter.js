@@ -0,0 +1,201 @@
+/**
+ * Alias Linter
+ * Warns about aliases that shadow shell builtins or executables on PATH, and
+ * about names the user's rc files already define outside the managed block
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const POSIX_BUILTINS = [
+  "alias", "bg", "bind", "break", "builtin", "caller", "cd", "command", "compgen", "complete",
+  "continue", "declare", "dirs", "disown", "echo", "enable", "eval", "exec", "exit", "export",
+  "false", "fc", "fg", "getopts", "hash", "help", "history", "jobs", "kill", "let", "local",
+  "logout", "popd", "printf", "pushd", "pwd", "read", "readonly", "return", "set", "shift",
+  "shopt", "source", "suspend", "test", "times", "trap", "true", "type", "typeset", "ulimit",
+  "umask", "unalias", "unset", "wait",
+  // Reserved words
+  "if", "then", "else", "elif", "fi", "for", "while", "until", "do", "done", "case", "esac",
+  "function", "select", "time", "[", "[["
+];
+
+const SHELL_BUILTINS = {
+  bash: POSIX_BUILTINS,
+  zsh: [
+    ...POSIX_BUILTINS,
+    "autoload", "bindkey", "emulate", "functions", "print", "rehash", "setopt", "unsetopt",
+    "whence", "where", "which", "zle", "zmodload", "zstyle"
+  ],
+  fish: [
+    "abbr", "alias", "and", "argparse", "begin", "bg", "bind", "block", "break", "builtin", "case",
+    "cd", "command", "commandline", "complete", "contains", "continue", "count", "disown", "echo",
+    "else", "emit", "end", "eval", "exec", "exit", "false", "fg", "for", "function", "functions",
+    "history", "if", "jobs", "math", "not", "or", "printf", "pwd", "random", "read", "realpath",
+    "return", "set", "set_color", "source", "status", "string", "switch", "test", "time", "true",
+    "type", "ulimit", "wait", "while"
+  ],
+  // Keywords plus the aliases PowerShell defines itself
+  powershell: [
+    "begin", "break", "catch", "class", "continue", "data", "do", "dynamicparam", "else", "elseif",
+    "end", "exit", "filter", "finally", "for", "foreach", "function", "if", "in", "param",
+    "process", "return", "switch", "throw", "trap", "try", "until", "while",
+    "cat", "cd", "chdir", "clear", "cls", "copy", "cp", "del", "dir", "echo", "erase", "gc", "gci",
+    "gl", "h", "history", "kill", "ls", "man", "md", "mkdir", "move", "mv", "ps", "pwd", "r", "rd",
+    "ren", "rm", "rmdir", "select", "sl", "sort", "tee", "type", "where"
+  ],
+  cmd: [
+    "assoc", "break", "call", "cd", "chdir", "cls", "color", "copy", "date", "del", "dir", "echo",
+    "endlocal", "erase", "exit", "for", "ftype", "goto", "if", "md", "mkdir", "mklink", "move",
+    "path", "pause", "popd", "prompt", "pushd", "rd", "rem", "ren", "rename", "rmdir", "set",
+    "setlocal", "shift", "start", "time", "title", "type", "ver", "verify", "vol"
+  ]
+};
+
+// Prefixes that run the next word as a command
+const COMMAND_PREFIXES = new Set(["command", "builtin", "noglob", "nocorrect", "&"]);
+
+/**
+ * Check whether a name is a builtin or reserved word of a shell
+ * @param {string} name - Alias name
+ * @param {string} shellName - Target shell
+ * @returns {boolean}
+ */
+function isBuiltin(name, shellName) {
+  const builtins = SHELL_BUILTINS[shellName] || POSIX_BUILTINS;
+  const caseInsensitive = shellName === "powershell" || shellName === "cmd";
+  return builtins.includes(caseInsensitive ? name.toLowerCase() : name);
+}
+
+/**
+ * Get the command a command line runs first, skipping prefixes such as
+ * "command" and quotes or a leading backslash that bypass aliases
+ * @param {string} command - Alias command
+ * @returns {string} First command word, or ""
+ */
+function getFirstCommand(command) {
+  const words = String(command || "").trim().split(/\s+/);
+  for (const word of words) {
+    const bare = word.replace(/^\\/, "").replace(/^(['"])(.*)\1$/, "$2");
+    if (!COMMAND_PREFIXES.has(bare)) {
+      return bare;
+    }
+  }
+  return "";
+}
+
+/**
+ * Find which names are executables in the PATH directories
+ * @param {Array<string>} names - Names to look up
+ * @param {Object} options
+ * @param {string} options.pathEnv - Value of PATH
+ * @param {string} options.platform - process.platform
+ * @param {string} [options.pathExt] - Value of PATHEXT on Windows
+ * @returns {Promise<Map<string, string>>} Name to the first matching file
+ */
+async function findExecutables(names, { pathEnv, platform, pathExt }) {
+  const isWindows = platform === "win32";
+  const delimiter = isWindows ? ";" : ":";
+  const extensions = isWindows
+    ? (pathExt || ".COM;.EXE;.BAT;.CMD").toLowerCase().split(";").filter(Boolean)
+    : [];
+  const wanted = new Set(names.map(name => (isWindows ? name.toLowerCase() : name)));
+  const found = new Map();
+
+  for (const dir of String(pathEnv || "").split(delimiter).filter(Boolean)) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir);
+    } catch (err) {
+      // Missing or unreadable PATH entries are common; skip them
+      continue;
+    }
+
+    for (const entry of entries) {
+      let name = entry;
+      if (isWindows) {
+        const extension = path.extname(entry).toLowerCase();
+        if (!extensions.includes(extension)) {
+          continue;
+        }
+        name = entry.slice(0, -extension.length).toLowerCase();
+      }
+      if (!wanted.has(name) || found.has(name)) {
+        continue;
+      }
+
+      const filePath = path.join(dir, entry);
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.isFile() && (isWindows || (stats.mode & 0o111) !== 0)) {
+          found.set(name, filePath);
+        }
+      } catch (err) {
+        // Broken symlink
+      }
+    }
+  }
+
+  const result = new Map();
+  for (const name of names) {
+    const match = found.get(isWindows ? name.toLowerCase() : name);
+    if (match) {
+      result.set(name, match);
+    }
+  }
+  return result;
+}
+
+/**
+ * Lint aliases for one shell
+ * @param {Array} aliases - Aliases to check, with the command they export
+ * @param {Object} options
+ * @param {string} options.shellName - Target shell
+ * @param {Map<string, string>} [options.executables] - From findExecutables
+ * @param {Array} [options.rcDefinitions] - { name, sourceFile, line } found
+ *   in the rc files outside the managed block
+ * @returns {Object<string, Array<{type: string, message: string}>>} Warnings
+ *   keyed by alias id; aliases without warnings are left out. "wraps-itself"
+ *   is the milder form of "builtin" and "executable"
+ */
+function lintAliases(aliases, { shellName, executables = new Map(), rcDefinitions = [] }) {
+  const results = {};
+
+  for (const alias of aliases) {
+    const warnings = [];
+    const shadowed = isBuiltin(alias.name, shellName)
+      ? { type: "builtin", target: `the ${shellName} builtin "${alias.name}"` }
+      : executables.has(alias.name) ? { type: "executable", target: executables.get(alias.name) } : null;
+
+    // An alias that runs the command it is named after, like ls='ls -G',
+    // usually shadows it on purpose, but it still changes what the name does
+    // everywhere, so it gets a milder warning rather than none
+    if (shadowed && getFirstCommand(alias.command) === alias.name) {
+      warnings.push({ type: "wraps-itself", message: `Shadows ${shadowed.target} (wraps itself)` });
+    } else if (shadowed) {
+      warnings.push({ type: shadowed.type, message: `Shadows ${shadowed.target}` });
+    }
+
+    for (const definition of rcDefinitions.filter(d => d.name === alias.name)) {
+      warnings.push({
+        type: "rc-collision",
+        message: `Also defined in ${definition.sourceFile}:${definition.line}`
+      });
+    }
+
+    if (warnings.length > 0) {
+      results[alias.id] = warnings;
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  SHELL_BUILTINS,
+  isBuiltin,
+  getFirstCommand,
+  findExecutables,
+  lintAliases
+};
@@ -1,8 +1,6 @@
-const { app, BrowserWindow, ipcMain } = require("electron");
+const { app, BrowserWindow, ipcMain, dialog } = require("electron");
 const path = require("path");
 const fs = require("fs").promises;
-const { exec } = require("child_process");
-const { promisify } = require("util");
 const log = require('electron-log');
 
 // Basic log configuration (will be updated after app ready)
@@ -12,12 +10,30 @@ log.transports.console.level = 'debug';
 // Import updater and tray modules
 const updater = require("./updater");
 const tray = require("./tray");
+const quickLauncher = require("./quick-launcher");
+const AliasService = require("./alias-service");
+const { FileWatcher } = require("./file-watcher");
+const trayData = require("./tray-data");
+const profiles = require("./profiles");
+const cli = require("./cli");
+const templates = require("./templates");
+const collectionFormats = require("./formats");
+const schema = require("./schema");
+const { writeFileAtomic } = require("./safe-write");
 
-const execAsync = promisify(exec);
 let mainWindow = null;
+let aliasService = null;
+let fileWatcher = null;
+// Reports of watched files changed while the window was closed, by path
+const pendingFileChanges = new Map();
+// Outcome of the last export this session, for the tray; see refreshTrayMenu
+let lastExportOutcome = null;
 
 /**
  * Create the main application window with secure settings
+ *
+ * In background mode the window is only created when opened from the tray
+ * and is destroyed again when closed.
  */
 function createMainWindow() {
   // Determine the icon path based on platform
@@ -66,7 +82,12 @@ function createMainWindow() {
 
   mainWindow.on("closed", () => {
     mainWindow = null;
+    tray.setMainWindow(null);
+    updater.setMainWindow(null);
   });
+
+  tray.setMainWindow(mainWindow);
+  updater.setMainWindow(mainWindow);
 }
 
 /**
@@ -78,22 +99,10 @@ function getAppDataPath() {
 }
 
 /**
- * Ensure application data directory exists
- */
-async function ensureDataDirectory() {
-  const dataPath = getAppDataPath();
-  try {
-    await fs.access(dataPath);
-  } catch {
-    await fs.mkdir(dataPath, { recursive: true });
-  }
-}
-
-/**
- * Get path to a data file
+ * Get the folder that holds backups of files AliasForge modifies
  */
-function getDataFilePath(filename) {
-  return path.join(getAppDataPath(), filename);
+function getBackupDirectory() {
+  return path.join(app.getPath("userData"), "backups");
 }
 
 /**
@@ -107,11 +116,165 @@ function validateFilePath(filePath) {
   return normalizedPath;
 }
 
+/**
+ * Rebuild the tray's Recent and Profiles submenus and export status from
+ * the saved aliases and settings
+ */
+async function refreshTrayMenu() {
+  try {
+    const [store, settings, history] = await Promise.all([
+      aliasService.readAliasStore(),
+      aliasService.readSettings(),
+      aliasService.exportHistory.list()
+    ]);
+    tray.setMenuData({
+      recent: trayData.getRecentAliases(store.aliases, {
+        platform: process.platform,
+        shellName: aliasService.detectShell().defaultShell
+      }),
+      profiles: trayData.getProfileChoices(store, settings.activeProfiles),
+      // Before the first export this session, the export log has the last success
+      lastExport: trayData.formatLastExport(lastExportOutcome || trayData.fromHistoryEntry(history[0]))
+    });
+  } catch (err) {
+    log.error("Failed to refresh the tray menu:", err);
+  }
+}
+
+/**
+ * Make one profile the only one exported, as picked from the tray
+ * @param {string} profileId - Profile id
+ */
+async function selectExportProfile(profileId) {
+  try {
+    // Profiles only named by an alias's profile field join the list, or
+    // their aliases would be exported as part of the default profile
+    const store = await aliasService.readAliasStore();
+    if (!store.profiles.some(profile => profile.id === profileId)) {
+      await aliasService.saveLibrary({
+        ...store,
+        profiles: profiles.normalizeProfiles([...store.profiles, { id: profileId, name: profileId }])
+      });
+    }
+
+    const settings = { ...(await aliasService.readSettings()), activeProfiles: [profileId] };
+    await aliasService.saveSettings(settings);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("settings-changed", settings);
+    }
+  } catch (err) {
+    log.error("Failed to select profile from the tray:", err);
+  }
+  await refreshWatchedFiles();
+  await refreshTrayMenu();
+}
+
+/**
+ * Export the saved aliases to the user's shell from the tray, without the
+ * main window, and report the result in a notification
+ */
+async function exportFromTray() {
+  const shellName = aliasService.detectShell().defaultShell;
+  let result;
+  try {
+    result = await aliasService.exportSavedAliases(shellName);
+  } catch (err) {
+    log.error("Failed to export aliases from the tray:", err);
+    result = { success: false, error: err.message };
+  }
+  lastExportOutcome = trayData.toExportOutcome(result, shellName);
+  await refreshWatchedFiles();
+  const { title, body } = trayData.toExportNotification(lastExportOutcome);
+  tray.showNotification(title, body);
+  await refreshTrayMenu();
+}
+
+/**
+ * Import aliases from the user's shell from the tray, without the main
+ * window, and report the result in a notification
+ */
+async function importFromTray() {
+  const shellName = aliasService.detectShell().defaultShell;
+  try {
+    const result = await aliasService.importFromShell(shellName);
+    await refreshWatchedFiles();
+    const { title, body } = trayData.toImportNotification(result, shellName);
+    tray.showNotification(title, body);
+    if (result.imported.length > 0) {
+      // An open window would otherwise save its stale copy over the import
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send("aliases-changed");
+      }
+      await refreshTrayMenu();
+    }
+  } catch (err) {
+    log.error("Failed to import aliases from the tray:", err);
+    tray.showNotification("Import failed", err.message);
+  }
+}
+
+/**
+ * Point the file watcher at the current export targets and take new
+ * snapshots; call after AliasForge writes a watched file itself
+ */
+async function refreshWatchedFiles() {
+  if (!fileWatcher) {
+    return;
+  }
+  try {
+    await fileWatcher.setPaths(await aliasService.getWatchedPaths(aliasService.detectShell().defaultShell));
+  } catch (err) {
+    log.error("Failed to update the watched files:", err);
+  }
+}
+
+/**
+ * Tell the window about a watched file changed outside AliasForge, or keep
+ * the report for it and show a notification while it is closed
+ * @param {Object} change - { path, previous, current } from FileWatcher
+ */
+async function handleExternalChange(change) {
+  try {
+    const report = await aliasService.describeExternalChange(change, aliasService.detectShell().defaultShell);
+    if (report.source === "store") {
+      await refreshTrayMenu();
+    } else if (report.newAliases.length === 0 && !report.outOfDate) {
+      // Edits that leave the aliases alone, like a new PATH entry
+      return;
+    }
+    log.info(`${change.path} changed outside AliasForge`);
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("files-changed", report);
+    } else {
+      pendingFileChanges.set(report.path, report);
+      const { title, body } = trayData.toFileChangeNotification(report);
+      tray.showNotification(title, body);
+    }
+  } catch (err) {
+    log.error(`Failed to check the change to ${change.path}:`, err);
+  }
+}
+
 // ============================================
 // App Lifecycle
 // ============================================
 
 app.whenReady().then(async () => {
+  // `electron . --cli <command>` runs the command-line interface headless
+  const cliIndex = process.argv.indexOf("--cli");
+  if (cliIndex !== -1) {
+    if (app.dock) {
+      app.dock.hide();
+    }
+    const exitCode = await cli.runCli(process.argv.slice(cliIndex + 1), {
+      userDataPath: app.getPath("userData"),
+      home: app.getPath("home")
+    });
+    app.exit(exitCode);
+    return;
+  }
+
   // Configure electron-log after app is ready
   log.transports.file.level = 'info';
   log.transports.console.level = 'debug';
@@ -123,9 +286,39 @@ app.whenReady().then(async () => {
   log.info('Log file location:', logPath);
   log.info('========================================');
 
-  await ensureDataDirectory();
+  aliasService = new AliasService({
+    dataDir: getAppDataPath(),
+    backupDir: getBackupDirectory(),
+    home: app.getPath("home"),
+    logger: log
+  });
+  await aliasService.ensureDataDirectory();
   await setupIpcHandlers();
-  createMainWindow();
+
+  fileWatcher = new FileWatcher({ onChange: handleExternalChange, logger: log });
+  await refreshWatchedFiles();
+
+  // Initialize quick launcher before the tray, whose menu shows its shortcut
+  const settings = await aliasService.readSettings();
+  quickLauncher.init({
+    aliasService,
+    shortcut: settings.quickLauncherShortcut,
+    notify: (title, body) => tray.showNotification(title, body)
+  });
+
+  // Initialize tray; its export and import run here, not in the window
+  tray.init(null, createMainWindow);
+  tray.setActions({
+    selectProfile: selectExportProfile,
+    exportAliases: exportFromTray,
+    importAliases: importFromTray
+  });
+  await refreshTrayMenu();
+
+  // Background mode starts with the tray alone; the window opens from it
+  if (!tray.config.trayOnly) {
+    createMainWindow();
+  }
 
   // Initialize updater (production and development with --dev flag)
   if (!app.isPackaged && !process.argv.includes("--dev")) {
@@ -134,22 +327,14 @@ app.whenReady().then(async () => {
     updater.init(mainWindow);
   }
 
-  // Initialize tray
-  tray.init(mainWindow);
-
   app.on("activate", () => {
-    if (BrowserWindow.getAllWindows().length === 0) {
-      createMainWindow();
-      tray.init(mainWindow);
-    } else {
-      tray.showMainWindow();
-    }
+    tray.showMainWindow();
   });
 });
 
 app.on("window-all-closed", () => {
-  // On macOS with tray mode, keep app running
-  if (process.platform === "darwin" && tray.config.trayOnly) {
+  // In tray mode, keep app running without any window
+  if (tray.config.trayOnly) {
     return;
   }
   
@@ -158,7 +343,14 @@ app.on("window-all-closed", () => {
   }
 });
 
-app.on("before-quit", () => {
+app.on("before-quit", (event) => {
+  // Let a tray config save finish first; quitting again lands back here
+  if (tray && tray.hasPendingSave()) {
+    event.preventDefault();
+    tray.saveQueue.then(() => app.quit());
+    return;
+  }
+
   // Cleanup
   log.info('Application shutting down');
   if (updater) {
@@ -167,6 +359,10 @@ app.on("before-quit", () => {
   if (tray) {
     tray.cleanup();
   }
+  quickLauncher.cleanup();
+  if (fileWatcher) {
+    fileWatcher.close();
+  }
   // Ensure logs are flushed before exit
   try {
     if (log.transports.file && typeof log.transports.file.flush === 'function') {
@@ -195,93 +391,84 @@ async function setupIpcHandlers() {
   // Settings management
   ipcMain.handle("settings:load", async () => {
     try {
-      const settingsPath = getDataFilePath("settings.json");
-      const data = await fs.readFile(settingsPath, "utf8");
-      return JSON.parse(data);
+      return await aliasService.readSettings();
     } catch (err) {
-      if (err.code === "ENOENT") {
-        // Return default settings if file doesn't exist
-        return getDefaultSettings();
-      }
-      throw new Error("Failed to load settings");
+      console.error("Failed to load settings:", err);
+      throw new Error(`Failed to load settings: ${err.message}`);
     }
   });
 
   ipcMain.handle("settings:save", async (_, settings) => {
     try {
-      const settingsPath = getDataFilePath("settings.json");
-      await fs.writeFile(settingsPath, JSON.stringify(settings, null, 2), "utf8");
-      return { success: true };
+      await aliasService.saveSettings(settings);
     } catch (err) {
       console.error("Failed to save settings:", err);
       throw new Error("Failed to save settings");
     }
+    // The export target may have moved
+    await refreshWatchedFiles();
+    await refreshTrayMenu();
+    const shortcut = settings.quickLauncherShortcut;
+    if (shortcut === quickLauncher.shortcut) {
+      return { success: true };
+    }
+    const registered = quickLauncher.setShortcut(shortcut);
+    tray.updateTrayMenu();
+    return registered
+      ? { success: true }
+      : { success: true, shortcutError: `The shortcut ${shortcut} is invalid or used by another app` };
   });
 
   // Alias management
   ipcMain.handle("aliases:load", async () => {
     try {
-      const aliasesPath = getDataFilePath("aliases.json");
-      const data = await fs.readFile(aliasesPath, "utf8");
-      return JSON.parse(data);
+      return await aliasService.readAliasStore();
     } catch (err) {
-      if (err.code === "ENOENT") {
-        return { aliases: [], profiles: [] };
-      }
-      throw new Error("Failed to load aliases");
+      console.error("Failed to load aliases:", err);
+      throw new Error(`Failed to load aliases: ${err.message}`);
     }
   });
 
   ipcMain.handle("aliases:save", async (_, data) => {
+    let saved;
     try {
-      const aliasesPath = getDataFilePath("aliases.json");
-      await fs.writeFile(aliasesPath, JSON.stringify(data, null, 2), "utf8");
-      return { success: true };
+      // The save goes through even if the sync repository can't take it
+      saved = await aliasService.saveLibrary(data);
     } catch (err) {
       console.error("Failed to save aliases:", err);
       throw new Error("Failed to save aliases");
     }
+    await refreshWatchedFiles();
+    await refreshTrayMenu();
+    return saved.syncError ? { success: true, syncError: saved.syncError } : { success: true };
   });
 
-  // Shell detection
-  ipcMain.handle("shell:detect", async () => {
-    const platform = process.platform;
-    const env = process.env;
-
-    let defaultShell = null;
-    let shellPath = null;
-
-    if (platform === "win32") {
-      defaultShell = "powershell";
-      shellPath = env.SHELL || "powershell.exe";
-    } else {
-      shellPath = env.SHELL || "/bin/bash";
-      console.log(`Detected shell path: ${shellPath}`);
-      const shellName = path.basename(shellPath);
-      
-      if (shellName.includes("zsh")) {
-        defaultShell = "zsh";
-      } else if (shellName.includes("bash")) {
-        defaultShell = "bash";
-      } else if (shellName.includes("fish")) {
-        defaultShell = "fish";
-      } else {
-        defaultShell = "bash";
+  // Git sync
+  ipcMain.handle("sync:run", async (_, resolutions) => {
+    try {
+      const result = await aliasService.syncLibrary(resolutions);
+      if (result.pulled) {
+        await refreshWatchedFiles();
+        await refreshTrayMenu();
       }
+      return result;
+    } catch (err) {
+      log.error("Failed to sync aliases:", err);
+      return { success: false, error: err.message };
     }
+  });
 
-    return {
-      platform,
-      defaultShell,
-      shellPath,
-      configPath: getShellConfigPath(defaultShell)
-    };
+  // Shell detection
+  ipcMain.handle("shell:detect", async () => {
+    const shellInfo = aliasService.detectShell();
+    console.log(`Detected shell path: ${shellInfo.shellPath}`);
+    return shellInfo;
   });
 
   // Import aliases from system
   ipcMain.handle("aliases:import", async (_, shellName) => {
     try {
-      const aliases = await parseAliasesFromShell(shellName);
+      const aliases = await aliasService.parseAliasesFromShell(shellName);
       console.log(`Imported ${aliases.length} aliases from ${shellName}`);
       return { success: true, aliases, count: aliases.length };
     } catch (err) {
@@ -291,16 +478,138 @@ async function setupIpcHandlers() {
   });
 
   // Export aliases to shell immediately
-  ipcMain.handle("aliases:export", async (_, aliases, shellName) => {
+  ipcMain.handle("aliases:export", async (_, aliases, shellName, options) => {
     try {
-      const result = await writeAliasesToShell(aliases, shellName);
+      const result = await aliasService.writeAliasesToShell(aliases, shellName, options);
+      lastExportOutcome = trayData.toExportOutcome(result, shellName);
+      await refreshWatchedFiles();
+      await refreshTrayMenu();
       return result;
     } catch (err) {
       console.error("Failed to export aliases:", err);
+      lastExportOutcome = trayData.toExportOutcome({ success: false, error: err.message }, shellName);
+      await refreshWatchedFiles();
+      await refreshTrayMenu();
       return { success: false, error: err.message };
     }
   });
 
+  // Warnings about shadowed commands and rc file collisions
+  ipcMain.handle("aliases:lint", async (_, aliases, shellName) => {
+    try {
+      return { success: true, results: await aliasService.lintAliasesForShell(aliases, shellName) };
+    } catch (err) {
+      console.error("Failed to lint aliases:", err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Syntax errors in one alias's command and platform variants, for the editor
+  ipcMain.handle("aliases:check-syntax", async (_, alias, shellName) => {
+    try {
+      return { success: true, errors: await aliasService.checkAliasSyntax(alias, shellName) };
+    } catch (err) {
+      console.error("Failed to check alias syntax:", err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Preview an export without writing anything
+  ipcMain.handle("aliases:preview-export", async (_, aliases, shellName) => {
+    try {
+      return await aliasService.previewShellExport(aliases, shellName);
+    } catch (err) {
+      console.error("Failed to preview export:", err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Alias collection files; the format follows the file extension
+  ipcMain.handle("aliases:parse-file", async (_, text, fileName) => {
+    try {
+      const result = collectionFormats.parseCollection(String(text), String(fileName || ""));
+      if (result.error) {
+        return { success: false, ...result };
+      }
+      // Reject collections from a newer AliasForge and upgrade older ones
+      const migrated = schema.migrateCollection(result.data);
+      if (migrated.error) {
+        return { success: false, error: migrated.error, line: 0 };
+      }
+      return { success: true, data: migrated.data, lines: result.lines };
+    } catch (err) {
+      console.error("Failed to parse alias file:", err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle("aliases:export-file", async (_, data) => {
+    try {
+      const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: "Save Aliases to File",
+        defaultPath: `alias-forge-export-${new Date().toISOString().split("T")[0]}.json`,
+        filters: [
+          { name: "JSON", extensions: ["json"] },
+          { name: "YAML", extensions: ["yaml", "yml"] },
+          { name: "TOML", extensions: ["toml"] }
+        ]
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+      const targetPath = collectionFormats.getFormat(filePath) ? filePath : `${filePath}.json`;
+      await writeFileAtomic(targetPath, collectionFormats.stringifyCollection({ ...data, schemaVersion: schema.ALIASES_SCHEMA_VERSION }, targetPath));
+      return { success: true, path: targetPath, format: collectionFormats.getFormat(targetPath) };
+    } catch (err) {
+      console.error("Failed to save alias file:", err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Placeholders in a command, for the alias editor
+  ipcMain.handle("aliases:parse-template", async (_, command) => {
+    try {
+      return { success: true, ...templates.parseTemplate(String(command || "")) };
+    } catch (err) {
+      console.error("Failed to parse placeholders:", err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Export history and rollback
+  ipcMain.handle("history:list", async () => {
+    try {
+      const entries = await aliasService.exportHistory.list();
+      return { success: true, entries };
+    } catch (err) {
+      console.error("Failed to load export history:", err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle("history:restore", async (_, entryId) => {
+    try {
+      const result = await aliasService.restoreExportEntry(entryId);
+      if (result.success) {
+        // The restore is now the newest entry in the export log
+        lastExportOutcome = null;
+        await refreshWatchedFiles();
+        await refreshTrayMenu();
+      }
+      return result;
+    } catch (err) {
+      console.error("Failed to restore export:", err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Watched files changed while the window was closed; see handleExternalChange
+  ipcMain.handle("watcher:pending", () => {
+    const changes = [...pendingFileChanges.values()];
+    pendingFileChanges.clear();
+    return { success: true, changes };
+  });
+
   // File operations (with validation)
   ipcMain.handle("file:read", async (_, filePath) => {
     try {
@@ -316,7 +625,7 @@ async function setupIpcHandlers() {
   ipcMain.handle("file:write", async (_, filePath, content) => {
     try {
       const validPath = validateFilePath(filePath);
-      await fs.writeFile(validPath, content, "utf8");
+      await writeFileAtomic(validPath, content);
       return { success: true };
     } catch (err) {
       console.error("Failed to write file:", err);
@@ -327,11 +636,7 @@ async function setupIpcHandlers() {
   ipcMain.handle("file:backup", async (_, filePath) => {
     try {
       const validPath = validateFilePath(filePath);
-      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const backupPath = `${validPath}.backup-${timestamp}`;
-      
-      await fs.copyFile(validPath, backupPath);
-      return { success: true, backupPath };
+      return { success: true, backupPath: await aliasService.backupFile(validPath) };
     } catch (err) {
       console.error("Failed to backup file:", err);
       return { success: false, error: err.message };
@@ -389,267 +694,3 @@ async function setupIpcHandlers() {
     }
   });
 }
-
-/**
- * Get shell config file path based on shell and platform
- */
-function getShellConfigPath(shellName) {
-  const home = app.getPath("home");
-  const platform = process.platform;
-  
-  if (platform === "win32") {
-    if (shellName === "powershell") {
-      return path.join(home, "Documents", "PowerShell", "Microsoft.PowerShell_profile.ps1");
-    } else {
-      return path.join(home, "aliases.cmd");
-    }
-  } else {
-    // macOS and Linux
-    switch (shellName) {
-      case "zsh":
-        return path.join(home, ".zshrc");
-      case "bash":
-        return path.join(home, ".bashrc");
-      case "fish":
-        return path.join(home, ".config", "fish", "config.fish");
-      default:
-        return path.join(home, ".bashrc");
-    }
-  }
-}
-
-/**
- * Parse aliases by running the alias command
- */
-async function parseAliasesFromShell(shellName) {
-  try {
-    const platform = process.platform;
-    let command;
-    
-    if (platform === "win32") {
-      if (shellName === "powershell") {
-        command = "Get-Alias | Format-Table -HideTableHeaders Name, Definition";
-      } else {
-        command = "doskey /macros";
-      }
-    } else {
-      // Unix-like systems (macOS, Linux)
-      // Run alias command in interactive shell
-      const shellPath = process.env.SHELL || "/bin/bash";
-      command = `${shellPath} -i -c "alias"`;
-    }
-    
-    console.log(`Running command: ${command}`);
-    
-      const { stdout, stderr } = await execAsync(command);
-    // console.log(`Command output length: ${stdout.length} bytes`);
-    // console.log(`First 500 chars: ${stdout.substring(0, 500)}`);
-    if (stderr) {
-      console.log(`Command stderr: ${stderr}`);
-    }
-    
-    // Clean control / escape sequences (OSC/CSI and similar) that some shells
-    // emit when running interactive commands in embedded contexts (e.g. iTerm2
-    // reports with OSC 1337 sequences). Remove them before parsing.
-    let cleaned = stdout || "";
-
-    // Remove OSC sequences like ESC ] 1337;... BEL or ESC\\ terminated
-    cleaned = cleaned.replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, "");
-    // Remove common ANSI CSI sequences
-    cleaned = cleaned.replace(/\x1b\[[0-9;]*[A-Za-z]/g, "");
-    // Also remove stray BEL or other non-printables except newline and basic punctuation
-    cleaned = cleaned.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, "");
-
-    const aliases = [];
-    const lines = cleaned.split('\n').map(l => l.trim()).filter(line => line.length > 0);
-    
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
-      if (!line) continue;
-
-      // Some shells print lines with a leading "alias " prefix. Remove it
-      // so the remainder matches name=command patterns.
-      if (line.startsWith("alias ")) {
-        line = line.slice(6).trim();
-      }
-      
-      if (platform === "win32" && shellName === "powershell") {
-        // PowerShell format: Name    Definition
-        const parts = line.split(/\s{2,}/);
-        if (parts.length >= 2) {
-          aliases.push({
-            id: `imported-${Date.now()}-${i}-${Math.random().toString(36).substr(2, 9)}`,
-            name: parts[0].trim(),
-            command: parts[1].trim(),
-            description: "",
-            tags: ["imported"],
-            enabled: true,
-            source: "system"
-          });
-        }
-      } else if (platform === "win32") {
-        // CMD format: name=command
-        const match = line.match(/^([^=]+)=(.+)$/);
-        if (match) {
-          aliases.push({
-            id: `imported-${Date.now()}-${i}-${Math.random().toString(36).substr(2, 9)}`,
-            name: match[1].trim(),
-            command: match[2].trim(),
-            description: "",
-            tags: ["imported"],
-            enabled: true,
-            source: "system"
-          });
-        }
-      } else {
-        // Unix format from 'alias' command output: name='command' or name="command"
-        const match = line.match(/^([^=]+)=(.+)$/);
-        if (match) {
-          let name = match[1].trim();
-          let command = match[2].trim();
-
-          // Remove surrounding quotes if present
-          if ((command.startsWith("'") && command.endsWith("'")) ||
-              (command.startsWith('"') && command.endsWith('"'))) {
-            command = command.slice(1, -1);
-          }
-
-          // Validate alias name: must start with a letter or underscore and
-          // contain at least one alphanumeric character. This filters out
-          // strange entries like "-='cd -'" which originate from shells.
-          const validName = /^[A-Za-z_][A-Za-z0-9_-]*$/.test(name);
-          if (!validName) {
-            console.log(`Skipping invalid alias name when importing: "${name}"`);
-            continue;
-          }
-
-          aliases.push({
-            id: `imported-${Date.now()}-${i}-${Math.random().toString(36).substr(2, 9)}`,
-            name: name,
-            command: command,
-            description: "",
-            tags: ["imported"],
-            enabled: true,
-            source: "system"
-          });
-        }
-      }
-    }
-    
-    console.log(`Found ${aliases.length} aliases`);
-    return aliases;
-  } catch (err) {
-    console.error("Failed to get aliases from shell:", err);
-    return [];
-  }
-}
-
-/**
- * Write aliases to shell config file
- */
-async function writeAliasesToShell(aliases, shellName) {
-  try {
-    const configPath = getShellConfigPath(shellName);
-    const platform = process.platform;
-    
-    // Create backup first
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const backupPath = `${configPath}.aliasforge-backup-${timestamp}`;
-    
-    try {
-      await fs.copyFile(configPath, backupPath);
-    } catch (err) {
-      // File might not exist yet, that's okay
-      console.log("No existing config to backup");
-    }
-    
-    // Read existing content
-    let existingContent = "";
-    try {
-      existingContent = await fs.readFile(configPath, "utf8");
-    } catch (err) {
-      // File doesn't exist, will create new
-    }
-    
-    // Remove old AliasForge block
-    const blockStart = "# >>> AliasForge managed aliases >>>";
-    const blockEnd = "# <<< AliasForge managed aliases <<<";
-    
-    const startIndex = existingContent.indexOf(blockStart);
-    const endIndex = existingContent.indexOf(blockEnd);
-    
-    if (startIndex !== -1 && endIndex !== -1) {
-      existingContent = existingContent.substring(0, startIndex) + 
-                       existingContent.substring(endIndex + blockEnd.length);
-    }
-    
-    // Generate alias commands
-    let aliasBlock = "\n" + blockStart + "\n";
-    aliasBlock += "# Managed by AliasForge - do not edit manually\n";
-    aliasBlock += "# Last updated: " + new Date().toISOString() + "\n\n";
-    
-    const enabledAliases = aliases.filter(a => a.enabled);
-    
-    if (platform === "win32" && shellName === "powershell") {
-      // PowerShell format
-      for (const alias of enabledAliases) {
-        if (alias.description) {
-          aliasBlock += `# ${alias.description}\n`;
-        }
-        aliasBlock += `function ${alias.name} { ${alias.command} }\n`;
-      }
-    } else {
-      // Unix shell format
-      for (const alias of enabledAliases) {
-        if (alias.description) {
-          aliasBlock += `# ${alias.description}\n`;
-        }
-        aliasBlock += `alias ${alias.name}='${alias.command.replace(/'/g, "'\\''")}'\n`;
-      }
-    }
-    
-    aliasBlock += "\n" + blockEnd + "\n";
-    
-    // Write updated content
-    const newContent = existingContent.trimEnd() + aliasBlock;
-    await fs.writeFile(configPath, newContent, "utf8");
-    
-    return { success: true, path: configPath, backupPath };
-  } catch (err) {
-    console.error("Failed to write aliases to shell:", err);
-    throw new Error("Failed to update shell configuration");
-  }
-}
-
-/**
- * Get default application settings
- */
-function getDefaultSettings() {
-  const platform = process.platform;
-  const home = app.getPath("home");
-  
-  let exportPaths = {};
-  
-  if (platform === "darwin" || platform === "linux") {
-    exportPaths = {
-      zsh: path.join(home, ".zshrc"),
-      bash: path.join(home, ".bashrc"),
-      fish: path.join(home, ".config", "fish", "config.fish")
-    };
-  } else if (platform === "win32") {
-    exportPaths = {
-      powershell: path.join(home, "Documents", "PowerShell", "Microsoft.PowerShell_profile.ps1"),
-      cmd: path.join(home, "aliases.cmd")
-    };
-  }
-
-  return {
-    theme: "dark",
-    defaultPlatform: "all",
-    exportPaths,
-    exportStrategy: "dedicated",
-    backupCount: 5,
-    openOnLogin: false,
-    minimizeToTray: false
-  };
-}
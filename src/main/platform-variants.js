@@ -0,0 +1,58 @@
+/**
+ * Platform Variants Module
+ * Picks the command an alias should use on a given OS and shell
+ *
+ * An alias may carry a platforms map keyed by process.platform:
+ *   platforms: { darwin: { shell: "zsh", command: "..." }, win32: { shell: "", command: "..." } }
+ * An empty shell means the variant applies to every shell on that OS. The
+ * alias's own command is the fallback for platforms without a variant.
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const PLATFORMS = ["darwin", "linux", "win32"];
+
+/**
+ * Get the command an alias should use
+ * @param {Object} alias - Alias definition
+ * @param {string} platform - OS, as in process.platform
+ * @param {string} shellName - Target shell
+ * @returns {string|null} Command, or null if the alias has no implementation
+ */
+function resolveCommand(alias, platform, shellName) {
+  const variant = alias.platforms && alias.platforms[platform];
+  if (variant && variant.command && (!variant.shell || variant.shell === shellName)) {
+    return variant.command;
+  }
+  return alias.command || null;
+}
+
+/**
+ * Replace each alias's command with the variant for the target, leaving out
+ * aliases that have none
+ * @param {Array} aliases - Aliases to export
+ * @param {string} platform - OS, as in process.platform
+ * @param {string} shellName - Target shell
+ * @returns {{aliases: Array, missing: Array<string>}} Aliases with their
+ *   resolved command, and the names of the ones left out
+ */
+function applyPlatformVariants(aliases, platform, shellName) {
+  const resolved = [];
+  const missing = [];
+  for (const alias of aliases) {
+    const command = resolveCommand(alias, platform, shellName);
+    if (command) {
+      resolved.push(command === alias.command ? alias : { ...alias, command });
+    } else {
+      missing.push(alias.name);
+    }
+  }
+  return { aliases: resolved, missing };
+}
+
+module.exports = {
+  PLATFORMS,
+  resolveCommand,
+  applyPlatformVariants
+};
@@ -0,0 +1,111 @@
+/**
+ * Profiles Module
+ * Normalises the profile list stored in aliases.json and resolves which
+ * alias wins when several active profiles define the same name
+ *
+ * Profiles are kept in priority order, highest first. Which profiles are
+ * active is a per-machine choice stored in settings.json (activeProfiles),
+ * so a shared alias library can be used differently on each machine.
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const DEFAULT_PROFILE_ID = "default";
+
+/**
+ * Make sure the profile list is usable: drop malformed entries and
+ * duplicates, and add the default profile if it is missing
+ * @param {Array} [profiles] - Profiles as stored
+ * @returns {Array<{id: string, name: string, description: string}>} Profiles in priority order
+ */
+function normalizeProfiles(profiles) {
+  const seen = new Set();
+  const result = [];
+  for (const profile of Array.isArray(profiles) ? profiles : []) {
+    if (!profile || typeof profile.id !== "string" || !profile.id || seen.has(profile.id)) {
+      continue;
+    }
+    seen.add(profile.id);
+    result.push({
+      ...profile,
+      name: typeof profile.name === "string" && profile.name.trim() ? profile.name : profile.id,
+      description: profile.description || ""
+    });
+  }
+  if (!seen.has(DEFAULT_PROFILE_ID)) {
+    result.push({ id: DEFAULT_PROFILE_ID, name: "Default", description: "" });
+  }
+  return result;
+}
+
+/**
+ * Get the profile an alias belongs to
+ * @param {Object} alias - Alias definition
+ * @returns {string} Profile id
+ */
+function getAliasProfile(alias) {
+  return alias.profile || DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Pick the aliases to export from the active profiles
+ *
+ * Only enabled aliases take part. When two active profiles define the same
+ * name, the one from the profile listed first wins. Aliases whose profile no
+ * longer exists are treated as part of the default profile.
+ * @param {Array} aliases - All aliases
+ * @param {Array} profiles - Profiles in priority order
+ * @param {Array<string>} activeProfiles - Ids of the profiles active on this machine
+ * @returns {{aliases: Array, sources: Array, conflicts: Array}} The winning
+ *   aliases in library order, the profile that supplied each one, and the
+ *   names that were defined by more than one active profile
+ */
+function resolveProfiles(aliases, profiles, activeProfiles) {
+  const ordered = normalizeProfiles(profiles);
+  const known = new Set(ordered.map(profile => profile.id));
+  const active = new Set(activeProfiles);
+  const rank = new Map(ordered.filter(profile => active.has(profile.id)).map((profile, index) => [profile.id, index]));
+
+  const candidates = new Map();
+  for (const alias of aliases) {
+    const profile = known.has(getAliasProfile(alias)) ? getAliasProfile(alias) : DEFAULT_PROFILE_ID;
+    if (!alias.enabled || !rank.has(profile)) {
+      continue;
+    }
+    if (!candidates.has(alias.name)) {
+      candidates.set(alias.name, []);
+    }
+    candidates.get(alias.name).push({ alias, profile });
+  }
+
+  const winners = new Set();
+  const sources = [];
+  const conflicts = [];
+  for (const [name, entries] of candidates) {
+    // Stable sort keeps library order within a profile
+    const sorted = [...entries].sort((a, b) => rank.get(a.profile) - rank.get(b.profile));
+    winners.add(sorted[0].alias);
+    sources.push({ name, profile: sorted[0].profile });
+    if (sorted.length > 1) {
+      conflicts.push({
+        name,
+        winner: sorted[0].profile,
+        overridden: sorted.slice(1).map(entry => entry.profile)
+      });
+    }
+  }
+
+  return {
+    aliases: aliases.filter(alias => winners.has(alias)),
+    sources,
+    conflicts
+  };
+}
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  normalizeProfiles,
+  getAliasProfile,
+  resolveProfiles
+};
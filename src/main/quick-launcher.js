@@ -0,0 +1,281 @@
+/**
+ * Quick Launcher Module
+ * Small frameless window, opened with a global hotkey or from the tray, to
+ * find an alias and copy its command or paste it into the frontmost terminal
+ * without opening the main window
+ */
+
+const { app, BrowserWindow, globalShortcut, clipboard, ipcMain, screen } = require('electron');
+const path = require('path');
+const { execFile } = require('child_process');
+const aliasSearch = require('./alias-search');
+const templates = require('./templates');
+
+// Keystroke that pastes into the frontmost window; terminals on Linux
+// paste with Ctrl+Shift+V
+const PASTE_COMMANDS = {
+  darwin: ['osascript', ['-e', 'tell application "System Events" to keystroke "v" using command down']],
+  win32: ['powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', '(New-Object -ComObject WScript.Shell).SendKeys("^v")']],
+  linux: ['xdotool', ['key', '--clearmodifiers', 'ctrl+shift+v']]
+};
+
+// Time for focus to return to the previous window before pasting
+const PASTE_DELAY_MS = 200;
+
+class QuickLauncher {
+  constructor() {
+    this.window = null;
+    this.shortcut = null;
+    this.aliasService = null;
+    this.notify = () => {};
+    this.ipcHandlersSetup = false;
+  }
+
+  /**
+   * Initialize the launcher
+   * @param {Object} options
+   * @param {AliasService} options.aliasService - Reads the alias library
+   * @param {string} options.shortcut - Global hotkey; empty disables it
+   * @param {Function} [options.notify] - Shows a notification (title, body)
+   */
+  init({ aliasService, shortcut, notify }) {
+    this.aliasService = aliasService;
+    if (notify) {
+      this.notify = notify;
+    }
+    this.setShortcut(shortcut);
+
+    // Setup IPC handlers for the launcher window (only once)
+    if (!this.ipcHandlersSetup) {
+      this.setupIPC();
+      this.ipcHandlersSetup = true;
+    }
+  }
+
+  /**
+   * Register the global hotkey, replacing the previous one
+   * @param {string} shortcut - Electron accelerator; empty disables the hotkey
+   * @returns {boolean} false if the hotkey is invalid or taken by another app
+   */
+  setShortcut(shortcut) {
+    if (this.shortcut) {
+      globalShortcut.unregister(this.shortcut);
+      this.shortcut = null;
+    }
+    if (!shortcut) {
+      return true;
+    }
+
+    let registered = false;
+    try {
+      registered = globalShortcut.register(shortcut, () => this.toggle());
+    } catch (error) {
+      console.error(`Invalid quick launcher shortcut "${shortcut}":`, error);
+    }
+    if (!registered) {
+      console.warn(`Could not register quick launcher shortcut "${shortcut}"`);
+      return false;
+    }
+    this.shortcut = shortcut;
+    return true;
+  }
+
+  /**
+   * Create the launcher window
+   */
+  createWindow() {
+    this.window = new BrowserWindow({
+      width: 640,
+      height: 420,
+      frame: false,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      skipTaskbar: true,
+      alwaysOnTop: true,
+      show: false,
+      backgroundColor: '#1E1E1E',
+      webPreferences: {
+        preload: path.join(__dirname, '../preload/launcher-preload.js'),
+        contextIsolation: true,
+        nodeIntegration: false,
+        sandbox: true
+      }
+    });
+
+    this.window.loadFile(path.join(__dirname, '../renderer/launcher.html'));
+
+    // Get out of the way as soon as focus moves elsewhere
+    this.window.on('blur', () => this.hide());
+    this.window.on('closed', () => {
+      this.window = null;
+    });
+  }
+
+  /**
+   * Show the launcher near the top of the display the cursor is on
+   */
+  show() {
+    if (!this.window) {
+      this.createWindow();
+    }
+
+    const { workArea } = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    const { width } = this.window.getBounds();
+    this.window.setPosition(
+      Math.round(workArea.x + (workArea.width - width) / 2),
+      Math.round(workArea.y + workArea.height * 0.2)
+    );
+    this.window.show();
+    this.window.focus();
+    this.window.webContents.send('launcher:shown');
+  }
+
+  /**
+   * Hide the launcher
+   */
+  hide() {
+    if (this.window && this.window.isVisible()) {
+      this.window.hide();
+    }
+  }
+
+  /**
+   * Show the launcher if it is hidden, hide it otherwise
+   */
+  toggle() {
+    if (this.window && this.window.isVisible()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Search the saved aliases
+   * @param {string} query - Words typed into the launcher
+   */
+  async search(query) {
+    const store = await this.aliasService.readAliasStore();
+    const { defaultShell } = this.aliasService.detectShell();
+    return aliasSearch.searchAliases(store.aliases, query, {
+      platform: this.aliasService.platform,
+      shellName: defaultShell
+    });
+  }
+
+  /**
+   * Get the command an alias runs on this machine, with its placeholders
+   * filled in and quoted for the user's shell
+   * @param {string} aliasId - Alias id
+   * @param {Object<string, string>} [values] - Placeholder values by name
+   * @throws {Error} If the alias no longer exists, a placeholder without a
+   *   default has no value or a value can't be quoted for the shell
+   */
+  async getCommand(aliasId, values = {}) {
+    const store = await this.aliasService.readAliasStore();
+    const alias = store.aliases.find(a => a.id === aliasId);
+    if (!alias) {
+      throw new Error('Alias not found');
+    }
+    const shellName = this.aliasService.detectShell().defaultShell;
+    const [match] = aliasSearch.searchAliases([alias], '', {
+      platform: this.aliasService.platform,
+      shellName
+    });
+    if (!match) {
+      throw new Error(`"${alias.name}" has no command for this platform`);
+    }
+    return { ...match, command: templates.fillTemplate(match.command, values, { shellName }) };
+  }
+
+  /**
+   * Put the command on the clipboard, hand focus back and paste it
+   * @param {string} command - Command to paste
+   * @returns {Promise<boolean>} false if the paste keystroke couldn't be sent;
+   *   the command is still on the clipboard
+   */
+  async paste(command) {
+    clipboard.writeText(command);
+    this.hide();
+    // Hiding the window alone leaves macOS focus on AliasForge
+    if (process.platform === 'darwin') {
+      app.hide();
+    }
+
+    const pasteCommand = PASTE_COMMANDS[process.platform];
+    if (!pasteCommand) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, PASTE_DELAY_MS));
+    return new Promise(resolve => {
+      execFile(pasteCommand[0], pasteCommand[1], { timeout: 5000 }, (error) => {
+        if (error) {
+          console.warn('Failed to send the paste keystroke:', error.message);
+        }
+        resolve(!error);
+      });
+    });
+  }
+
+  /**
+   * Setup IPC handlers
+   */
+  setupIPC() {
+    ipcMain.handle('launcher:search', async (event, query) => {
+      try {
+        return { success: true, results: await this.search(query) };
+      } catch (error) {
+        console.error('Quick launcher search failed:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('launcher:copy', async (event, aliasId, values) => {
+      try {
+        const { command } = await this.getCommand(aliasId, values);
+        clipboard.writeText(command);
+        this.hide();
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('launcher:paste', async (event, aliasId, values) => {
+      try {
+        const { name, command } = await this.getCommand(aliasId, values);
+        const pasted = await this.paste(command);
+        if (!pasted) {
+          this.notify('AliasForge', `Copied "${name}" to the clipboard; paste it into your terminal.`);
+        }
+        return { success: true, pasted };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('launcher:hide', () => {
+      this.hide();
+      return { success: true };
+    });
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    if (this.shortcut) {
+      globalShortcut.unregister(this.shortcut);
+      this.shortcut = null;
+    }
+    if (this.window) {
+      this.window.destroy();
+      this.window = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new QuickLauncher();
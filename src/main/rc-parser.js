@@ -0,0 +1,625 @@
+/**
+ * RC File Parser
+ * Reads alias and function definitions straight from shell startup files, following
+ * source/. includes, without spawning an interactive shell
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { getBlockMarkers } = require("./shell-export");
+
+const MAX_INCLUDE_DEPTH = 10;
+
+// The pattern that opens a case arm, e.g. darwin*) or (linux*|"freebsd"*)
+const CASE_ARM_PATTERN = /^\s*\(?\s*(?:[^()'"\s|;]+|"[^"]*"|'[^']*')+(?:\s*\|\s*(?:[^()'"\s|;]+|"[^"]*"|'[^']*')+)*\s*\)/;
+
+// Words that can precede a command without changing what it is
+const LEADING_KEYWORDS = new Set(["if", "then", "else", "elif", "do", "while", "until", "{", "(", "!", "and", "or", "not", "builtin", "command"]);
+
+/**
+ * Get the quoting rules used by a shell's startup files
+ * @param {string} shellName - Shell name
+ * @returns {string} "posix", "fish", "powershell" or "cmd"
+ */
+function getSyntax(shellName) {
+  if (shellName === "fish" || shellName === "powershell" || shellName === "cmd") {
+    return shellName;
+  }
+  return "posix";
+}
+
+/**
+ * Get the startup files to scan for a shell
+ * @param {string} shellName - Shell name
+ * @param {Object} options
+ * @param {string} options.home - User home directory
+ * @param {string} options.configPath - The shell's main config file
+ * @returns {Array<string>} Files to parse, in load order
+ */
+function getRcFiles(shellName, { home, configPath }) {
+  const files = [configPath];
+  if (shellName === "bash") {
+    // Usually sourced from .bashrc, but scan it even when that line is missing
+    files.push(path.join(home, ".bash_aliases"));
+  }
+  return files;
+}
+
+/**
+ * Scan text and report which quote, if any, it leaves open
+ * @param {string} text - Text so far
+ * @param {string} syntax - Quoting rules
+ * @returns {string|null} The open quote character
+ */
+function getOpenQuote(text, syntax) {
+  const escape = syntax === "powershell" ? "`" : "\\";
+  let quoted = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted === "'") {
+      if (char === "'") {
+        quoted = null;
+      } else if (syntax === "fish" && char === "\\") {
+        i++;
+      }
+    } else if (quoted === "\"") {
+      if (char === escape) {
+        i++;
+      } else if (char === "\"") {
+        quoted = null;
+      }
+    } else if (char === escape) {
+      i++;
+    } else if (char === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return null;
+    } else if (char === "'" || char === "\"") {
+      quoted = char;
+    }
+  }
+  return quoted;
+}
+
+/**
+ * Split file content into logical lines, joining continuations and quoted
+ * strings that span lines, and dropping the AliasForge managed block
+ * @param {string} content - File content
+ * @param {string} shellName - Shell name
+ * @returns {Array<{text: string, line: number}>} Logical lines with their first line number
+ */
+function splitLogicalLines(content, shellName) {
+  const syntax = getSyntax(shellName);
+  const markers = getBlockMarkers(shellName);
+  const continuation = { posix: "\\", fish: "\\", powershell: "`", cmd: "^" }[syntax];
+  const lines = content.split(/\r?\n/);
+  const logical = [];
+  let inBlock = false;
+
+  for (let index = 0; index < lines.length; index++) {
+    const trimmed = lines[index].trim();
+    if (trimmed === markers.start) {
+      inBlock = true;
+      continue;
+    }
+    if (inBlock) {
+      inBlock = trimmed !== markers.end;
+      continue;
+    }
+
+    const start = index;
+    let text = lines[index];
+    while (index + 1 < lines.length) {
+      const openQuote = syntax === "cmd" ? null : getOpenQuote(text, syntax);
+      // A trailing escape continues the line everywhere except in single quotes
+      if (openQuote !== "'" && text.endsWith(continuation) && !text.endsWith(continuation.repeat(2))) {
+        text = text.slice(0, -1) + (syntax === "posix" || syntax === "fish" ? "" : " ") + lines[++index];
+      } else if (openQuote) {
+        text += `\n${lines[++index]}`;
+      } else {
+        break;
+      }
+    }
+    logical.push({ text, line: start + 1 });
+  }
+  return logical;
+}
+
+/**
+ * Split a logical line into simple commands, unquoting each word
+ * @param {string} text - Logical line
+ * @param {string} syntax - Quoting rules ("posix", "fish" or "powershell")
+ * @param {boolean} [stripKeywords=true] - Drop leading keywords such as "if" or "then"
+ * @returns {Array<Array<string>>} Words of each command
+ */
+function splitCommands(text, syntax, stripKeywords = true) {
+  const escape = syntax === "powershell" ? "`" : "\\";
+  const commands = [[]];
+  let word = null;
+  let quoted = null;
+
+  const endWord = () => {
+    if (word !== null) {
+      commands[commands.length - 1].push(word);
+      word = null;
+    }
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (quoted === "'") {
+      if (char === "'" && syntax === "powershell" && next === "'") {
+        word += "'";
+        i++;
+      } else if (char === "'") {
+        quoted = null;
+      } else if (syntax === "fish" && char === "\\" && (next === "'" || next === "\\")) {
+        word += next;
+        i++;
+      } else {
+        word += char;
+      }
+      continue;
+    }
+
+    if (quoted === "\"") {
+      if (char === escape && next !== undefined && (syntax === "powershell" || /["\\$`]/.test(next))) {
+        word += next;
+        i++;
+      } else if (char === "\"") {
+        quoted = null;
+      } else {
+        word += char;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      endWord();
+    } else if (char === "#" && word === null) {
+      break;
+    } else if (syntax === "powershell" && "{}()".includes(char)) {
+      // Script blocks and conditions, e.g. if (Test-Path $p) { . $p }
+      endWord();
+      commands.push([]);
+    } else if (char === ";" || char === "|" || (char === "&" && syntax !== "powershell")) {
+      endWord();
+      commands.push([]);
+      if (next === char) {
+        i++;
+      }
+    } else if (char === "'" || char === "\"") {
+      quoted = char;
+      word = word || "";
+    } else if (char === escape && next !== undefined) {
+      word = (word || "") + next;
+      i++;
+    } else {
+      word = (word || "") + char;
+    }
+  }
+  endWord();
+
+  return commands
+    .map(words => {
+      let index = 0;
+      while (stripKeywords && index < words.length && LEADING_KEYWORDS.has(words[index])) {
+        index++;
+      }
+      return words.slice(index);
+    })
+    .filter(words => words.length > 0);
+}
+
+/**
+ * Resolve an include path the way the shell would at startup
+ * @param {string} raw - Path as written in the file
+ * @param {Object} context
+ * @param {string} context.home - User home directory
+ * @param {string} context.file - File containing the include
+ * @returns {string|null} Absolute path, or null if it depends on runtime state
+ */
+function resolveIncludePath(raw, { home, file }) {
+  const resolved = raw
+    .replace(/^~(?=$|[\\/])/, home)
+    .replace(/\$\{ZDOTDIR:-\$HOME\}|\$\{?(?:ZDOTDIR|HOME)\}?|\$env:(?:HOME|USERPROFILE)|%USERPROFILE%/gi, home)
+    .replace(/\$PSScriptRoot/gi, path.dirname(file))
+    // PowerShell and cmd paths use backslashes; Node accepts / on every platform
+    .replace(/\\/g, "/");
+
+  if (/[$%*?`]/.test(resolved)) {
+    return null;
+  }
+  return path.resolve(home, resolved);
+}
+
+/**
+ * Read alias and include statements from a POSIX shell command
+ * @param {Array<string>} words - Command words
+ * @returns {Object|null} { aliases } or { include }
+ */
+function readPosixCommand(words) {
+  if (words[0] === "alias") {
+    const aliases = words.slice(1)
+      .filter(word => !word.startsWith("-") && word.includes("="))
+      .map(word => ({
+        name: word.slice(0, word.indexOf("=")),
+        command: word.slice(word.indexOf("=") + 1)
+      }));
+    return { aliases };
+  }
+  if ((words[0] === "source" || words[0] === ".") && words[1]) {
+    return { include: words[1] };
+  }
+  return null;
+}
+
+/**
+ * Read alias, abbr and include statements from a fish command
+ * @param {Array<string>} words - Command words
+ * @returns {Object|null} { aliases } or { include }
+ */
+function readFishCommand(words) {
+  if (words[0] === "alias") {
+    const args = words.slice(1).filter(word => !word.startsWith("-"));
+    if (args.length === 1 && args[0].includes("=")) {
+      const separator = args[0].indexOf("=");
+      return { aliases: [{ name: args[0].slice(0, separator), command: args[0].slice(separator + 1) }] };
+    }
+    if (args.length >= 2) {
+      return { aliases: [{ name: args[0], command: args.slice(1).join(" ") }] };
+    }
+    return null;
+  }
+  if (words[0] === "abbr") {
+    const args = [];
+    for (let index = 1; index < words.length; index++) {
+      const word = words[index];
+      if (["-e", "--erase", "-l", "--list", "-s", "--show", "-q", "--query", "-r", "--rename"].includes(word)) {
+        return null;
+      }
+      if (["--position", "-p", "--set-cursor", "--regex", "--function", "-f"].includes(word)) {
+        index++;
+      } else if (args.length > 0 || (word !== "--" && !word.startsWith("-"))) {
+        args.push(word);
+      }
+    }
+    if (args.length >= 2) {
+      return { aliases: [{ name: args[0], command: args.slice(1).join(" "), fishMode: "abbr" }] };
+    }
+    return null;
+  }
+  if ((words[0] === "source" || words[0] === ".") && words[1]) {
+    return { include: words[1] };
+  }
+  return null;
+}
+
+/**
+ * Read Set-Alias/New-Alias and dot-source statements from a PowerShell command
+ * @param {Array<string>} words - Command words
+ * @returns {Object|null} { aliases } or { include }
+ */
+function readPowerShellCommand(words) {
+  const verb = words[0].toLowerCase();
+  if (["set-alias", "new-alias", "sal", "nal"].includes(verb)) {
+    const named = {};
+    const positional = [];
+    for (let index = 1; index < words.length; index++) {
+      const word = words[index];
+      const param = word.match(/^-(\w+):?$/);
+      if (!param) {
+        positional.push(word);
+        continue;
+      }
+      const key = param[1].toLowerCase();
+      if (["name", "value", "description", "option", "scope"].includes(key)) {
+        named[key] = words[++index];
+      }
+    }
+    const name = named.name || positional.shift();
+    const command = named.value || positional.shift();
+    if (!name || !command) {
+      return null;
+    }
+    return { aliases: [{ name, command, description: named.description || "" }] };
+  }
+  if (verb === "." && words[1]) {
+    return { include: words[1] };
+  }
+  return null;
+}
+
+/**
+ * Read doskey macros and call includes from a cmd batch line
+ * @param {string} text - Logical line
+ * @returns {Object|null} { aliases } or { include }
+ */
+function readCmdLine(text) {
+  const line = text.trim().replace(/^@/, "");
+  const macro = line.match(/^doskey\s+(?!\/)([^=\s]+)=(.*)$/i);
+  if (macro) {
+    return { aliases: [{ name: macro[1], command: macro[2].trim() }] };
+  }
+  const call = line.match(/^call\s+"?([^"]+?)"?\s*$/i);
+  if (call) {
+    return { include: call[1] };
+  }
+  return null;
+}
+
+const COMMAND_READERS = {
+  posix: readPosixCommand,
+  fish: readFishCommand,
+  powershell: readPowerShellCommand
+};
+
+// name() {, function name {, function name() {
+const POSIX_FUNCTION_HEADER = /^\s*(?:function\s+([^\s(){};]+)\s*(?:\(\s*\))?|([A-Za-z_][\w.:-]*)\s*\(\s*\))\s*(\{.*)?$/;
+// function name {, function global:name {
+const POWERSHELL_FUNCTION_HEADER = /^\s*function\s+(?:(?:global|script):)?([^\s{}()]+)\s*(\{.*)?$/i;
+// Fish commands that open a block closed by "end"
+const FISH_BLOCK_OPENERS = new Set(["function", "if", "for", "while", "switch", "begin"]);
+
+/**
+ * Track brace depth through a line, ignoring quoted text and comments
+ * @param {string} text - Line to scan
+ * @param {string} syntax - Quoting rules ("posix" or "powershell")
+ * @param {number} depth - Depth before the line
+ * @returns {{depth: number, closeAt: number}} Depth after the line, and the
+ *   index of the brace that brought it to zero (or -1)
+ */
+function scanBraces(text, syntax, depth) {
+  const escape = syntax === "powershell" ? "`" : "\\";
+  let quoted = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === escape && quoted === "\"") {
+        i++;
+      } else if (char === quoted) {
+        quoted = null;
+      }
+    } else if (char === escape) {
+      i++;
+    } else if (char === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      break;
+    } else if (char === "'" || char === "\"") {
+      quoted = char;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && --depth === 0) {
+      return { depth, closeAt: i };
+    }
+  }
+  return { depth, closeAt: -1 };
+}
+
+/**
+ * Remove the indentation shared by every non-empty line
+ * @param {Array<string>} lines - Body lines
+ * @returns {string} Dedented body
+ */
+function dedent(lines) {
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const common = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(common).trimEnd()).join("\n").trim();
+}
+
+/**
+ * Read a brace-delimited function (bash/zsh or PowerShell)
+ * @param {Array} lines - Logical lines
+ * @param {number} index - Line holding the header
+ * @param {string} syntax - Quoting rules
+ * @returns {Object|null} { name, body, end } where end is the last line used
+ */
+function readBraceFunction(lines, index, syntax) {
+  const header = lines[index].text.match(syntax === "powershell" ? POWERSHELL_FUNCTION_HEADER : POSIX_FUNCTION_HEADER);
+  if (!header) {
+    return null;
+  }
+  const name = syntax === "powershell" ? header[1] : header[1] || header[2];
+  let opening = syntax === "powershell" ? header[2] : header[3];
+  let end = index;
+
+  // The opening brace may sit on the next line
+  if (!opening) {
+    const next = lines[index + 1];
+    if (!next || !next.text.trim().startsWith("{")) {
+      return null;
+    }
+    opening = next.text.trim();
+    end++;
+  }
+
+  const body = [];
+  let text = opening.slice(1);
+  let depth = 1;
+  for (;;) {
+    const scan = scanBraces(text, syntax, depth);
+    if (scan.closeAt !== -1) {
+      body.push(text.slice(0, scan.closeAt));
+      break;
+    }
+    body.push(text);
+    depth = scan.depth;
+    if (++end >= lines.length) {
+      return null;
+    }
+    text = lines[end].text;
+  }
+
+  // One-liners like "mkcd() { mkdir -p $1 && cd $1; }" end with a separator
+  return { name, body: dedent(body).replace(/;$/, ""), end };
+}
+
+/**
+ * Read a fish function block
+ * @param {Array} lines - Logical lines
+ * @param {number} index - Line holding the header
+ * @returns {Object|null} { name, body, description, end }
+ */
+function readFishFunction(lines, index) {
+  const commands = splitCommands(lines[index].text, "fish");
+  const words = commands[0] || [];
+  if (words[0] !== "function" || !words[1]) {
+    return null;
+  }
+
+  let description = "";
+  for (let i = 2; i < words.length; i++) {
+    if (words[i] === "-d" || words[i] === "--description") {
+      description = words[i + 1] || "";
+    }
+  }
+
+  // function gs; git status $argv; end
+  if (commands.length > 1) {
+    const oneLiner = lines[index].text.match(/^\s*function\s[^;]*;\s*(.*?)\s*;\s*end\s*$/);
+    return oneLiner ? { name: words[1], body: oneLiner[1], description, end: index } : null;
+  }
+
+  const body = [];
+  let depth = 1;
+  for (let end = index + 1; end < lines.length; end++) {
+    for (const command of splitCommands(lines[end].text, "fish", false)) {
+      if (FISH_BLOCK_OPENERS.has(command[0])) {
+        depth++;
+      } else if (command[0] === "end") {
+        depth--;
+      }
+    }
+    if (depth === 0) {
+      return { name: words[1], body: dedent(body), description, end };
+    }
+    body.push(lines[end].text);
+  }
+  return null;
+}
+
+/**
+ * Parse one file's content
+ * @param {string} content - File content
+ * @param {string} shellName - Shell name
+ * @returns {Array<Object>} Statements: { line, aliases } or { line, include }
+ */
+function parseContent(content, shellName) {
+  const syntax = getSyntax(shellName);
+  const lines = splitLogicalLines(content, shellName);
+  const statements = [];
+  // Inside case ... esac, so arm patterns can be dropped to reach their commands
+  let caseDepth = 0;
+
+  for (let index = 0; index < lines.length; index++) {
+    const { line } = lines[index];
+    let { text } = lines[index];
+    if (syntax === "cmd") {
+      const statement = readCmdLine(text);
+      if (statement) {
+        statements.push({ line, ...statement });
+      }
+      continue;
+    }
+
+    const fn = syntax === "fish" ? readFishFunction(lines, index) : readBraceFunction(lines, index, syntax);
+    if (fn) {
+      const entry = { name: fn.name, command: fn.body, kind: "function" };
+      if (fn.description) {
+        entry.description = fn.description;
+      }
+      statements.push({ line, aliases: [entry] });
+      index = fn.end;
+      continue;
+    }
+
+    if (syntax === "posix" && caseDepth > 0) {
+      text = text.replace(CASE_ARM_PATTERN, "");
+    }
+    for (const words of splitCommands(text, syntax)) {
+      if (syntax === "posix" && words[0] === "case") {
+        caseDepth++;
+      } else if (syntax === "posix" && words[0] === "esac") {
+        caseDepth = Math.max(0, caseDepth - 1);
+      }
+      const statement = COMMAND_READERS[syntax](words);
+      if (statement) {
+        statements.push({ line, ...statement });
+      }
+    }
+  }
+  return statements;
+}
+
+/**
+ * Parse aliases from a shell's startup files, following includes. A later
+ * definition of the same name replaces an earlier one, as it would in the
+ * shell.
+ * @param {Array<string>} files - Entry files, in load order
+ * @param {Object} options
+ * @param {string} options.shellName - Shell whose syntax the files use
+ * @param {string} options.home - User home directory
+ * @returns {Promise<Object>} { aliases: [{ name, command, sourceFile, line }], files, warnings }
+ */
+async function parseRcFiles(files, { shellName, home }) {
+  const aliases = new Map();
+  const visited = [];
+  const warnings = [];
+
+  const visit = async (file, depth) => {
+    if (visited.includes(file)) {
+      return;
+    }
+    if (depth > MAX_INCLUDE_DEPTH) {
+      warnings.push(`Not following ${file}: includes nested more than ${MAX_INCLUDE_DEPTH} levels deep`);
+      return;
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT" && err.code !== "EISDIR") {
+        warnings.push(`Could not read ${file}: ${err.message}`);
+      } else if (depth > 0) {
+        warnings.push(`Included file not found: ${file}`);
+      }
+      return;
+    }
+    visited.push(file);
+
+    for (const statement of parseContent(content, shellName)) {
+      if (statement.include) {
+        const includePath = resolveIncludePath(statement.include, { home, file });
+        if (includePath) {
+          await visit(includePath, depth + 1);
+        } else {
+          warnings.push(`${file}:${statement.line}: cannot resolve include "${statement.include}"`);
+        }
+        continue;
+      }
+      for (const alias of statement.aliases) {
+        aliases.delete(alias.name);
+        aliases.set(alias.name, { ...alias, sourceFile: file, line: statement.line });
+      }
+    }
+  };
+
+  for (const file of files) {
+    await visit(path.resolve(file), 0);
+  }
+
+  return { aliases: [...aliases.values()], files: visited, warnings };
+}
+
+module.exports = {
+  FISH_BLOCK_OPENERS,
+  getRcFiles,
+  splitLogicalLines,
+  splitCommands,
+  resolveIncludePath,
+  parseContent,
+  parseRcFiles
+};
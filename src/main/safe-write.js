@@ -0,0 +1,125 @@
+/**
+ * Safe Write Module
+ * Replaces files atomically so a crash or a full disk never leaves a
+ * truncated rc file or data file behind
+ *
+ * The new content goes to a temp file in the same directory, is flushed to
+ * disk and then renamed over the original. Symlinks are followed, so an rc
+ * file that links into a dotfiles repo keeps its link and the repo file is
+ * replaced instead. The original file's mode is kept.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+// Same limit as the kernel's ELOOP check
+const MAX_SYMLINK_HOPS = 40;
+
+/**
+ * Follow a chain of symlinks to the file that actually holds the content.
+ * Unlike fs.realpath this also works when the final target doesn't exist
+ * yet, e.g. a dotfiles link whose repo file hasn't been created.
+ * @param {string} filePath - Path that may be a symlink
+ * @returns {Promise<string>} Path of the file to write
+ */
+async function resolveWriteTarget(filePath) {
+  let current = path.resolve(filePath);
+  for (let hops = 0; hops < MAX_SYMLINK_HOPS; hops++) {
+    let stats;
+    try {
+      stats = await fs.lstat(current);
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return current;
+      }
+      throw err;
+    }
+    if (!stats.isSymbolicLink()) {
+      return current;
+    }
+    const link = await fs.readlink(current);
+    current = path.resolve(path.dirname(current), link);
+  }
+  const err = new Error(`Too many levels of symbolic links: ${filePath}`);
+  err.code = "ELOOP";
+  throw err;
+}
+
+/**
+ * Get the permission bits of an existing file
+ * @param {string} filePath - File to check
+ * @returns {Promise<number|null>} Mode, or null if the file doesn't exist
+ */
+async function getFileMode(filePath) {
+  try {
+    return (await fs.stat(filePath)).mode & 0o7777;
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Flush a directory entry to disk so a rename survives a power cut. Not
+ * supported on Windows and some file systems, where it is skipped.
+ * @param {string} dirPath - Directory to sync
+ */
+async function syncDirectory(dirPath) {
+  let handle;
+  try {
+    handle = await fs.open(dirPath, "r");
+    await handle.sync();
+  } catch (err) {
+    // Best effort; the file content itself is already on disk
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Atomically replace a file's content
+ * @param {string} filePath - File to write; symlinks are followed
+ * @param {string|Buffer} data - New content
+ * @param {string} [encoding="utf8"] - Encoding for string content
+ * @returns {Promise<string>} Path of the file that was written
+ */
+async function writeFileAtomic(filePath, data, encoding = "utf8") {
+  const target = await resolveWriteTarget(filePath);
+  const dir = path.dirname(target);
+  const mode = await getFileMode(target);
+  const tempPath = path.join(dir, `.${path.basename(target)}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`);
+
+  let handle;
+  try {
+    handle = await fs.open(tempPath, "wx", mode === null ? 0o666 : mode);
+    await handle.writeFile(data, encoding);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    // open() applies the umask, so restore the original mode explicitly
+    if (mode !== null) {
+      await fs.chmod(tempPath, mode);
+    }
+    await fs.rename(tempPath, target);
+  } catch (err) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+
+  await syncDirectory(dir);
+  return target;
+}
+
+module.exports = {
+  resolveWriteTarget,
+  writeFileAtomic
+};
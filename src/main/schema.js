@@ -0,0 +1,169 @@
+/**
+ * Schema Module
+ * Versions the data AliasForge keeps on disk and upgrades older files
+ *
+ * aliases.json and settings.json carry a schemaVersion. Files written before
+ * versioning have none and count as version 1. Each migration upgrades data
+ * by exactly one version; the runner applies them in order. Migrations only
+ * ever fill in or clean up fields, one alias at a time, so an imported
+ * collection keeps its aliases in file order for line-accurate errors.
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const { DEFAULT_PROFILE_ID, normalizeProfiles } = require("./profiles");
+const { PLATFORMS } = require("./platform-variants");
+
+const ALIASES_SCHEMA_VERSION = 3;
+const SETTINGS_SCHEMA_VERSION = 2;
+
+// Envelope versions written by "Save to File" so far
+const COLLECTION_VERSIONS = ["1.0"];
+
+/**
+ * aliases.json migrations, keyed by the version they upgrade from
+ */
+const ALIAS_MIGRATIONS = {
+  // 1 -> 2: profiles. Aliases without one belong to the default profile
+  1: data => ({
+    ...data,
+    aliases: data.aliases.map(alias => ({ ...alias, profile: alias.profile || DEFAULT_PROFILE_ID })),
+    profiles: normalizeProfiles(data.profiles)
+  }),
+
+  // 2 -> 3: entry kinds and per-platform commands. Every entry gets a kind,
+  // and platform variants without a command or for an unknown OS are dropped
+  2: data => ({
+    ...data,
+    aliases: data.aliases.map(alias => {
+      const migrated = { ...alias, kind: alias.kind === "function" ? "function" : "alias" };
+      if (alias.platforms === undefined) {
+        return migrated;
+      }
+      const platforms = {};
+      for (const platform of PLATFORMS) {
+        const variant = alias.platforms && alias.platforms[platform];
+        if (variant && typeof variant.command === "string" && variant.command) {
+          platforms[platform] = { shell: typeof variant.shell === "string" ? variant.shell : "", command: variant.command };
+        }
+      }
+      if (Object.keys(platforms).length > 0) {
+        migrated.platforms = platforms;
+      } else {
+        delete migrated.platforms;
+      }
+      return migrated;
+    })
+  })
+};
+
+/**
+ * settings.json migrations, keyed by the version they upgrade from
+ */
+const SETTINGS_MIGRATIONS = {
+  // 1 -> 2: per-machine profile selection. Only the default profile is active
+  1: data => ({
+    ...data,
+    activeProfiles: Array.isArray(data.activeProfiles)
+      ? data.activeProfiles.filter(id => typeof id === "string")
+      : [DEFAULT_PROFILE_ID]
+  })
+};
+
+/**
+ * Get the schema version a file declares
+ * @param {Object} data - Parsed file
+ * @returns {number} Version; 1 when none is declared
+ * @throws {Error} If the declared version is not a positive integer
+ */
+function getSchemaVersion(data) {
+  if (data.schemaVersion === undefined) {
+    return 1;
+  }
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+    throw new Error(`Unknown schema version: ${JSON.stringify(data.schemaVersion)}`);
+  }
+  return data.schemaVersion;
+}
+
+/**
+ * Upgrade data to the latest version
+ * @param {Object} data - Parsed file
+ * @param {Object} migrations - Migrations keyed by the version they upgrade from
+ * @param {number} latest - Version this build writes
+ * @param {string} label - File name for error messages
+ * @returns {{data: Object, fromVersion: number, migrated: boolean}}
+ * @throws {Error} If the data is newer than this build understands
+ */
+function runMigrations(data, migrations, latest, label) {
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion > latest) {
+    throw new Error(`${label} uses schema version ${fromVersion}, but this version of AliasForge only understands up to ${latest}. Update AliasForge to open it.`);
+  }
+
+  let current = data;
+  for (let version = fromVersion; version < latest; version++) {
+    current = migrations[version](current);
+  }
+  return {
+    data: { ...current, schemaVersion: latest },
+    fromVersion,
+    migrated: fromVersion < latest
+  };
+}
+
+/**
+ * Upgrade the contents of aliases.json. Files from before profiles may be a
+ * bare array of aliases.
+ * @param {Object|Array} data - Parsed aliases.json
+ * @returns {{data: Object, fromVersion: number, migrated: boolean}}
+ */
+function migrateAliasStore(data) {
+  const store = Array.isArray(data) ? { aliases: data } : { ...data };
+  if (!Array.isArray(store.aliases)) {
+    store.aliases = [];
+  }
+  return runMigrations(store, ALIAS_MIGRATIONS, ALIASES_SCHEMA_VERSION, "aliases.json");
+}
+
+/**
+ * Upgrade the contents of settings.json
+ * @param {Object} data - Parsed settings.json
+ * @returns {{data: Object, fromVersion: number, migrated: boolean}}
+ */
+function migrateSettings(data) {
+  return runMigrations({ ...data }, SETTINGS_MIGRATIONS, SETTINGS_SCHEMA_VERSION, "settings.json");
+}
+
+/**
+ * Check that an imported collection is one this build can read, and upgrade
+ * its aliases
+ * @param {Object} data - Parsed collection file
+ * @returns {{data: Object}|{error: string}} Upgraded collection, or why it
+ *   was rejected
+ */
+function migrateCollection(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data) || !Array.isArray(data.aliases)) {
+    // Not an alias collection; import validation explains what is wrong
+    return { data };
+  }
+  if (data.version !== undefined && !COLLECTION_VERSIONS.includes(String(data.version))) {
+    return { error: `Unknown collection version "${data.version}"; expected ${COLLECTION_VERSIONS.join(" or ")}` };
+  }
+  try {
+    return { data: runMigrations(data, ALIAS_MIGRATIONS, ALIASES_SCHEMA_VERSION, "This file").data };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+module.exports = {
+  ALIASES_SCHEMA_VERSION,
+  SETTINGS_SCHEMA_VERSION,
+  COLLECTION_VERSIONS,
+  getSchemaVersion,
+  migrateAliasStore,
+  migrateSettings,
+  migrateCollection
+};
@@ -0,0 +1,376 @@
+/**
+ * Shell Export Module
+ * Resolves export targets and renders the AliasForge managed block
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const path = require("path");
+const crypto = require("crypto");
+const { getGenerator } = require("./generators");
+const fish = require("./generators/fish");
+
+const BLOCK_START = "# >>> AliasForge managed aliases >>>";
+const BLOCK_END = "# <<< AliasForge managed aliases <<<";
+
+const EXPORT_STRATEGIES = ["dedicated", "direct"];
+
+const DEDICATED_EXTENSIONS = {
+  zsh: "zsh",
+  bash: "bash",
+  fish: "fish",
+  powershell: "ps1",
+  cmd: "cmd"
+};
+
+/**
+ * Get the dedicated alias file for a shell (e.g. ~/.config/aliasforge/aliases.zsh)
+ * @param {string} shellName - Target shell
+ * @param {string} home - User home directory
+ * @returns {string} Absolute path of the dedicated file
+ */
+function getDedicatedAliasPath(shellName, home) {
+  const extension = DEDICATED_EXTENSIONS[shellName] || "sh";
+  return path.join(home, ".config", "aliasforge", `aliases.${extension}`);
+}
+
+/**
+ * Work out where an export for a shell should be written
+ * @param {string} shellName - Target shell
+ * @param {Object} options
+ * @param {Object} options.settings - Application settings
+ * @param {string} options.home - User home directory
+ * @param {string} options.defaultConfigPath - Fallback rc file for the shell
+ * @returns {{strategy: string, configPath: string, aliasFilePath: string|null,
+ *   functionsDir: string|null, generatorOptions: Object}}
+ */
+function resolveExportTarget(shellName, { settings = {}, home, defaultConfigPath }) {
+  const exportPaths = settings.exportPaths || {};
+  const configPath = exportPaths[shellName] || defaultConfigPath;
+  const strategy = EXPORT_STRATEGIES.includes(settings.exportStrategy)
+    ? settings.exportStrategy
+    : "direct";
+
+  // fish autoloads functions from the "functions" folder next to config.fish
+  const functionsDir = shellName === "fish"
+    ? path.join(path.dirname(configPath), "functions")
+    : null;
+
+  return {
+    strategy,
+    configPath,
+    aliasFilePath: strategy === "dedicated" ? getDedicatedAliasPath(shellName, home) : null,
+    functionsDir,
+    generatorOptions: {
+      functionFiles: Boolean(functionsDir && settings.fishFunctionFiles)
+    }
+  };
+}
+
+/**
+ * Render alias definitions for a shell
+ * @param {Array} aliases - All aliases; disabled ones are skipped
+ * @param {string} shellName - Target shell
+ * @param {Object} [options] - Generator options from resolveExportTarget
+ * @returns {string} Alias definitions
+ */
+function generateAliasLines(aliases, shellName, options = {}) {
+  const enabledAliases = aliases.filter(a => a.enabled);
+  return getGenerator(shellName).generateAliasLines(enabledAliases, options);
+}
+
+/**
+ * Build one autoloaded fish function file per function-mode alias
+ * @param {Array} aliases - All aliases; disabled ones are skipped
+ * @param {string} functionsDir - fish functions folder
+ * @returns {Array<{path: string, content: string}>} Files to write
+ */
+function buildFishFunctionFiles(aliases, functionsDir) {
+  return aliases
+    .filter(a => a.enabled && fish.getFishMode(a) === "function")
+    .map(alias => ({
+      path: path.join(functionsDir, `${alias.name}.fish`),
+      content: fish.generateFunctionFile(alias)
+    }));
+}
+
+/**
+ * Get the comment prefix for a shell's config files
+ * @param {string} shellName - Target shell
+ * @returns {string} Comment prefix ("#" unless the generator overrides it)
+ */
+function getCommentPrefix(shellName) {
+  return getGenerator(shellName).COMMENT_PREFIX || "#";
+}
+
+/**
+ * Get the block markers for a shell
+ * @param {string} [shellName] - Target shell; omitted means "#" comments
+ * @returns {{start: string, end: string}} Start and end marker lines
+ */
+function getBlockMarkers(shellName) {
+  const prefix = shellName ? getCommentPrefix(shellName) : "#";
+  return {
+    start: BLOCK_START.replace(/^#/, prefix),
+    end: BLOCK_END.replace(/^#/, prefix)
+  };
+}
+
+/**
+ * Wrap content in the AliasForge block markers
+ * @param {string} body - Content to place between the markers
+ * @param {string} [shellName] - Target shell
+ * @returns {string} Managed block, ending with a newline
+ */
+function wrapManagedBlock(body, shellName) {
+  const markers = getBlockMarkers(shellName);
+  return `${markers.start}\n${body.trimEnd()}\n${markers.end}\n`;
+}
+
+/**
+ * Find the managed block in file content
+ * @param {string} content - File content
+ * @param {string} [shellName] - Shell the file belongs to
+ * @returns {string|null} Block including markers and trailing newline, or null
+ */
+function extractManagedBlock(content, shellName) {
+  const markers = getBlockMarkers(shellName);
+  const startIndex = content.indexOf(markers.start);
+  const endIndex = content.indexOf(markers.end);
+
+  if (startIndex === -1 || endIndex < startIndex) {
+    return null;
+  }
+
+  return content.substring(startIndex, endIndex + markers.end.length) + "\n";
+}
+
+/**
+ * Check the managed block markers in file content
+ * @param {string} content - File content
+ * @param {string} [shellName] - Shell the file belongs to
+ * @returns {{status: string, startLines: Array<number>, endLines: Array<number>}}
+ *   Marker line numbers; status is "none", "ok", "duplicate", "missing-end"
+ *   or "missing-start"
+ */
+function inspectManagedBlock(content, shellName) {
+  const markers = getBlockMarkers(shellName);
+  const startLines = [];
+  const endLines = [];
+  content.split("\n").forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === markers.start) {
+      startLines.push(index + 1);
+    } else if (trimmed === markers.end) {
+      endLines.push(index + 1);
+    }
+  });
+
+  let status = "ok";
+  if (startLines.length === 0 && endLines.length === 0) {
+    status = "none";
+  } else if (startLines.length > 1 || endLines.length > 1) {
+    status = "duplicate";
+  } else if (endLines.length === 0) {
+    status = "missing-end";
+  } else if (startLines.length === 0 || endLines[0] < startLines[0]) {
+    status = "missing-start";
+  }
+  return { status, startLines, endLines };
+}
+
+/**
+ * Get the text inside every managed block, including broken ones. A start
+ * marker without an end marker runs to the next start marker or the end of
+ * the file.
+ * @param {string} content - File content
+ * @param {string} [shellName] - Shell the file belongs to
+ * @returns {Array<{line: number, text: string}>} Block bodies and the line
+ *   each one starts on
+ */
+function getManagedRegions(content, shellName) {
+  const markers = getBlockMarkers(shellName);
+  const regions = [];
+  let current = null;
+  content.split("\n").forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === markers.start) {
+      current = { line: index + 2, lines: [] };
+      regions.push(current);
+    } else if (trimmed === markers.end) {
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+  return regions.map(region => ({ line: region.line, text: region.lines.join("\n") }));
+}
+
+/**
+ * Hash managed content so a later export can tell whether it was edited by
+ * hand. Line endings are normalised, so an editor switching to CRLF doesn't
+ * count as an edit.
+ * @param {string} text - Block or file content
+ * @returns {string} SHA-256 hex digest
+ */
+function hashManagedContent(text) {
+  return crypto.createHash("sha256").update(text.replace(/\r\n/g, "\n")).digest("hex");
+}
+
+/**
+ * Drop every complete managed block and every stray marker line
+ * @param {string} content - File content with broken or duplicated markers
+ * @param {string} [shellName] - Shell the file belongs to
+ * @returns {{lines: Array<string>, blockIndex: number}} Remaining lines and
+ *   the index where the first complete block was, or -1
+ */
+function removeManagedBlocks(content, shellName) {
+  const markers = getBlockMarkers(shellName);
+  const lines = content.split("\n");
+  const isStart = index => lines[index].trim() === markers.start;
+  const isEnd = index => lines[index].trim() === markers.end;
+  const kept = [];
+  let blockIndex = -1;
+
+  for (let index = 0; index < lines.length; index++) {
+    if (isStart(index)) {
+      let end = index + 1;
+      while (end < lines.length && !isStart(end) && !isEnd(end)) {
+        end++;
+      }
+      if (end < lines.length && isEnd(end)) {
+        if (blockIndex === -1) {
+          blockIndex = kept.length;
+        }
+        index = end;
+      }
+      continue;
+    }
+    if (!isEnd(index)) {
+      kept.push(lines[index]);
+    }
+  }
+  return { lines: kept, blockIndex };
+}
+
+/**
+ * Put a managed block into file content, replacing any existing block in place
+ *
+ * Duplicated or half-deleted markers are cleaned up: complete blocks are
+ * removed, the new block takes the place of the first one, and stray marker
+ * lines are dropped. Text after a start marker that has no end marker is
+ * kept, and the new block is appended after it so it still takes effect.
+ * @param {string} content - Current file content
+ * @param {string} block - Block produced by wrapManagedBlock
+ * @param {string} [shellName] - Shell the file belongs to
+ * @returns {string} Updated file content
+ */
+function replaceManagedBlock(content, block, shellName) {
+  const markers = getBlockMarkers(shellName);
+  const { status } = inspectManagedBlock(content, shellName);
+
+  if (status === "ok") {
+    const startIndex = content.indexOf(markers.start);
+    const endIndex = content.indexOf(markers.end);
+    let afterIndex = endIndex + markers.end.length;
+    if (content[afterIndex] === "\n") {
+      afterIndex++;
+    }
+    return content.substring(0, startIndex) + block + content.substring(afterIndex);
+  }
+
+  if (status !== "none") {
+    const { lines, blockIndex } = removeManagedBlocks(content, shellName);
+    if (blockIndex !== -1) {
+      const before = lines.slice(0, blockIndex).join("\n");
+      const after = lines.slice(blockIndex).join("\n");
+      return (before ? `${before}\n` : "") + block + (after.trim() ? after : "");
+    }
+    content = lines.join("\n");
+  }
+
+  const trimmed = content.trimEnd();
+  if (trimmed) {
+    return `${trimmed}\n\n${block}`;
+  }
+  // New file: some shells need a prelude first (e.g. "@echo off" for cmd)
+  const prelude = shellName ? getGenerator(shellName).PRELUDE || "" : "";
+  return prelude + block;
+}
+
+/**
+ * Build the header comment lines of generated content
+ * @param {string} shellName - Target shell
+ * @param {string} title - First header line
+ * @param {boolean} withTimestamp - Whether to add a "Last updated" line
+ * @returns {string} Header lines
+ */
+function buildHeader(shellName, title, withTimestamp) {
+  const prefix = getCommentPrefix(shellName);
+  let header = `${prefix} ${title}\n`;
+  if (withTimestamp) {
+    header += `${prefix} Last updated: ${new Date().toISOString()}\n\n`;
+  }
+  return header;
+}
+
+/**
+ * Build the block written into the rc file when exporting directly
+ * @param {Array} aliases - Aliases to export
+ * @param {string} shellName - Target shell
+ * @param {Object} [options] - Generator options from resolveExportTarget
+ * @returns {string} Managed block
+ */
+function buildDirectBlock(aliases, shellName, options = {}) {
+  let body = buildHeader(shellName, "Managed by AliasForge - do not edit manually", true);
+  body += generateAliasLines(aliases, shellName, options);
+  return wrapManagedBlock(body, shellName);
+}
+
+/**
+ * Build the block that sources a dedicated alias file. It carries no
+ * timestamp so re-exporting leaves the rc file untouched.
+ * @param {string} shellName - Target shell
+ * @param {string} aliasFilePath - Dedicated alias file
+ * @returns {string} Managed block
+ */
+function buildSourceBlock(shellName, aliasFilePath) {
+  let body = buildHeader(shellName, "Managed by AliasForge - do not edit manually", false);
+  body += getGenerator(shellName).getSourceLine(aliasFilePath) + "\n";
+  return wrapManagedBlock(body, shellName);
+}
+
+/**
+ * Build the full content of a dedicated alias file
+ * @param {Array} aliases - Aliases to export
+ * @param {string} shellName - Target shell
+ * @param {Object} [options] - Generator options from resolveExportTarget
+ * @returns {string} File content
+ */
+function buildDedicatedFile(aliases, shellName, options = {}) {
+  let content = getGenerator(shellName).PRELUDE || "";
+  content += buildHeader(shellName, "Generated by AliasForge - do not edit manually", true);
+  content += generateAliasLines(aliases, shellName, options);
+  return content;
+}
+
+module.exports = {
+  BLOCK_START,
+  BLOCK_END,
+  EXPORT_STRATEGIES,
+  getDedicatedAliasPath,
+  resolveExportTarget,
+  generateAliasLines,
+  buildFishFunctionFiles,
+  getBlockMarkers,
+  wrapManagedBlock,
+  extractManagedBlock,
+  inspectManagedBlock,
+  getManagedRegions,
+  hashManagedContent,
+  replaceManagedBlock,
+  buildDirectBlock,
+  buildSourceBlock,
+  buildDedicatedFile
+};
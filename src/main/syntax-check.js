@@ -0,0 +1,449 @@
+/**
+ * Syntax Check Module
+ * Catches alias commands that would break the shell's startup file before
+ * they are exported
+ *
+ * Each command is checked inside a throwaway function with the target
+ * shell's own parser (bash -n, zsh -n or fish --no-execute) when it is
+ * installed, and with a small built-in tokenizer otherwise. Plain aliases
+ * are written single-quoted, so their own definition line always parses;
+ * checking the command itself finds the unbalanced quote or brace that
+ * would break the shell when the alias is used or turned into a function.
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const templates = require("./templates");
+const { getGenerator } = require("./generators");
+const fish = require("./generators/fish");
+const { FISH_BLOCK_OPENERS } = require("./rc-parser");
+
+const CHECK_TIMEOUT_MS = 5000;
+
+const SHELL_CHECKERS = {
+  bash: { command: "bash", args: ["--norc", "--noprofile", "-n"], extension: "bash" },
+  zsh: { command: "zsh", args: ["-f", "-n"], extension: "zsh" },
+  fish: { command: "fish", args: ["--no-execute"], extension: "fish" }
+};
+
+// Checkers that turned out not to be installed, so they aren't tried again
+const unavailableCheckers = new Set();
+
+/**
+ * Find the first unbalanced quote or bracket in POSIX shell code
+ * @param {string} text - Shell code
+ * @returns {{line: number, message: string}|null}
+ */
+function scanPosix(text) {
+  const stack = [];
+  let line = 1;
+  let previous = "\n";
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const top = stack[stack.length - 1];
+    if (char === "\n") {
+      line++;
+    }
+
+    if (top && top.char === "'") {
+      if (char === "'") {
+        stack.pop();
+      }
+    } else if (char === "\\") {
+      if (text[i + 1] === "\n") {
+        line++;
+      }
+      i++;
+    } else if (top && top.char === "\"") {
+      if (char === "\"") {
+        stack.pop();
+      } else if (char === "`") {
+        stack.push({ char, line });
+      } else if (char === "$" && (text[i + 1] === "(" || text[i + 1] === "{")) {
+        stack.push({ char: text[++i], line });
+      }
+    } else if (top && top.char === "`" && char === "`") {
+      stack.pop();
+    } else if (char === "#" && /\s|[;&|(]/.test(previous)) {
+      while (i + 1 < text.length && text[i + 1] !== "\n") {
+        i++;
+      }
+    } else if (char === "'" || char === "\"" || char === "`" || char === "(" || char === "{") {
+      stack.push({ char, line });
+    } else if (char === ")" && top && top.char === "(") {
+      stack.pop();
+    } else if (char === "}") {
+      if (!top || top.char !== "{") {
+        return { line, message: "Unmatched '}'" };
+      }
+      stack.pop();
+    }
+    // A ")" without "(" is fine: case patterns use one
+
+    previous = text[i];
+  }
+
+  return describeUnclosed(stack);
+}
+
+/**
+ * Find the first unbalanced quote, bracket or block in fish code
+ * @param {string} text - fish code
+ * @returns {{line: number, message: string}|null}
+ */
+function scanFish(text) {
+  const stack = [];
+  let line = 1;
+  let previous = "\n";
+  const blocks = [];
+  let command = "";
+
+  const endCommand = () => {
+    const word = command.trim().split(/\s+/)[0];
+    if (FISH_BLOCK_OPENERS.has(word)) {
+      blocks.push(line);
+    } else if (word === "end") {
+      if (blocks.length === 0) {
+        return { line, message: "'end' outside of a block" };
+      }
+      blocks.pop();
+    }
+    command = "";
+    return null;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const top = stack[stack.length - 1];
+
+    if (top && (top.char === "'" || top.char === "\"")) {
+      if (char === "\\") {
+        i++;
+      } else if (char === top.char) {
+        stack.pop();
+      } else if (char === "\n") {
+        line++;
+      }
+      previous = char;
+      continue;
+    }
+
+    if (char === "\\") {
+      if (text[i + 1] === "\n") {
+        line++;
+      }
+      i++;
+    } else if (char === "#" && /\s|[;(]/.test(previous)) {
+      while (i + 1 < text.length && text[i + 1] !== "\n") {
+        i++;
+      }
+    } else if (char === "'" || char === "\"" || char === "(" || char === "{") {
+      stack.push({ char, line });
+    } else if (char === ")" || char === "}") {
+      const opener = char === ")" ? "(" : "{";
+      if (!top || top.char !== opener) {
+        return { line, message: `Unmatched '${char}'` };
+      }
+      stack.pop();
+    } else if ((char === "\n" || char === ";") && stack.length === 0) {
+      const error = endCommand();
+      if (error) {
+        return error;
+      }
+    }
+
+    if (char === "\n") {
+      line++;
+    }
+    if (stack.length === 0 && char !== "\n" && char !== ";") {
+      command += char;
+    }
+    previous = char;
+  }
+
+  const unclosed = describeUnclosed(stack);
+  if (unclosed) {
+    return unclosed;
+  }
+  const error = endCommand();
+  if (error) {
+    return error;
+  }
+  if (blocks.length > 0) {
+    return { line: blocks[blocks.length - 1], message: "Missing 'end' for the block opened here" };
+  }
+  return null;
+}
+
+/**
+ * Find the first unbalanced quote or bracket in PowerShell code
+ * @param {string} text - PowerShell code
+ * @returns {{line: number, message: string}|null}
+ */
+function scanPowerShell(text) {
+  const stack = [];
+  let line = 1;
+  const closers = { ")": "(", "}": "{", "]": "[" };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const top = stack[stack.length - 1];
+    if (char === "\n") {
+      line++;
+    }
+
+    if (top && top.char === "'") {
+      if (char === "'" && text[i + 1] === "'") {
+        i++;
+      } else if (char === "'") {
+        stack.pop();
+      }
+    } else if (top && top.char === "\"") {
+      if (char === "`") {
+        i++;
+      } else if (char === "\"") {
+        stack.pop();
+      } else if (char === "$" && text[i + 1] === "(") {
+        stack.push({ char: text[++i], line });
+      }
+    } else if (char === "`") {
+      i++;
+    } else if (char === "<" && text[i + 1] === "#") {
+      const end = text.indexOf("#>", i + 2);
+      if (end === -1) {
+        return { line, message: "Unterminated block comment" };
+      }
+      line += (text.slice(i, end).match(/\n/g) || []).length;
+      i = end + 1;
+    } else if (char === "#") {
+      while (i + 1 < text.length && text[i + 1] !== "\n") {
+        i++;
+      }
+    } else if (char === "'" || char === "\"" || char === "(" || char === "{" || char === "[") {
+      stack.push({ char, line });
+    } else if (closers[char]) {
+      if (!top || top.char !== closers[char]) {
+        return { line, message: `Unmatched '${char}'` };
+      }
+      stack.pop();
+    }
+  }
+
+  return describeUnclosed(stack);
+}
+
+/**
+ * Describe the innermost quote or bracket left open at the end of the text
+ * @param {Array<{char: string, line: number}>} stack - Open quotes and brackets
+ * @returns {{line: number, message: string}|null}
+ */
+function describeUnclosed(stack) {
+  const top = stack[stack.length - 1];
+  if (!top) {
+    return null;
+  }
+  const names = { "'": "single quote", "\"": "double quote", "`": "backquote", "(": "'('", "{": "'{'", "[": "'['" };
+  return { line: top.line, message: `Unclosed ${names[top.char]} opened here` };
+}
+
+/**
+ * Check code with the built-in tokenizer
+ * @param {string} text - Code in the target shell's syntax
+ * @param {string} shellName - Target shell
+ * @returns {{line: number, message: string}|null} First error, if any
+ */
+function findSyntaxError(text, shellName) {
+  if (shellName === "fish") {
+    return scanFish(text);
+  }
+  if (shellName === "powershell") {
+    return scanPowerShell(text);
+  }
+  if (shellName === "cmd") {
+    // doskey macros are single lines that cmd never parses as a block
+    return null;
+  }
+  return scanPosix(text);
+}
+
+/**
+ * Wrap an alias command in a function the shell can parse without running
+ * it, the way the generators would emit its body
+ *
+ * PowerShell and cmd aliases are written in POSIX syntax and translated by
+ * the generator, so their command is checked as POSIX code; PowerShell
+ * function bodies are checked as PowerShell.
+ * @param {Object} alias - Alias with the command to export
+ * @param {string} shellName - Target shell
+ * @param {number} [index=0] - Number that keeps wrapper names unique
+ * @returns {{script: string, syntax: string, firstLine: number|null}} Code
+ *   to check, the shell whose rules apply, and the line the command starts
+ *   on (null if the code doesn't contain it as written)
+ */
+function buildCheckScript(alias, shellName, index = 0) {
+  const command = templates.lowerTemplate(alias.command || "");
+  if (shellName === "fish") {
+    const asFunction = alias.kind === "function" || templates.hasPlaceholders(alias.command);
+    return {
+      script: `function __aliasforge_check_${index}\n${asFunction ? fish.mapPositionals(command) : command}\nend\n`,
+      syntax: "fish",
+      firstLine: asFunction ? null : 2
+    };
+  }
+  if (shellName === "powershell" && alias.kind === "function") {
+    return { script: getGenerator(shellName).generateAliasLines([alias], {}), syntax: "powershell", firstLine: null };
+  }
+  if (shellName === "powershell" || shellName === "cmd") {
+    return { script: `${alias.command || ""}\n`, syntax: shellName === "cmd" ? "cmd" : "bash", firstLine: 1 };
+  }
+  return { script: `__aliasforge_check_${index}() {\n${command}\n}\n`, syntax: shellName, firstLine: 2 };
+}
+
+/**
+ * Run the target shell's own syntax check on a script
+ * @param {string} shellName - Target shell
+ * @param {string} script - Code to check
+ * @returns {Promise<{checker: string, error: Object|null}|null>} The
+ *   result, or null if no checker is installed for the shell
+ */
+async function runShellChecker(shellName, script) {
+  const checker = SHELL_CHECKERS[shellName];
+  if (!checker || unavailableCheckers.has(checker.command)) {
+    return null;
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "aliasforge-check-"));
+  const file = path.join(dir, `check.${checker.extension}`);
+  try {
+    await fs.writeFile(file, script, "utf8");
+    const output = await new Promise(resolve => {
+      execFile(checker.command, [...checker.args, file], { timeout: CHECK_TIMEOUT_MS }, (err, stdout, stderr) => {
+        resolve({ err, stderr: String(stderr || "") });
+      });
+    });
+
+    if (!output.err) {
+      return { checker: checker.command, error: null };
+    }
+    if (output.err.code === "ENOENT") {
+      unavailableCheckers.add(checker.command);
+      return null;
+    }
+    if (output.err.killed) {
+      // Timed out; let the tokenizer decide instead
+      return null;
+    }
+    return { checker: checker.command, error: parseCheckerOutput(output.stderr, file) };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read the first error a shell reported
+ * @param {string} stderr - Checker output
+ * @param {string} file - Checked file, stripped from the message
+ * @returns {{line: number|null, message: string}}
+ */
+function parseCheckerOutput(stderr, file) {
+  const first = stderr.split("\n").find(line => line.trim()) || "";
+  const match = first.match(/^(?:.*?)(?:: line (\d+):|:(\d+):| \(line (\d+)\):)\s*(.*)$/);
+  if (!match) {
+    return { line: null, message: first.split(file).join("").replace(/^[:\s]+/, "") || "Syntax error" };
+  }
+  return { line: Number(match[1] || match[2] || match[3]), message: match[4] || "Syntax error" };
+}
+
+/**
+ * Check one script, with the shell when possible and the tokenizer otherwise
+ * @param {string} script - Code to check
+ * @param {string} syntax - Shell whose rules apply
+ * @param {Object} [options]
+ * @param {boolean} [options.useShell=true] - Whether to try the shell itself
+ * @param {Function} [options.runner] - Replaces runShellChecker (for tests)
+ * @returns {Promise<{checker: string, error: Object|null}>}
+ */
+async function checkScript(script, syntax, { useShell = true, runner = runShellChecker } = {}) {
+  const result = useShell ? await runner(syntax, script) : null;
+  if (result) {
+    return result;
+  }
+  return { checker: "builtin", error: findSyntaxError(script, syntax) };
+}
+
+/**
+ * Check a single alias command
+ * @param {Object} alias - Alias with the command to export
+ * @param {string} shellName - Target shell
+ * @param {Object} [options]
+ * @param {Function} [options.runner] - Replaces runShellChecker (for tests)
+ * @returns {Promise<{checker: string, error: {line: number|null, message: string}|null}>}
+ *   Line numbers are relative to the command
+ */
+async function checkAlias(alias, shellName, { runner } = {}) {
+  const { script, syntax, firstLine } = buildCheckScript(alias, shellName);
+  const result = await checkScript(script, syntax, { useShell: syntax === shellName, runner });
+  if (!result.error) {
+    return result;
+  }
+
+  const commandLines = String(alias.command || "").split("\n").length;
+  let line = firstLine !== null && result.error.line !== null ? result.error.line - firstLine + 1 : null;
+  if (line === null || line < 1 || line > commandLines) {
+    // An unclosed quote is reported at the end of the script; the tokenizer
+    // knows where it was opened
+    const local = firstLine !== null ? findSyntaxError(alias.command || "", syntax) : null;
+    line = local ? local.line : null;
+  }
+  return { checker: result.checker, error: { line, message: result.error.message } };
+}
+
+/**
+ * Check every alias of an export and the content generated for them
+ *
+ * Everything the shell can parse is checked in one go first; only if that
+ * fails is each alias checked on its own to find the ones at fault.
+ * @param {Array} aliases - Aliases with the commands to export
+ * @param {string} shellName - Target shell
+ * @param {Object} [options]
+ * @param {string} [options.generated] - Generated alias definitions
+ * @param {Function} [options.runner] - Replaces runShellChecker (for tests)
+ * @returns {Promise<{checker: string, errors: Array<{aliasId: string|null,
+ *   name: string|null, line: number|null, message: string}>}>}
+ */
+async function checkAliases(aliases, shellName, { generated = "", runner } = {}) {
+  const scripts = aliases.map((alias, index) => ({ alias, ...buildCheckScript(alias, shellName, index) }));
+  const native = scripts.filter(entry => entry.syntax === shellName);
+  const combined = native.map(entry => entry.script).join("") + (shellName === "powershell" ? "" : generated);
+  const overall = await checkScript(combined, shellName, { runner });
+
+  const errors = [];
+  for (const entry of scripts) {
+    if (entry.syntax === shellName && !overall.error) {
+      continue;
+    }
+    const result = await checkAlias(entry.alias, shellName, { runner });
+    if (result.error) {
+      errors.push({ aliasId: entry.alias.id, name: entry.alias.name, ...result.error });
+    }
+  }
+  if (overall.error && !errors.some(error => native.some(entry => entry.alias.id === error.aliasId))) {
+    errors.push({ aliasId: null, name: null, line: null, message: `Generated ${shellName} code does not parse: ${overall.error.message}` });
+  }
+  return { checker: overall.checker, errors };
+}
+
+module.exports = {
+  SHELL_CHECKERS,
+  findSyntaxError,
+  buildCheckScript,
+  parseCheckerOutput,
+  checkAlias,
+  checkAliases
+};
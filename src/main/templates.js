@@ -0,0 +1,268 @@
+/**
+ * Templates Module
+ * Finds argument placeholders such as {path}, {branch:main} or {1} in alias
+ * commands and lowers them to POSIX positional parameters
+ *
+ * Named placeholders are numbered in order of first appearance, skipping
+ * numbers taken by positional ones, so "cp {src} {dest}" becomes
+ * 'cp "$1" "$2"'. A default after a colon becomes ${N:-default}. The lowered
+ * command is what the shell generators translate, so each shell only needs to
+ * understand $N and ${N:-default}. The quick launcher fills placeholders in
+ * with values instead, since it pastes the command rather than exporting it.
+ *
+ * Like the shell, text in single quotes is literal: '{print $1}' in an awk
+ * program is not a placeholder. So is ${VAR} and anything escaped with \.
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const PLACEHOLDER = /^\{(?:([1-9])|([A-Za-z_][A-Za-z0-9_-]*))(?::([^{}\n]*))?\}/;
+
+// Characters that would need shell-specific escaping inside a default
+const UNSAFE_DEFAULT = /["'`$\\]/;
+
+const MAX_PLACEHOLDERS = 9;
+
+// Words every shell takes as they are. ~ is left bare so ~/src still expands
+// to the home folder, as it would typed at the prompt; quoting it would make
+// it a literal folder name.
+const BARE_VALUE = /^[A-Za-z0-9_@%+=:,./~-]+$/;
+
+/**
+ * Quote a value for where its placeholder sits, per shell. Each takes the
+ * value and whether the placeholder is inside double quotes, and returns
+ * null when the shell has no safe way to pass the value.
+ */
+const VALUE_QUOTERS = {
+  posix: (value, quoted) => {
+    if (quoted) {
+      return value.replace(/["$`\\]/g, "\\$&");
+    }
+    return BARE_VALUE.test(value) ? value : `'${value.replace(/'/g, "'\\''")}'`;
+  },
+  // Only \ and ' are special in fish single quotes; double quotes also expand $
+  fish: (value, quoted) => {
+    if (quoted) {
+      return value.replace(/["$\\]/g, "\\$&");
+    }
+    return BARE_VALUE.test(value) ? value : `'${value.replace(/[\\']/g, "\\$&")}'`;
+  },
+  // PowerShell escapes with a backtick and doubles ' inside single quotes
+  powershell: (value, quoted) => {
+    if (quoted) {
+      return value.replace(/[`"$]/g, "`$&");
+    }
+    // A bare comma would make an array and a leading @ splats
+    return BARE_VALUE.test(value) && !/,|^@/.test(value) ? value : `'${value.replace(/'/g, "''")}'`;
+  },
+  // cmd has no escape inside double quotes and expands %VAR% everywhere, so
+  // values with either are refused
+  cmd: (value, quoted) => {
+    if (/["%\r\n]/.test(value)) {
+      return null;
+    }
+    // , ; and = separate arguments like spaces do
+    return quoted || /^[A-Za-z0-9_@+:.\/\\~-]+$/.test(value) ? value : `"${value}"`;
+  }
+};
+
+/**
+ * Find placeholder occurrences outside single quotes
+ * @param {string} command - Alias command
+ * @returns {{occurrences: Array, usesPositionals: boolean}} Each occurrence
+ *   with its position, key and whether it sits inside double quotes, and
+ *   whether the command also uses $1..$9 directly
+ */
+function scanTemplate(command) {
+  const occurrences = [];
+  let usesPositionals = false;
+  let quoted = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quoted === "'") {
+      if (char === "'") {
+        quoted = null;
+      }
+      continue;
+    }
+
+    if (char === "\\") {
+      i++;
+    } else if (char === "'" && !quoted) {
+      quoted = "'";
+    } else if (char === "\"") {
+      quoted = quoted ? null : "\"";
+    } else if (char === "$") {
+      if (/^\$(?:[1-9]|\{[1-9])/.test(command.slice(i, i + 3))) {
+        usesPositionals = true;
+      }
+      if (command[i + 1] === "{") {
+        const end = command.indexOf("}", i);
+        i = end === -1 ? command.length : end;
+      }
+    } else if (char === "{") {
+      const match = command.slice(i).match(PLACEHOLDER);
+      if (match) {
+        occurrences.push({
+          start: i,
+          end: i + match[0].length,
+          key: match[1] || match[2],
+          positional: Boolean(match[1]),
+          defaultValue: match[3],
+          quoted: quoted === "\""
+        });
+        i += match[0].length - 1;
+      }
+    }
+  }
+
+  return { occurrences, usesPositionals };
+}
+
+/**
+ * Parse the placeholders in a command
+ * @param {string} command - Alias command
+ * @returns {{placeholders: Array<{name: string, index: number, defaultValue: (string|undefined)}>, errors: Array<string>}}
+ *   Placeholders ordered by argument position, and any problems that would
+ *   stop the command from being exported as intended
+ */
+function parseTemplate(command) {
+  const { occurrences, usesPositionals } = scanTemplate(command || "");
+  const byKey = new Map();
+  const errors = [];
+
+  for (const occurrence of occurrences) {
+    const existing = byKey.get(occurrence.key);
+    if (!existing) {
+      byKey.set(occurrence.key, {
+        name: occurrence.key,
+        positional: occurrence.positional,
+        defaultValue: occurrence.defaultValue
+      });
+    } else if (occurrence.defaultValue !== undefined) {
+      if (existing.defaultValue === undefined) {
+        existing.defaultValue = occurrence.defaultValue;
+      } else if (existing.defaultValue !== occurrence.defaultValue) {
+        errors.push(`{${occurrence.key}} has different defaults: "${existing.defaultValue}" and "${occurrence.defaultValue}"`);
+      }
+    }
+  }
+
+  const placeholders = [...byKey.values()];
+  const taken = new Set(placeholders.filter(p => p.positional).map(p => Number(p.name)));
+  let next = 1;
+  for (const placeholder of placeholders) {
+    if (placeholder.positional) {
+      placeholder.index = Number(placeholder.name);
+    } else {
+      while (taken.has(next)) next++;
+      placeholder.index = next;
+      taken.add(next);
+    }
+  }
+
+  for (const placeholder of placeholders) {
+    if (placeholder.defaultValue !== undefined && UNSAFE_DEFAULT.test(placeholder.defaultValue)) {
+      errors.push(`Default for {${placeholder.name}} cannot contain quotes, $, backticks or backslashes`);
+    }
+  }
+  if (placeholders.some(p => p.index > MAX_PLACEHOLDERS)) {
+    errors.push(`A command can have at most ${MAX_PLACEHOLDERS} placeholders`);
+  }
+  if (usesPositionals && placeholders.length > 0) {
+    errors.push("Use either placeholders or $1..$9 in a command, not both");
+  }
+
+  return {
+    placeholders: placeholders
+      .sort((a, b) => a.index - b.index)
+      .map(({ name, index, defaultValue }) => ({ name, index, defaultValue })),
+    errors
+  };
+}
+
+/**
+ * Check whether a command has any placeholders
+ * @param {string} command - Alias command
+ * @returns {boolean}
+ */
+function hasPlaceholders(command) {
+  return scanTemplate(command || "").occurrences.length > 0;
+}
+
+/**
+ * Replace placeholders with POSIX positional parameters. Unquoted ones are
+ * double-quoted so arguments with spaces stay one word. The shell doesn't
+ * expand ~ inside those quotes, so a default of ~ or ~/path is written with
+ * $HOME instead; the other generators map that $HOME back for their shell.
+ * @param {string} command - Alias command
+ * @returns {string} Command using $N and ${N:-default}
+ */
+function lowerTemplate(command) {
+  const { occurrences } = scanTemplate(command || "");
+  if (occurrences.length === 0) {
+    return command;
+  }
+
+  const byName = new Map(parseTemplate(command).placeholders.map(p => [p.name, p]));
+  let output = command;
+  for (const occurrence of [...occurrences].reverse()) {
+    const { index, defaultValue } = byName.get(occurrence.key);
+    let reference = index > 9 ? `\${${index}}` : `$${index}`;
+    if (defaultValue !== undefined) {
+      reference = `\${${index}:-${defaultValue.replace(/^~(?=\/|$)/, "$HOME")}}`;
+    }
+    const text = occurrence.quoted ? reference : `"${reference}"`;
+    output = output.slice(0, occurrence.start) + text + output.slice(occurrence.end);
+  }
+  return output;
+}
+
+/**
+ * Replace placeholders with values, for running a command directly rather
+ * than exporting it. Values are quoted for the shell the command is pasted
+ * into so each stays one word and nothing in it is expanded.
+ * @param {string} command - Alias command
+ * @param {Object<string, string>} [values] - Values by placeholder name; a
+ *   missing or empty value falls back to the placeholder's default
+ * @param {Object} [options]
+ * @param {string} [options.shellName] - Shell that runs the command; POSIX
+ *   quoting is used for bash, zsh and unknown shells
+ * @returns {string} Command without placeholders
+ * @throws {Error} If a placeholder has neither a value nor a default, or a
+ *   value can't be quoted for the shell
+ */
+function fillTemplate(command, values = {}, { shellName } = {}) {
+  const { occurrences } = scanTemplate(command || "");
+  if (occurrences.length === 0) {
+    return command;
+  }
+
+  const quoter = VALUE_QUOTERS[shellName] || VALUE_QUOTERS.posix;
+  const byName = new Map(parseTemplate(command).placeholders.map(p => [p.name, p]));
+  let output = command;
+  for (const occurrence of [...occurrences].reverse()) {
+    const { name, defaultValue } = byName.get(occurrence.key);
+    const value = values[name] ? String(values[name]) : defaultValue;
+    if (value === undefined) {
+      throw new Error(`Enter a value for {${name}}`);
+    }
+    const text = quoter(value, occurrence.quoted);
+    if (text === null) {
+      throw new Error(`The value for {${name}} can't be passed to ${shellName} safely`);
+    }
+    output = output.slice(0, occurrence.start) + text + output.slice(occurrence.end);
+  }
+  return output;
+}
+
+module.exports = {
+  MAX_PLACEHOLDERS,
+  parseTemplate,
+  hasPlaceholders,
+  lowerTemplate,
+  fillTemplate
+};
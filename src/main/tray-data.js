@@ -0,0 +1,197 @@
+/**
+ * Tray Data Module
+ * Works out what the tray menu shows: recently edited aliases, the profiles
+ * to choose from and how the last export went, and words the notifications
+ * for exports and imports run from the tray and for files changed outside
+ * the app
+ *
+ * Kept free of Electron imports so it can be unit tested and reused outside
+ * the main window.
+ */
+
+const path = require("path");
+const profiles = require("./profiles");
+const platformVariants = require("./platform-variants");
+
+const RECENT_LIMIT = 10;
+
+/**
+ * Get the most recently edited aliases
+ * @param {Array} aliases - Aliases from aliases.json
+ * @param {Object} options
+ * @param {string} options.platform - OS the command is for, as in process.platform
+ * @param {string} options.shellName - Shell the command is for
+ * @param {number} [options.limit] - Most aliases to return
+ * @returns {Array<{id: string, name: string, command: string}>} Newest first,
+ *   with the command for this platform; aliases never edited since
+ *   AliasForge started recording edit times are left out
+ */
+function getRecentAliases(aliases, { platform, shellName, limit = RECENT_LIMIT }) {
+  return aliases
+    .filter(alias => alias.updatedAt)
+    .map(alias => ({ alias, command: platformVariants.resolveCommand(alias, platform, shellName) }))
+    .filter(({ command }) => command)
+    .sort((a, b) => b.alias.updatedAt.localeCompare(a.alias.updatedAt))
+    .slice(0, limit)
+    .map(({ alias, command }) => ({ id: alias.id, name: alias.name, command }));
+}
+
+/**
+ * List the profiles to choose from
+ *
+ * Profiles used by an alias but missing from the profile list are included,
+ * so every profile field the library carries can be picked.
+ * @param {Object} store - { profiles, aliases } as in aliases.json
+ * @param {Array<string>} activeProfiles - From settings.json
+ * @returns {Array<{id: string, name: string, aliasCount: number, selected: boolean}>}
+ *   selected is true for the profile that is the only active one
+ */
+function getProfileChoices(store, activeProfiles) {
+  const listed = profiles.normalizeProfiles(store.profiles);
+  const known = new Set(listed.map(profile => profile.id));
+  const counts = new Map();
+  const unlisted = [];
+  for (const alias of store.aliases || []) {
+    const profileId = profiles.getAliasProfile(alias);
+    counts.set(profileId, (counts.get(profileId) || 0) + 1);
+    if (!known.has(profileId)) {
+      known.add(profileId);
+      unlisted.push({ id: profileId, name: profileId });
+    }
+  }
+
+  const active = activeProfiles || [];
+  return [...listed, ...unlisted].map(profile => ({
+    id: profile.id,
+    name: profile.name,
+    aliasCount: counts.get(profile.id) || 0,
+    selected: active.length === 1 && active[0] === profile.id
+  }));
+}
+
+/**
+ * Summarise the result of an export for status displays
+ * @param {Object} result - From AliasService.writeAliasesToShell
+ * @param {string} shellName - Shell exported to
+ * @param {string} [timestamp] - ISO time of the export; defaults to now
+ * @returns {{timestamp: string, shell: string, status: string, message: string}}
+ *   status is "success", "conflict", "syntax-error" or "error"
+ */
+function toExportOutcome(result, shellName, timestamp = new Date().toISOString()) {
+  let status = "error";
+  let message = (result && result.error) || "Export failed";
+  if (result && result.success) {
+    status = "success";
+    message = `Exported to ${result.path}`;
+  } else if (result && result.conflict) {
+    status = "conflict";
+    message = "Shell files were changed outside AliasForge";
+  } else if (result && result.syntaxErrors) {
+    status = "syntax-error";
+  }
+  return { timestamp, shell: shellName, status, message };
+}
+
+/**
+ * Summarise an export log entry like toExportOutcome does a result
+ * @param {Object} [entry] - From ExportHistory.list
+ * @returns {Object|null} Outcome, or null without an entry
+ */
+function fromHistoryEntry(entry) {
+  if (!entry) {
+    return null;
+  }
+  return {
+    timestamp: entry.timestamp,
+    shell: entry.shell,
+    status: "success",
+    message: `${entry.action === "restore" ? "Restored" : "Exported to"} ${entry.targetPath}`
+  };
+}
+
+/**
+ * Describe the last export in one line
+ * @param {Object|null} outcome - From toExportOutcome or fromHistoryEntry
+ * @param {Date} [now] - Current time; exports from today show only the time
+ * @returns {string}
+ */
+function formatLastExport(outcome, now = new Date()) {
+  if (!outcome) {
+    return "Not exported yet";
+  }
+  const date = new Date(outcome.timestamp);
+  const when = date.toDateString() === now.toDateString()
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+  const status = {
+    success: "OK",
+    conflict: "blocked by hand edits",
+    "syntax-error": "blocked by syntax errors",
+    error: "failed"
+  }[outcome.status] || outcome.status;
+  return `Last export: ${when} (${outcome.shell}) - ${status}`;
+}
+
+/**
+ * Word the notification for an export run from the tray
+ * @param {Object} outcome - From toExportOutcome
+ * @returns {{title: string, body: string}}
+ */
+function toExportNotification(outcome) {
+  if (outcome.status === "success") {
+    return { title: "Aliases exported", body: outcome.message };
+  }
+  if (outcome.status === "conflict") {
+    // Clicking the notification opens the window, whose export shows the edits
+    return { title: "Export stopped", body: `${outcome.message}. Export from the AliasForge window to review them.` };
+  }
+  return { title: outcome.status === "syntax-error" ? "Export stopped" : "Export failed", body: outcome.message };
+}
+
+/**
+ * Word the notification for an import run from the tray
+ * @param {Object} result - { imported, skipped } from AliasService.importFromShell
+ * @param {string} shellName - Shell imported from
+ * @returns {{title: string, body: string}}
+ */
+function toImportNotification(result, shellName) {
+  if (result.imported.length === 0) {
+    return { title: "Nothing to import", body: `No new aliases found in ${shellName} (${result.skipped} already loaded)` };
+  }
+  return { title: "Aliases imported", body: `Imported ${result.imported.length} new aliases from ${shellName}` };
+}
+
+/**
+ * Word the notification for a watched file changed while the window is closed
+ * @param {Object} report - From AliasService.describeExternalChange
+ * @returns {{title: string, body: string}}
+ */
+function toFileChangeNotification(report) {
+  const offers = [];
+  if (report.newAliases.length > 0) {
+    offers.push(`${report.newAliases.length} new aliases to import`);
+  }
+  if (report.outOfDate) {
+    offers.push("the managed block needs re-applying");
+  }
+  return {
+    title: report.source === "store"
+      ? "Aliases changed outside AliasForge"
+      : `${path.basename(report.path)} changed outside AliasForge`,
+    body: offers.length > 0
+      ? `Open AliasForge to review: ${offers.join(", ")}.`
+      : "Open AliasForge to review the changes."
+  };
+}
+
+module.exports = {
+  RECENT_LIMIT,
+  getRecentAliases,
+  getProfileChoices,
+  toExportOutcome,
+  fromHistoryEntry,
+  formatLastExport,
+  toExportNotification,
+  toImportNotification,
+  toFileChangeNotification
+};
@@ -3,28 +3,50 @@
  * Manages system tray icon and menu for background agent mode
  */
 
-const { app, Tray, Menu, nativeImage, Notification } = require('electron');
+const { app, Tray, Menu, nativeImage, Notification, clipboard } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { writeFileAtomic } = require('./safe-write');
+const quickLauncher = require('./quick-launcher');
 
 class TrayManager {
   constructor() {
     this.tray = null;
     this.mainWindow = null;
+    this.createMainWindow = null;
     this.config = {
       trayOnly: false,
       launchAtLogin: false
     };
     this.configPath = path.join(app.getPath('userData'), 'tray-config.json');
     this.ipcHandlersSetup = false;
+    // Config writes run one after another so an older one can't land last
+    this.saveQueue = Promise.resolve();
+    this.pendingSaves = 0;
+    // Built from the alias store by tray-data.js; see setMenuData
+    this.menuData = {
+      recent: [],
+      profiles: [],
+      lastExport: 'Not exported yet'
+    };
+    // Run in the main process, so the menu works without the main window
+    this.actions = {
+      selectProfile: null,
+      exportAliases: null,
+      importAliases: null
+    };
   }
 
   /**
    * Initialize the tray
-   * @param {BrowserWindow} mainWindow - The main application window
+   * @param {BrowserWindow|null} mainWindow - The main application window;
+   *   null when the app starts in background mode
+   * @param {Function} createMainWindow - Opens the main window when it isn't
+   *   open; it should hand the window to setMainWindow
    */
-  init(mainWindow) {
+  init(mainWindow, createMainWindow) {
     this.mainWindow = mainWindow;
+    this.createMainWindow = createMainWindow;
     this.loadConfig();
     this.createTray();
     this.applyTrayOnlyMode();
@@ -51,14 +73,29 @@ class TrayManager {
   }
 
   /**
-   * Save configuration to disk
+   * Save configuration to disk, after any save still in progress
+   * @returns {Promise} Settles once this save is done
    */
   saveConfig() {
-    try {
-      fs.writeFileSync(this.configPath, JSON.stringify(this.config, null, 2));
-    } catch (error) {
-      console.error('Failed to save tray config:', error);
-    }
+    const content = JSON.stringify(this.config, null, 2);
+    this.pendingSaves++;
+    this.saveQueue = this.saveQueue
+      .then(() => writeFileAtomic(this.configPath, content))
+      .catch(error => {
+        console.error('Failed to save tray config:', error);
+      })
+      .finally(() => {
+        this.pendingSaves--;
+      });
+    return this.saveQueue;
+  }
+
+  /**
+   * Check whether a config save hasn't finished yet, so quitting can wait for it
+   * @returns {boolean}
+   */
+  hasPendingSave() {
+    return this.pendingSaves > 0;
   }
 
   /**
@@ -99,6 +136,84 @@ class TrayManager {
     });
   }
 
+  /**
+   * Replace the alias-dependent parts of the menu and rebuild it
+   * @param {Object} data - Menu data
+   * @param {Array<{id: string, name: string, command: string}>} data.recent - Recently edited aliases
+   * @param {Array<{id: string, name: string, aliasCount: number, selected: boolean}>} data.profiles - Profiles to choose from
+   * @param {string} data.lastExport - Last export time and status
+   */
+  setMenuData(data) {
+    this.menuData = { ...this.menuData, ...data };
+    if (this.tray) {
+      this.updateTrayMenu();
+    }
+  }
+
+  /**
+   * Set the window opened from the tray
+   * @param {BrowserWindow|null} mainWindow - The main application window
+   */
+  setMainWindow(mainWindow) {
+    this.mainWindow = mainWindow;
+  }
+
+  /**
+   * Set what the menu items that work on the alias library do
+   * @param {Object} actions
+   * @param {Function} [actions.selectProfile] - Called with the profile id picked
+   * @param {Function} [actions.exportAliases] - Exports the saved aliases
+   * @param {Function} [actions.importAliases] - Imports aliases from the shell
+   */
+  setActions(actions) {
+    this.actions = { ...this.actions, ...actions };
+  }
+
+  /**
+   * Run one of the actions set by setActions
+   * @param {string} name - Action name
+   * @param {...*} args - Passed to the action
+   */
+  runAction(name, ...args) {
+    const action = this.actions[name];
+    if (action) {
+      action(...args);
+    }
+  }
+
+  /**
+   * Build the Recent submenu; clicking an alias copies its command
+   */
+  buildRecentMenu() {
+    if (this.menuData.recent.length === 0) {
+      return [{ label: 'No recently edited aliases', enabled: false }];
+    }
+    return this.menuData.recent.map(alias => {
+      const [firstLine] = alias.command.split('\n');
+      const preview = firstLine.length > 60 || firstLine !== alias.command
+        ? `${firstLine.slice(0, 57)}...`
+        : firstLine;
+      return {
+        label: alias.name,
+        sublabel: preview,
+        toolTip: alias.command,
+        click: () => clipboard.writeText(alias.command)
+      };
+    });
+  }
+
+  /**
+   * Build the Profiles submenu; picking one makes it the only profile exported
+   */
+  buildProfilesMenu() {
+    return this.menuData.profiles.map(profile => ({
+      label: `${profile.name} (${profile.aliasCount})`,
+      type: 'radio',
+      checked: profile.selected,
+      click: () => this.runAction('selectProfile', profile.id)
+    }));
+  }
+
   /**
    * Update the tray menu
    */
@@ -115,16 +230,38 @@ class TrayManager {
         label: 'Open App',
         click: () => this.showMainWindow()
       },
+      {
+        label: 'Quick Launcher',
+        accelerator: quickLauncher.shortcut || undefined,
+        // Shown for reference; the launcher registers it as a global shortcut
+        registerAccelerator: false,
+        click: () => quickLauncher.show()
+      },
+      {
+        type: 'separator'
+      },
+      {
+        label: 'Recent',
+        submenu: this.buildRecentMenu()
+      },
+      {
+        label: 'Profiles',
+        submenu: this.buildProfilesMenu()
+      },
       {
         type: 'separator'
       },
+      {
+        label: this.menuData.lastExport,
+        enabled: false
+      },
       {
         label: 'Export Aliases',
-        click: () => this.sendActionToRenderer('export-aliases')
+        click: () => this.runAction('exportAliases')
       },
       {
         label: 'Import Aliases',
-        click: () => this.sendActionToRenderer('import-aliases')
+        click: () => this.runAction('importAliases')
       },
       {
         type: 'separator'
@@ -157,16 +294,20 @@ class TrayManager {
   }
 
   /**
-   * Show the main window
+   * Show the main window, opening it if it isn't open
    */
   showMainWindow() {
-    if (this.mainWindow) {
-      if (this.mainWindow.isMinimized()) {
-        this.mainWindow.restore();
+    if (!this.mainWindow || this.mainWindow.isDestroyed()) {
+      if (this.createMainWindow) {
+        this.createMainWindow();
       }
-      this.mainWindow.show();
-      this.mainWindow.focus();
+      return;
+    }
+    if (this.mainWindow.isMinimized()) {
+      this.mainWindow.restore();
     }
+    this.mainWindow.show();
+    this.mainWindow.focus();
   }
 
   /**
@@ -184,7 +325,7 @@ class TrayManager {
       new Notification({
         title: 'AliasForge',
         body: enabled 
-          ? 'Background mode enabled. App will minimize to tray.'
+          ? 'Background mode enabled. App will keep running in the tray when its window is closed.'
           : 'Background mode disabled. App will show in dock/taskbar.'
       }).show();
     }
@@ -192,6 +333,10 @@ class TrayManager {
 
   /**
    * Apply tray-only mode settings
+   *
+   * The main window is closed rather than hidden in this mode, so nothing
+   * but the tray stays in memory; main.js keeps the app running once the
+   * last window is closed.
    */
   applyTrayOnlyMode() {
     if (process.platform === 'darwin') {
@@ -201,18 +346,6 @@ class TrayManager {
         app.dock.show();
       }
     }
-
-    // Set window behavior
-    if (this.mainWindow) {
-      if (this.config.trayOnly) {
-        this.mainWindow.on('close', (event) => {
-          if (!app.isQuitting) {
-            event.preventDefault();
-            this.mainWindow.hide();
-          }
-        });
-      }
-    }
   }
 
   /**
@@ -241,17 +374,6 @@ class TrayManager {
     }
   }
 
-  /**
-   * Send action to renderer process
-   * @param {string} action - Action name
-   */
-  sendActionToRenderer(action) {
-    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-      this.mainWindow.webContents.send('tray-action', action);
-      this.showMainWindow();
-    }
-  }
-
   /**
    * Setup IPC handlers
    */
@@ -0,0 +1,137 @@
+/**
+ * Unified Diff Module
+ * Produces `diff -u` style output for previewing changes to rc files
+ */
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Split text into lines, ignoring the empty string after a final newline
+ * @param {string} text - File content
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute line operations between two texts
+ *
+ * Common leading and trailing lines are stripped before running the LCS
+ * table, which keeps the table small since exports only touch one block.
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<{type: string, line: string}>} Operations (" ", "-", "+")
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i * cols + j] = midA[i] === midB[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => ({ type: " ", line }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: " ", line: midA[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      ops.push({ type: "-", line: midA[i++] });
+    } else {
+      ops.push({ type: "+", line: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ type: "-", line: midA[i++] });
+  while (j < midB.length) ops.push({ type: "+", line: midB[j++] });
+
+  return ops.concat(a.slice(endA).map(line => ({ type: " ", line })));
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string} oldText - Current content
+ * @param {string} newText - Proposed content
+ * @param {Object} [options]
+ * @param {string} [options.oldName] - Label for the current file
+ * @param {string} [options.newName] - Label for the proposed file
+ * @returns {string} Unified diff, or an empty string when nothing changed
+ */
+function createUnifiedDiff(oldText, newText, { oldName = "a", newName = "b" } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  if (!ops.some(op => op.type !== " ")) {
+    return "";
+  }
+
+  // Group changes into hunks with surrounding context
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let lastChange = -Infinity;
+
+  ops.forEach((op, index) => {
+    if (op.type !== " ") {
+      if (!current || index - lastChange - 1 > CONTEXT_LINES * 2) {
+        const contextStart = Math.max(0, index - CONTEXT_LINES);
+        const lead = ops.slice(contextStart, index);
+        current = {
+          oldStart: oldLine - lead.length,
+          newStart: newLine - lead.length,
+          lines: lead.map(l => " " + l.line),
+          endIndex: index
+        };
+        hunks.push(current);
+      } else {
+        ops.slice(current.endIndex + 1, index).forEach(l => current.lines.push(" " + l.line));
+      }
+      current.lines.push(op.type + op.line);
+      current.endIndex = index;
+      lastChange = index;
+    }
+    if (op.type !== "+") oldLine++;
+    if (op.type !== "-") newLine++;
+  });
+
+  let output = `--- ${oldName}\n+++ ${newName}\n`;
+  for (const hunk of hunks) {
+    ops.slice(hunk.endIndex + 1, hunk.endIndex + 1 + CONTEXT_LINES).forEach(l => hunk.lines.push(" " + l.line));
+    const oldCount = hunk.lines.filter(l => l[0] !== "+").length;
+    const newCount = hunk.lines.filter(l => l[0] !== "-").length;
+    const oldStart = oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = newCount === 0 ? hunk.newStart - 1 : hunk.newStart;
+    output += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+    output += hunk.lines.join("\n") + "\n";
+  }
+  return output;
+}
+
+module.exports = {
+  createUnifiedDiff
+};
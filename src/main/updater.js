@@ -64,9 +64,18 @@ class Updater {
     this.checkIntervalMs = 1000 * 60 * 60 * 6; // default 6 hours
   }
 
+  /**
+   * Set the window that update status and prompts go to
+   * @param {BrowserWindow|null} mainWindow - The main Electron window; null
+   *   while it is closed in background mode
+   */
+  setMainWindow(mainWindow) {
+    this.mainWindow = mainWindow;
+  }
+
   /**
    * Initialize the updater with the main window
-   * @param {BrowserWindow} mainWindow - The main Electron window
+   * @param {BrowserWindow|null} mainWindow - The main Electron window
    */
   init(mainWindow) {
     this.mainWindow = mainWindow;
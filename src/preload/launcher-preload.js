@@ -0,0 +1,32 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+/**
+ * Preload script for the quick launcher window
+ * Exposes only what the launcher needs: searching aliases and copying or
+ * pasting their command. See preload.js for the security notes.
+ */
+
+// Allowed IPC channels - whitelist approach
+const ALLOWED_CHANNELS = ["launcher:search", "launcher:copy", "launcher:paste", "launcher:hide"];
+
+/**
+ * Safely invoke an IPC handler
+ */
+async function invokeSecure(channel, ...args) {
+  if (!ALLOWED_CHANNELS.includes(channel)) {
+    throw new Error(`IPC channel not allowed: ${channel}`);
+  }
+  return ipcRenderer.invoke(channel, ...args);
+}
+
+contextBridge.exposeInMainWorld("launcher", {
+  search: (query) => invokeSecure("launcher:search", query),
+  copy: (aliasId, values) => invokeSecure("launcher:copy", aliasId, values),
+  paste: (aliasId, values) => invokeSecure("launcher:paste", aliasId, values),
+  hide: () => invokeSecure("launcher:hide"),
+
+  // Called each time the launcher window is shown
+  onShown: (callback) => {
+    ipcRenderer.on("launcher:shown", () => callback());
+  }
+});
@@ -13,8 +13,11 @@ const { contextBridge, ipcRenderer } = require("electron");
 // Allowed IPC channels - whitelist approach
 const ALLOWED_CHANNELS = {
   system: ["system:get-platform"],
-  settings: ["settings:load", "settings:save"],
-  aliases: ["aliases:load", "aliases:save", "aliases:import", "aliases:export"],
+  settings: ["settings:load", "settings:save", "settings-changed"],
+  aliases: ["aliases:load", "aliases:save", "aliases:import", "aliases:export", "aliases:preview-export", "aliases:lint", "aliases:check-syntax", "aliases:parse-template", "aliases:parse-file", "aliases:export-file", "aliases-changed"],
+  history: ["history:list", "history:restore"],
+  sync: ["sync:run"],
+  watcher: ["watcher:pending", "files-changed"],
   shell: ["shell:detect"],
   file: ["file:read", "file:write", "file:backup"],
   updater: ["updater:check", "update-status"],
@@ -62,7 +65,29 @@ contextBridge.exposeInMainWorld("api", {
     load: () => invokeSecure("aliases:load"),
     save: (data) => invokeSecure("aliases:save", data),
     import: (shellName) => invokeSecure("aliases:import", shellName),
-    export: (aliases, shellName) => invokeSecure("aliases:export", aliases, shellName)
+    export: (aliases, shellName, options) => invokeSecure("aliases:export", aliases, shellName, options),
+    previewExport: (aliases, shellName) => invokeSecure("aliases:preview-export", aliases, shellName),
+    lint: (aliases, shellName) => invokeSecure("aliases:lint", aliases, shellName),
+    checkSyntax: (alias, shellName) => invokeSecure("aliases:check-syntax", alias, shellName),
+    parseTemplate: (command) => invokeSecure("aliases:parse-template", command),
+    parseFile: (text, fileName) => invokeSecure("aliases:parse-file", text, fileName),
+    exportFile: (data) => invokeSecure("aliases:export-file", data)
+  },
+
+  // Export history
+  history: {
+    list: () => invokeSecure("history:list"),
+    restore: (entryId) => invokeSecure("history:restore", entryId)
+  },
+
+  // Git sync
+  sync: {
+    run: (resolutions) => invokeSecure("sync:run", resolutions)
+  },
+
+  // Changes to watched files made outside the app
+  watcher: {
+    pending: () => invokeSecure("watcher:pending")
   },
 
   // Shell detection
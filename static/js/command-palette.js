@@ -0,0 +1,318 @@
+/**
+ * Command Palette
+ * Fuzzy-searchable list of app actions, opened with Cmd/Ctrl + Shift + P
+ *
+ * Features register their actions with commandPalette.register(); dynamic
+ * entries such as one per alias come from providers added with
+ * commandPalette.registerProvider(), which are asked for their actions each
+ * time the palette opens.
+ */
+
+class CommandPalette {
+  constructor() {
+    this.actions = new Map();
+    this.providers = [];
+    this.overlay = null;
+    this.input = null;
+    this.list = null;
+    this.results = [];
+    this.selectedIndex = 0;
+    this.maxResults = 50;
+  }
+
+  /**
+   * Initialize the palette
+   */
+  init() {
+    this.overlay = document.getElementById('command-palette');
+    this.input = document.getElementById('command-palette-input');
+    this.list = document.getElementById('command-palette-list');
+
+    if (!this.overlay || !this.input || !this.list) {
+      console.error('Command palette elements not found');
+      return;
+    }
+
+    this.setupEventListeners();
+    this.setupKeyboardSupport();
+  }
+
+  /**
+   * Register an action
+   * @param {Object} action - Action definition
+   * @param {string} action.id - Unique id; registering it again replaces the action
+   * @param {string} action.title - Text shown and searched
+   * @param {string} [action.category] - Group shown before the title, e.g. "Export"
+   * @param {Array<string>} [action.keywords] - Extra words to match
+   * @param {string} [action.detail] - Secondary text, e.g. an alias's command
+   * @param {string} [action.icon] - Font Awesome icon class, e.g. "fa-plus"
+   * @param {Function} [action.when] - Return false to hide the action for now
+   * @param {Function} action.run - Called when the action is chosen
+   */
+  register(action) {
+    if (!action.id || !action.title || typeof action.run !== 'function') {
+      throw new Error('Invalid action: must have id, title, and run');
+    }
+    this.actions.set(action.id, action);
+  }
+
+  /**
+   * Remove a registered action
+   * @param {string} actionId - Action id
+   */
+  unregister(actionId) {
+    this.actions.delete(actionId);
+  }
+
+  /**
+   * Add a source of actions that change over time
+   * @param {Function} provider - Returns an array of actions like register() takes
+   */
+  registerProvider(provider) {
+    this.providers.push(provider);
+  }
+
+  /**
+   * Get the actions that can run right now
+   * @returns {Array} Registered actions followed by provided ones
+   */
+  getActions() {
+    const provided = this.providers.flatMap(provider => provider() || []);
+    return [...this.actions.values(), ...provided].filter(action => !action.when || action.when());
+  }
+
+  /**
+   * Score how well a query matches a text; every query character must
+   * appear in order. Consecutive characters and word starts score higher.
+   * @param {string} query - Lowercase query
+   * @param {string} text - Text to match
+   * @returns {number|null} Score, or null when the text doesn't match
+   */
+  static fuzzyScore(query, text) {
+    const haystack = text.toLowerCase();
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+
+    for (const char of query) {
+      const index = haystack.indexOf(char, position);
+      if (index === -1) {
+        return null;
+      }
+      score += 1;
+      if (index === previous + 1) {
+        score += 3;
+      }
+      if (index === 0 || /[\s:/._-]/.test(haystack[index - 1])) {
+        score += 2;
+      }
+      previous = index;
+      position = index + 1;
+    }
+
+    // Prefer shorter texts when the match is otherwise equal
+    return score - haystack.length / 100;
+  }
+
+  /**
+   * Find the actions matching a query, best first
+   * @param {string} query - Text typed into the palette
+   * @returns {Array} Actions
+   */
+  search(query) {
+    const actions = this.getActions();
+    const needle = query.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!needle) {
+      return actions.slice(0, this.maxResults);
+    }
+
+    return actions
+      .map(action => {
+        const label = action.category ? `${action.category}: ${action.title}` : action.title;
+        const scores = [label, ...(action.keywords || [])]
+          .map(text => CommandPalette.fuzzyScore(needle, text))
+          .filter(score => score !== null);
+        return { action, score: scores.length > 0 ? Math.max(...scores) : null };
+      })
+      .filter(result => result.score !== null)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxResults)
+      .map(result => result.action);
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.input.addEventListener('input', () => {
+      this.selectedIndex = 0;
+      this.render();
+    });
+
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        this.moveSelection(1);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.moveSelection(-1);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this.runSelected();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+      }
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('.command-palette-item');
+      if (item) {
+        this.selectedIndex = parseInt(item.dataset.index);
+        this.runSelected();
+      }
+    });
+
+    // Close when clicking outside the palette
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Setup keyboard support
+   */
+  setupKeyboardSupport() {
+    // Toggle with Cmd/Ctrl + Shift + P
+    document.addEventListener('keydown', (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.shiftKey && e.key.toLowerCase() === 'p') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+  }
+
+  /**
+   * Check whether the palette is showing
+   */
+  isOpen() {
+    return this.overlay.classList.contains('show');
+  }
+
+  /**
+   * Open the palette with an empty query
+   */
+  open() {
+    this.input.value = '';
+    this.selectedIndex = 0;
+    this.render();
+    this.overlay.classList.add('show');
+    this.input.focus();
+  }
+
+  /**
+   * Close the palette
+   */
+  close() {
+    this.overlay.classList.remove('show');
+  }
+
+  /**
+   * Open the palette if it is closed, close it otherwise
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Move the highlighted result, wrapping around at either end
+   * @param {number} step - 1 for down, -1 for up
+   */
+  moveSelection(step) {
+    if (this.results.length === 0) {
+      return;
+    }
+    this.selectedIndex = (this.selectedIndex + step + this.results.length) % this.results.length;
+    this.updateSelection();
+  }
+
+  /**
+   * Close the palette and run the highlighted action
+   */
+  async runSelected() {
+    const action = this.results[this.selectedIndex];
+    if (!action) {
+      return;
+    }
+    this.close();
+    try {
+      await action.run();
+    } catch (error) {
+      console.error(`Command "${action.id}" failed:`, error);
+    }
+  }
+
+  /**
+   * Render the results for the current query
+   */
+  render() {
+    this.results = this.search(this.input.value);
+
+    if (this.results.length === 0) {
+      this.list.innerHTML = '<li class="command-palette-empty">No matching commands</li>';
+      return;
+    }
+
+    this.list.innerHTML = this.results.map((action, index) => `
+      <li class="command-palette-item" data-index="${index}" role="option">
+        <i class="fas ${this.escape(action.icon || 'fa-terminal')}"></i>
+        ${action.category ? `<span class="command-palette-category">${this.escape(action.category)}:</span>` : ''}
+        <span class="command-palette-title">${this.escape(action.title)}</span>
+        ${action.detail ? `<span class="command-palette-detail">${this.escape(action.detail)}</span>` : ''}
+      </li>
+    `).join('');
+    this.updateSelection();
+  }
+
+  /**
+   * Highlight the selected result and keep it in view
+   */
+  updateSelection() {
+    this.list.querySelectorAll('.command-palette-item').forEach((item, index) => {
+      const selected = index === this.selectedIndex;
+      item.classList.toggle('selected', selected);
+      item.setAttribute('aria-selected', String(selected));
+      if (selected) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Escape text for use in HTML
+   */
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Export singleton instance; features register their actions on it
+const commandPalette = new CommandPalette();
+
+// Initialize palette when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    commandPalette.init();
+  });
+} else {
+  commandPalette.init();
+}
@@ -0,0 +1,175 @@
+// ============================================
+// Quick Launcher
+// ============================================
+// Search aliases from anywhere and copy or paste their command. Talks to
+// the main process only through window.launcher (launcher-preload.js).
+
+const launcherState = {
+  results: [],
+  selectedIndex: 0,
+  // Ignore answers to queries that were typed over
+  searchId: 0
+};
+
+const isMac = navigator.platform.startsWith("Mac");
+
+document.addEventListener("DOMContentLoaded", async () => {
+  await themeManager.init();
+
+  const input = document.getElementById("launcher-input");
+  const list = document.getElementById("launcher-results");
+  document.getElementById("launcher-copy-key").textContent = isMac ? "⌘+Enter" : "Ctrl+Enter";
+
+  input.addEventListener("input", () => search(input.value));
+  input.addEventListener("keydown", handleKeydown);
+  list.addEventListener("click", (e) => {
+    const item = e.target.closest(".launcher-item");
+    if (item) {
+      launcherState.selectedIndex = parseInt(item.dataset.index);
+      runSelected(e.metaKey || e.ctrlKey ? "copy" : "paste");
+    }
+  });
+
+  // The window is hidden rather than closed, so start fresh each time
+  window.launcher.onShown(() => {
+    themeManager.applyTheme(themeManager.loadPreference() || themeManager.defaultTheme);
+    input.value = "";
+    input.focus();
+    search("");
+  });
+
+  search("");
+});
+
+async function search(query) {
+  const searchId = ++launcherState.searchId;
+  const result = await window.launcher.search(query);
+  if (searchId !== launcherState.searchId) return;
+
+  launcherState.results = result.success ? result.results : [];
+  launcherState.selectedIndex = 0;
+  renderResults(result.success ? null : result.error);
+}
+
+function handleKeydown(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    const count = launcherState.results.length;
+    if (count === 0) return;
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    launcherState.selectedIndex = (launcherState.selectedIndex + step + count) % count;
+    updateSelection();
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runSelected(e.metaKey || e.ctrlKey ? "copy" : "paste");
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    window.launcher.hide();
+  }
+}
+
+/**
+ * Copy or paste the command of the highlighted alias, asking for its
+ * placeholder values first
+ * @param {string} mode - "copy" or "paste"
+ * @param {Object} [values] - Placeholder values by name, once asked for
+ */
+async function runSelected(mode, values) {
+  const alias = launcherState.results[launcherState.selectedIndex];
+  if (!alias) return;
+  if (alias.placeholders.length > 0 && !values) {
+    renderPrompt(alias, mode);
+    return;
+  }
+
+  const result = mode === "copy" ? await window.launcher.copy(alias.id, values) : await window.launcher.paste(alias.id, values);
+  if (!result.success) {
+    renderResults(result.error);
+  }
+}
+
+/**
+ * Ask for the placeholder values of an alias in place of the results
+ * @param {Object} alias - Search result with placeholders
+ * @param {string} mode - "copy" or "paste", run once the values are entered
+ */
+function renderPrompt(alias, mode) {
+  const list = document.getElementById("launcher-results");
+  list.innerHTML = `
+    <li class="launcher-prompt">
+      <div class="launcher-item-header"><strong>${escapeHtml(alias.name)}</strong></div>
+      <code class="launcher-command">${escapeHtml(alias.command)}</code>
+      ${alias.placeholders.map(placeholder => `
+        <label class="launcher-field">
+          <span>${escapeHtml(placeholder.name)}</span>
+          <input type="text" data-name="${escapeAttr(placeholder.name)}" placeholder="${escapeAttr(placeholder.defaultValue || "")}" autocomplete="off" spellcheck="false">
+        </label>
+      `).join("")}
+    </li>
+  `;
+
+  const inputs = [...list.querySelectorAll(".launcher-field input")];
+  inputs.forEach(input => input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      const values = Object.fromEntries(inputs.map(field => [field.dataset.name, field.value]));
+      runSelected(mode, values);
+    } else if (e.key === "Escape") {
+      // Back to the results rather than closing the launcher
+      e.preventDefault();
+      e.stopPropagation();
+      renderResults();
+      document.getElementById("launcher-input").focus();
+    }
+  }));
+  inputs[0].focus();
+}
+
+function renderResults(error) {
+  const list = document.getElementById("launcher-results");
+
+  if (error) {
+    list.innerHTML = `<li class="launcher-empty">${escapeHtml(error)}</li>`;
+    return;
+  }
+  if (launcherState.results.length === 0) {
+    list.innerHTML = '<li class="launcher-empty">No matching aliases</li>';
+    return;
+  }
+
+  list.innerHTML = launcherState.results.map((alias, index) => `
+    <li class="launcher-item${alias.enabled ? "" : " disabled"}" data-index="${index}" role="option">
+      <div class="launcher-item-header">
+        <strong>${escapeHtml(alias.name)}</strong>
+        ${alias.kind === "function" ? '<span class="launcher-badge">fn</span>' : ""}
+        ${alias.enabled ? "" : '<span class="launcher-badge">disabled</span>'}
+        ${alias.tags.map(tag => `<span class="launcher-tag">${escapeHtml(tag)}</span>`).join("")}
+      </div>
+      <code class="launcher-command">${escapeHtml(alias.command)}</code>
+      ${alias.description ? `<div class="launcher-description">${escapeHtml(alias.description)}</div>` : ""}
+    </li>
+  `).join("");
+  updateSelection();
+}
+
+function updateSelection() {
+  document.querySelectorAll(".launcher-item").forEach((item, index) => {
+    const selected = index === launcherState.selectedIndex;
+    item.classList.toggle("selected", selected);
+    item.setAttribute("aria-selected", String(selected));
+    if (selected) {
+      item.scrollIntoView({ block: "nearest" });
+    }
+  });
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// escapeHtml leaves quotes alone, which is only safe outside attribute values
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
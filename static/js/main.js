@@ -14,6 +14,8 @@ const state = {
   settings: {},
   currentShell: null,
   currentPlatform: null,
+  // OS reported by shell detection; currentPlatform follows the filter chips
+  hostPlatform: null,
   currentTab: "aliases",
   editingAlias: null,
   filterTag: "all",
@@ -26,6 +28,14 @@ const state = {
   sortDirection: "asc",
   // Bulk selection
   selectedAliases: new Set(),
+  // Profiles, in priority order (highest first)
+  profiles: [],
+  filterProfile: "all",
+  editingProfile: null,
+  // Linter warnings keyed by alias id
+  lintResults: {},
+  // Watched files changed outside AliasForge, one report per file
+  fileChanges: [],
   // Dialog callbacks
   dialogCallback: null
 };
@@ -44,12 +54,35 @@ document.addEventListener("DOMContentLoaded", async () => {
   await detectShell();
   await loadAliases(); // Will auto-load from shell
   setupEventListeners();
+  registerPaletteActions();
+  refreshLintWarnings();
   
   // Listen for update status events
   window.api.on('update-status', (event, data) => {
     handleUpdateStatus(data);
   });
   
+  // The tray can pick the exported profile while the window is open
+  window.api.on('settings-changed', (event, settings) => {
+    state.settings.activeProfiles = settings.activeProfiles;
+    loadAliases();
+  });
+  
+  // Imports run from the tray save straight to the library
+  window.api.on('aliases-changed', () => {
+    loadAliases();
+  });
+  
+  // Shell files or the library changed outside AliasForge
+  window.api.on('files-changed', (event, report) => {
+    handleFileChange(report);
+  });
+  const pendingChanges = await window.api.watcher.pending();
+  if (pendingChanges.success && pendingChanges.changes.length > 0) {
+    state.fileChanges = pendingChanges.changes;
+    showFileChangeDialog();
+  }
+  
   updateStats();
   // Remove the startup loader once initial UI is ready
   hideStartupLoader();
@@ -257,9 +290,89 @@ async function loadSettings() {
   }
 }
 
+/**
+ * Render the export strategy selector and per-shell export path inputs
+ */
+function renderExportSettings() {
+  const container = document.getElementById("export-paths");
+  if (!container) return;
+  
+  const exportPaths = state.settings.exportPaths || {};
+  const strategy = state.settings.exportStrategy || "dedicated";
+  
+  let html = `
+    <div class="setting-item">
+      <label for="export-strategy">Export strategy</label>
+      <select id="export-strategy" class="setting-input">
+        <option value="dedicated" ${strategy === "dedicated" ? "selected" : ""}>Dedicated file (sourced from rc file)</option>
+        <option value="direct" ${strategy === "direct" ? "selected" : ""}>Direct write into rc file</option>
+      </select>
+      <small class="form-hint">Dedicated keeps generated aliases in ~/.config/aliasforge and adds a single source line to your rc file</small>
+    </div>
+  `;
+  
+  html += Object.keys(exportPaths).map(shell => `
+    <div class="setting-item">
+      <label for="export-path-${escapeAttr(shell)}">${escapeHtml(shell)}</label>
+      <input type="text" id="export-path-${escapeAttr(shell)}" class="setting-input export-path-input" data-shell="${escapeAttr(shell)}" value="${escapeAttr(exportPaths[shell])}">
+    </div>
+  `).join("");
+  
+  if (exportPaths.cmd) {
+    html += `
+      <div class="setting-item">
+        <label class="checkbox-label">
+          <input type="checkbox" id="cmd-autorun-file" ${state.settings.cmdAutoRunFile ? "checked" : ""}>
+          <span>Write a .reg file that registers the cmd macros as AutoRun</span>
+        </label>
+        <small class="form-hint">Saved next to the cmd file as aliasforge-autorun.reg; double-click it to load the macros in every cmd.exe window</small>
+      </div>
+    `;
+  }
+  
+  if (exportPaths.fish) {
+    html += `
+      <div class="setting-item">
+        <label class="checkbox-label">
+          <input type="checkbox" id="fish-function-files" ${state.settings.fishFunctionFiles ? "checked" : ""}>
+          <span>Write fish functions to ~/.config/fish/functions</span>
+        </label>
+        <small class="form-hint">One autoloaded file per function instead of defining them in config.fish</small>
+      </div>
+    `;
+  }
+  
+  container.innerHTML = html;
+  
+  container.querySelector("#export-strategy").addEventListener("change", (e) => {
+    state.settings.exportStrategy = e.target.value;
+  });
+  
+  container.querySelector("#fish-function-files")?.addEventListener("change", (e) => {
+    state.settings.fishFunctionFiles = e.target.checked;
+  });
+  
+  container.querySelector("#cmd-autorun-file")?.addEventListener("change", (e) => {
+    state.settings.cmdAutoRunFile = e.target.checked;
+  });
+  
+  container.querySelectorAll(".export-path-input").forEach(input => {
+    input.addEventListener("change", (e) => {
+      const value = e.target.value.trim();
+      if (value) {
+        state.settings.exportPaths = { ...state.settings.exportPaths, [e.target.dataset.shell]: value };
+      }
+    });
+  });
+}
+
 async function saveSettings() {
   try {
-    await window.api.settings.save(state.settings);
+    const result = await window.api.settings.save(state.settings);
+    if (result && result.shortcutError) {
+      showToast(`Settings saved, but ${result.shortcutError}`, "error");
+      return;
+    }
     showToast("Settings saved successfully", "success");
   } catch (err) {
     console.error("Failed to save settings:", err);
@@ -276,10 +389,12 @@ async function loadAliases() {
     console.log("Loading aliases from storage...");
     const data = await window.api.aliases.load();
     state.aliases = data.aliases || [];
+    state.profiles = data.profiles || [];
     
     console.log(`Loaded ${state.aliases.length} saved aliases`);
     
     renderAliases();
+    renderProfiles();
     renderTagFilters();
     updateStats();
   } catch (err) {
@@ -290,9 +405,14 @@ async function loadAliases() {
 
 async function saveAliases() {
   try {
-    await window.api.aliases.save({
-      aliases: state.aliases
+    const result = await window.api.aliases.save({
+      aliases: state.aliases,
+      profiles: state.profiles
     });
+    if (result && result.syncError) {
+      showToast(`Saved, but the sync repository couldn't commit: ${result.syncError}`, "error");
+    }
+    refreshLintWarnings();
     return true;
   } catch (err) {
     console.error("Failed to save aliases:", err);
@@ -301,17 +421,65 @@ async function saveAliases() {
   }
 }
 
-async function exportAliasesToShell() {
+/**
+ * Check aliases for shadowed commands and rc file collisions, then redraw
+ * the badges and the sidebar count
+ */
+async function refreshLintWarnings() {
+  if (!state.currentShell) return;
+  
+  try {
+    const result = await window.api.aliases.lint(state.aliases, state.currentShell);
+    if (!result.success) {
+      console.error("Failed to lint aliases:", result.error);
+      return;
+    }
+    state.lintResults = result.results;
+    renderAliases();
+    updateStats();
+  } catch (err) {
+    console.error("Failed to lint aliases:", err);
+  }
+}
+
+function renderLintBadge(alias) {
+  const warnings = state.lintResults[alias.id];
+  if (!warnings || warnings.length === 0) return "";
+  
+  const shadows = warnings.some(w => w.type === "builtin" || w.type === "executable");
+  // Wrapping the shadowed command is usually deliberate, so it alone gets a quieter badge
+  const wrapsOnly = warnings.every(w => w.type === "wraps-itself");
+  const label = shadows ? "shadows" : wrapsOnly ? "wraps" : "also in rc";
+  const title = warnings.map(w => w.message).join("\n");
+  return ` <span class="lint-badge${wrapsOnly ? " lint-info" : ""}" title="${escapeAttr(title)}">&#9888; ${label}</span>`;
+}
+
+async function exportAliasesToShell(options = {}) {
   try {
     if (!state.currentShell) {
       showToast("Shell not detected", "error");
       return;
     }
     
-    const result = await window.api.aliases.export(state.aliases, state.currentShell);
+    const result = await window.api.aliases.export(state.aliases, state.currentShell, options);
+    
+    if (result.syntaxErrors) {
+      // Nothing was written; the message names each broken alias
+      showToast(result.error, "error");
+      return false;
+    }
+    
+    if (result.conflict) {
+      // Hand edits or broken markers; let the user decide before overwriting
+      showExportConflictDialog(result);
+      return false;
+    }
     
     if (result.success) {
-      showToast(`Aliases exported to ${result.path}`, "success");
+      const conflicts = result.profiles ? result.profiles.conflicts : [];
+      showToast(conflicts.length > 0
+        ? `Aliases exported to ${result.path} (${conflicts.length} profile conflict${conflicts.length > 1 ? "s" : ""} resolved by priority)`
+        : `Aliases exported to ${result.path}`, "success");
       return true;
     } else {
       showToast("Failed to export aliases: " + result.error, "error");
@@ -324,6 +492,185 @@ async function exportAliasesToShell() {
   }
 }
 
+/**
+ * Show what an export would change before writing anything
+ */
+async function previewExportToShell() {
+  try {
+    if (!state.currentShell) {
+      showToast("Shell not detected", "error");
+      return;
+    }
+    
+    const result = await window.api.aliases.previewExport(state.aliases, state.currentShell);
+    
+    if (!result.success) {
+      showToast("Failed to preview export: " + result.error, "error");
+      return;
+    }
+    
+    showExportPreviewDialog(result);
+  } catch (err) {
+    console.error("Failed to preview export:", err);
+    showToast("Failed to preview export", "error");
+  }
+}
+
+function showExportPreviewDialog(preview) {
+  const dialog = document.getElementById("export-preview-dialog");
+  const summary = document.getElementById("export-preview-summary");
+  const filesContainer = document.getElementById("export-preview-files");
+  const applyBtn = document.getElementById("export-preview-apply");
+  
+  if (!dialog || !summary || !filesContainer) return;
+  
+  const changedFiles = preview.files.filter(f => f.changed);
+  summary.textContent = changedFiles.length > 0
+    ? `${changedFiles.length} file${changedFiles.length > 1 ? "s" : ""} will change (${preview.strategy} strategy).`
+    : "No changes - your shell configuration is already up to date.";
+  
+  const conflicts = preview.profiles ? preview.profiles.conflicts : [];
+  if (conflicts.length > 0) {
+    summary.textContent += ` Profile conflicts: ${describeProfileConflicts(conflicts).join("; ")}.`;
+  }
+  
+  const missing = preview.missingVariants || [];
+  if (missing.length > 0) {
+    summary.textContent += ` Skipped (no command for this platform): ${missing.join(", ")}.`;
+  }
+  
+  const blockConflicts = preview.conflicts || [];
+  if (blockConflicts.length > 0) {
+    summary.textContent += ` Warning: ${blockConflicts.map(c => c.message).join("; ")}. You will be asked how to resolve this when you apply.`;
+  }
+  
+  filesContainer.innerHTML = changedFiles.map(file => `
+    <div class="diff-file">
+      <div class="diff-file-path">${escapeHtml(file.path)}</div>
+      <div class="diff-view">${renderDiffLines(file.diff)}</div>
+    </div>
+  `).join("");
+  
+  if (preview.instructions) {
+    filesContainer.innerHTML += `<pre class="block-preview export-instructions">${escapeHtml(preview.instructions)}</pre>`;
+  }
+  
+  const syntaxErrors = preview.syntaxErrors || [];
+  if (syntaxErrors.length > 0) {
+    summary.textContent += ` Syntax errors must be fixed before applying: ${syntaxErrors.map(e => e.name ? `${e.name}: ${e.message}` : e.message).join("; ")}.`;
+  }
+  
+  if (applyBtn) {
+    applyBtn.disabled = changedFiles.length === 0 || syntaxErrors.length > 0;
+  }
+  
+  dialog.classList.add("show");
+}
+
+/**
+ * Ask how to resolve managed content that was changed outside AliasForge
+ */
+function showExportConflictDialog(result) {
+  const dialog = document.getElementById("export-conflict-dialog");
+  const summary = document.getElementById("export-conflict-summary");
+  const list = document.getElementById("export-conflict-list");
+  const aliasesContainer = document.getElementById("export-conflict-aliases");
+  const reimportBtn = document.getElementById("export-conflict-reimport");
+  
+  if (!dialog || !summary || !list || !aliasesContainer) return;
+  
+  state.pendingExportConflict = result;
+  const edited = result.editedAliases || [];
+  
+  summary.textContent = "Exporting now would replace these changes. Re-import the edited aliases first, overwrite the changes, or abort and leave your files as they are.";
+  list.innerHTML = result.conflicts.map(conflict => `<li>${escapeHtml(conflict.message)}</li>`).join("");
+  aliasesContainer.innerHTML = edited.length > 0 ? `
+    <div class="conflict-aliases">
+      <h4>Edited aliases (${edited.length})</h4>
+      <ul class="validation-list conflict-list">
+        ${edited.map(alias => `<li><code>${escapeHtml(alias.name)}</code> &rarr; <code>${escapeHtml(alias.command)}</code></li>`).join("")}
+      </ul>
+    </div>
+  ` : "";
+  
+  if (reimportBtn) {
+    reimportBtn.disabled = edited.length === 0;
+  }
+  
+  dialog.classList.add("show");
+}
+
+function hideExportConflictDialog() {
+  const dialog = document.getElementById("export-conflict-dialog");
+  if (dialog) {
+    dialog.classList.remove("show");
+  }
+  state.pendingExportConflict = null;
+}
+
+/**
+ * Take aliases edited by hand in the shell files into AliasForge, then
+ * export over the edited content
+ */
+async function reimportEditedAliases(editedAliases) {
+  let added = 0;
+  let updated = 0;
+  
+  editedAliases.forEach(edited => {
+    const matches = state.aliases.filter(a => a.name === edited.name);
+    const existing = matches.find(a => a.enabled) || matches[0];
+    if (!existing) {
+      state.aliases.push(edited);
+      added++;
+      return;
+    }
+    
+    // Edit the variant the export used for this OS, if there is one
+    const variant = existing.platforms && existing.platforms[state.hostPlatform];
+    if (variant && variant.command && (!variant.shell || variant.shell === state.currentShell)) {
+      variant.command = edited.command;
+    } else {
+      existing.command = edited.command;
+    }
+    if (edited.kind) {
+      existing.kind = edited.kind;
+    }
+    updated++;
+  });
+  
+  const success = await saveAliases();
+  if (!success) {
+    showToast("Failed to save re-imported aliases", "error");
+    return;
+  }
+  renderAliases();
+  renderTagFilters();
+  updateStats();
+  showToast(`Re-imported ${updated} changed and ${added} new alias${added + updated === 1 ? "" : "es"}`, "success");
+  await exportAliasesToShell({ overwrite: true });
+}
+
+function renderDiffLines(diff) {
+  return diff.trimEnd().split("\n").map(line => {
+    let cls = "";
+    if (line.startsWith("@@")) {
+      cls = "diff-hunk";
+    } else if (line.startsWith("+")) {
+      cls = "diff-add";
+    } else if (line.startsWith("-")) {
+      cls = "diff-del";
+    }
+    return `<span class="diff-line ${cls}">${escapeHtml(line) || " "}</span>`;
+  }).join("");
+}
+
+function hideExportPreviewDialog() {
+  const dialog = document.getElementById("export-preview-dialog");
+  if (dialog) {
+    dialog.classList.remove("show");
+  }
+}
+
 async function importAliasesFromShell() {
   try {
     if (!state.currentShell) {
@@ -343,6 +690,7 @@ async function importAliasesFromShell() {
         await saveAliases();
         renderAliases();
         renderTagFilters();
+        renderProfiles();
         updateStats();
         showToast(`Imported ${newAliases.length} new aliases`, "success");
       } else {
@@ -359,99 +707,804 @@ async function importAliasesFromShell() {
   }
 }
 
-async function importAliasesFromFile() {
-  try {
-    const input = document.createElement("input");
-    input.type = "file";
-    input.accept = ".json";
-    
-    input.onchange = async (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
-      
-      try {
-        const text = await file.text();
-        const data = JSON.parse(text);
-        
-        // Validate the imported data
-        const validation = validateImportData(data);
-        
-        if (validation.valid.length === 0 && validation.invalid.length > 0) {
-          // All imports failed
-          showValidationErrorDialog(validation, false);
-          return;
-        }
-        
-        if (validation.invalid.length > 0) {
-          // Some imports failed - show dialog with exit/continue options
-          showValidationErrorDialog(validation, true);
-          return;
-        }
-        
-        // All valid - proceed with import
-        await processValidAliases(validation.valid);
-        
-      } catch (err) {
-        console.error("Failed to parse import file:", err);
-        showToast("Invalid JSON file format", "error");
-      }
-    };
-    
-    input.click();
-  } catch (err) {
-    console.error("Failed to import from file:", err);
-    showToast("Failed to import from file", "error");
+async function importAliasesFromFile() {
+  try {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,.yaml,.yml,.toml";
+    
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      try {
+        const text = await file.text();
+        // JSON, YAML or TOML depending on the file extension
+        const parsed = await window.api.aliases.parseFile(text, file.name);
+        if (!parsed.success) {
+          showToast(parsed.line ? `${file.name}, line ${parsed.line}: ${parsed.error}` : `${file.name}: ${parsed.error}`, "error");
+          return;
+        }
+        
+        // Validate the imported data
+        const validation = validateImportData(parsed.data, parsed.lines);
+        
+        if (validation.valid.length === 0 && validation.invalid.length > 0) {
+          // All imports failed
+          showValidationErrorDialog(validation, false);
+          return;
+        }
+        
+        if (validation.invalid.length > 0) {
+          // Some imports failed - show dialog with exit/continue options
+          showValidationErrorDialog(validation, true);
+          return;
+        }
+        
+        // All valid - proceed with import
+        await processValidAliases(validation.valid);
+        
+      } catch (err) {
+        console.error("Failed to parse import file:", err);
+        showToast("Failed to read the alias file", "error");
+      }
+    };
+    
+    input.click();
+  } catch (err) {
+    console.error("Failed to import from file:", err);
+    showToast("Failed to import from file", "error");
+  }
+}
+
+async function exportAliasesToFile() {
+  try {
+    const data = {
+      version: "1.0",
+      exportDate: new Date().toISOString(),
+      aliases: state.aliases
+    };
+    
+    // The save dialog's file extension picks JSON, YAML or TOML
+    const result = await window.api.aliases.exportFile(data);
+    if (result.canceled) return;
+    if (!result.success) {
+      showToast("Failed to export to file: " + result.error, "error");
+      return;
+    }
+    
+    showToast(`Exported ${state.aliases.length} aliases to ${result.path}`, "success");
+  } catch (err) {
+    console.error("Failed to export to file:", err);
+    showToast("Failed to export to file", "error");
+  }
+}
+
+// ============================================
+// Export Log
+// ============================================
+async function loadExportLog() {
+  try {
+    const result = await window.api.history.list();
+    if (!result.success) {
+      showToast("Failed to load export log: " + result.error, "error");
+      return;
+    }
+    renderExportLog(result.entries);
+  } catch (err) {
+    console.error("Failed to load export log:", err);
+    showToast("Failed to load export log", "error");
+  }
+}
+
+function renderExportLog(entries) {
+  const tbody = document.getElementById("export-log-body");
+  if (!tbody) return;
+  
+  if (entries.length === 0) {
+    tbody.innerHTML = `
+      <tr class="empty-state">
+        <td colspan="7">
+          <div class="empty-message">
+            <p>No exports yet</p>
+            <p class="empty-hint">Each "Save to Shell" run is recorded here so you can roll back the managed block</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+  
+  tbody.innerHTML = entries.map(entry => `
+    <tr data-entry-id="${escapeAttr(entry.id)}">
+      <td>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</td>
+      <td>${entry.action === "restore" ? "Restore" : "Export"}</td>
+      <td>${escapeHtml(entry.shell || "")}</td>
+      <td><code class="command-preview" title="${escapeAttr(entry.targetPath)}">${escapeHtml(entry.targetPath)}</code></td>
+      <td>${entry.aliasCount}</td>
+      <td>
+        <details class="block-details">
+          <summary>View</summary>
+          <pre class="block-preview">${escapeHtml(entry.aliasFileAfter || entry.blockAfter || "")}</pre>
+        </details>
+      </td>
+      <td>
+        <button class="btn-secondary btn-restore-export" data-entry-id="${escapeAttr(entry.id)}" title="Put this version of the managed block back">Restore</button>
+      </td>
+    </tr>
+  `).join("");
+  
+  tbody.querySelectorAll(".btn-restore-export").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const entry = entries.find(e => e.id === btn.dataset.entryId);
+      if (entry) {
+        restoreExportEntry(entry);
+      }
+    });
+  });
+}
+
+function restoreExportEntry(entry) {
+  const when = new Date(entry.timestamp).toLocaleString();
+  const message = `Restore the AliasForge block in ${entry.targetPath} to the version from ${when}? The rest of the file is left untouched and a backup is taken first.`;
+  
+  showConfirmationDialog("Restore Managed Block", message, async () => {
+    hideConfirmationDialog();
+    try {
+      const result = await window.api.history.restore(entry.id);
+      if (result.success) {
+        showToast(`Restored managed block in ${result.path}`, "success");
+        await loadExportLog();
+      } else {
+        showToast("Failed to restore: " + result.error, "error");
+      }
+    } catch (err) {
+      console.error("Failed to restore export:", err);
+      showToast("Failed to restore managed block", "error");
+    }
+  });
+}
+
+function deleteAlias(id) {
+  const alias = state.aliases.find(a => a.id === id);
+  if (!alias) return;
+  
+  // Show custom confirmation dialog - only show alias name
+  const message = `Are you sure you want to delete the alias "${alias.name}"?`;
+  
+  if (!confirm(message)) {
+    return;
+  }
+  
+  state.aliases = state.aliases.filter(a => a.id !== id);
+  saveAliases().then(success => {
+    if (success) {
+      exportAliasesToShell();
+      renderAliases();
+      renderTagFilters();
+      renderProfiles();
+      updateStats();
+      showToast(`Deleted alias "${alias.name}"`, "success");
+    }
+  });
+}
+
+// ============================================
+// Sync
+// ============================================
+
+/**
+ * Save the sync settings, then pull, merge and push the alias library
+ * @param {Object} [resolutions] - "ours" or "theirs" by alias id, for
+ *   conflicts the user has resolved
+ */
+async function syncNow(resolutions = {}) {
+  const status = document.getElementById("sync-status");
+  const button = document.getElementById("sync-now-btn");
+  const setStatus = (text) => {
+    if (status) status.textContent = text;
+  };
+  
+  if (button) button.disabled = true;
+  setStatus("Syncing...");
+  try {
+    await window.api.settings.save(state.settings);
+    const result = await window.api.sync.run(resolutions);
+    if (result.conflict) {
+      setStatus(result.error);
+      showSyncConflictDialog(result.conflicts, resolutions);
+      return;
+    }
+    if (!result.success) {
+      setStatus(`Sync failed: ${result.error}`);
+      showToast(`Sync failed: ${result.error}`, "error");
+      return;
+    }
+    
+    if (result.pulled) {
+      await loadAliases();
+      refreshLintWarnings();
+    }
+    const time = new Date().toLocaleTimeString();
+    if (!result.pushed) {
+      setStatus(`Committed locally at ${time}; no remote is configured`);
+    } else {
+      setStatus(`${result.pulled ? "Pulled and pushed" : "Pushed"} at ${time}`);
+    }
+    showToast(result.pulled ? "Pulled aliases from the remote; export to update your shell" : "Aliases synced", "success");
+  } catch (err) {
+    console.error("Failed to sync aliases:", err);
+    setStatus("Sync failed");
+    showToast("Failed to sync aliases", "error");
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+// Show one side of a sync conflict
+function describeSyncSide(alias) {
+  if (!alias) return "<em>deleted</em>";
+  return `<code>${escapeHtml(alias.command)}</code>${alias.enabled === false ? " (disabled)" : ""}`;
+}
+
+/**
+ * Ask which version to keep for each alias changed on both sides
+ */
+function showSyncConflictDialog(conflicts, resolutions) {
+  const dialog = document.getElementById("sync-conflict-dialog");
+  const summary = document.getElementById("sync-conflict-summary");
+  const list = document.getElementById("sync-conflict-list");
+  
+  if (!dialog || !summary || !list) return;
+  
+  state.pendingSyncConflict = { conflicts, resolutions };
+  summary.textContent = `${conflicts.length} alias(es) were changed here and on another machine since the last sync. Choose the version to keep; nothing is merged until every conflict is resolved.`;
+  list.innerHTML = conflicts.map((conflict, index) => `
+    <li>
+      <code>${escapeHtml(conflict.name)}</code>
+      <div class="sync-choice">
+        <label>
+          <input type="radio" name="sync-choice-${index}" value="ours" data-alias-id="${escapeAttr(conflict.id)}" checked>
+          <span>Keep mine: ${describeSyncSide(conflict.ours)}</span>
+        </label>
+        <label>
+          <input type="radio" name="sync-choice-${index}" value="theirs" data-alias-id="${escapeAttr(conflict.id)}">
+          <span>Take theirs: ${describeSyncSide(conflict.theirs)}</span>
+        </label>
+      </div>
+    </li>
+  `).join("");
+  
+  dialog.classList.add("show");
+}
+
+function hideSyncConflictDialog() {
+  const dialog = document.getElementById("sync-conflict-dialog");
+  if (dialog) {
+    dialog.classList.remove("show");
+  }
+  state.pendingSyncConflict = null;
+}
+
+/**
+ * Sync again with the choices made in the conflict dialog
+ */
+async function resolveSyncConflicts() {
+  const pending = state.pendingSyncConflict;
+  if (!pending) return;
+  
+  const resolutions = { ...pending.resolutions };
+  document.querySelectorAll("#sync-conflict-list input[type='radio']:checked").forEach(input => {
+    resolutions[input.dataset.aliasId] = input.value;
+  });
+  hideSyncConflictDialog();
+  await syncNow(resolutions);
+}
+
+// ============================================
+// File Changes
+// ============================================
+
+/**
+ * Show a watched file that changed outside AliasForge, replacing any earlier
+ * report for the same file
+ * @param {Object} report - { path, source, diff, newAliases, outOfDate } from
+ *   the main process's file watcher
+ */
+async function handleFileChange(report) {
+  if (report.source === "store") {
+    // Saving the copy in memory would undo the other program's change
+    await loadAliases();
+    refreshLintWarnings();
+  }
+  state.fileChanges = [...state.fileChanges.filter(change => change.path !== report.path), report];
+  showFileChangeDialog();
+}
+
+// Aliases added to the shell files that the library still lacks
+function getAliasesAddedOutside() {
+  const names = new Set(state.aliases.map(a => a.name));
+  const added = [];
+  state.fileChanges.forEach(change => {
+    change.newAliases.forEach(alias => {
+      if (!names.has(alias.name)) {
+        names.add(alias.name);
+        added.push(alias);
+      }
+    });
+  });
+  return added;
+}
+
+/**
+ * Show what changed and offer to import the new aliases or re-apply the
+ * managed block
+ */
+function showFileChangeDialog() {
+  const dialog = document.getElementById("file-change-dialog");
+  const summary = document.getElementById("file-change-summary");
+  const filesContainer = document.getElementById("file-change-files");
+  const importBtn = document.getElementById("file-change-import");
+  const reapplyBtn = document.getElementById("file-change-reapply");
+  
+  if (!dialog || !summary || !filesContainer) return;
+  
+  const changes = state.fileChanges;
+  const added = getAliasesAddedOutside();
+  // The newest report checked the export against everything before it
+  const outOfDate = changes[changes.length - 1].outOfDate;
+  
+  const notes = [`${changes.length} file${changes.length > 1 ? "s" : ""} changed outside AliasForge.`];
+  if (changes.some(change => change.source === "store")) {
+    notes.push("The alias library was changed by another program and has been reloaded.");
+  }
+  if (added.length > 0) {
+    notes.push(`New aliases you can import: ${added.map(a => a.name).join(", ")}.`);
+  }
+  if (outOfDate) {
+    notes.push("Your shell files no longer match the library; re-apply the managed block to bring them back in line.");
+  }
+  summary.textContent = notes.join(" ");
+  
+  filesContainer.innerHTML = changes.map(change => `
+    <div class="diff-file">
+      <div class="diff-file-path">${escapeHtml(change.path)}</div>
+      <div class="diff-view">${renderDiffLines(change.diff)}</div>
+    </div>
+  `).join("");
+  
+  if (importBtn) {
+    importBtn.disabled = added.length === 0;
+  }
+  if (reapplyBtn) {
+    reapplyBtn.disabled = !outOfDate;
+  }
+  
+  dialog.classList.add("show");
+}
+
+function hideFileChangeDialog() {
+  const dialog = document.getElementById("file-change-dialog");
+  if (dialog) {
+    dialog.classList.remove("show");
+  }
+  state.fileChanges = [];
+}
+
+/**
+ * Add the aliases found in the changed shell files to the library
+ */
+async function importAliasesAddedOutside() {
+  const added = getAliasesAddedOutside();
+  if (added.length === 0) return;
+  
+  state.aliases = [...state.aliases, ...added];
+  const success = await saveAliases();
+  if (!success) return;
+  hideFileChangeDialog();
+  renderAliases();
+  renderTagFilters();
+  renderProfiles();
+  updateStats();
+  showToast(`Imported ${added.length} new aliases`, "success");
+}
+
+/**
+ * Export again so the managed block matches the library; hand edits to it
+ * go through the export conflict dialog
+ */
+async function reapplyManagedBlock() {
+  hideFileChangeDialog();
+  await exportAliasesToShell();
+}
+
+// ============================================
+// Profiles
+// ============================================
+const DEFAULT_PROFILE_ID = "default";
+
+function getProfileName(profileId) {
+  const profile = state.profiles.find(p => p.id === profileId);
+  return profile ? profile.name : profileId;
+}
+
+function getActiveProfileIds() {
+  return state.settings.activeProfiles || [DEFAULT_PROFILE_ID];
+}
+
+function getProfileAliasCount(profileId) {
+  return state.aliases.filter(a => (a.profile || DEFAULT_PROFILE_ID) === profileId).length;
+}
+
+function renderProfiles() {
+  renderProfileList();
+  renderProfilesTable();
+  populateProfileSelect();
+}
+
+/**
+ * Sidebar list: the checkbox decides whether a profile is exported on this
+ * machine, the name filters the alias table
+ */
+function renderProfileList() {
+  const container = document.getElementById("profile-list");
+  if (!container) return;
+  
+  const activeIds = getActiveProfileIds();
+  const allActive = state.filterProfile === "all" ? "active" : "";
+  
+  container.innerHTML = `
+    <div class="profile-item ${allActive}" data-profile-id="all">
+      <span class="profile-name">All profiles</span>
+      <span class="profile-count">${state.aliases.length}</span>
+    </div>
+  ` + state.profiles.map(profile => `
+    <div class="profile-item ${state.filterProfile === profile.id ? "active" : ""}" data-profile-id="${escapeAttr(profile.id)}">
+      <span class="profile-name">
+        <input type="checkbox" class="profile-active-toggle" data-profile-id="${escapeAttr(profile.id)}" ${activeIds.includes(profile.id) ? "checked" : ""} title="Include in exports on this machine">
+        ${escapeHtml(profile.name)}
+      </span>
+      <span class="profile-count">${getProfileAliasCount(profile.id)}</span>
+    </div>
+  `).join("");
+  
+  container.querySelectorAll(".profile-item").forEach(item => {
+    item.addEventListener("click", (e) => {
+      if (e.target.classList.contains("profile-active-toggle")) return;
+      state.filterProfile = item.dataset.profileId;
+      state.currentPage = 1;
+      renderAliases();
+      renderProfileList();
+      switchTab("aliases");
+    });
+  });
+  
+  container.querySelectorAll(".profile-active-toggle").forEach(toggle => {
+    toggle.addEventListener("change", () => setProfileActive(toggle.dataset.profileId, toggle.checked));
+  });
+}
+
+function renderProfilesTable() {
+  const tbody = document.getElementById("profiles-body");
+  if (!tbody) return;
+  
+  const activeIds = getActiveProfileIds();
+  
+  tbody.innerHTML = state.profiles.map((profile, index) => `
+    <tr data-profile-id="${escapeAttr(profile.id)}">
+      <td>${index + 1}</td>
+      <td><strong>${escapeHtml(profile.name)}</strong></td>
+      <td>${escapeHtml(profile.description || "")}</td>
+      <td>${getProfileAliasCount(profile.id)}</td>
+      <td>
+        <input type="checkbox" class="profile-active-toggle" data-profile-id="${escapeAttr(profile.id)}" ${activeIds.includes(profile.id) ? "checked" : ""}>
+      </td>
+      <td class="profile-actions">
+        <button class="btn-secondary btn-profile-up" data-profile-id="${escapeAttr(profile.id)}" title="Raise priority" ${index === 0 ? "disabled" : ""}>&uarr;</button>
+        <button class="btn-secondary btn-profile-down" data-profile-id="${escapeAttr(profile.id)}" title="Lower priority" ${index === state.profiles.length - 1 ? "disabled" : ""}>&darr;</button>
+        <button class="btn-secondary btn-profile-rename" data-profile-id="${escapeAttr(profile.id)}">Rename</button>
+        <button class="btn-secondary btn-profile-delete" data-profile-id="${escapeAttr(profile.id)}" ${profile.id === DEFAULT_PROFILE_ID ? "disabled title=\"The default profile can't be deleted\"" : ""}>Delete</button>
+      </td>
+    </tr>
+  `).join("");
+  
+  tbody.querySelectorAll(".profile-active-toggle").forEach(toggle => {
+    toggle.addEventListener("change", () => setProfileActive(toggle.dataset.profileId, toggle.checked));
+  });
+  tbody.querySelectorAll(".btn-profile-up").forEach(btn => {
+    btn.addEventListener("click", () => moveProfile(btn.dataset.profileId, -1));
+  });
+  tbody.querySelectorAll(".btn-profile-down").forEach(btn => {
+    btn.addEventListener("click", () => moveProfile(btn.dataset.profileId, 1));
+  });
+  tbody.querySelectorAll(".btn-profile-rename").forEach(btn => {
+    btn.addEventListener("click", () => showProfileDialog(btn.dataset.profileId));
+  });
+  tbody.querySelectorAll(".btn-profile-delete").forEach(btn => {
+    btn.addEventListener("click", () => deleteProfile(btn.dataset.profileId));
+  });
+}
+
+function populateProfileSelect() {
+  const select = document.getElementById("alias-profile");
+  if (!select) return;
+  
+  const current = select.value;
+  select.innerHTML = state.profiles.map(profile =>
+    `<option value="${escapeAttr(profile.id)}">${escapeHtml(profile.name)}</option>`
+  ).join("");
+  select.value = state.profiles.some(p => p.id === current) ? current : DEFAULT_PROFILE_ID;
+}
+
+async function setProfileActive(profileId, active) {
+  const activeIds = new Set(getActiveProfileIds());
+  if (active) {
+    activeIds.add(profileId);
+  } else {
+    activeIds.delete(profileId);
+  }
+  // Keep the list in priority order so settings.json stays readable
+  state.settings.activeProfiles = state.profiles.map(p => p.id).filter(id => activeIds.has(id));
+  
+  try {
+    await window.api.settings.save(state.settings);
+    renderProfiles();
+  } catch (err) {
+    console.error("Failed to save active profiles:", err);
+    showToast("Failed to save active profiles", "error");
+  }
+}
+
+function moveProfile(profileId, offset) {
+  const index = state.profiles.findIndex(p => p.id === profileId);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= state.profiles.length) return;
+  
+  const [profile] = state.profiles.splice(index, 1);
+  state.profiles.splice(target, 0, profile);
+  
+  saveAliases().then(success => {
+    if (success) {
+      renderProfiles();
+    }
+  });
+}
+
+function showProfileDialog(profileId = null) {
+  const dialog = document.getElementById("profile-dialog");
+  if (!dialog) return;
+  
+  const profile = profileId ? state.profiles.find(p => p.id === profileId) : null;
+  state.editingProfile = profile ? profile.id : null;
+  document.getElementById("profile-dialog-title").textContent = profile ? "Rename Profile" : "New Profile";
+  document.getElementById("profile-name").value = profile ? profile.name : "";
+  document.getElementById("profile-description").value = profile ? profile.description || "" : "";
+  
+  dialog.classList.add("show");
+  document.getElementById("profile-name").focus();
+}
+
+function hideProfileDialog() {
+  const dialog = document.getElementById("profile-dialog");
+  if (dialog) {
+    dialog.classList.remove("show");
   }
+  state.editingProfile = null;
 }
 
-async function exportAliasesToFile() {
-  try {
-    const data = {
-      version: "1.0",
-      exportDate: new Date().toISOString(),
-      aliases: state.aliases
-    };
-    
-    const jsonString = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonString], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `alias-forge-export-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    showToast(`Exported ${state.aliases.length} aliases to file`, "success");
-  } catch (err) {
-    console.error("Failed to export to file:", err);
-    showToast("Failed to export to file", "error");
+function generateProfileId(name) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "profile";
+  let id = base;
+  for (let n = 2; state.profiles.some(p => p.id === id); n++) {
+    id = `${base}-${n}`;
   }
+  return id;
 }
 
-function deleteAlias(id) {
-  const alias = state.aliases.find(a => a.id === id);
-  if (!alias) return;
+async function saveProfileFromDialog() {
+  const name = document.getElementById("profile-name").value.trim();
+  const description = document.getElementById("profile-description").value.trim();
   
-  // Show custom confirmation dialog - only show alias name
-  const message = `Are you sure you want to delete the alias "${alias.name}"?`;
+  if (!name) {
+    showToast("Profile name is required", "error");
+    return;
+  }
   
-  if (!confirm(message)) {
+  const clash = state.profiles.find(p => p.name.toLowerCase() === name.toLowerCase() && p.id !== state.editingProfile);
+  if (clash) {
+    showToast(`A profile named "${clash.name}" already exists`, "error");
     return;
   }
   
-  state.aliases = state.aliases.filter(a => a.id !== id);
-  saveAliases().then(success => {
+  const isNew = !state.editingProfile;
+  if (isNew) {
+    // New profiles start with the highest priority and are active here
+    const id = generateProfileId(name);
+    state.profiles.unshift({ id, name, description });
+    state.settings.activeProfiles = [id, ...getActiveProfileIds()];
+    await window.api.settings.save(state.settings);
+  } else {
+    const profile = state.profiles.find(p => p.id === state.editingProfile);
+    profile.name = name;
+    profile.description = description;
+  }
+  
+  const success = await saveAliases();
+  if (success) {
+    hideProfileDialog();
+    renderProfiles();
+    showToast(isNew ? "Profile created" : "Profile updated", "success");
+  }
+}
+
+function deleteProfile(profileId) {
+  if (profileId === DEFAULT_PROFILE_ID) return;
+  
+  const count = getProfileAliasCount(profileId);
+  const message = count > 0
+    ? `Delete "${getProfileName(profileId)}"? Its ${count} alias${count > 1 ? "es" : ""} will move to the ${getProfileName(DEFAULT_PROFILE_ID)} profile.`
+    : `Delete "${getProfileName(profileId)}"?`;
+  
+  showConfirmationDialog("Delete Profile", message, async () => {
+    state.aliases.forEach(alias => {
+      if (alias.profile === profileId) {
+        alias.profile = DEFAULT_PROFILE_ID;
+      }
+    });
+    state.profiles = state.profiles.filter(p => p.id !== profileId);
+    if (state.filterProfile === profileId) {
+      state.filterProfile = "all";
+    }
+    
+    if (getActiveProfileIds().includes(profileId)) {
+      state.settings.activeProfiles = getActiveProfileIds().filter(id => id !== profileId);
+      await window.api.settings.save(state.settings);
+    }
+    
+    const success = await saveAliases();
     if (success) {
-      exportAliasesToShell();
+      renderProfiles();
       renderAliases();
-      renderTagFilters();
-      updateStats();
-      showToast(`Deleted alias "${alias.name}"`, "success");
+      showToast("Profile deleted", "success");
+    }
+  });
+}
+
+/**
+ * Summarise which profile won when several active profiles define an alias
+ */
+function describeProfileConflicts(conflicts) {
+  return conflicts.map(conflict =>
+    `${conflict.name}: ${getProfileName(conflict.winner)} overrides ${conflict.overridden.map(getProfileName).join(", ")}`
+  );
+}
+
+// ============================================
+// Platform Variants
+// ============================================
+const PLATFORM_IDS = ["darwin", "linux", "win32"];
+const PLATFORM_LABELS = { darwin: "macOS", linux: "Linux", win32: "Windows" };
+
+/**
+ * Get the command an alias uses on a platform and shell
+ * Mirrors resolveCommand in src/main/platform-variants.js: a variant with no
+ * shell applies to every shell on its OS, and the alias's own command is the
+ * fallback
+ * @returns {string|null} Command, or null if the alias has no implementation
+ */
+function getPlatformCommand(alias, platform, shellName) {
+  const variant = alias.platforms && alias.platforms[platform];
+  if (variant && variant.command && (!variant.shell || variant.shell === shellName)) {
+    return variant.command;
+  }
+  return alias.command || null;
+}
+
+// Mark the modal tabs that hold a command
+function updatePlatformTabMarkers() {
+  document.querySelectorAll(".platform-tab").forEach(tab => {
+    const platform = tab.dataset.platformTab;
+    const textarea = platform === "common"
+      ? document.getElementById("alias-command")
+      : document.getElementById(`alias-platform-${platform}-command`);
+    tab.classList.toggle("has-command", Boolean(textarea && textarea.value.trim()));
+  });
+}
+
+// ============================================
+// Placeholders
+// ============================================
+function getActiveCommandInput() {
+  return document.querySelector(".platform-pane.active .command-input") || document.getElementById("alias-command");
+}
+
+// List the {name} placeholders in the command being edited, with any problems
+async function updatePlaceholderList() {
+  const container = document.getElementById("alias-placeholders");
+  const command = getActiveCommandInput().value;
+  const result = await window.api.aliases.parseTemplate(command);
+  // Skip stale answers when the text changed while parsing
+  if (!container || !result.success || getActiveCommandInput().value !== command) return;
+  
+  container.hidden = result.placeholders.length === 0 && result.errors.length === 0;
+  container.innerHTML = [
+    ...result.placeholders.map(p => `
+      <span class="placeholder-chip" title="Argument ${p.index}">
+        {${escapeHtml(p.name)}}${p.defaultValue !== undefined ? ` = ${escapeHtml(p.defaultValue)}` : ""}
+        <span class="placeholder-index">$${p.index}</span>
+      </span>
+    `),
+    ...result.errors.map(error => `<div class="placeholder-error">${escapeHtml(error)}</div>`)
+  ].join("");
+}
+
+/**
+ * Check the placeholders in every command of an alias
+ * @returns {Promise<string|null>} First problem found, or null
+ */
+async function findPlaceholderError(commands) {
+  const results = await Promise.all(commands.map(command => window.api.aliases.parseTemplate(command)));
+  const errors = results.flatMap(result => (result.success ? result.errors : [result.error]));
+  return errors.length > 0 ? errors[0] : null;
+}
+
+// ============================================
+// Syntax Check
+// ============================================
+let syntaxCheckTimer = null;
+
+// Read the commands in the modal as they would be saved
+function readModalCommands() {
+  const kind = document.getElementById("alias-kind").value;
+  const platforms = {};
+  PLATFORM_IDS.forEach(platform => {
+    const command = document.getElementById(`alias-platform-${platform}-command`).value;
+    if (command.trim()) {
+      platforms[platform] = { shell: document.getElementById(`alias-platform-${platform}-shell`).value, command };
     }
   });
+  return { kind, command: document.getElementById("alias-command").value, platforms };
+}
+
+/**
+ * Check an alias's command and platform variants for syntax errors
+ * @returns {Promise<Object|null>} { command, platforms } errors from the main
+ *   process, or null if the check couldn't run
+ */
+async function findSyntaxErrors(alias) {
+  if (!state.currentShell) return null;
+  const result = await window.api.aliases.checkSyntax(alias, state.currentShell);
+  return result.success ? result.errors : null;
+}
+
+function describeSyntaxError(error) {
+  return `${error.line ? `Line ${error.line}: ` : ""}${error.message} (${error.shell})`;
+}
+
+// Show syntax errors under the command they belong to
+function renderSyntaxErrors(errors) {
+  ["common", ...PLATFORM_IDS].forEach(field => {
+    const container = document.getElementById(`alias-syntax-error-${field}`);
+    if (!container) return;
+    const error = errors && (field === "common" ? errors.command : errors.platforms[field]);
+    container.hidden = !error;
+    container.textContent = error ? describeSyntaxError(error) : "";
+  });
+}
+
+// Check the commands being edited once the user stops typing
+function scheduleSyntaxCheck() {
+  clearTimeout(syntaxCheckTimer);
+  syntaxCheckTimer = setTimeout(updateSyntaxErrors, 300);
+}
+
+async function updateSyntaxErrors() {
+  clearTimeout(syntaxCheckTimer);
+  const draft = readModalCommands();
+  const errors = await findSyntaxErrors(draft);
+  // Skip stale answers when the text changed while checking
+  if (JSON.stringify(readModalCommands()) !== JSON.stringify(draft)) return;
+  renderSyntaxErrors(errors);
 }
 
 // ============================================
@@ -462,6 +1515,7 @@ async function detectShell() {
     const shellInfo = await window.api.shell.detect();
     state.currentShell = shellInfo.defaultShell;
     state.currentPlatform = shellInfo.platform;
+    state.hostPlatform = shellInfo.platform;
     
     // Update UI
     const shellBadge = document.getElementById("shell-badge");
@@ -509,28 +1563,8 @@ function hideStartupLoader() {
 function renderAliases() {
   const tbody = document.getElementById("alias-table-body");
   
-  // Filter aliases
-  let filteredAliases = state.aliases;
-  
-  // Filter by tag
-  if (state.filterTag && state.filterTag !== "all") {
-    filteredAliases = filteredAliases.filter(alias => 
-      alias.tags && alias.tags.includes(state.filterTag)
-    );
-  }
-  
-  // Filter by search
-  if (state.searchQuery) {
-    const query = state.searchQuery.toLowerCase();
-    filteredAliases = filteredAliases.filter(alias =>
-      alias.name.toLowerCase().includes(query) ||
-      alias.command?.toLowerCase().includes(query) ||
-      alias.description?.toLowerCase().includes(query)
-    );
-  }
-  
-  // Sort aliases
-  filteredAliases = sortAliases(filteredAliases);
+  // Filter and sort aliases
+  const filteredAliases = getFilteredAliases();
   
   // Calculate pagination
   const totalPages = Math.ceil(filteredAliases.length / state.pageSize);
@@ -555,22 +1589,22 @@ function renderAliases() {
   }
 
   tbody.innerHTML = paginatedAliases.map(alias => `
-    <tr data-alias-id="${alias.id}">
+    <tr data-alias-id="${escapeAttr(alias.id)}">
       <td class="checkbox-col">
-        <input type="checkbox" class="row-checkbox" data-alias-id="${alias.id}" ${state.selectedAliases.has(alias.id) ? "checked" : ""}>
+        <input type="checkbox" class="row-checkbox" data-alias-id="${escapeAttr(alias.id)}" ${state.selectedAliases.has(alias.id) ? "checked" : ""}>
       </td>
-      <td><strong>${escapeHtml(alias.name)}</strong></td>
-      <td><code class="command-preview">${escapeHtml(alias.command || "")}</code></td>
+      <td${alias.sourceFile ? ` title="Imported from ${escapeAttr(`${alias.sourceFile}:${alias.sourceLine}`)}"` : ""}><strong>${escapeHtml(alias.name)}</strong>${renderLintBadge(alias)}${alias.kind === "function" ? ' <span class="kind-badge" title="Shell function">fn</span>' : ""}${alias.profile && alias.profile !== DEFAULT_PROFILE_ID ? ` <span class="profile-badge">${escapeHtml(getProfileName(alias.profile))}</span>` : ""}</td>
+      <td>${renderCommandCell(alias)}</td>
       <td>${escapeHtml(alias.description || "")}</td>
       <td>${renderTags(alias.tags)}</td>
       <td>
-        <input type="checkbox" class="alias-toggle" data-alias-id="${alias.id}" ${alias.enabled ? "checked" : ""}>
+        <input type="checkbox" class="alias-toggle" data-alias-id="${escapeAttr(alias.id)}" ${alias.enabled ? "checked" : ""}>
       </td>
       <td>
-        <button class="icon-button btn-edit" data-alias-id="${alias.id}" title="Edit">
+        <button class="icon-button btn-edit" data-alias-id="${escapeAttr(alias.id)}" title="Edit">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25z" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/><path d="M20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/></svg>
         </button>
-        <button class="icon-button btn-delete" data-alias-id="${alias.id}" title="Delete">
+        <button class="icon-button btn-delete" data-alias-id="${escapeAttr(alias.id)}" title="Delete">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M3 6h18" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/><path d="M10 11v6" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/><path d="M14 11v6" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/></svg>
         </button>
       </td>
@@ -649,7 +1683,7 @@ function renderTagFilters() {
       state.aliases.filter(a => a.tags && a.tags.includes(tag)).length;
     const active = state.filterTag === tag ? "active" : "";
     
-    return `<button class="tag-chip ${active}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)} (${count})</button>`;
+    return `<button class="tag-chip ${active}" data-tag="${escapeAttr(tag)}">${escapeHtml(tag)} (${count})</button>`;
   }).join("");
   
   // Re-attach event listeners
@@ -660,6 +1694,7 @@ function renderTagFilters() {
       state.currentPage = 1;
       renderAliases();
       renderTagFilters();
+      renderProfiles();
       // Ensure aliases tab is visible
       switchTab('aliases');
       document.querySelectorAll('.tab').forEach(tab => tab.classList.toggle('active', tab.dataset.tab === 'aliases'));
@@ -672,10 +1707,16 @@ function updateStats() {
   const totalEl = document.getElementById("stat-total");
   const enabledEl = document.getElementById("stat-enabled");
   const duplicatesEl = document.getElementById("stat-duplicates");
+  const warningsEl = document.getElementById("stat-warnings");
   
   if (totalEl) totalEl.textContent = state.aliases.length;
   if (enabledEl) enabledEl.textContent = state.aliases.filter(a => a.enabled).length;
   if (duplicatesEl) duplicatesEl.textContent = getDuplicateCount();
+  if (warningsEl) {
+    const warned = state.aliases.filter(a => state.lintResults[a.id]);
+    warningsEl.textContent = warned.length;
+    warningsEl.title = warned.map(a => `${a.name}: ${state.lintResults[a.id].map(w => w.message).join("; ")}`).join("\n");
+  }
 }
 
 function renderPagination(totalItems, totalPages) {
@@ -834,17 +1875,28 @@ function initThemeSelector() {
 
   // Handle theme selection
   themeSelect.addEventListener('change', (e) => {
-    const themeId = e.target.value;
-    themeManager.applyTheme(themeId);
-    state.settings.theme = themeId;
-    saveSettings();
-    
-    // Show success message
-    const themeName = themes.find(t => t.id === themeId)?.name;
-    showToast(`Theme changed to ${themeName}`, 'success');
+    selectTheme(e.target.value);
   });
 }
 
+/**
+ * Switch to a theme and remember it
+ */
+function selectTheme(themeId) {
+  themeManager.applyTheme(themeId);
+  state.settings.theme = themeId;
+  saveSettings();
+  
+  const themeSelect = document.getElementById('theme-select');
+  if (themeSelect) {
+    themeSelect.value = themeId;
+  }
+  
+  // Show success message
+  const themeName = themeManager.getThemes().find(t => t.id === themeId)?.name;
+  showToast(`Theme changed to ${themeName}`, 'success');
+}
+
 /**
  * Legacy theme application (kept for backwards compatibility)
  */
@@ -893,11 +1945,38 @@ function closeModal() {
   state.editingAlias = null;
 }
 
+// Show the command used on this machine, or a badge when there is none
+function renderCommandCell(alias) {
+  if (!state.currentPlatform) {
+    return `<code class="command-preview">${escapeHtml(alias.command || "")}</code>`;
+  }
+  const command = getPlatformCommand(alias, state.currentPlatform, state.currentShell);
+  if (!command) {
+    const label = PLATFORM_LABELS[state.currentPlatform] || state.currentPlatform;
+    return `<span class="platform-missing-badge" title="Not exported on this machine">No ${escapeHtml(label)} command</span>`;
+  }
+  return `<code class="command-preview">${escapeHtml(command)}</code>`;
+}
+
 function populateModalFields(alias) {
   document.getElementById("alias-name").value = alias.name || "";
   document.getElementById("alias-description").value = alias.description || "";
   document.getElementById("alias-tags").value = (alias.tags || []).join(", ");
   document.getElementById("alias-command").value = alias.command || "";
+  PLATFORM_IDS.forEach(platform => {
+    const variant = (alias.platforms && alias.platforms[platform]) || {};
+    document.getElementById(`alias-platform-${platform}-shell`).value = variant.shell || "";
+    document.getElementById(`alias-platform-${platform}-command`).value = variant.command || "";
+  });
+  switchPlatformTab("common");
+  updatePlatformTabMarkers();
+  updatePlaceholderList();
+  document.getElementById("alias-kind").value = alias.kind || "alias";
+  document.getElementById("alias-profile").value = alias.profile || DEFAULT_PROFILE_ID;
+  updateCommandEditor();
+  document.getElementById("alias-fish-mode").value = alias.fishMode || "function";
+  document.getElementById("alias-powershell-no-profile").checked = Boolean(alias.powershellNoProfile);
+  updateSyntaxErrors();
 }
 
 function resetModalFields() {
@@ -905,30 +1984,109 @@ function resetModalFields() {
   document.getElementById("alias-description").value = "";
   document.getElementById("alias-tags").value = "";
   document.getElementById("alias-command").value = "";
+  PLATFORM_IDS.forEach(platform => {
+    document.getElementById(`alias-platform-${platform}-shell`).value = "";
+    document.getElementById(`alias-platform-${platform}-command`).value = "";
+  });
+  switchPlatformTab("common");
+  updatePlatformTabMarkers();
+  updatePlaceholderList();
+  document.getElementById("alias-kind").value = "alias";
+  // New aliases go to the profile being viewed
+  document.getElementById("alias-profile").value = state.filterProfile !== "all" ? state.filterProfile : DEFAULT_PROFILE_ID;
+  updateCommandEditor();
+  document.getElementById("alias-fish-mode").value = "function";
+  document.getElementById("alias-powershell-no-profile").checked = false;
+  renderSyntaxErrors(null);
+}
+
+// Switch the command field between a one-line command and a function body editor
+function updateCommandEditor() {
+  const isFunction = document.getElementById("alias-kind").value === "function";
+  
+  document.querySelectorAll(".command-input").forEach(textarea => {
+    textarea.classList.toggle("code-editor", isFunction);
+    textarea.rows = isFunction ? 10 : 2;
+    textarea.spellcheck = !isFunction;
+  });
+  document.getElementById("alias-command").placeholder = isFunction ? 'mkdir -p "$1" && cd "$1"' : "e.g., git status";
+  document.getElementById("alias-command-label").textContent = isFunction ? "Function body *" : "Command *";
+  document.getElementById("alias-command-hint").textContent = isFunction
+    ? "Body of the function; use $1, $2 and \"$@\" for arguments. Tab indents"
+    : "The actual command that will be executed. Use {name} or {name:default} for arguments";
+}
+
+// Indent with spaces instead of leaving the field when editing a function body
+function handleCommandEditorKeydown(e) {
+  const textarea = e.target;
+  if (e.key !== "Tab" || !textarea.classList.contains("code-editor")) return;
+  
+  e.preventDefault();
+  const { selectionStart, selectionEnd, value } = textarea;
+  textarea.value = value.slice(0, selectionStart) + "    " + value.slice(selectionEnd);
+  textarea.selectionStart = textarea.selectionEnd = selectionStart + 4;
 }
 
-function saveAliasFromModal() {
+async function saveAliasFromModal() {
   const name = document.getElementById("alias-name").value.trim();
-  const command = document.getElementById("alias-command").value.trim();
+  const kind = document.getElementById("alias-kind").value;
+  const profile = document.getElementById("alias-profile").value || DEFAULT_PROFILE_ID;
+  // Function bodies keep their indentation; only surrounding blank lines go
+  const cleanCommand = raw => kind === "function" ? raw.replace(/^\s*\n|\s+$/g, "") : raw.trim();
+  const command = cleanCommand(document.getElementById("alias-command").value);
+  const platforms = {};
+  PLATFORM_IDS.forEach(platform => {
+    const platformCommand = cleanCommand(document.getElementById(`alias-platform-${platform}-command`).value);
+    if (platformCommand) {
+      platforms[platform] = {
+        shell: document.getElementById(`alias-platform-${platform}-shell`).value,
+        command: platformCommand
+      };
+    }
+  });
   const description = document.getElementById("alias-description").value.trim();
   const tags = document.getElementById("alias-tags").value.split(",").map(t => t.trim()).filter(t => t);
+  const fishMode = document.getElementById("alias-fish-mode").value;
+  const powershellNoProfile = document.getElementById("alias-powershell-no-profile").checked;
   
   if (!name) {
     showToast("Alias name is required", "error");
     return;
   }
   
-  if (!command) {
+  if (!command && Object.keys(platforms).length === 0) {
     showToast("Command is required", "error");
     return;
   }
   
+  const placeholderError = await findPlaceholderError([command, ...Object.values(platforms).map(v => v.command)]);
+  if (placeholderError) {
+    showToast(`Invalid placeholder: ${placeholderError}`, "error");
+    return;
+  }
+  
+  // A broken command would break the shell's startup file on export
+  const syntaxErrors = await findSyntaxErrors({ kind, command, platforms });
+  if (syntaxErrors && (syntaxErrors.command || Object.keys(syntaxErrors.platforms).length > 0)) {
+    renderSyntaxErrors(syntaxErrors);
+    showToast(`Syntax error: ${describeSyntaxError(syntaxErrors.command || Object.values(syntaxErrors.platforms)[0])}`, "error");
+    return;
+  }
+  
+  // Keep fields the modal doesn't edit (profile, imported metadata, ...)
+  const existing = state.editingAlias ? state.aliases.find(a => a.id === state.editingAlias) : null;
   const aliasData = {
+    ...existing,
     id: state.editingAlias || generateId(),
     name,
     command,
+    platforms: Object.keys(platforms).length > 0 ? platforms : undefined,
+    kind,
+    profile,
     description,
     tags,
+    fishMode,
+    powershellNoProfile,
     enabled: true,
     source: "user"
   };
@@ -949,6 +2107,7 @@ function saveAliasFromModal() {
       exportAliasesToShell();
       renderAliases();
       renderTagFilters();
+      renderProfiles();
       updateStats();
       showToast(state.editingAlias ? "Alias updated" : "Alias created", "success");
     }
@@ -1054,6 +2213,103 @@ function handleUpdateStatus(data) {
   }
 }
 
+// ============================================
+// Command Palette
+// ============================================
+const BULK_PALETTE_ACTIONS = [
+  { action: "update-tags", title: "Update Tags of Selected", icon: "fa-tags", needsSelection: true },
+  { action: "update-prefix", title: "Update Prefix of Selected", icon: "fa-font", needsSelection: true },
+  { action: "enable", title: "Enable Selected", icon: "fa-toggle-on", needsSelection: true },
+  { action: "disable", title: "Disable Selected", icon: "fa-toggle-off", needsSelection: true },
+  { action: "remove-duplicates", title: "Remove Duplicates", icon: "fa-clone", needsSelection: false },
+  { action: "delete", title: "Delete Selected", icon: "fa-trash", needsSelection: true }
+];
+
+/**
+ * Register the app's actions with the command palette
+ */
+function registerPaletteActions() {
+  const register = (action) => commandPalette.register(action);
+  
+  register({ id: "alias.new", category: "Alias", title: "New Alias", icon: "fa-plus", keywords: ["add", "create"], run: () => openModal("create") });
+  register({ id: "import.shell", category: "Import", title: "Import from Shell", icon: "fa-file-import", run: importAliasesFromShell });
+  register({ id: "import.file", category: "Import", title: "Import from File", icon: "fa-file-import", keywords: ["json", "yaml", "toml"], run: importAliasesFromFile });
+  register({ id: "export.shell", category: "Export", title: "Export to Shell", icon: "fa-file-export", keywords: ["save to shell", "rc"], run: previewExportToShell });
+  register({ id: "export.file", category: "Export", title: "Export to File", icon: "fa-file-export", keywords: ["json", "yaml", "toml"], run: exportAliasesToFile });
+  register({ id: "profile.new", category: "Profile", title: "New Profile", icon: "fa-layer-group", run: () => {
+    switchTab("profiles");
+    showProfileDialog();
+  } });
+  register({ id: "sync.now", category: "Sync", title: "Sync Now", icon: "fa-rotate", keywords: ["git", "pull", "push"], when: () => Boolean(state.settings.syncEnabled), run: () => syncNow() });
+  register({ id: "app.check-updates", category: "App", title: "Check for Updates", icon: "fa-cloud-arrow-down", run: () => {
+    switchTab("settings");
+    document.getElementById("check-updates-btn")?.click();
+  } });
+  
+  BULK_PALETTE_ACTIONS.forEach(({ action, title, icon, needsSelection }) => {
+    register({
+      id: `bulk.${action}`,
+      category: "Bulk",
+      title,
+      icon,
+      when: () => !needsSelection || getSelectedFilteredAliases().length > 0,
+      run: () => handleBulkAction(action)
+    });
+  });
+  
+  document.querySelectorAll(".tab").forEach(tab => {
+    register({ id: `tab.${tab.dataset.tab}`, category: "Go to", title: tab.textContent.trim(), icon: "fa-table-columns", run: () => switchTab(tab.dataset.tab) });
+  });
+  
+  // Themes and aliases change while the app runs, so they are listed on demand
+  commandPalette.registerProvider(() => themeManager.getThemes().map(theme => ({
+    id: `theme.${theme.id}`,
+    category: "Theme",
+    title: theme.name,
+    icon: "fa-palette",
+    when: () => themeManager.getCurrentTheme()?.id !== theme.id,
+    run: () => selectTheme(theme.id)
+  })));
+  commandPalette.registerProvider(() => state.aliases.map(alias => ({
+    id: `alias.goto.${alias.id}`,
+    category: "Go to Alias",
+    title: alias.name,
+    detail: alias.command,
+    icon: "fa-arrow-right",
+    run: () => jumpToAlias(alias.id)
+  })));
+}
+
+/**
+ * Show an alias in the table, clearing filters that hide it
+ */
+function jumpToAlias(aliasId) {
+  switchTab("aliases");
+  
+  let index = getFilteredAliases().findIndex(a => a.id === aliasId);
+  if (index === -1) {
+    state.searchQuery = "";
+    state.filterTag = "all";
+    state.filterProfile = "all";
+    const searchInput = document.getElementById("alias-search");
+    if (searchInput) searchInput.value = "";
+    renderTagFilters();
+    renderProfileList();
+    index = getFilteredAliases().findIndex(a => a.id === aliasId);
+  }
+  if (index === -1) return;
+  
+  state.currentPage = Math.floor(index / state.pageSize) + 1;
+  renderAliases();
+  
+  const row = document.querySelector(`#alias-table-body tr[data-alias-id="${CSS.escape(aliasId)}"]`);
+  if (row) {
+    row.scrollIntoView({ block: "center" });
+    row.classList.add("alias-row-highlight");
+    row.addEventListener("animationend", () => row.classList.remove("alias-row-highlight"), { once: true });
+  }
+}
+
 // ============================================
 // Event Listeners
 // ============================================
@@ -1081,6 +2337,7 @@ function setupEventListeners() {
     tab.addEventListener("click", (e) => {
       const platform = e.target.dataset.platformTab;
       switchPlatformTab(platform);
+      updatePlaceholderList();
     });
   });
 
@@ -1089,6 +2346,32 @@ function setupEventListeners() {
   document.getElementById("close-modal").addEventListener("click", closeModal);
   document.getElementById("cancel-alias").addEventListener("click", closeModal);
   document.getElementById("save-alias").addEventListener("click", saveAliasFromModal);
+  document.getElementById("alias-kind").addEventListener("change", () => {
+    updateCommandEditor();
+    scheduleSyntaxCheck();
+  });
+  document.querySelectorAll(".platform-shell").forEach(select => {
+    select.addEventListener("change", scheduleSyntaxCheck);
+  });
+  
+  // Profile dialog
+  document.getElementById("new-profile-btn")?.addEventListener("click", () => showProfileDialog());
+  document.getElementById("profile-dialog-close")?.addEventListener("click", hideProfileDialog);
+  document.getElementById("profile-dialog-cancel")?.addEventListener("click", hideProfileDialog);
+  document.getElementById("profile-dialog-save")?.addEventListener("click", saveProfileFromDialog);
+  document.getElementById("profile-name")?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      saveProfileFromDialog();
+    }
+  });
+  document.querySelectorAll(".command-input").forEach(textarea => {
+    textarea.addEventListener("keydown", handleCommandEditorKeydown);
+    textarea.addEventListener("input", () => {
+      updatePlatformTabMarkers();
+      updatePlaceholderList();
+      scheduleSyntaxCheck();
+    });
+  });
 
   // Import/Export dropdown toggles
   const importBtn = document.getElementById("import-btn");
@@ -1125,7 +2408,36 @@ function setupEventListeners() {
   
   document.getElementById("export-to-shell")?.addEventListener("click", () => {
     exportMenu?.classList.remove("show");
-    exportAliasesToShell();
+    previewExportToShell();
+  });
+  
+  // Export conflict dialog
+  document.getElementById("export-conflict-close")?.addEventListener("click", () => {
+    hideExportConflictDialog();
+    showToast("Export aborted; shell files were left unchanged", "info");
+  });
+  document.getElementById("export-conflict-abort")?.addEventListener("click", () => {
+    hideExportConflictDialog();
+    showToast("Export aborted; shell files were left unchanged", "info");
+  });
+  document.getElementById("export-conflict-overwrite")?.addEventListener("click", async () => {
+    hideExportConflictDialog();
+    await exportAliasesToShell({ overwrite: true });
+  });
+  document.getElementById("export-conflict-reimport")?.addEventListener("click", async () => {
+    const conflict = state.pendingExportConflict;
+    hideExportConflictDialog();
+    if (conflict) {
+      await reimportEditedAliases(conflict.editedAliases || []);
+    }
+  });
+  
+  // Export preview dialog
+  document.getElementById("export-preview-close")?.addEventListener("click", hideExportPreviewDialog);
+  document.getElementById("export-preview-cancel")?.addEventListener("click", hideExportPreviewDialog);
+  document.getElementById("export-preview-apply")?.addEventListener("click", async () => {
+    hideExportPreviewDialog();
+    await exportAliasesToShell();
   });
   
   document.getElementById("export-to-file")?.addEventListener("click", () => {
@@ -1155,6 +2467,9 @@ function setupEventListeners() {
     });
   }
 
+  // Export paths and strategy
+  renderExportSettings();
+
   // Save settings
   const saveSettingsBtn = document.getElementById("save-settings");
   if (saveSettingsBtn) {
@@ -1249,6 +2564,56 @@ function setupEventListeners() {
     });
   }
 
+  // Backup retention
+  const backupCountInput = document.getElementById("backup-count");
+  if (backupCountInput) {
+    backupCountInput.value = state.settings.backupCount || 5;
+    backupCountInput.addEventListener("change", (e) => {
+      const newCount = parseInt(e.target.value);
+      if (newCount >= 1 && newCount <= 20) {
+        state.settings.backupCount = newCount;
+      }
+    });
+  }
+
+  // Quick launcher shortcut
+  const launcherShortcutInput = document.getElementById("quick-launcher-shortcut");
+  if (launcherShortcutInput) {
+    launcherShortcutInput.value = state.settings.quickLauncherShortcut || "";
+    launcherShortcutInput.addEventListener("change", (e) => {
+      state.settings.quickLauncherShortcut = e.target.value.trim();
+    });
+  }
+
+  // Git sync
+  const syncEnabledInput = document.getElementById("sync-enabled");
+  if (syncEnabledInput) {
+    syncEnabledInput.checked = Boolean(state.settings.syncEnabled);
+    syncEnabledInput.addEventListener("change", (e) => {
+      state.settings.syncEnabled = e.target.checked;
+    });
+  }
+  [
+    ["sync-repo-path", "syncRepoPath"],
+    ["sync-remote-url", "syncRemoteUrl"],
+    ["sync-branch", "syncBranch"]
+  ].forEach(([inputId, key]) => {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    input.value = state.settings[key] || input.value;
+    input.addEventListener("change", (e) => {
+      state.settings[key] = e.target.value.trim();
+    });
+  });
+  document.getElementById("sync-now-btn")?.addEventListener("click", () => syncNow());
+  document.getElementById("sync-conflict-close")?.addEventListener("click", hideSyncConflictDialog);
+  document.getElementById("sync-conflict-cancel")?.addEventListener("click", hideSyncConflictDialog);
+  document.getElementById("sync-conflict-resolve")?.addEventListener("click", resolveSyncConflicts);
+  document.getElementById("file-change-close")?.addEventListener("click", hideFileChangeDialog);
+  document.getElementById("file-change-dismiss")?.addEventListener("click", hideFileChangeDialog);
+  document.getElementById("file-change-import")?.addEventListener("click", importAliasesAddedOutside);
+  document.getElementById("file-change-reapply")?.addEventListener("click", reapplyManagedBlock);
+
   // Close modal on escape
   document.addEventListener("keydown", (e) => {
     if (e.key === "Escape") {
@@ -1456,6 +2821,9 @@ function setupEventListeners() {
       hideUpdateTagsDialog();
       hideUpdatePrefixDialog();
       hideValidationErrorDialog();
+      hideExportPreviewDialog();
+      hideExportConflictDialog();
+      hideProfileDialog();
       closeModal();
     }
   });
@@ -1473,6 +2841,10 @@ function switchTab(tabName) {
   });
 
   state.currentTab = tabName;
+  
+  if (tabName === "export-log") {
+    loadExportLog();
+  }
 }
 
 function switchPlatformTab(platform) {
@@ -1512,6 +2884,11 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone, which is only safe outside attribute values
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
 function toggleAliasEnabled(id, enabled) {
   const alias = state.aliases.find(a => a.id === id);
   if (alias) {
@@ -1544,9 +2921,17 @@ function goToPage(page) {
   }
 }
 
+// The aliases the table shows, in table order; pagination, selection and
+// bulk actions use the same list so they act on the rows the user sees
 function getFilteredAliases() {
   let filteredAliases = state.aliases;
   
+  if (state.filterProfile && state.filterProfile !== "all") {
+    filteredAliases = filteredAliases.filter(alias =>
+      (alias.profile || DEFAULT_PROFILE_ID) === state.filterProfile
+    );
+  }
+  
   if (state.filterTag && state.filterTag !== "all") {
     filteredAliases = filteredAliases.filter(alias => 
       alias.tags && alias.tags.includes(state.filterTag)
@@ -1562,7 +2947,7 @@ function getFilteredAliases() {
     );
   }
   
-  return filteredAliases;
+  return sortAliases(filteredAliases);
 }
 
 function getSelectedFilteredAliases() {
@@ -1574,7 +2959,9 @@ function getSelectedFilteredAliases() {
 }
 
 function hasActiveFilter() {
-  return (state.filterTag && state.filterTag !== "all") || (state.searchQuery && state.searchQuery.trim());
+  return (state.filterTag && state.filterTag !== "all") ||
+    (state.filterProfile && state.filterProfile !== "all") ||
+    (state.searchQuery && state.searchQuery.trim());
 }
 
 function updateSortIndicators() {
@@ -1690,8 +3077,7 @@ function updateSelectAllCheckbox() {
 }
 
 function getCurrentPageAliases() {
-  let filteredAliases = getFilteredAliases();
-  filteredAliases = sortAliases(filteredAliases);
+  const filteredAliases = getFilteredAliases();
   const startIndex = (state.currentPage - 1) * state.pageSize;
   const endIndex = startIndex + state.pageSize;
   return filteredAliases.slice(startIndex, endIndex);
@@ -1796,9 +3182,9 @@ function renderBulkTags(tagCounts, totalAliases) {
     const isCommon = count === totalAliases;
     const title = isCommon ? `${tag} (in all ${totalAliases} aliases)` : `${tag} (in ${count} of ${totalAliases} aliases)`;
     return `
-      <span class="tag-item" title="${escapeHtml(title)}" style="${!isCommon ? 'opacity: 0.7;' : ''}">
+      <span class="tag-item" title="${escapeAttr(title)}" style="${!isCommon ? 'opacity: 0.7;' : ''}">
         <span>${escapeHtml(tag)}</span>
-        <button class="tag-remove" data-tag="${escapeHtml(tag)}" title="Remove from all selected aliases">&times;</button>
+        <button class="tag-remove" data-tag="${escapeAttr(tag)}" title="Remove from all selected aliases">&times;</button>
       </span>
     `;
   }).join('');
@@ -1969,6 +3355,7 @@ function bulkDeleteAliases() {
         exportAliasesToShell();
         renderAliases();
         renderTagFilters();
+        renderProfiles();
         updateStats();
         showToast(`Deleted ${count} alias${count > 1 ? 'es' : ''}${filterNote}`, "success");
       }
@@ -2055,6 +3442,7 @@ function addBulkTag(tagName) {
         exportAliasesToShell();
         renderAliases();
         renderTagFilters();
+        renderProfiles();
         showToast(`Added "${tag}" to ${addCount} alias${addCount > 1 ? 'es' : ''}${filterNote}`, "success");
         
         // Refresh tag display
@@ -2102,6 +3490,7 @@ function removeBulkTag(tagName) {
         exportAliasesToShell();
         renderAliases();
         renderTagFilters();
+        renderProfiles();
         showToast(`Removed "${tagName}" from ${removeCount} alias${removeCount > 1 ? 'es' : ''}${filterNote}`, "success");
         
         // Refresh tag display
@@ -2148,7 +3537,7 @@ function showTagAutocomplete(query, dropdownId = "tag-autocomplete-dropdown") {
   
   if (matchingTags.length === 0) {
     dropdown.innerHTML = `
-      <div class="autocomplete-item" data-tag="${escapeHtml(query)}">
+      <div class="autocomplete-item" data-tag="${escapeAttr(query)}">
         <svg class="autocomplete-item-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
           <path d="M12 5v14" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
           <path d="M5 12h14" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
@@ -2158,7 +3547,7 @@ function showTagAutocomplete(query, dropdownId = "tag-autocomplete-dropdown") {
     `;
   } else {
     dropdown.innerHTML = matchingTags.slice(0, 10).map(tag => `
-      <div class="autocomplete-item" data-tag="${escapeHtml(tag)}">
+      <div class="autocomplete-item" data-tag="${escapeAttr(tag)}">
         <svg class="autocomplete-item-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
           <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
           <circle cx="7" cy="7" r="1" fill="currentColor"/>
@@ -2170,7 +3559,7 @@ function showTagAutocomplete(query, dropdownId = "tag-autocomplete-dropdown") {
     // Add "create new" option if query doesn't exactly match
     if (!matchingTags.includes(query)) {
       dropdown.innerHTML += `
-        <div class="autocomplete-item" data-tag="${escapeHtml(query)}">
+        <div class="autocomplete-item" data-tag="${escapeAttr(query)}">
           <svg class="autocomplete-item-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
             <path d="M12 5v14" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
             <path d="M5 12h14" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
@@ -2247,7 +3636,13 @@ function updateAutocompleteSelection(items, selectedIndex) {
   });
 }
 
-function validateImportData(data) {
+/**
+ * Validate aliases read from a collection file
+ * @param {Object} data - Parsed collection
+ * @param {Array<number>} [lines] - Line each alias starts on in the file;
+ *   errors fall back to the alias's position when missing
+ */
+function validateImportData(data, lines = []) {
   const validation = {
     valid: [],
     invalid: [],
@@ -2256,7 +3651,7 @@ function validateImportData(data) {
   
   // Check if data has aliases array
   if (!data || typeof data !== "object") {
-    validation.invalid.push({ error: "Invalid file format: Not a valid JSON object", line: 0 });
+    validation.invalid.push({ error: "Invalid file format: Not an alias collection", line: 0 });
     return validation;
   }
   
@@ -2272,8 +3667,10 @@ function validateImportData(data) {
     return validation;
   }
   
-  // Get existing alias names for duplicate detection
-  const existingNames = new Set(state.aliases.map(a => a.name));
+  // Get existing alias names for duplicate detection; the same name may
+  // exist once per profile
+  const profileKey = alias => `${alias.profile || DEFAULT_PROFILE_ID}\u0000${alias.name}`;
+  const existingNames = new Set(state.aliases.map(profileKey));
   
   aliases.forEach((alias, index) => {
     const errors = [];
@@ -2288,10 +3685,10 @@ function validateImportData(data) {
     }
     
     // Check for duplicates
-    if (alias.name && existingNames.has(alias.name)) {
+    if (alias.name && existingNames.has(profileKey(alias))) {
       validation.duplicates.push({
         name: alias.name,
-        line: index + 1
+        line: lines[index] || index + 1
       });
       return; // Skip duplicates
     }
@@ -2305,10 +3702,28 @@ function validateImportData(data) {
       errors.push("'enabled' must be a boolean");
     }
     
+    if (alias.kind !== undefined && alias.kind !== "alias" && alias.kind !== "function") {
+      errors.push("'kind' must be \"alias\" or \"function\"");
+    }
+    
+    if (alias.platforms !== undefined) {
+      if (!alias.platforms || typeof alias.platforms !== "object" || Array.isArray(alias.platforms)) {
+        errors.push("'platforms' must be an object");
+      } else {
+        Object.entries(alias.platforms).forEach(([platform, variant]) => {
+          if (!PLATFORM_IDS.includes(platform)) {
+            errors.push(`Unknown platform '${platform}' (expected ${PLATFORM_IDS.join(", ")})`);
+          } else if (!variant || typeof variant.command !== "string") {
+            errors.push(`'platforms.${platform}.command' must be a string`);
+          }
+        });
+      }
+    }
+    
     if (errors.length > 0) {
       validation.invalid.push({
         alias: alias.name || `Alias #${index + 1}`,
-        line: index + 1,
+        line: lines[index] || index + 1,
         errors: errors
       });
     } else {
@@ -2405,11 +3820,19 @@ async function processValidAliases(validAliases) {
   // Add valid aliases to state
   state.aliases = [...state.aliases, ...validAliases];
   
+  // Create profiles the imported aliases refer to, at the lowest priority
+  validAliases.forEach(alias => {
+    if (!state.profiles.some(p => p.id === alias.profile)) {
+      state.profiles.push({ id: alias.profile, name: alias.profile, description: "" });
+    }
+  });
+  
   // Save and update UI
   const success = await saveAliases();
   if (success) {
     renderAliases();
     renderTagFilters();
+    renderProfiles();
     updateStats();
     showToast(`Successfully imported ${validAliases.length} alias${validAliases.length > 1 ? 'es' : ''}`, "success");
   } else {
@@ -2508,6 +3931,7 @@ function bulkRemoveDuplicates() {
           exportAliasesToShell();
           renderAliases();
           renderTagFilters();
+          renderProfiles();
           updateStats();
           showToast(`Removed ${removedCount} duplicate alias${removedCount > 1 ? 'es' : ''}`, "success");
         }
@@ -0,0 +1,75 @@
+/**
+ * Jest unit tests for src/main/alias-search.js
+ *
+ * Tests cover:
+ * - Fuzzy matching of query words
+ * - Ranking by the field that matched
+ * - Commands resolved for the platform and shell
+ * - Placeholders to ask for before running a command
+ */
+
+const { fuzzyScore, searchAliases } = require('../src/main/alias-search');
+
+const alias = (id, name, command, extra = {}) => ({ id, name, command, enabled: true, ...extra });
+
+describe('Alias Search - alias-search.js', () => {
+  describe('fuzzyScore', () => {
+    it('should match characters in order, even with gaps', () => {
+      expect(fuzzyScore('gst', 'git status')).not.toBeNull();
+      expect(fuzzyScore('tsg', 'git status')).toBeNull();
+    });
+
+    it('should rank consecutive characters and exact matches higher', () => {
+      expect(fuzzyScore('gs', 'gs')).toBeGreaterThan(fuzzyScore('gs', 'gsx'));
+      expect(fuzzyScore('stat', 'git status')).toBeGreaterThan(fuzzyScore('stat', 'show that'));
+    });
+  });
+
+  describe('searchAliases', () => {
+    const aliases = [
+      alias('1', 'gs', 'git status', { tags: ['git'] }),
+      alias('2', 'kpods', 'kubectl get pods', { description: 'List pods in the current namespace', tags: ['k8s'] }),
+      alias('3', 'gl', 'git log --oneline', { enabled: false, tags: ['git'] }),
+      alias('4', 'serve', 'python3 -m http.server', { description: 'Serve this folder' })
+    ];
+
+    it('should search names, commands, descriptions and tags', () => {
+      expect(searchAliases(aliases, 'kpods').map(a => a.name)).toEqual(['kpods']);
+      expect(searchAliases(aliases, 'http.server').map(a => a.name)).toEqual(['serve']);
+      expect(searchAliases(aliases, 'namespace').map(a => a.name)).toEqual(['kpods']);
+      expect(searchAliases(aliases, 'k8s').map(a => a.name)).toEqual(['kpods']);
+    });
+
+    it('should require every word to match', () => {
+      expect(searchAliases(aliases, 'git oneline').map(a => a.name)).toEqual(['gl']);
+      expect(searchAliases(aliases, 'git nothing')).toEqual([]);
+    });
+
+    it('should put name matches first and disabled aliases after enabled ones', () => {
+      expect(searchAliases(aliases, 'gs')[0].name).toBe('gs');
+      expect(searchAliases(aliases, '').map(a => a.name)).toEqual(['gs', 'kpods', 'serve', 'gl']);
+    });
+
+    it('should return the command for the platform and leave out aliases without one', () => {
+      const library = [
+        alias('1', 'open', 'xdg-open .', { platforms: { darwin: { shell: '', command: 'open .' } } }),
+        alias('2', 'winonly', '', { platforms: { win32: { shell: '', command: 'explorer .' } } })
+      ];
+
+      expect(searchAliases(library, '', { platform: 'darwin', shellName: 'zsh' })).toEqual([
+        expect.objectContaining({ name: 'open', command: 'open .', enabled: true })
+      ]);
+    });
+
+    it('should stop at the limit', () => {
+      expect(searchAliases(aliases, '', { limit: 2 })).toHaveLength(2);
+    });
+
+    it('should list the placeholders of each command', () => {
+      const [result] = searchAliases([alias('5', 'co', 'git checkout {branch:main}')], '');
+
+      expect(result.placeholders).toEqual([{ name: 'branch', index: 1, defaultValue: 'main' }]);
+      expect(searchAliases(aliases, 'gs')[0].placeholders).toEqual([]);
+    });
+  });
+});
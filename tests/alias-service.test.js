@@ -0,0 +1,166 @@
+/**
+ * Jest unit tests for src/main/alias-service.js
+ *
+ * Tests cover:
+ * - Edit times recorded when the alias store is saved
+ * - Syncing the library through a git repository
+ *
+ * Import, export and storage are covered through the CLI in cli.test.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const AliasService = require('../src/main/alias-service');
+
+const hasGit = (() => {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+describe('Alias Service - alias-service.js', () => {
+  let tmpDir;
+  let service;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-service-'));
+    service = new AliasService({
+      dataDir: path.join(tmpDir, 'data'),
+      backupDir: path.join(tmpDir, 'backups'),
+      home: tmpDir,
+      platform: 'linux',
+      env: { SHELL: '/bin/bash' },
+      logger: { info() {}, warn() {}, error() {} }
+    });
+    return service.ensureDataDirectory();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('saveAliasStore', () => {
+    it('should stamp new and changed aliases and keep the time of the others', async () => {
+      await service.saveAliasStore({ profiles: [], aliases: [{ id: '1', name: 'gs', command: 'git status', enabled: true }] });
+      const first = (await service.readAliasStore()).aliases[0];
+      expect(first.updatedAt).toEqual(expect.any(String));
+
+      // The window saves its own copy, which may lack updatedAt or order keys differently
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await service.saveAliasStore({
+        profiles: [],
+        aliases: [
+          { enabled: true, command: 'git status', name: 'gs', id: '1' },
+          { id: '2', name: 'll', command: 'ls -l', enabled: true }
+        ]
+      });
+      let [gs, ll] = (await service.readAliasStore()).aliases;
+      expect(gs.updatedAt).toBe(first.updatedAt);
+      expect(ll.updatedAt > first.updatedAt).toBe(true);
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await service.saveAliasStore({ profiles: [], aliases: [{ ...gs, command: 'git status -s' }, ll] });
+      [gs] = (await service.readAliasStore()).aliases;
+      expect(gs.updatedAt > first.updatedAt).toBe(true);
+    });
+
+    it('should return the store as written', async () => {
+      const written = await service.saveAliasStore({ profiles: [], aliases: [{ id: '1', name: 'gs', command: 'git status', enabled: true }] });
+
+      expect(written.aliases).toEqual((await service.readAliasStore()).aliases);
+      expect(written.aliases[0].updatedAt).toEqual(expect.any(String));
+    });
+  });
+
+  (hasGit ? describe : describe.skip)('syncLibrary', () => {
+    const createMachine = async (name, remote) => {
+      const machine = new AliasService({
+        dataDir: path.join(tmpDir, name, 'data'),
+        backupDir: path.join(tmpDir, name, 'backups'),
+        home: path.join(tmpDir, name),
+        platform: 'linux',
+        env: { SHELL: '/bin/bash' },
+        logger: { info() {}, warn() {}, error() {} }
+      });
+      await machine.ensureDataDirectory();
+      await machine.saveSettings({
+        ...machine.getDefaultSettings(),
+        syncEnabled: true,
+        syncRepoPath: path.join(tmpDir, name, 'sync'),
+        syncRemoteUrl: remote,
+        syncBranch: 'main'
+      });
+      return machine;
+    };
+
+    it('should keep pulled edit times so syncing again changes nothing', async () => {
+      const remote = path.join(tmpDir, 'remote.git');
+      execFileSync('git', ['init', '--bare', remote], { stdio: 'ignore' });
+      const laptop = await createMachine('laptop', remote);
+      const desktop = await createMachine('desktop', remote);
+      const remoteHead = () => execFileSync('git', ['--git-dir', remote, 'rev-parse', 'main']).toString().trim();
+
+      await laptop.saveAliasStore({ profiles: [], aliases: [{ id: '1', name: 'gs', command: 'git status', enabled: true }] });
+      await laptop.syncLibrary();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect((await desktop.syncLibrary()).pulled).toBe(true);
+      // The laptop picks up the commit that joined the two histories
+      expect((await laptop.syncLibrary()).pulled).toBe(true);
+      const head = remoteHead();
+
+      expect(await desktop.syncLibrary()).toEqual({ success: true, pulled: false, pushed: true });
+      expect(await laptop.syncLibrary()).toEqual({ success: true, pulled: false, pushed: true });
+      expect(remoteHead()).toBe(head);
+      expect((await desktop.readAliasStore()).aliases).toEqual((await laptop.readAliasStore()).aliases);
+    });
+  });
+
+  describe('describeExternalChange', () => {
+    it('should list aliases an edit added to the file and say whether the export is out of date', async () => {
+      const rcPath = path.join(tmpDir, '.bashrc');
+      const previous = "alias old='echo old'\n[ -f ~/.bash_aliases ] && . ~/.bash_aliases\n";
+      fs.writeFileSync(path.join(tmpDir, '.bash_aliases'), "alias la='ls -a'\n");
+      fs.writeFileSync(rcPath, previous + "alias gs='git status'\nalias ll='ls -l'\n");
+      await service.saveAliasStore({ profiles: [], aliases: [{ id: '1', name: 'gs', command: 'git status', enabled: true }] });
+
+      const report = await service.describeExternalChange({ path: rcPath, previous, current: fs.readFileSync(rcPath, 'utf8') }, 'bash');
+
+      expect(report.source).toBe('shell');
+      expect(report.newAliases.map(alias => alias.name)).toEqual(['ll']);
+      expect(report.outOfDate).toBe(true);
+      expect(report.diff).toContain("+alias ll='ls -l'");
+      expect(await service.getWatchedPaths('bash')).toContain(rcPath);
+    });
+
+    it('should report store changes once the shell files are up to date', async () => {
+      await service.saveAliasStore({ profiles: [], aliases: [{ id: '1', name: 'gs', command: 'git status', enabled: true }] });
+      await service.exportSavedAliases('bash');
+      const storePath = service.getDataFilePath('aliases.json');
+
+      const report = await service.describeExternalChange({ path: storePath, previous: '', current: fs.readFileSync(storePath, 'utf8') }, 'bash');
+
+      expect(report.source).toBe('store');
+      expect(report.newAliases).toEqual([]);
+      expect(report.outOfDate).toBe(false);
+    });
+  });
+
+  describe('importFromShell', () => {
+    it('should add aliases whose names are not in the library yet', async () => {
+      fs.writeFileSync(path.join(tmpDir, '.bashrc'), "alias gs='git status'\nalias ll='ls -l'\n");
+      await service.saveAliasStore({ profiles: [], aliases: [{ id: '1', name: 'gs', command: 'git status -s', enabled: true }] });
+
+      const result = await service.importFromShell('bash');
+
+      expect(result.imported.map(alias => alias.name)).toEqual(['ll']);
+      expect(result.skipped).toBe(1);
+      const saved = await service.readAliasStore();
+      expect(saved.aliases.map(alias => [alias.name, alias.command])).toEqual([['gs', 'git status -s'], ['ll', 'ls -l']]);
+    });
+  });
+});
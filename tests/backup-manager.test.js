@@ -0,0 +1,89 @@
+/**
+ * Jest unit tests for src/main/backup-manager.js
+ *
+ * Tests cover:
+ * - Backup creation with metadata index
+ * - Retention pruning per source file
+ * - Adoption of loose legacy backups
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BackupManager = require('../src/main/backup-manager');
+
+describe('Backup Manager - backup-manager.js', () => {
+  let tmpDir;
+  let backupDir;
+  let sourcePath;
+  let manager;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-backup-'));
+    backupDir = path.join(tmpDir, 'backups');
+    sourcePath = path.join(tmpDir, '.zshrc');
+    manager = new BackupManager(backupDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return null when the source file does not exist', async () => {
+    expect(await manager.createBackup(sourcePath, 5)).toBeNull();
+  });
+
+  it('should copy the file and record source path, time and hash', async () => {
+    fs.writeFileSync(sourcePath, 'alias a=b\n');
+
+    const entry = await manager.createBackup(sourcePath, 5);
+
+    expect(entry.sourcePath).toBe(sourcePath);
+    expect(entry.hash).toBe(BackupManager.hashContent('alias a=b\n'));
+    expect(fs.readFileSync(manager.getBackupPath(entry), 'utf8')).toBe('alias a=b\n');
+    expect(await manager.list(sourcePath)).toEqual([entry]);
+  });
+
+  it('should reuse the latest backup when content is unchanged', async () => {
+    fs.writeFileSync(sourcePath, 'same\n');
+
+    const first = await manager.createBackup(sourcePath, 5);
+    const second = await manager.createBackup(sourcePath, 5);
+
+    expect(second.id).toBe(first.id);
+    expect(await manager.list(sourcePath)).toHaveLength(1);
+  });
+
+  it('should prune to the retention count per source file', async () => {
+    const otherPath = path.join(tmpDir, '.bashrc');
+    fs.writeFileSync(otherPath, 'other\n');
+    await manager.createBackup(otherPath, 2);
+
+    for (let i = 0; i < 4; i++) {
+      fs.writeFileSync(sourcePath, `version ${i}\n`);
+      await manager.createBackup(sourcePath, 2);
+    }
+
+    const remaining = await manager.list(sourcePath);
+    expect(remaining).toHaveLength(2);
+    expect(fs.readFileSync(manager.getBackupPath(remaining[0]), 'utf8')).toBe('version 3\n');
+    expect(await manager.list(otherPath)).toHaveLength(1);
+    // index.json + 2 zshrc copies + 1 bashrc copy
+    expect(fs.readdirSync(backupDir)).toHaveLength(4);
+  });
+
+  it('should move legacy backups next to the source into the backup folder', async () => {
+    fs.writeFileSync(sourcePath, 'current\n');
+    fs.writeFileSync(`${sourcePath}.aliasforge-backup-2025-01-02T03-04-05-678Z`, 'old\n');
+    fs.writeFileSync(`${sourcePath}.backup-2025-01-01T00-00-00-000Z`, 'older\n');
+
+    await manager.createBackup(sourcePath, 5);
+
+    expect(fs.readdirSync(tmpDir).sort()).toEqual(['.zshrc', 'backups']);
+    const backups = await manager.list(sourcePath);
+    expect(backups.map(b => b.createdAt).slice(1)).toEqual([
+      '2025-01-02T03:04:05.678Z',
+      '2025-01-01T00:00:00.000Z'
+    ]);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Jest unit tests for src/main/cli.js
+ *
+ * Tests cover:
+ * - Argument parsing and usage errors
+ * - The default data folder per platform
+ * - list, add, rm, enable, disable, import, export and diff against a
+ *   temporary home and data folder
+ * - JSON output and exit codes
+ * - Commits to the sync repository after each edit
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { runCli, parseArgs, getDefaultUserDataPath, EXIT_CODES } = require('../src/main/cli');
+
+const hasGit = (() => {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+describe('Command-Line Interface - cli.js', () => {
+  describe('parseArgs', () => {
+    it('should split the command, its arguments and options', () => {
+      expect(parseArgs(['add', 'gs', 'git', 'status', '--tags=git,vcs', '--json'])).toEqual({
+        command: 'add',
+        args: ['gs', 'git', 'status'],
+        options: { tags: 'git,vcs', json: true }
+      });
+      expect(parseArgs(['list', '--shell', 'zsh']).options).toEqual({ shell: 'zsh' });
+    });
+
+    it('should keep unknown flags in the command of add', () => {
+      expect(parseArgs(['add', 'gs', 'git', 'status', '--short', '--tags', 'git'])).toEqual({
+        command: 'add',
+        args: ['gs', 'git', 'status', '--short'],
+        options: { tags: 'git' }
+      });
+      expect(() => parseArgs(['add', 'gs', '--short', 'git'])).toThrow('Unknown option: --short');
+    });
+
+    it('should treat everything after -- as arguments', () => {
+      expect(parseArgs(['add', 'v', '--', 'vim', '--clean']).args).toEqual(['v', 'vim', '--clean']);
+    });
+
+    it('should reject unknown options and missing values', () => {
+      expect(() => parseArgs(['list', '--nope'])).toThrow('Unknown option: --nope');
+      expect(() => parseArgs(['list', '--shell'])).toThrow('Option --shell needs a value');
+    });
+  });
+
+  describe('getDefaultUserDataPath', () => {
+    it('should match the folder Electron uses on each platform', () => {
+      expect(getDefaultUserDataPath({ platform: 'linux', env: {}, home: '/home/u' }))
+        .toBe(path.join('/home/u', '.config', 'AliasForge'));
+      expect(getDefaultUserDataPath({ platform: 'linux', env: { XDG_CONFIG_HOME: '/cfg' }, home: '/home/u' }))
+        .toBe(path.join('/cfg', 'AliasForge'));
+      expect(getDefaultUserDataPath({ platform: 'darwin', env: {}, home: '/Users/u' }))
+        .toBe(path.join('/Users/u', 'Library', 'Application Support', 'AliasForge'));
+    });
+  });
+
+  describe('runCli', () => {
+    let tmpDir;
+    let home;
+    let userDataPath;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-cli-'));
+      home = path.join(tmpDir, 'home');
+      userDataPath = path.join(tmpDir, 'userData');
+      fs.mkdirSync(home);
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // Run a command and capture what it prints
+    const run = async (...argv) => {
+      const output = { stdout: '', stderr: '' };
+      const stream = name => ({ write: text => { output[name] += text; } });
+      const exitCode = await runCli(argv, {
+        home,
+        userDataPath,
+        platform: 'linux',
+        env: { SHELL: '/bin/bash', PATH: '' },
+        stdout: stream('stdout'),
+        stderr: stream('stderr')
+      });
+      return { exitCode, ...output };
+    };
+
+    const readStore = () => JSON.parse(fs.readFileSync(path.join(userDataPath, 'data', 'aliases.json'), 'utf8'));
+
+    it('should print usage and exit with a usage error without a command', async () => {
+      const result = await run();
+
+      expect(result.exitCode).toBe(EXIT_CODES.USAGE);
+      expect(result.stdout).toContain('Usage: aliasforge <command>');
+    });
+
+    it('should add aliases to the same store the app uses', async () => {
+      const result = await run('add', 'gs', 'git', 'status', '--tags', 'git,vcs', '--description', 'Status');
+
+      expect(result.exitCode).toBe(EXIT_CODES.OK);
+      const store = readStore();
+      expect(store.schemaVersion).toBeDefined();
+      expect(store.aliases).toEqual([expect.objectContaining({
+        name: 'gs',
+        command: 'git status',
+        tags: ['git', 'vcs'],
+        description: 'Status',
+        profile: 'default',
+        enabled: true
+      })]);
+    });
+
+    it('should add a command with flags without needing --', async () => {
+      const result = await run('add', 'gs', 'git', 'status', '--short', '--branch');
+
+      expect(result.exitCode).toBe(EXIT_CODES.OK);
+      expect(readStore().aliases[0].command).toBe('git status --short --branch');
+    });
+
+    it('should refuse duplicate names, bad names and broken commands', async () => {
+      await run('add', 'gs', 'git status');
+
+      expect((await run('add', 'gs', 'git status -s')).exitCode).toBe(EXIT_CODES.EXISTS);
+      expect((await run('add', '-x', 'ls')).exitCode).toBe(EXIT_CODES.USAGE);
+      const broken = await run('add', 'say', 'echo "hi', '--json');
+      expect(broken.exitCode).toBe(EXIT_CODES.REJECTED);
+      expect(JSON.parse(broken.stdout)).toMatchObject({ success: false, exitCode: EXIT_CODES.REJECTED });
+      expect(readStore().aliases.map(a => a.name)).toEqual(['gs']);
+    });
+
+    it('should list aliases as text and JSON', async () => {
+      await run('add', 'gs', 'git status');
+      await run('add', 'll', 'ls -l', '--disabled');
+
+      const text = await run('list');
+      expect(text.stdout).toBe('gs  git status\nll  ls -l  (disabled)\n');
+
+      const json = JSON.parse((await run('list', '--json')).stdout);
+      expect(json.success).toBe(true);
+      expect(json.aliases.map(a => a.name)).toEqual(['gs', 'll']);
+    });
+
+    it('should enable, disable and remove aliases by name', async () => {
+      await run('add', 'gs', 'git status');
+      await run('add', 'll', 'ls -l');
+
+      expect((await run('disable', 'gs', 'll')).exitCode).toBe(EXIT_CODES.OK);
+      expect(readStore().aliases.every(a => !a.enabled)).toBe(true);
+
+      expect((await run('enable', 'll')).exitCode).toBe(EXIT_CODES.OK);
+      expect(readStore().aliases.find(a => a.name === 'll').enabled).toBe(true);
+
+      expect((await run('rm', 'gs')).exitCode).toBe(EXIT_CODES.OK);
+      expect(readStore().aliases.map(a => a.name)).toEqual(['ll']);
+    });
+
+    (hasGit ? it : it.skip)('should commit each edit to the sync repository when sync is on', async () => {
+      const repoDir = path.join(tmpDir, 'sync');
+      fs.mkdirSync(path.join(userDataPath, 'data'), { recursive: true });
+      fs.writeFileSync(path.join(userDataPath, 'data', 'settings.json'), JSON.stringify({ syncEnabled: true, syncRepoPath: repoDir }));
+      const commits = () => execFileSync('git', ['-C', repoDir, 'rev-list', '--count', 'HEAD']).toString().trim();
+
+      await run('add', 'gs', 'git status');
+      expect(commits()).toBe('1');
+      await run('disable', 'gs');
+      expect(commits()).toBe('2');
+
+      const committed = JSON.parse(fs.readFileSync(path.join(repoDir, 'profiles', 'default.json'), 'utf8'));
+      expect(committed.aliases).toEqual(readStore().aliases);
+    });
+
+    it('should change nothing when one of the names does not exist', async () => {
+      await run('add', 'gs', 'git status');
+
+      const result = await run('rm', 'gs', 'nope');
+
+      expect(result.exitCode).toBe(EXIT_CODES.NOT_FOUND);
+      expect(result.stderr).toContain('No alias named "nope"');
+      expect(readStore().aliases).toHaveLength(1);
+    });
+
+    it('should import aliases from the rc files, skipping known names', async () => {
+      fs.writeFileSync(path.join(home, '.bashrc'), "alias ll='ls -l'\nalias gs='git status'\n");
+      await run('add', 'gs', 'git status -s');
+
+      const result = JSON.parse((await run('import', '--json')).stdout);
+
+      expect(result.imported.map(a => a.name)).toEqual(['ll']);
+      expect(result.skipped).toBe(1);
+      expect(readStore().aliases.map(a => a.name)).toEqual(['gs', 'll']);
+    });
+
+    it('should export, then report no changes in diff', async () => {
+      await run('add', 'gs', 'git status');
+
+      expect((await run('diff', '--exit-code')).exitCode).toBe(EXIT_CODES.CHANGED);
+      const exported = await run('export');
+      expect(exported.exitCode).toBe(EXIT_CODES.OK);
+      expect(fs.readFileSync(path.join(home, '.bashrc'), 'utf8')).toContain('AliasForge managed aliases');
+      expect(fs.readFileSync(path.join(home, '.config', 'aliasforge', 'aliases.bash'), 'utf8'))
+        .toContain("alias gs='git status'");
+
+      const diff = await run('diff', '--exit-code');
+      expect(diff.exitCode).toBe(EXIT_CODES.OK);
+      expect(diff.stdout).toContain('already up to date');
+    });
+
+    it('should stop an export that would overwrite hand edits unless told to', async () => {
+      await run('add', 'gs', 'git status');
+      await run('export');
+      fs.appendFileSync(path.join(home, '.config', 'aliasforge', 'aliases.bash'), 'alias k=kubectl\n');
+
+      const blocked = await run('export', '--json');
+      expect(blocked.exitCode).toBe(EXIT_CODES.REJECTED);
+      expect(JSON.parse(blocked.stdout)).toMatchObject({
+        success: false,
+        conflict: true,
+        conflicts: [expect.objectContaining({ type: 'alias-file-modified' })]
+      });
+
+      expect((await run('export', '--overwrite')).exitCode).toBe(EXIT_CODES.OK);
+    });
+
+    it('should reject unknown commands and shells', async () => {
+      expect((await run('frobnicate')).exitCode).toBe(EXIT_CODES.USAGE);
+      expect((await run('export', '--shell', 'tcsh')).exitCode).toBe(EXIT_CODES.USAGE);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Jest unit tests for src/main/export-history.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExportHistory = require('../src/main/export-history');
+
+describe('Export History - export-history.js', () => {
+  let tmpDir;
+  let history;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-history-'));
+    history = new ExportHistory(path.join(tmpDir, 'export-history.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return an empty list before anything is recorded', async () => {
+    expect(await history.list()).toEqual([]);
+  });
+
+  it('should record entries newest first and find them by id', async () => {
+    const first = await history.record({ targetPath: '/home/me/.zshrc', shell: 'zsh', aliasCount: 1 });
+    const second = await history.record({ targetPath: '/home/me/.zshrc', shell: 'zsh', aliasCount: 2 });
+
+    const entries = await history.list();
+    expect(entries.map(e => e.id)).toEqual([second.id, first.id]);
+    expect(await history.get(first.id)).toMatchObject({ shell: 'zsh', aliasCount: 1 });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Jest unit tests for src/main/export-state.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExportState = require('../src/main/export-state');
+
+describe('Export State - export-state.js', () => {
+  let tmpDir;
+  let exportState;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-state-'));
+    exportState = new ExportState(path.join(tmpDir, 'export-state.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return null for a file that was never exported', async () => {
+    expect(await exportState.get('/home/me/.zshrc')).toBeNull();
+  });
+
+  it('should keep the latest record per rc file', async () => {
+    await exportState.set('/home/me/.zshrc', { shell: 'zsh', blockHash: 'a' });
+    await exportState.set('/home/me/.bashrc', { shell: 'bash', blockHash: 'b' });
+    await exportState.set('/home/me/../me/.zshrc', { shell: 'zsh', blockHash: 'c' });
+
+    expect(await exportState.get('/home/me/.zshrc')).toMatchObject({ shell: 'zsh', blockHash: 'c' });
+    expect(await exportState.get('/home/me/.bashrc')).toMatchObject({ blockHash: 'b' });
+  });
+});
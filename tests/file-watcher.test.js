@@ -0,0 +1,99 @@
+/**
+ * Jest unit tests for src/main/file-watcher.js
+ *
+ * Tests cover:
+ * - Reporting changed files with their previous and current content
+ * - Debouncing bursts of events into one check
+ * - Ignoring unchanged content, the app's own writes and other files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileWatcher } = require('../src/main/file-watcher');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('File Watcher - file-watcher.js', () => {
+  let tmpDir;
+  let rcPath;
+  let listeners;
+  let changes;
+  let watcher;
+
+  // Stands in for fs.watch so tests fire events themselves
+  const fakeWatch = (folder, listener) => {
+    listeners[folder] = listener;
+    return { on() {}, close: () => { delete listeners[folder]; } };
+  };
+  const fire = (filePath) => listeners[path.dirname(filePath)]('change', path.basename(filePath));
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-watcher-'));
+    rcPath = path.join(tmpDir, '.zshrc');
+    fs.writeFileSync(rcPath, "alias gs='git status'\n");
+    listeners = {};
+    changes = [];
+    watcher = new FileWatcher({
+      onChange: change => changes.push(change),
+      debounceMs: 20,
+      watch: fakeWatch,
+      logger: { info() {}, error() {} }
+    });
+    await watcher.setPaths([rcPath, path.join(tmpDir, 'missing.json')]);
+  });
+
+  afterEach(() => {
+    watcher.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should report a changed file once after a burst of events', async () => {
+    fs.writeFileSync(rcPath, "alias gs='git status'\nalias ll='ls -l'\n");
+    fire(rcPath);
+    fire(rcPath);
+    fire(rcPath);
+    await wait(60);
+
+    expect(changes).toEqual([{
+      path: rcPath,
+      previous: "alias gs='git status'\n",
+      current: "alias gs='git status'\nalias ll='ls -l'\n"
+    }]);
+  });
+
+  it('should report files created after watching started', async () => {
+    const missing = path.join(tmpDir, 'missing.json');
+    fs.writeFileSync(missing, '{}');
+    fire(missing);
+    await wait(60);
+
+    expect(changes).toEqual([{ path: missing, previous: '', current: '{}' }]);
+  });
+
+  it('should ignore events that leave the content as it was', async () => {
+    fire(rcPath);
+    await wait(60);
+
+    expect(changes).toEqual([]);
+  });
+
+  it('should not report writes taken into a refreshed snapshot', async () => {
+    fs.writeFileSync(rcPath, "alias gs='git status -s'\n");
+    fire(rcPath);
+    await watcher.refresh();
+    await wait(60);
+
+    expect(changes).toEqual([]);
+  });
+
+  it('should ignore other files in a watched folder and stop when closed', async () => {
+    fs.writeFileSync(path.join(tmpDir, '.zsh_history'), 'ls\n');
+    fire(path.join(tmpDir, '.zsh_history'));
+    await wait(60);
+    expect(changes).toEqual([]);
+
+    watcher.close();
+    expect(listeners).toEqual({});
+  });
+});
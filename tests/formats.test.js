@@ -0,0 +1,147 @@
+/**
+ * Jest unit tests for src/main/formats
+ *
+ * Tests cover:
+ * - Choosing the format by file extension
+ * - Round trips through JSON, YAML and TOML
+ * - Hand-written YAML and TOML alias packs
+ * - Line numbers for aliases and syntax errors
+ */
+
+const formats = require('../src/main/formats');
+
+describe('Collection Formats', () => {
+  const collection = {
+    version: '1.0',
+    exportDate: '2026-01-26T10:00:00.000Z',
+    aliases: [
+      { id: 'a1', name: 'gs', command: 'git status', description: 'Git: status #1', tags: ['git'], enabled: true },
+      {
+        id: 'a2',
+        name: 'mkcd',
+        kind: 'function',
+        command: 'mkdir -p "$1" && \\\n    cd "$1"\n',
+        tags: [],
+        enabled: false,
+        platforms: { win32: { shell: 'powershell', command: "md $args[0]; it's" } }
+      },
+      { id: 'a3', name: 'yes', command: ' padded', tags: [], enabled: true }
+    ]
+  };
+
+  describe('getFormat', () => {
+    it('should pick the format from the file extension', () => {
+      expect(formats.getFormat('pack.json')).toBe('json');
+      expect(formats.getFormat('/home/me/pack.YML')).toBe('yaml');
+      expect(formats.getFormat('pack.toml')).toBe('toml');
+      expect(formats.getFormat('pack.txt')).toBeNull();
+    });
+
+    it('should report unsupported files as an error', () => {
+      expect(formats.parseCollection('', 'pack.txt').error).toMatch(/Unsupported file type/);
+    });
+  });
+
+  describe.each(['pack.json', 'pack.yaml', 'pack.toml'])('%s', (fileName) => {
+    it('should read back what it writes', () => {
+      const text = formats.stringifyCollection(collection, fileName);
+
+      expect(formats.parseCollection(text, fileName).data).toEqual(collection);
+    });
+
+    it('should report the line each alias starts on', () => {
+      const text = formats.stringifyCollection(collection, fileName);
+      const { lines } = formats.parseCollection(text, fileName);
+      const textLines = text.split('\n');
+
+      expect(lines).toHaveLength(3);
+      lines.forEach((line, index) => {
+        expect(textLines.slice(line - 1).join('\n')).toContain(collection.aliases[index].id);
+        expect(textLines.slice(0, line - 1).join('\n')).not.toContain(collection.aliases[index].id);
+      });
+    });
+  });
+
+  describe('YAML', () => {
+    it('should read a commented hand-written pack', () => {
+      const text = [
+        '# Team aliases',
+        'aliases:',
+        '- name: gs   # short',
+        '  command: git status',
+        '  tags: [git, "a, b"]',
+        '- name: up',
+        '  command: >-',
+        '    cd ..',
+        '    && ls',
+        '  enabled: false'
+      ].join('\n');
+
+      expect(formats.parseCollection(text, 'team.yaml')).toEqual({
+        data: {
+          aliases: [
+            { name: 'gs', command: 'git status', tags: ['git', 'a, b'] },
+            { name: 'up', command: 'cd .. && ls', enabled: false }
+          ]
+        },
+        lines: [3, 6]
+      });
+    });
+
+    it('should quote strings YAML would read as null or special floats', () => {
+      const special = {
+        aliases: ['~', '.inf', '.NaN', 'null'].map((word, i) => ({ id: `s${i}`, name: 'home', command: word, tags: [word] }))
+      };
+      const text = formats.stringifyCollection(special, 'pack.yaml');
+
+      expect(text).toContain('command: "~"');
+      expect(text).toContain('command: ".inf"');
+      expect(formats.parseCollection(text, 'pack.yaml').data).toEqual(special);
+    });
+
+    it('should give the line of a syntax error', () => {
+      expect(formats.parseCollection('aliases:\n  - name: a\n     command: b\n', 'a.yml')).toEqual({ error: 'Unexpected indentation', line: 3 });
+      expect(formats.parseCollection('aliases:\n  - name: "a\n', 'a.yml')).toEqual({ error: 'Unterminated double-quoted string', line: 2 });
+    });
+  });
+
+  describe('TOML', () => {
+    it('should read a commented hand-written pack', () => {
+      const text = [
+        '# Team aliases',
+        'version = "1.0"',
+        '',
+        '[[aliases]]',
+        "name = 'gs'",
+        'tags = [',
+        '  "git",  # vcs',
+        ']',
+        '',
+        '[[aliases]]',
+        'name = "open"',
+        'platforms.darwin = { command = "open" }'
+      ].join('\n');
+
+      expect(formats.parseCollection(text, 'team.toml')).toEqual({
+        data: {
+          version: '1.0',
+          aliases: [
+            { name: 'gs', tags: ['git'] },
+            { name: 'open', platforms: { darwin: { command: 'open' } } }
+          ]
+        },
+        lines: [4, 10]
+      });
+    });
+
+    it('should give the line of a syntax error', () => {
+      expect(formats.parseCollection('[[aliases]]\nname = "a"\nname = "b"\n', 'a.toml')).toEqual({ error: 'Duplicate key "name"', line: 3 });
+    });
+  });
+
+  describe('JSON', () => {
+    it('should give the line of a syntax error', () => {
+      expect(formats.parseCollection('{\n  "aliases": [\n    { "name": x }\n  ]\n}', 'a.json')).toEqual({ error: "Unexpected character 'x'", line: 3 });
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Jest unit tests for src/main/generators
+ *
+ * Tests cover:
+ * - Shell-specific alias syntax and quoting
+ * - Generator dispatch by shell name
+ * - Function-kind entries for each shell
+ * - Commands with {name} placeholders for each shell
+ */
+
+const { getGenerator } = require('../src/main/generators');
+const fish = require('../src/main/generators/fish');
+const cmd = require('../src/main/generators/cmd');
+const powershell = require('../src/main/generators/powershell');
+const posix = require('../src/main/generators/posix');
+
+describe('Shell Generators', () => {
+  describe('getGenerator', () => {
+    it('should fall back to POSIX syntax for unknown shells', () => {
+      expect(getGenerator('ksh')).toBe(posix);
+      expect(getGenerator('fish')).toBe(fish);
+    });
+  });
+
+  // ============================================
+  // Fish Tests
+  // ============================================
+  describe('fish', () => {
+    it('should emit a one-line function that forwards $argv', () => {
+      const output = fish.generateAliasLines([{ name: 'gs', command: 'git status' }]);
+
+      expect(output).toBe('function gs; git status $argv; end\n');
+    });
+
+    it('should keep multi-statement commands intact', () => {
+      const output = fish.generateAliasLines([
+        { name: 'up', command: 'git fetch && git rebase', description: "Pull 'n' rebase" }
+      ]);
+
+      expect(output).toBe("function up --description 'Pull \\'n\\' rebase'; git fetch && git rebase $argv; end\n");
+    });
+
+    it('should not append $argv when the command already uses it', () => {
+      const output = fish.generateAliasLines([{ name: 'mk', command: 'mkdir -p $argv[1]\ncd $argv[1]' }]);
+
+      expect(output).toBe('function mk\n    mkdir -p $argv[1]\n    cd $argv[1]\nend\n');
+    });
+
+    it('should emit abbreviations with fish quoting', () => {
+      const output = fish.generateAliasLines([
+        { name: 'gc', command: "git commit -m 'wip' C:\\tmp", fishMode: 'abbr' }
+      ]);
+
+      expect(output).toBe("abbr -a -- gc 'git commit -m \\'wip\\' C:\\\\tmp'\n");
+    });
+
+    it('should leave functions out when they are written to function files', () => {
+      const output = fish.generateAliasLines([
+        { name: 'gs', command: 'git status' },
+        { name: 'gc', command: 'git commit', fishMode: 'abbr' }
+      ], { functionFiles: true });
+
+      expect(output).toBe("abbr -a -- gc 'git commit'\n");
+    });
+
+    it('should mark function files as owned by AliasForge', () => {
+      const content = fish.generateFunctionFile({ name: 'gs', command: 'git status' });
+
+      expect(content.startsWith(fish.FUNCTION_FILE_HEADER)).toBe(true);
+      expect(content).toContain('function gs; git status $argv; end');
+    });
+  });
+
+  // ============================================
+  // cmd.exe Tests
+  // ============================================
+  describe('cmd', () => {
+    it('should append $* when the command takes no explicit arguments', () => {
+      expect(cmd.generateAliasLines([{ name: 'gs', command: 'git status', description: 'Status' }]))
+        .toBe('REM Status\ndoskey gs=git status $*\n');
+    });
+
+    it('should translate positional and all-argument placeholders', () => {
+      expect(cmd.translateCommand('git checkout $1 && git log ${2}').text).toBe('git checkout $1 ^&^& git log $2');
+      expect(cmd.translateCommand('echo "$@"')).toEqual({ text: 'echo $*', hasArgs: true, droppedDefaults: false });
+    });
+
+    it('should escape cmd metacharacters', () => {
+      expect(cmd.translateCommand('dir | findstr %PATH% > out.txt < in.txt').text)
+        .toBe('dir $B findstr %%PATH%% $G out.txt $L in.txt');
+      expect(cmd.translateCommand('echo "a & b" ^ $HOME').text).toBe('echo "a & b" ^^ $$HOME');
+    });
+
+    it('should join multi-line commands with $T', () => {
+      expect(cmd.translateCommand('cd \\src\r\ndir').text).toBe('cd \\src $T dir');
+    });
+
+    it('should build an AutoRun .reg file with escaped path', () => {
+      const reg = cmd.generateAutoRunReg('C:\\Users\\me\\aliases.cmd');
+
+      expect(reg).toBe([
+        'Windows Registry Editor Version 5.00',
+        '',
+        '[HKEY_CURRENT_USER\\Software\\Microsoft\\Command Processor]',
+        '"AutoRun"="\\"C:\\\\Users\\\\me\\\\aliases.cmd\\""',
+        ''
+      ].join('\r\n'));
+    });
+  });
+
+  // ============================================
+  // PowerShell Tests
+  // ============================================
+  describe('powershell', () => {
+    it('should use Set-Alias when the command is a single executable', () => {
+      expect(powershell.generateAliasLines([{ name: 'g', command: 'git' }]))
+        .toBe("Set-Alias -Name 'g' -Value 'git' -Force\n");
+    });
+
+    it('should forward arguments with @args and clear clashing built-in aliases', () => {
+      expect(powershell.generateAliasLines([{ name: 'gco', command: 'git checkout', description: 'Checkout' }])).toBe([
+        '# Checkout',
+        "Remove-Item -Path 'Alias:gco' -Force -ErrorAction SilentlyContinue",
+        'function gco { git checkout @args }',
+        ''
+      ].join('\n'));
+    });
+
+    it('should map positional parameters to $args', () => {
+      expect(powershell.translateCommand('git checkout -b "feature/$1" origin/$2'))
+        .toBe('git checkout -b "feature/$($args[0])" "origin/$($args[1])"');
+      expect(powershell.translateCommand('docker run "$@" --rm')).toBe('docker run @args --rm');
+    });
+
+    it('should quote braces, dollars and quotes so the profile stays valid', () => {
+      expect(powershell.translateCommand("echo '{ $x }' it\\'s")).toBe("echo '{ $x }' 'it''s' @args");
+    });
+
+    it('should translate && and || into $? checks', () => {
+      expect(powershell.translateCommand('cd src && npm test || echo failed'))
+        .toBe('cd src; if ($?) { npm test; if (-not $?) { echo failed @args } }');
+    });
+
+    it('should keep pipelines and put arguments before trailing redirections', () => {
+      expect(powershell.translateCommand('git log --oneline | Select-Object -First 5 > log.txt'))
+        .toBe('git log --oneline | Select-Object -First 5 @args > log.txt');
+    });
+
+    it('should leave aliases flagged powershellNoProfile out of the profile', () => {
+      expect(powershell.generateAliasLines([{ name: 'ls', command: 'ls -la', powershellNoProfile: true }])).toBe('');
+    });
+  });
+
+  // ============================================
+  // Function Entry Tests
+  // ============================================
+  describe('function entries', () => {
+    const mkcd = { name: 'mkcd', kind: 'function', command: 'mkdir -p "$1" && cd "$1"\necho "$@"' };
+
+    it('should emit a bash/zsh function and drop an alias of the same name', () => {
+      expect(posix.generateAliasLines([mkcd])).toBe([
+        'unalias mkcd 2>/dev/null',
+        'mkcd() {',
+        '    mkdir -p "$1" && cd "$1"',
+        '    echo "$@"',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    it('should map positional parameters to $argv for fish', () => {
+      expect(fish.generateAliasLines([mkcd])).toBe([
+        'function mkcd',
+        '    mkdir -p "$argv[1]" && cd "$argv[1]"',
+        '    echo $argv',
+        'end',
+        ''
+      ].join('\n'));
+    });
+
+    it('should never emit a function entry as a fish abbreviation', () => {
+      expect(fish.getFishMode({ ...mkcd, fishMode: 'abbr' })).toBe('function');
+    });
+
+    it('should map positional parameters to $args for PowerShell', () => {
+      expect(powershell.generateAliasLines([mkcd])).toBe([
+        "Remove-Item -Path 'Alias:mkcd' -Force -ErrorAction SilentlyContinue",
+        'function mkcd {',
+        '    mkdir -p "$($args[0])" && cd "$($args[0])"',
+        '    echo @args',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    it('should not turn a one-word function into Set-Alias', () => {
+      const output = powershell.generateAliasLines([{ name: 'g', kind: 'function', command: 'git' }]);
+
+      expect(output).toContain('function g {\n    git\n}');
+    });
+  });
+
+  // ============================================
+  // Placeholder Tests
+  // ============================================
+  describe('placeholders', () => {
+    const push = { name: 'push', command: 'git push {remote:origin} "{branch}"' };
+
+    it('should turn the alias into a bash/zsh function', () => {
+      expect(posix.generateAliasLines([push])).toBe([
+        'unalias push 2>/dev/null',
+        'push() {',
+        '    git push "${1:-origin}" "$2"',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    it('should use $argv and fill in defaults for fish', () => {
+      expect(fish.generateAliasLines([{ ...push, fishMode: 'abbr' }])).toBe([
+        'function push',
+        "    test -n \"$argv[1]\"; or set argv[1] 'origin'",
+        '    git push "$argv[1]" "$argv[2]"',
+        'end',
+        ''
+      ].join('\n'));
+    });
+
+    it('should use $args for PowerShell', () => {
+      expect(powershell.generateAliasLines([push])).toContain(
+        "function push { git push $(if ($args[0]) { $args[0] } else { 'origin' }) $args[1] }"
+      );
+    });
+
+    it('should keep a default in the home folder expandable in every shell', () => {
+      const go = { name: 'go', command: 'cd {path:~/src}' };
+
+      expect(posix.generateAliasLines([go])).toContain('    cd "${1:-$HOME/src}"');
+      expect(fish.generateAliasLines([go])).toContain("    test -n \"$argv[1]\"; or set argv[1] $HOME'/src'");
+      expect(powershell.generateAliasLines([go])).toContain(
+        'function go { cd $(if ($args[0]) { $args[0] } else { "$HOME/src" }) }'
+      );
+    });
+
+    it('should use positional macro parameters for cmd and note dropped defaults', () => {
+      expect(cmd.generateAliasLines([push])).toBe([
+        'REM doskey macros have no default values; pass every argument to push',
+        'doskey push=git push "$1" "$2"',
+        ''
+      ].join('\n'));
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Jest unit tests for src/main/git-sync.js
+ *
+ * Tests cover:
+ * - Splitting the library into one file per profile and joining it back
+ * - Alias-level three-way merges and conflicts
+ * - Committing, pulling, merging and pushing against a bare repository
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { GitSync, splitLibrary, joinLibrary, mergeLibraries, getProfileFile } = require('../src/main/git-sync');
+
+const hasGit = (() => {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+const alias = (id, name, command, extra = {}) => ({ id, name, command, enabled: true, ...extra });
+
+describe('Git Sync - git-sync.js', () => {
+  describe('splitLibrary / joinLibrary', () => {
+    it('should store each profile in its own file and join them back', () => {
+      const store = {
+        profiles: [{ id: 'default', name: 'Default' }, { id: 'work', name: 'Work' }],
+        aliases: [alias('1', 'gs', 'git status'), alias('2', 'k', 'kubectl', { profile: 'work' })]
+      };
+
+      const files = splitLibrary(store);
+
+      expect([...files.keys()]).toEqual(['profiles.json', 'profiles/default.json', 'profiles/work.json']);
+      expect(JSON.parse(files.get('profiles/work.json')).aliases).toEqual([store.aliases[1]]);
+      const joined = joinLibrary(files);
+      expect(joined.aliases.map(a => a.name)).toEqual(['gs', 'k']);
+      expect(joined.profiles.map(p => p.id)).toEqual(['default', 'work']);
+    });
+
+    it('should keep profile ids safe to use as file names', () => {
+      expect(getProfileFile('../home')).toBe('profiles/%2E%2E%2Fhome.json');
+      expect(getProfileFile('work-2_x')).toBe('profiles/work-2_x.json');
+    });
+
+    it('should give ids that differ only in punctuation or case their own files', () => {
+      const ids = ['work.a', 'work_a', 'Work_a', 'wörk'];
+      const files = ids.map(getProfileFile);
+      expect(new Set(files.map(file => file.toLowerCase())).size).toBe(ids.length);
+
+      const store = {
+        profiles: ids.map(id => ({ id, name: id })),
+        aliases: ids.map((id, i) => alias(String(i), `a${i}`, 'true', { profile: id }))
+      };
+      expect(joinLibrary(splitLibrary(store)).aliases.map(a => a.profile)).toEqual(ids);
+    });
+
+    it('should refuse files from a newer AliasForge', () => {
+      const files = new Map([['profiles.json', JSON.stringify({ schemaVersion: 99, profiles: [] })]]);
+
+      expect(() => joinLibrary(files)).toThrow('schema version 99');
+    });
+  });
+
+  describe('mergeLibraries', () => {
+    const base = { profiles: [], aliases: [alias('1', 'gs', 'git status'), alias('2', 'll', 'ls -l')] };
+
+    it('should take changes to different aliases from both sides', () => {
+      const ours = { profiles: [], aliases: [alias('1', 'gs', 'git status -s'), alias('2', 'll', 'ls -l')] };
+      const theirs = { profiles: [], aliases: [alias('1', 'gs', 'git status'), alias('3', 'k', 'kubectl')] };
+
+      const result = mergeLibraries(base, ours, theirs);
+
+      expect(result.conflicts).toEqual([]);
+      expect(result.store.aliases).toEqual([alias('1', 'gs', 'git status -s'), alias('3', 'k', 'kubectl')]);
+    });
+
+    it('should report an alias changed differently on both sides', () => {
+      const ours = { profiles: [], aliases: [alias('1', 'gs', 'git status -s'), base.aliases[1]] };
+      const theirs = { profiles: [], aliases: [alias('1', 'gs', 'git status -sb'), base.aliases[1]] };
+
+      const result = mergeLibraries(base, ours, theirs);
+
+      expect(result.conflicts).toEqual([{
+        id: '1',
+        name: 'gs',
+        ours: ours.aliases[0],
+        theirs: theirs.aliases[0]
+      }]);
+      expect(result.store.aliases[0].command).toBe('git status -s');
+      expect(mergeLibraries(base, ours, theirs, { 1: 'theirs' }).store.aliases[0].command).toBe('git status -sb');
+    });
+
+    it('should treat an edit against a deletion as a conflict', () => {
+      const ours = { profiles: [], aliases: [base.aliases[0]] };
+      const theirs = { profiles: [], aliases: [base.aliases[0], alias('2', 'll', 'ls -la')] };
+
+      const result = mergeLibraries(base, ours, theirs);
+
+      expect(result.conflicts).toEqual([{ id: '2', name: 'll', ours: null, theirs: theirs.aliases[1] }]);
+      expect(result.store.aliases).toEqual([base.aliases[0]]);
+    });
+  });
+
+  (hasGit ? describe : describe.skip)('GitSync', () => {
+    let tmpDir;
+    let remote;
+
+    const createSync = name => new GitSync({
+      repoDir: path.join(tmpDir, name),
+      remoteUrl: remote,
+      branch: 'main'
+    });
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-sync-'));
+      remote = path.join(tmpDir, 'remote.git');
+      execFileSync('git', ['init', '--bare', remote], { stdio: 'ignore' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should commit the library only when it changed', async () => {
+      const sync = new GitSync({ repoDir: path.join(tmpDir, 'local') });
+      const store = { profiles: [], aliases: [alias('1', 'gs', 'git status')] };
+
+      expect(await sync.commitLibrary(store)).toBe(true);
+      expect(await sync.commitLibrary(store)).toBe(false);
+      expect(fs.existsSync(path.join(tmpDir, 'local', 'profiles', 'default.json'))).toBe(true);
+    });
+
+    it('should push from one machine and pull on another', async () => {
+      const laptop = createSync('laptop');
+      const desktop = createSync('desktop');
+
+      const pushed = await laptop.sync({ profiles: [], aliases: [alias('1', 'gs', 'git status')] });
+      expect(pushed).toMatchObject({ conflicts: [], pushed: true, pulled: false });
+
+      const pulled = await desktop.sync({ profiles: [], aliases: [alias('2', 'll', 'ls -l')] });
+      expect(pulled.pulled).toBe(true);
+      expect(pulled.store.aliases.map(a => a.name).sort()).toEqual(['gs', 'll']);
+
+      const back = await laptop.sync({ profiles: [], aliases: [alias('1', 'gs', 'git status')] });
+      expect(back.store.aliases.map(a => a.name).sort()).toEqual(['gs', 'll']);
+    });
+
+    it('should hold back conflicting edits until they are resolved', async () => {
+      const laptop = createSync('laptop');
+      const desktop = createSync('desktop');
+      const original = { profiles: [], aliases: [alias('1', 'gs', 'git status')] };
+      await laptop.sync(original);
+      await desktop.sync(original);
+
+      await laptop.sync({ profiles: [], aliases: [alias('1', 'gs', 'git status -s')] });
+      const edited = { profiles: [], aliases: [alias('1', 'gs', 'git status -sb')] };
+      const conflict = await desktop.sync(edited);
+
+      expect(conflict.pushed).toBe(false);
+      expect(conflict.conflicts).toEqual([expect.objectContaining({ id: '1', name: 'gs' })]);
+
+      const resolved = await desktop.sync(edited, { 1: 'theirs' });
+      expect(resolved).toMatchObject({ conflicts: [], pulled: true, pushed: true });
+      expect(resolved.store.aliases[0].command).toBe('git status -s');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Jest unit tests for src/main/linter.js
+ *
+ * Tests cover:
+ * - Builtins per shell
+ * - Finding executables on PATH
+ * - Warnings for shadowed commands and rc file collisions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const linter = require('../src/main/linter');
+
+describe('Alias Linter - linter.js', () => {
+  describe('isBuiltin', () => {
+    it('should know the builtins of each shell', () => {
+      expect(linter.isBuiltin('cd', 'bash')).toBe(true);
+      expect(linter.isBuiltin('setopt', 'zsh')).toBe(true);
+      expect(linter.isBuiltin('setopt', 'bash')).toBe(false);
+      expect(linter.isBuiltin('abbr', 'fish')).toBe(true);
+      expect(linter.isBuiltin('LS', 'powershell')).toBe(true);
+      expect(linter.isBuiltin('gs', 'zsh')).toBe(false);
+    });
+  });
+
+  describe('getFirstCommand', () => {
+    it('should skip prefixes that bypass aliases', () => {
+      expect(linter.getFirstCommand('ls -G')).toBe('ls');
+      expect(linter.getFirstCommand('command ls -G')).toBe('ls');
+      expect(linter.getFirstCommand('\\ls -G')).toBe('ls');
+      expect(linter.getFirstCommand('')).toBe('');
+    });
+  });
+
+  describe('findExecutables', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-lint-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    if (process.platform !== 'win32') {
+      it('should find executable files in PATH order', async () => {
+        const first = path.join(tmpDir, 'a');
+        const second = path.join(tmpDir, 'b');
+        fs.mkdirSync(first);
+        fs.mkdirSync(second);
+        fs.writeFileSync(path.join(first, 'notes'), '');
+        fs.writeFileSync(path.join(second, 'make'), '', { mode: 0o755 });
+        fs.writeFileSync(path.join(first, 'make'), '', { mode: 0o755 });
+
+        const found = await linter.findExecutables(['make', 'notes', 'gs'], {
+          pathEnv: `${path.join(tmpDir, 'missing')}:${first}:${second}`,
+          platform: 'linux'
+        });
+
+        expect([...found]).toEqual([['make', path.join(first, 'make')]]);
+      });
+    }
+
+    it('should match PATHEXT extensions on Windows', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'Make.EXE'), '');
+      fs.writeFileSync(path.join(tmpDir, 'notes.txt'), '');
+
+      const found = await linter.findExecutables(['make', 'notes'], {
+        pathEnv: tmpDir,
+        platform: 'win32',
+        pathExt: '.COM;.EXE'
+      });
+
+      expect([...found.keys()]).toEqual(['make']);
+    });
+  });
+
+  describe('lintAliases', () => {
+    const executables = new Map([['make', '/usr/bin/make'], ['ls', '/bin/ls']]);
+
+    it('should warn about shadowed builtins and executables', () => {
+      const results = linter.lintAliases([
+        { id: '1', name: 'make', command: 'ninja' },
+        { id: '2', name: 'cd', command: 'z' },
+        { id: '3', name: 'gs', command: 'git status' }
+      ], { shellName: 'zsh', executables });
+
+      expect(results).toEqual({
+        1: [{ type: 'executable', message: 'Shadows /usr/bin/make' }],
+        2: [{ type: 'builtin', message: 'Shadows the zsh builtin "cd"' }]
+      });
+    });
+
+    it('should give a milder warning for aliases that wrap the command they shadow', () => {
+      const results = linter.lintAliases([
+        { id: '1', name: 'ls', command: 'ls -G' },
+        { id: '2', name: 'cd', command: 'builtin cd -P' }
+      ], { shellName: 'bash', executables });
+
+      expect(results).toEqual({
+        1: [{ type: 'wraps-itself', message: 'Shadows /bin/ls (wraps itself)' }],
+        2: [{ type: 'wraps-itself', message: 'Shadows the bash builtin "cd" (wraps itself)' }]
+      });
+    });
+
+    it('should still flag make wrapping itself with extra flags', () => {
+      const results = linter.lintAliases([{ id: '1', name: 'make', command: 'make -j8' }], {
+        shellName: 'zsh',
+        executables
+      });
+
+      expect(results).toEqual({
+        1: [{ type: 'wraps-itself', message: 'Shadows /usr/bin/make (wraps itself)' }]
+      });
+    });
+
+    it('should report names the rc files already define', () => {
+      const results = linter.lintAliases([{ id: '1', name: 'll', command: 'ls -l' }], {
+        shellName: 'bash',
+        rcDefinitions: [{ name: 'll', sourceFile: '/home/me/.bashrc', line: 12 }]
+      });
+
+      expect(results['1']).toEqual([{ type: 'rc-collision', message: 'Also defined in /home/me/.bashrc:12' }]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Jest unit tests for src/main/platform-variants.js
+ *
+ * Tests cover:
+ * - Picking the variant for the current OS and shell
+ * - Falling back to the alias's own command
+ * - Leaving out aliases with no implementation
+ */
+
+const platformVariants = require('../src/main/platform-variants');
+
+describe('Platform Variants - platform-variants.js', () => {
+  const alias = {
+    name: 'open',
+    command: 'xdg-open',
+    platforms: {
+      darwin: { shell: '', command: 'open' },
+      win32: { shell: 'powershell', command: 'Invoke-Item' }
+    }
+  };
+
+  describe('resolveCommand', () => {
+    it('should use the variant for the current platform', () => {
+      expect(platformVariants.resolveCommand(alias, 'darwin', 'zsh')).toBe('open');
+      expect(platformVariants.resolveCommand(alias, 'win32', 'powershell')).toBe('Invoke-Item');
+    });
+
+    it('should fall back to the alias command when the variant targets another shell', () => {
+      expect(platformVariants.resolveCommand(alias, 'win32', 'cmd')).toBe('xdg-open');
+    });
+
+    it('should fall back to the alias command when there is no variant', () => {
+      expect(platformVariants.resolveCommand(alias, 'linux', 'bash')).toBe('xdg-open');
+      expect(platformVariants.resolveCommand({ name: 'gs', command: 'git status' }, 'linux', 'bash')).toBe('git status');
+    });
+
+    it('should return null when nothing applies', () => {
+      const macOnly = { name: 'flush', command: '', platforms: { darwin: { shell: '', command: 'dscacheutil -flushcache' } } };
+
+      expect(platformVariants.resolveCommand(macOnly, 'linux', 'bash')).toBeNull();
+    });
+  });
+
+  describe('applyPlatformVariants', () => {
+    it('should swap in resolved commands and report missing aliases', () => {
+      const macOnly = { name: 'flush', command: '', platforms: { darwin: { shell: '', command: 'dscacheutil -flushcache' } } };
+      const plain = { name: 'gs', command: 'git status' };
+
+      const result = platformVariants.applyPlatformVariants([alias, macOnly, plain], 'win32', 'powershell');
+
+      expect(result.aliases).toEqual([{ ...alias, command: 'Invoke-Item' }, plain]);
+      expect(result.aliases[1]).toBe(plain);
+      expect(result.missing).toEqual(['flush']);
+    });
+  });
+});
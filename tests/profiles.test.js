@@ -0,0 +1,77 @@
+/**
+ * Jest unit tests for src/main/profiles.js
+ *
+ * Tests cover:
+ * - Profile list normalisation
+ * - Active profile filtering
+ * - Priority-based conflict resolution
+ */
+
+const profiles = require('../src/main/profiles');
+
+describe('Profiles - profiles.js', () => {
+  const list = [
+    { id: 'work', name: 'Work' },
+    { id: 'default', name: 'Default' },
+    { id: 'laptop', name: 'Laptop' }
+  ];
+
+  describe('normalizeProfiles', () => {
+    it('should add the default profile when it is missing', () => {
+      expect(profiles.normalizeProfiles(undefined)).toEqual([{ id: 'default', name: 'Default', description: '' }]);
+    });
+
+    it('should drop malformed and duplicate profiles but keep their order', () => {
+      const result = profiles.normalizeProfiles([{ id: 'b', name: 'B' }, { name: 'no id' }, { id: 'a' }, { id: 'b', name: 'B2' }, { id: 'default', name: 'Default' }]);
+
+      expect(result.map(p => [p.id, p.name])).toEqual([['b', 'B'], ['a', 'a'], ['default', 'Default']]);
+    });
+  });
+
+  describe('resolveProfiles', () => {
+    it('should only export enabled aliases from active profiles', () => {
+      const aliases = [
+        { name: 'gs', command: 'git status', enabled: true },
+        { name: 'k', command: 'kubectl', enabled: true, profile: 'work' },
+        { name: 'off', command: 'x', enabled: false }
+      ];
+
+      const result = profiles.resolveProfiles(aliases, list, ['default']);
+
+      expect(result.aliases.map(a => a.name)).toEqual(['gs']);
+      expect(result.sources).toEqual([{ name: 'gs', profile: 'default' }]);
+    });
+
+    it('should let the higher priority profile win a name conflict', () => {
+      const aliases = [
+        { name: 'gs', command: 'git status', enabled: true },
+        { name: 'gs', command: 'git status -sb', enabled: true, profile: 'laptop' },
+        { name: 'gs', command: 'git status --short', enabled: true, profile: 'work' }
+      ];
+
+      const result = profiles.resolveProfiles(aliases, list, ['default', 'laptop', 'work']);
+
+      expect(result.aliases).toEqual([aliases[2]]);
+      expect(result.sources).toEqual([{ name: 'gs', profile: 'work' }]);
+      expect(result.conflicts).toEqual([{ name: 'gs', winner: 'work', overridden: ['default', 'laptop'] }]);
+    });
+
+    it('should not let a disabled alias shadow one from a lower profile', () => {
+      const aliases = [
+        { name: 'gs', command: 'git status', enabled: true },
+        { name: 'gs', command: 'git status -sb', enabled: false, profile: 'work' }
+      ];
+
+      const result = profiles.resolveProfiles(aliases, list, ['default', 'work']);
+
+      expect(result.aliases).toEqual([aliases[0]]);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should treat aliases of a deleted profile as default', () => {
+      const aliases = [{ name: 'x', command: 'y', enabled: true, profile: 'gone' }];
+
+      expect(profiles.resolveProfiles(aliases, list, ['default']).sources).toEqual([{ name: 'x', profile: 'default' }]);
+    });
+  });
+});
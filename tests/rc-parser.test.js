@@ -0,0 +1,207 @@
+/**
+ * Jest unit tests for src/main/rc-parser.js
+ *
+ * Tests cover:
+ * - Alias syntax for bash/zsh, fish, PowerShell and cmd
+ * - Line continuations and multi-line quoted values
+ * - Following source/. includes with source file and line numbers
+ * - Skipping the AliasForge managed block
+ * - Shell functions imported as function entries
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rcParser = require('../src/main/rc-parser');
+const shellExport = require('../src/main/shell-export');
+
+describe('RC Parser - rc-parser.js', () => {
+  // ============================================
+  // Statement Parsing Tests
+  // ============================================
+  describe('parseContent', () => {
+    it('should read several POSIX aliases with mixed quoting', () => {
+      const statements = rcParser.parseContent(`alias ll='ls -la' gs="git status"\nalias q='it'\\''s'\n`, 'zsh');
+
+      expect(statements).toEqual([
+        { line: 1, aliases: [{ name: 'll', command: 'ls -la' }, { name: 'gs', command: 'git status' }] },
+        { line: 2, aliases: [{ name: 'q', command: "it's" }] }
+      ]);
+    });
+
+    it('should join continuation lines and keep the first line number', () => {
+      const statements = rcParser.parseContent('# aliases\nalias deploy="git push \\\n  origin main"\n', 'bash');
+
+      expect(statements).toEqual([{ line: 2, aliases: [{ name: 'deploy', command: 'git push   origin main' }] }]);
+    });
+
+    it('should find includes behind test guards', () => {
+      const statements = rcParser.parseContent('[ -f ~/.bash_aliases ] && . ~/.bash_aliases\nif [ -r x ]; then source x; fi\n', 'bash');
+
+      expect(statements).toEqual([
+        { line: 1, include: '~/.bash_aliases' },
+        { line: 2, include: 'x' }
+      ]);
+    });
+
+    it('should read aliases in case arms', () => {
+      const content = [
+        'case "$OSTYPE" in',
+        "  darwin*) alias ls='ls -G' ;;",
+        "  (linux*|\"freebsd\"*) alias ls='ls --color=auto'; alias open=xdg-open ;;",
+        '  *)',
+        "    alias ll='ls -l'",
+        '    ;;',
+        'esac',
+        ''
+      ].join('\n');
+
+      expect(rcParser.parseContent(content, 'bash')).toEqual([
+        { line: 2, aliases: [{ name: 'ls', command: 'ls -G' }] },
+        { line: 3, aliases: [{ name: 'ls', command: 'ls --color=auto' }] },
+        { line: 3, aliases: [{ name: 'open', command: 'xdg-open' }] },
+        { line: 5, aliases: [{ name: 'll', command: 'ls -l' }] }
+      ]);
+    });
+
+    it('should ignore commented out aliases', () => {
+      expect(rcParser.parseContent("# alias old='x'\necho hi # alias y=z\n", 'zsh')).toEqual([]);
+    });
+
+    it('should read fish aliases and abbreviations', () => {
+      const statements = rcParser.parseContent("alias gco 'git checkout'\nabbr -a -g -- gp git push\nabbr --erase gp\n", 'fish');
+
+      expect(statements).toEqual([
+        { line: 1, aliases: [{ name: 'gco', command: 'git checkout' }] },
+        { line: 2, aliases: [{ name: 'gp', command: 'git push', fishMode: 'abbr' }] }
+      ]);
+    });
+
+    it('should read PowerShell Set-Alias and dot-sourced files', () => {
+      const content = "Set-Alias -Name g -Value git -Description 'Git CLI'\nif (Test-Path $p) { . \"$PSScriptRoot\\more.ps1\" }\n";
+
+      expect(rcParser.parseContent(content, 'powershell')).toEqual([
+        { line: 1, aliases: [{ name: 'g', command: 'git', description: 'Git CLI' }] },
+        { line: 2, include: '$PSScriptRoot\\more.ps1' }
+      ]);
+    });
+
+    it('should read doskey macros from cmd batch files', () => {
+      expect(rcParser.parseContent('@echo off\ndoskey gs=git status $*\n', 'cmd')).toEqual([
+        { line: 2, aliases: [{ name: 'gs', command: 'git status $*' }] }
+      ]);
+    });
+
+    it('should skip the AliasForge managed block', () => {
+      const block = shellExport.wrapManagedBlock("alias managed='yes'", 'zsh');
+
+      expect(rcParser.parseContent(`alias a=b\n${block}alias c=d\n`, 'zsh')).toEqual([
+        { line: 1, aliases: [{ name: 'a', command: 'b' }] },
+        { line: 5, aliases: [{ name: 'c', command: 'd' }] }
+      ]);
+    });
+  });
+
+  // ============================================
+  // Function Detection Tests
+  // ============================================
+  describe('functions', () => {
+    it('should read one-line and multi-line bash/zsh functions', () => {
+      const content = [
+        'mkcd() { mkdir -p "$1" && cd "$1"; }',
+        'function up {',
+        '    for i in $(seq ${1:-1}); do cd ..; done',
+        '    echo "}"   # stray brace in quotes',
+        '}',
+        'greet()',
+        '{',
+        '  echo hi',
+        '}',
+        'alias x=y'
+      ].join('\n');
+
+      expect(rcParser.parseContent(content, 'bash')).toEqual([
+        { line: 1, aliases: [{ name: 'mkcd', command: 'mkdir -p "$1" && cd "$1"', kind: 'function' }] },
+        { line: 2, aliases: [{ name: 'up', command: 'for i in $(seq ${1:-1}); do cd ..; done\necho "}"   # stray brace in quotes', kind: 'function' }] },
+        { line: 6, aliases: [{ name: 'greet', command: 'echo hi', kind: 'function' }] },
+        { line: 10, aliases: [{ name: 'x', command: 'y' }] }
+      ]);
+    });
+
+    it('should read fish functions with nested blocks and descriptions', () => {
+      const content = [
+        'function gs; git status $argv; end',
+        "function mk --description 'make dir'",
+        '    if test -n "$argv"',
+        '        mkdir $argv',
+        '    end',
+        'end'
+      ].join('\n');
+
+      expect(rcParser.parseContent(content, 'fish')).toEqual([
+        { line: 1, aliases: [{ name: 'gs', command: 'git status $argv', kind: 'function' }] },
+        { line: 2, aliases: [{ name: 'mk', command: 'if test -n "$argv"\n    mkdir $argv\nend', kind: 'function', description: 'make dir' }] }
+      ]);
+    });
+
+    it('should read PowerShell functions', () => {
+      const content = 'function global:gco { git checkout @args }\nfunction Up {\n    Set-Location ..\n}\n';
+
+      expect(rcParser.parseContent(content, 'powershell')).toEqual([
+        { line: 1, aliases: [{ name: 'gco', command: 'git checkout @args', kind: 'function' }] },
+        { line: 2, aliases: [{ name: 'Up', command: 'Set-Location ..', kind: 'function' }] }
+      ]);
+    });
+  });
+
+  // ============================================
+  // File Parsing Tests
+  // ============================================
+  describe('parseRcFiles', () => {
+    let home;
+
+    beforeEach(() => {
+      home = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-rc-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('should follow includes and record where each alias was defined', async () => {
+      fs.writeFileSync(path.join(home, '.zshrc'), "alias ll='ls -l'\nsource ~/.zsh_aliases\nsource ~/.zshrc\n");
+      fs.writeFileSync(path.join(home, '.zsh_aliases'), "alias ga='git add'\nalias ll='ls -lah'\n");
+
+      const result = await rcParser.parseRcFiles([path.join(home, '.zshrc')], { shellName: 'zsh', home });
+
+      expect(result.aliases).toEqual([
+        { name: 'ga', command: 'git add', sourceFile: path.join(home, '.zsh_aliases'), line: 1 },
+        { name: 'll', command: 'ls -lah', sourceFile: path.join(home, '.zsh_aliases'), line: 2 }
+      ]);
+      expect(result.files).toEqual([path.join(home, '.zshrc'), path.join(home, '.zsh_aliases')]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should warn about includes it cannot resolve or find', async () => {
+      fs.writeFileSync(path.join(home, '.bashrc'), 'source $DOTFILES/aliases\n. ~/missing\n');
+
+      const result = await rcParser.parseRcFiles([path.join(home, '.bashrc')], { shellName: 'bash', home });
+
+      expect(result.aliases).toEqual([]);
+      expect(result.warnings).toEqual([
+        `${path.join(home, '.bashrc')}:1: cannot resolve include "$DOTFILES/aliases"`,
+        `Included file not found: ${path.join(home, 'missing')}`
+      ]);
+    });
+
+    it('should scan .bash_aliases for bash even when .bashrc does not source it', async () => {
+      const configPath = path.join(home, '.bashrc');
+      fs.writeFileSync(path.join(home, '.bash_aliases'), 'alias k=kubectl\n');
+
+      const files = rcParser.getRcFiles('bash', { home, configPath });
+      const result = await rcParser.parseRcFiles(files, { shellName: 'bash', home });
+
+      expect(result.aliases.map(alias => alias.name)).toEqual(['k']);
+    });
+  });
+});
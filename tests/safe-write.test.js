@@ -0,0 +1,94 @@
+/**
+ * Jest unit tests for src/main/safe-write.js
+ *
+ * Tests cover:
+ * - Replacing and creating files
+ * - Keeping the file mode
+ * - Writing through symlinks, including dangling ones
+ * - Cleaning up the temp file when a write fails
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, resolveWriteTarget } = require('../src/main/safe-write');
+
+describe('Safe Write - safe-write.js', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aliasforge-write-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should replace the content of an existing file', async () => {
+    const filePath = path.join(tmpDir, '.zshrc');
+    fs.writeFileSync(filePath, 'old content that is longer\n');
+
+    await writeFileAtomic(filePath, 'new\n');
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('new\n');
+    expect(fs.readdirSync(tmpDir)).toEqual(['.zshrc']);
+  });
+
+  it('should create a file that does not exist', async () => {
+    const filePath = path.join(tmpDir, 'aliases.json');
+
+    expect(await writeFileAtomic(filePath, '{}')).toBe(filePath);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('{}');
+  });
+
+  if (process.platform !== 'win32') {
+    it('should keep the mode of the original file', async () => {
+      const filePath = path.join(tmpDir, 'aliases.cmd');
+      fs.writeFileSync(filePath, 'old');
+      fs.chmodSync(filePath, 0o751);
+
+      await writeFileAtomic(filePath, 'new');
+
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o751);
+    });
+
+    it('should write through a symlink and keep the link', async () => {
+      const repoDir = path.join(tmpDir, 'dotfiles');
+      fs.mkdirSync(repoDir);
+      fs.writeFileSync(path.join(repoDir, 'zshrc'), 'old\n');
+      const linkPath = path.join(tmpDir, '.zshrc');
+      fs.symlinkSync('dotfiles/zshrc', linkPath);
+
+      expect(await writeFileAtomic(linkPath, 'new\n')).toBe(path.join(repoDir, 'zshrc'));
+      expect(fs.lstatSync(linkPath).isSymbolicLink()).toBe(true);
+      expect(fs.readFileSync(path.join(repoDir, 'zshrc'), 'utf8')).toBe('new\n');
+    });
+
+    it('should create the target of a dangling symlink', async () => {
+      const linkPath = path.join(tmpDir, '.bashrc');
+      fs.symlinkSync(path.join(tmpDir, 'bashrc.real'), linkPath);
+
+      await writeFileAtomic(linkPath, 'alias ll="ls -l"\n');
+
+      expect(fs.lstatSync(linkPath).isSymbolicLink()).toBe(true);
+      expect(fs.readFileSync(path.join(tmpDir, 'bashrc.real'), 'utf8')).toBe('alias ll="ls -l"\n');
+    });
+
+    it('should give up on symlink loops', async () => {
+      fs.symlinkSync(path.join(tmpDir, 'b'), path.join(tmpDir, 'a'));
+      fs.symlinkSync(path.join(tmpDir, 'a'), path.join(tmpDir, 'b'));
+
+      await expect(resolveWriteTarget(path.join(tmpDir, 'a'))).rejects.toMatchObject({ code: 'ELOOP' });
+    });
+  }
+
+  it('should leave the original and no temp file behind when the write fails', async () => {
+    const filePath = path.join(tmpDir, 'settings.json');
+    fs.writeFileSync(filePath, 'keep');
+
+    await expect(writeFileAtomic(filePath, 42)).rejects.toThrow();
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('keep');
+    expect(fs.readdirSync(tmpDir)).toEqual(['settings.json']);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Jest unit tests for src/main/schema.js
+ *
+ * Tests cover:
+ * - Reading the schema version of a file
+ * - Upgrading aliases.json and settings.json step by step
+ * - Rejecting files from a newer version
+ * - Checking imported collections
+ */
+
+const schema = require('../src/main/schema');
+
+describe('Schema - schema.js', () => {
+  describe('getSchemaVersion', () => {
+    it('should treat files without a version as version 1', () => {
+      expect(schema.getSchemaVersion({ aliases: [] })).toBe(1);
+      expect(schema.getSchemaVersion({ schemaVersion: 3 })).toBe(3);
+    });
+
+    it('should reject versions that are not positive integers', () => {
+      expect(() => schema.getSchemaVersion({ schemaVersion: '2' })).toThrow(/Unknown schema version/);
+      expect(() => schema.getSchemaVersion({ schemaVersion: 0 })).toThrow(/Unknown schema version/);
+    });
+  });
+
+  // ============================================
+  // aliases.json
+  // ============================================
+  describe('migrateAliasStore', () => {
+    it('should upgrade an unversioned file', () => {
+      const result = schema.migrateAliasStore({
+        aliases: [
+          { id: 'a1', name: 'gs', command: 'git status' },
+          { id: 'a2', name: 'mkcd', kind: 'function', command: 'mkdir -p "$1"', platforms: { darwin: { command: '' }, beos: { command: 'x' } } }
+        ]
+      });
+
+      expect(result.fromVersion).toBe(1);
+      expect(result.migrated).toBe(true);
+      expect(result.data.schemaVersion).toBe(schema.ALIASES_SCHEMA_VERSION);
+      expect(result.data.aliases).toEqual([
+        { id: 'a1', name: 'gs', command: 'git status', profile: 'default', kind: 'alias' },
+        { id: 'a2', name: 'mkcd', kind: 'function', command: 'mkdir -p "$1"', profile: 'default' }
+      ]);
+      expect(result.data.profiles.map(p => p.id)).toContain('default');
+    });
+
+    it('should wrap a bare array of aliases', () => {
+      const { data } = schema.migrateAliasStore([{ name: 'll', command: 'ls -l' }]);
+
+      expect(data.aliases).toHaveLength(1);
+      expect(data.aliases[0].profile).toBe('default');
+    });
+
+    it('should keep platform variants that have a command', () => {
+      const { data } = schema.migrateAliasStore({
+        schemaVersion: 2,
+        aliases: [{ name: 'open', command: 'xdg-open', profile: 'work', platforms: { win32: { shell: 'powershell', command: 'Invoke-Item' } } }]
+      });
+
+      expect(data.aliases[0].profile).toBe('work');
+      expect(data.aliases[0].platforms).toEqual({ win32: { shell: 'powershell', command: 'Invoke-Item' } });
+    });
+
+    it('should leave a current file as it is', () => {
+      const store = { schemaVersion: schema.ALIASES_SCHEMA_VERSION, aliases: [{ name: 'gs', command: 'git status' }], profiles: [] };
+      const result = schema.migrateAliasStore(store);
+
+      expect(result.migrated).toBe(false);
+      expect(result.data).toEqual(store);
+    });
+
+    it('should refuse a file from a newer version', () => {
+      expect(() => schema.migrateAliasStore({ schemaVersion: schema.ALIASES_SCHEMA_VERSION + 1, aliases: [] }))
+        .toThrow(/aliases.json uses schema version \d+/);
+    });
+  });
+
+  // ============================================
+  // settings.json
+  // ============================================
+  describe('migrateSettings', () => {
+    it('should add the active profiles', () => {
+      const result = schema.migrateSettings({ theme: 'light' });
+
+      expect(result.migrated).toBe(true);
+      expect(result.data).toEqual({ theme: 'light', activeProfiles: ['default'], schemaVersion: schema.SETTINGS_SCHEMA_VERSION });
+    });
+
+    it('should refuse a file from a newer version', () => {
+      expect(() => schema.migrateSettings({ schemaVersion: 99 })).toThrow(/settings.json uses schema version 99/);
+    });
+  });
+
+  // ============================================
+  // Imported collections
+  // ============================================
+  describe('migrateCollection', () => {
+    it('should upgrade the aliases of an older export', () => {
+      const { data } = schema.migrateCollection({ version: '1.0', aliases: [{ name: 'gs', command: 'git status' }] });
+
+      expect(data.aliases[0]).toEqual({ name: 'gs', command: 'git status', profile: 'default', kind: 'alias' });
+    });
+
+    it('should reject an unknown envelope version', () => {
+      expect(schema.migrateCollection({ version: '2.0', aliases: [] }).error).toMatch(/Unknown collection version "2.0"/);
+    });
+
+    it('should reject a collection from a newer version', () => {
+      expect(schema.migrateCollection({ version: '1.0', schemaVersion: 42, aliases: [] }).error).toMatch(/schema version 42/);
+      expect(schema.migrateCollection({ schemaVersion: 'next', aliases: [] }).error).toMatch(/Unknown schema version/);
+    });
+
+    it('should pass through data that is not a collection', () => {
+      expect(schema.migrateCollection([1, 2])).toEqual({ data: [1, 2] });
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Jest unit tests for src/main/shell-export.js
+ *
+ * Tests cover:
+ * - Export target resolution for the "dedicated" and "direct" strategies
+ * - Managed block replacement and idempotency
+ * - Detecting and repairing duplicated or half-deleted block markers
+ * - Source lines for dedicated alias files
+ */
+
+const shellExport = require('../src/main/shell-export');
+
+const aliases = [
+  { name: 'gs', command: 'git status', description: 'Git status', enabled: true },
+  { name: 'say', command: "echo 'hi'", enabled: true },
+  { name: 'off', command: 'echo off', enabled: false }
+];
+
+describe('Shell Export - shell-export.js', () => {
+  // ============================================
+  // Target Resolution Tests
+  // ============================================
+  describe('resolveExportTarget', () => {
+    it('should use the dedicated alias file when strategy is dedicated', () => {
+      const target = shellExport.resolveExportTarget('zsh', {
+        settings: { exportStrategy: 'dedicated', exportPaths: { zsh: '/home/me/.zshrc' } },
+        home: '/home/me',
+        defaultConfigPath: '/home/me/.default'
+      });
+
+      expect(target).toMatchObject({
+        strategy: 'dedicated',
+        configPath: '/home/me/.zshrc',
+        aliasFilePath: '/home/me/.config/aliasforge/aliases.zsh',
+        functionsDir: null
+      });
+    });
+
+    it('should fall back to the default config path and direct strategy', () => {
+      const target = shellExport.resolveExportTarget('bash', {
+        settings: { exportStrategy: 'unknown' },
+        home: '/home/me',
+        defaultConfigPath: '/home/me/.bashrc'
+      });
+
+      expect(target.strategy).toBe('direct');
+      expect(target.configPath).toBe('/home/me/.bashrc');
+      expect(target.aliasFilePath).toBeNull();
+    });
+  });
+
+  it('should resolve the fish functions folder next to config.fish', () => {
+    const target = shellExport.resolveExportTarget('fish', {
+      settings: { exportStrategy: 'direct', fishFunctionFiles: true },
+      home: '/home/me',
+      defaultConfigPath: '/home/me/.config/fish/config.fish'
+    });
+
+    expect(target.functionsDir).toBe('/home/me/.config/fish/functions');
+    expect(target.generatorOptions.functionFiles).toBe(true);
+  });
+
+  // ============================================
+  // Generation Tests
+  // ============================================
+  describe('generateAliasLines', () => {
+    it('should emit enabled aliases with escaped single quotes', () => {
+      const lines = shellExport.generateAliasLines(aliases, 'zsh');
+
+      expect(lines).toContain("# Git status\nalias gs='git status'\n");
+      expect(lines).toContain("alias say='echo '\\''hi'\\'''\n");
+      expect(lines).not.toContain('off');
+    });
+  });
+
+  // ============================================
+  // Managed Block Tests
+  // ============================================
+  describe('replaceManagedBlock', () => {
+    it('should append a block to content without one', () => {
+      const block = shellExport.wrapManagedBlock('alias a=b');
+      const result = shellExport.replaceManagedBlock('export PATH=/bin\n', block);
+
+      expect(result).toBe(`export PATH=/bin\n\n${block}`);
+    });
+
+    it('should replace an existing block in place', () => {
+      const oldBlock = shellExport.wrapManagedBlock('alias old=1');
+      const newBlock = shellExport.wrapManagedBlock('alias new=1');
+      const content = `before\n${oldBlock}after\n`;
+
+      expect(shellExport.replaceManagedBlock(content, newBlock)).toBe(`before\n${newBlock}after\n`);
+    });
+
+    it('should leave content unchanged when re-applying the source block', () => {
+      const block = shellExport.buildSourceBlock('zsh', '/home/me/.config/aliasforge/aliases.zsh');
+      const once = shellExport.replaceManagedBlock('export A=1\n', block);
+
+      expect(shellExport.replaceManagedBlock(once, block)).toBe(once);
+    });
+  });
+
+  describe('inspectManagedBlock', () => {
+    const { BLOCK_START, BLOCK_END } = shellExport;
+
+    it('should report a single complete block as ok', () => {
+      expect(shellExport.inspectManagedBlock(`x\n${BLOCK_START}\nalias a=b\n${BLOCK_END}\n`))
+        .toEqual({ status: 'ok', startLines: [2], endLines: [4] });
+      expect(shellExport.inspectManagedBlock('export A=1\n').status).toBe('none');
+    });
+
+    it('should report broken markers', () => {
+      expect(shellExport.inspectManagedBlock(`${BLOCK_START}\n${BLOCK_END}\n${BLOCK_START}\n${BLOCK_END}\n`).status).toBe('duplicate');
+      expect(shellExport.inspectManagedBlock(`${BLOCK_START}\nalias a=b\n`).status).toBe('missing-end');
+      expect(shellExport.inspectManagedBlock(`alias a=b\n${BLOCK_END}\n`).status).toBe('missing-start');
+      expect(shellExport.inspectManagedBlock(`${BLOCK_END}\n${BLOCK_START}\n`).status).toBe('missing-start');
+    });
+  });
+
+  describe('getManagedRegions', () => {
+    it('should return the body of every block with its first line', () => {
+      const content = `x\n${shellExport.BLOCK_START}\nalias a=b\n${shellExport.BLOCK_END}\n${shellExport.BLOCK_START}\nalias c=d\n`;
+
+      expect(shellExport.getManagedRegions(content)).toEqual([
+        { line: 3, text: 'alias a=b' },
+        { line: 6, text: 'alias c=d\n' }
+      ]);
+    });
+  });
+
+  describe('hashManagedContent', () => {
+    it('should ignore line ending changes but not edits', () => {
+      const block = shellExport.wrapManagedBlock('alias a=b');
+
+      expect(shellExport.hashManagedContent(block.replace(/\n/g, '\r\n'))).toBe(shellExport.hashManagedContent(block));
+      expect(shellExport.hashManagedContent(block.replace('a=b', 'a=c'))).not.toBe(shellExport.hashManagedContent(block));
+    });
+  });
+
+  describe('replaceManagedBlock with broken markers', () => {
+    const block = shellExport.wrapManagedBlock('alias new=1');
+
+    it('should keep one block in place of duplicated ones', () => {
+      const old = shellExport.wrapManagedBlock('alias old=1');
+      const content = `before\n${old}middle\n${old}after\n`;
+
+      expect(shellExport.replaceManagedBlock(content, block)).toBe(`before\n${block}middle\nafter\n`);
+    });
+
+    it('should drop a start marker without an end and append the block', () => {
+      const content = `before\n${shellExport.BLOCK_START}\nalias old=1\n`;
+
+      expect(shellExport.replaceManagedBlock(content, block)).toBe(`before\nalias old=1\n\n${block}`);
+    });
+
+    it('should drop a stray end marker', () => {
+      const content = `alias old=1\n${shellExport.BLOCK_END}\nafter\n`;
+
+      expect(shellExport.replaceManagedBlock(content, block)).toBe(`alias old=1\nafter\n\n${block}`);
+    });
+  });
+
+  describe('extractManagedBlock', () => {
+    it('should return the block with its markers', () => {
+      const block = shellExport.wrapManagedBlock('alias a=b');
+
+      expect(shellExport.extractManagedBlock(`x\n${block}y\n`)).toBe(block);
+    });
+
+    it('should return null when there is no complete block', () => {
+      expect(shellExport.extractManagedBlock(`${shellExport.BLOCK_START}\nalias a=b\n`)).toBeNull();
+    });
+  });
+
+  describe('buildSourceBlock', () => {
+    it('should guard the source line for bash and zsh', () => {
+      const block = shellExport.buildSourceBlock('bash', '/home/me/.config/aliasforge/aliases.bash');
+
+      expect(block).toContain("[ -f '/home/me/.config/aliasforge/aliases.bash' ] && source '/home/me/.config/aliasforge/aliases.bash'");
+    });
+
+    it('should dot-source the file for PowerShell', () => {
+      const block = shellExport.buildSourceBlock('powershell', 'C:/Users/me/.config/aliasforge/aliases.ps1');
+
+      expect(block).toContain("if (Test-Path 'C:/Users/me/.config/aliasforge/aliases.ps1') { . 'C:/Users/me/.config/aliasforge/aliases.ps1' }");
+    });
+  });
+
+  describe('cmd batch files', () => {
+    it('should use REM markers and start new files with @echo off', () => {
+      const block = shellExport.buildSourceBlock('cmd', 'C:/Users/me/.config/aliasforge/aliases.cmd');
+      const content = shellExport.replaceManagedBlock('', block, 'cmd');
+
+      expect(content.startsWith('@echo off\n')).toBe(true);
+      expect(content).toContain('REM >>> AliasForge managed aliases >>>');
+      expect(content).toContain('if exist "C:/Users/me/.config/aliasforge/aliases.cmd" call "C:/Users/me/.config/aliasforge/aliases.cmd"');
+      expect(shellExport.extractManagedBlock(content, 'cmd')).toBe(block);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Jest unit tests for src/main/syntax-check.js
+ *
+ * Tests cover:
+ * - The built-in tokenizer for POSIX shells, fish and PowerShell
+ * - Reading errors reported by bash, zsh and fish
+ * - Mapping errors back to the alias and line that caused them
+ */
+
+const syntaxCheck = require('../src/main/syntax-check');
+
+// Stands in for the shell so the tests don't depend on what is installed
+const noShell = async () => null;
+
+describe('Syntax Check - syntax-check.js', () => {
+  describe('findSyntaxError', () => {
+    it('should accept balanced POSIX code', () => {
+      expect(syntaxCheck.findSyntaxError('echo "$(date)" \'it\'\\\'\'s\' ${HOME} # (', 'bash')).toBeNull();
+      expect(syntaxCheck.findSyntaxError('case $1 in a) echo a;; esac', 'zsh')).toBeNull();
+    });
+
+    it('should report the line an unclosed quote was opened on', () => {
+      expect(syntaxCheck.findSyntaxError('cd /tmp\necho "hi\nls', 'bash')).toEqual({
+        line: 2,
+        message: 'Unclosed double quote opened here'
+      });
+    });
+
+    it('should report unmatched braces in POSIX code', () => {
+      expect(syntaxCheck.findSyntaxError('echo }', 'zsh')).toEqual({ line: 1, message: "Unmatched '}'" });
+      expect(syntaxCheck.findSyntaxError('{ echo a', 'bash').message).toBe("Unclosed '{' opened here");
+    });
+
+    it('should check fish blocks and quotes', () => {
+      expect(syntaxCheck.findSyntaxError('if test -d $argv[1]\n  cd $argv[1]\nend', 'fish')).toBeNull();
+      expect(syntaxCheck.findSyntaxError('for f in *\n  echo $f', 'fish')).toEqual({
+        line: 1,
+        message: "Missing 'end' for the block opened here"
+      });
+      expect(syntaxCheck.findSyntaxError('echo hi; end', 'fish').message).toBe("'end' outside of a block");
+      expect(syntaxCheck.findSyntaxError("echo 'hi", 'fish').message).toBe('Unclosed single quote opened here');
+    });
+
+    it('should check PowerShell quoting and brackets', () => {
+      expect(syntaxCheck.findSyntaxError("Write-Host 'it''s' \"`\"$($x)\"", 'powershell')).toBeNull();
+      expect(syntaxCheck.findSyntaxError('Get-Item (Get-Location', 'powershell').message).toBe("Unclosed '(' opened here");
+      expect(syntaxCheck.findSyntaxError('<# note', 'powershell').message).toBe('Unterminated block comment');
+    });
+
+    it('should never report errors for cmd', () => {
+      expect(syntaxCheck.findSyntaxError('echo "hi', 'cmd')).toBeNull();
+    });
+  });
+
+  describe('parseCheckerOutput', () => {
+    it('should read the line from bash, zsh and fish messages', () => {
+      const file = '/tmp/aliasforge-check-x/check.bash';
+      expect(syntaxCheck.parseCheckerOutput(`${file}: line 3: syntax error near unexpected token \`}'\n`, file)).toEqual({
+        line: 3,
+        message: "syntax error near unexpected token `}'"
+      });
+      expect(syntaxCheck.parseCheckerOutput(`${file}:2: parse error near \`}'`, file).line).toBe(2);
+      expect(syntaxCheck.parseCheckerOutput(`${file} (line 4): Missing end to balance this if statement`, file)).toEqual({
+        line: 4,
+        message: 'Missing end to balance this if statement'
+      });
+    });
+
+    it('should keep messages without a line', () => {
+      expect(syntaxCheck.parseCheckerOutput('something went wrong', '/tmp/x')).toEqual({
+        line: null,
+        message: 'something went wrong'
+      });
+    });
+  });
+
+  describe('buildCheckScript', () => {
+    it('should wrap POSIX commands in a function', () => {
+      expect(syntaxCheck.buildCheckScript({ command: 'git status' }, 'zsh', 2)).toEqual({
+        script: '__aliasforge_check_2() {\ngit status\n}\n',
+        syntax: 'zsh',
+        firstLine: 2
+      });
+    });
+
+    it('should check plain PowerShell aliases as the POSIX command they are written in', () => {
+      const result = syntaxCheck.buildCheckScript({ name: 'gs', command: 'git status' }, 'powershell');
+      expect(result.syntax).toBe('bash');
+      expect(result.script).toBe('git status\n');
+    });
+  });
+
+  describe('checkAlias', () => {
+    it('should map shell errors back to the line of the command', async () => {
+      const runner = async (shellName, script) => {
+        expect(shellName).toBe('bash');
+        expect(script.startsWith('__aliasforge_check_0() {\n')).toBe(true);
+        return { checker: 'bash', error: { line: 3, message: 'syntax error' } };
+      };
+
+      const result = await syntaxCheck.checkAlias({ command: 'cd /tmp\nls )' }, 'bash', { runner });
+
+      expect(result).toEqual({ checker: 'bash', error: { line: 2, message: 'syntax error' } });
+    });
+
+    it('should use the tokenizer line when the shell reports the end of the script', async () => {
+      const runner = async () => ({ checker: 'bash', error: { line: 5, message: 'unexpected EOF' } });
+
+      const result = await syntaxCheck.checkAlias({ command: 'echo "hi\nls' }, 'bash', { runner });
+
+      expect(result.error).toEqual({ line: 1, message: 'unexpected EOF' });
+    });
+
+    it('should fall back to the tokenizer when the shell is not installed', async () => {
+      const result = await syntaxCheck.checkAlias({ command: "echo 'hi" }, 'zsh', { runner: noShell });
+
+      expect(result).toEqual({ checker: 'builtin', error: { line: 1, message: 'Unclosed single quote opened here' } });
+    });
+  });
+
+  describe('checkAliases', () => {
+    it('should check all aliases in one run when they parse', async () => {
+      const runner = jest.fn(async () => ({ checker: 'zsh', error: null }));
+      const aliases = [
+        { id: '1', name: 'gs', command: 'git status' },
+        { id: '2', name: 'll', command: 'ls -la' }
+      ];
+
+      const result = await syntaxCheck.checkAliases(aliases, 'zsh', { generated: "alias gs='git status'\n", runner });
+
+      expect(result).toEqual({ checker: 'zsh', errors: [] });
+      expect(runner).toHaveBeenCalledTimes(1);
+      expect(runner.mock.calls[0][1]).toContain("alias gs='git status'");
+    });
+
+    it('should name the aliases that break the export', async () => {
+      const aliases = [
+        { id: '1', name: 'gs', command: 'git status' },
+        { id: '2', name: 'bad', command: 'echo "hi' },
+        { id: '3', name: 'fn', kind: 'function', command: 'if true; then\n  echo {' }
+      ];
+
+      const result = await syntaxCheck.checkAliases(aliases, 'bash', { runner: noShell });
+
+      expect(result.checker).toBe('builtin');
+      expect(result.errors).toEqual([
+        { aliasId: '2', name: 'bad', line: 1, message: 'Unclosed double quote opened here' },
+        { aliasId: '3', name: 'fn', line: 2, message: "Unclosed '{' opened here" }
+      ]);
+    });
+
+    it('should report generated code that fails even though every alias parses', async () => {
+      const runner = async (shellName, script) => ({
+        checker: 'bash',
+        error: script.includes('alias broken') ? { line: 9, message: 'syntax error' } : null
+      });
+      const aliases = [{ id: '1', name: 'gs', command: 'git status' }];
+
+      const result = await syntaxCheck.checkAliases(aliases, 'bash', { generated: 'alias broken=\'\n', runner });
+
+      expect(result.errors).toEqual([
+        { aliasId: null, name: null, line: null, message: 'Generated bash code does not parse: syntax error' }
+      ]);
+    });
+  });
+});
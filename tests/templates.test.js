@@ -0,0 +1,96 @@
+/**
+ * Jest unit tests for src/main/templates.js
+ *
+ * Tests cover:
+ * - Finding named and positional placeholders
+ * - Defaults and validation errors
+ * - Lowering placeholders to POSIX positional parameters
+ * - Filling placeholders in with quoted values
+ */
+
+const templates = require('../src/main/templates');
+
+describe('Templates - templates.js', () => {
+  describe('parseTemplate', () => {
+    it('should number named placeholders around positional ones', () => {
+      const result = templates.parseTemplate('deploy {env:staging} {1} {branch} {env}');
+
+      expect(result.placeholders).toEqual([
+        { name: '1', index: 1, defaultValue: undefined },
+        { name: 'env', index: 2, defaultValue: 'staging' },
+        { name: 'branch', index: 3, defaultValue: undefined }
+      ]);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('should ignore single-quoted text, ${VAR} and escaped braces', () => {
+      expect(templates.parseTemplate("awk '{print}' ${HOME} \\{x} find . -exec rm {} \;").placeholders).toEqual([]);
+    });
+
+    it('should report conflicting and unsafe defaults', () => {
+      expect(templates.parseTemplate('echo {a:x} {a:y} {b:$HOME}').errors).toEqual([
+        '{a} has different defaults: "x" and "y"',
+        'Default for {b} cannot contain quotes, $, backticks or backslashes'
+      ]);
+    });
+
+    it('should reject mixing placeholders with $1..$9', () => {
+      expect(templates.parseTemplate('cp {src} $2').errors).toEqual(['Use either placeholders or $1..$9 in a command, not both']);
+    });
+  });
+
+  describe('lowerTemplate', () => {
+    it('should quote unquoted placeholders and keep quoted ones bare', () => {
+      expect(templates.lowerTemplate('cd {path:src} && git commit -m "wip: {msg}"'))
+        .toBe('cd "${1:-src}" && git commit -m "wip: $2"');
+    });
+
+    it('should write a default in the home folder with $HOME, which expands inside quotes', () => {
+      expect(templates.lowerTemplate('cd {path:~/src}')).toBe('cd "${1:-$HOME/src}"');
+      expect(templates.lowerTemplate('cd {path:~}')).toBe('cd "${1:-$HOME}"');
+      expect(templates.lowerTemplate('echo {x:~user}')).toBe('echo "${1:-~user}"');
+    });
+
+    it('should leave commands without placeholders untouched', () => {
+      expect(templates.lowerTemplate('git status')).toBe('git status');
+      expect(templates.hasPlaceholders('git status')).toBe(false);
+    });
+  });
+
+  describe('fillTemplate', () => {
+    it('should use the given values and fall back to defaults', () => {
+      expect(templates.fillTemplate('cd {path:~/src} && git checkout {branch:main}', { branch: 'dev' }))
+        .toBe('cd ~/src && git checkout dev');
+    });
+
+    it('should quote values so each stays one word and is not expanded', () => {
+      expect(templates.fillTemplate('git commit -m "wip: {msg}" -- {file}', {
+        msg: 'fix "$HOME"',
+        file: "it's here.txt"
+      })).toBe('git commit -m "wip: fix \\"\\$HOME\\"" -- \'it\'\\\'\'s here.txt\'');
+    });
+
+    it('should quote values for fish, PowerShell and cmd', () => {
+      const command = 'git commit -m "wip: {msg}" -- {file}';
+      const values = { msg: 'fix "$HOME"', file: "it's here.txt" };
+
+      expect(templates.fillTemplate(command, values, { shellName: 'fish' }))
+        .toBe('git commit -m "wip: fix \\"\\$HOME\\"" -- \'it\\\'s here.txt\'');
+      expect(templates.fillTemplate(command, values, { shellName: 'powershell' }))
+        .toBe('git commit -m "wip: fix `"`$HOME`"" -- \'it\'\'s here.txt\'');
+      expect(templates.fillTemplate('echo {a} {b}', { a: 'x,y', b: 'plain' }, { shellName: 'powershell' }))
+        .toBe("echo 'x,y' plain");
+      expect(templates.fillTemplate(command, { msg: 'a & b', file: 'my file.txt' }, { shellName: 'cmd' }))
+        .toBe('git commit -m "wip: a & b" -- "my file.txt"');
+    });
+
+    it('should refuse values cmd cannot take safely', () => {
+      expect(() => templates.fillTemplate('echo {a}', { a: '%PATH%' }, { shellName: 'cmd' }))
+        .toThrow("The value for {a} can't be passed to cmd safely");
+    });
+
+    it('should require a value for placeholders without a default', () => {
+      expect(() => templates.fillTemplate('cp {src} {dest:.}', { src: '' })).toThrow('Enter a value for {src}');
+    });
+  });
+});
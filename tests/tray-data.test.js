@@ -0,0 +1,124 @@
+/**
+ * Jest unit tests for src/main/tray-data.js
+ *
+ * Tests cover:
+ * - Recently edited aliases with their command for the platform
+ * - Profile choices, including profiles only named by aliases
+ * - Export outcomes and the last-export line
+ * - Notifications for exports and imports run from the tray
+ * - Notifications for files changed outside the app
+ */
+
+const trayData = require('../src/main/tray-data');
+
+const alias = (id, name, command, extra = {}) => ({ id, name, command, enabled: true, ...extra });
+
+describe('Tray Data - tray-data.js', () => {
+  describe('getRecentAliases', () => {
+    it('should list edited aliases newest first with the command for the platform', () => {
+      const aliases = [
+        alias('1', 'gs', 'git status', { updatedAt: '2026-01-01T10:00:00.000Z' }),
+        alias('2', 'll', 'ls -l'),
+        alias('3', 'open', 'xdg-open .', {
+          updatedAt: '2026-01-02T10:00:00.000Z',
+          platforms: { darwin: { shell: '', command: 'open .' } }
+        })
+      ];
+
+      expect(trayData.getRecentAliases(aliases, { platform: 'darwin', shellName: 'zsh' })).toEqual([
+        { id: '3', name: 'open', command: 'open .' },
+        { id: '1', name: 'gs', command: 'git status' }
+      ]);
+    });
+
+    it('should stop at the limit', () => {
+      const aliases = Array.from({ length: 15 }, (_, i) => alias(String(i), `a${i}`, 'ls', {
+        updatedAt: `2026-01-01T10:00:${String(i).padStart(2, '0')}.000Z`
+      }));
+
+      const recent = trayData.getRecentAliases(aliases, { platform: 'linux', shellName: 'bash' });
+
+      expect(recent).toHaveLength(trayData.RECENT_LIMIT);
+      expect(recent[0].name).toBe('a14');
+    });
+  });
+
+  describe('getProfileChoices', () => {
+    it('should count aliases per profile and include profiles only aliases name', () => {
+      const store = {
+        profiles: [{ id: 'default', name: 'Default' }, { id: 'work', name: 'Work' }],
+        aliases: [alias('1', 'gs', 'git status'), alias('2', 'k', 'kubectl', { profile: 'work' }), alias('3', 'x', 'x', { profile: 'home' })]
+      };
+
+      expect(trayData.getProfileChoices(store, ['work'])).toEqual([
+        { id: 'default', name: 'Default', aliasCount: 1, selected: false },
+        { id: 'work', name: 'Work', aliasCount: 1, selected: true },
+        { id: 'home', name: 'home', aliasCount: 1, selected: false }
+      ]);
+    });
+
+    it('should select nothing while several profiles are active', () => {
+      const store = { profiles: [{ id: 'default', name: 'Default' }, { id: 'work', name: 'Work' }], aliases: [] };
+
+      expect(trayData.getProfileChoices(store, ['work', 'default']).some(p => p.selected)).toBe(false);
+    });
+  });
+
+  describe('export outcomes', () => {
+    const timestamp = '2026-03-04T09:05:00.000Z';
+
+    it('should tell successes, conflicts, syntax errors and failures apart', () => {
+      expect(trayData.toExportOutcome({ success: true, path: '/h/.zshrc' }, 'zsh', timestamp)).toEqual({
+        timestamp, shell: 'zsh', status: 'success', message: 'Exported to /h/.zshrc'
+      });
+      expect(trayData.toExportOutcome({ success: false, conflict: true }, 'zsh', timestamp).status).toBe('conflict');
+      expect(trayData.toExportOutcome({ success: false, syntaxErrors: [], error: 'bad' }, 'zsh', timestamp))
+        .toMatchObject({ status: 'syntax-error', message: 'bad' });
+      expect(trayData.toExportOutcome({ success: false, error: 'EACCES' }, 'zsh', timestamp))
+        .toMatchObject({ status: 'error', message: 'EACCES' });
+    });
+
+    it('should read the export log entry as a success', () => {
+      expect(trayData.fromHistoryEntry({ action: 'export', timestamp, shell: 'bash', targetPath: '/h/.bashrc' }))
+        .toMatchObject({ status: 'success', shell: 'bash' });
+      expect(trayData.fromHistoryEntry(undefined)).toBeNull();
+    });
+
+    it('should describe the last export with its status', () => {
+      const outcome = { timestamp, shell: 'zsh', status: 'conflict' };
+
+      expect(trayData.formatLastExport(null)).toBe('Not exported yet');
+      expect(trayData.formatLastExport(outcome, new Date(timestamp))).toMatch(/^Last export: .+ \(zsh\) - blocked by hand edits$/);
+      expect(trayData.formatLastExport(outcome, new Date('2026-05-01T00:00:00.000Z')))
+        .toContain(new Date(timestamp).getFullYear().toString());
+    });
+  });
+
+  describe('notifications', () => {
+    it('should word export notifications by status', () => {
+      const success = trayData.toExportOutcome({ success: true, path: '/home/me/.zshrc' }, 'zsh');
+      expect(trayData.toExportNotification(success)).toEqual({ title: 'Aliases exported', body: 'Exported to /home/me/.zshrc' });
+
+      const conflict = trayData.toExportNotification(trayData.toExportOutcome({ success: false, conflict: true }, 'zsh'));
+      expect(conflict.title).toBe('Export stopped');
+      expect(conflict.body).toMatch(/AliasForge window/);
+
+      const failed = trayData.toExportOutcome({ success: false, error: 'Permission denied' }, 'zsh');
+      expect(trayData.toExportNotification(failed)).toEqual({ title: 'Export failed', body: 'Permission denied' });
+    });
+
+    it('should word import notifications by what was found', () => {
+      expect(trayData.toImportNotification({ imported: [alias('1', 'gs', 'git status')], skipped: 2 }, 'bash'))
+        .toEqual({ title: 'Aliases imported', body: 'Imported 1 new aliases from bash' });
+      expect(trayData.toImportNotification({ imported: [], skipped: 3 }, 'bash'))
+        .toEqual({ title: 'Nothing to import', body: 'No new aliases found in bash (3 already loaded)' });
+    });
+
+    it('should word file change notifications by what can be done about them', () => {
+      expect(trayData.toFileChangeNotification({ source: 'shell', path: '/home/me/.zshrc', newAliases: [{ name: 'll' }], outOfDate: true }))
+        .toEqual({ title: '.zshrc changed outside AliasForge', body: 'Open AliasForge to review: 1 new aliases to import, the managed block needs re-applying.' });
+      expect(trayData.toFileChangeNotification({ source: 'store', path: '/data/aliases.json', newAliases: [], outOfDate: false }))
+        .toEqual({ title: 'Aliases changed outside AliasForge', body: 'Open AliasForge to review the changes.' });
+    });
+  });
+});
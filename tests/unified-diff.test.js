@@ -0,0 +1,52 @@
+/**
+ * Jest unit tests for src/main/unified-diff.js
+ */
+
+const { createUnifiedDiff } = require('../src/main/unified-diff');
+
+const lines = (count) => Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+const text = (arr) => arr.join('\n') + '\n';
+
+describe('Unified Diff - unified-diff.js', () => {
+  it('should return an empty string when nothing changed', () => {
+    expect(createUnifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+  });
+
+  it('should describe a new file as a single hunk of additions', () => {
+    expect(createUnifiedDiff('', 'alias a=b\n', { oldName: 'old', newName: 'new' }))
+      .toBe('--- old\n+++ new\n@@ -0,0 +1,1 @@\n+alias a=b\n');
+  });
+
+  it('should include three lines of context around a change', () => {
+    const before = lines(10);
+    const after = [...before];
+    after[4] = 'changed';
+
+    expect(createUnifiedDiff(text(before), text(after))).toBe([
+      '--- a',
+      '+++ b',
+      '@@ -2,7 +2,7 @@',
+      ' line 2',
+      ' line 3',
+      ' line 4',
+      '-line 5',
+      '+changed',
+      ' line 6',
+      ' line 7',
+      ' line 8',
+      ''
+    ].join('\n'));
+  });
+
+  it('should split distant changes into separate hunks', () => {
+    const before = lines(30);
+    const after = [...before];
+    after[1] = 'first';
+    after[25] = 'second';
+
+    const diff = createUnifiedDiff(text(before), text(after));
+    expect(diff.match(/^@@/gm)).toHaveLength(2);
+    expect(diff).toContain('@@ -1,5 +1,5 @@');
+    expect(diff).toContain('@@ -23,7 +23,7 @@');
+  });
+});